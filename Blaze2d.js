@@ -6,16 +6,17 @@ export class Blaze2D {
     constructor(canvas, options = {}) {
         this.canvas = canvas;
         this.gl = canvas.getContext('webgl2', {
-            alpha: true, depth: false, antialias: true,
+            alpha: true, depth: false, stencil: true, antialias: true,
             premultipliedAlpha: true, preserveDrawingBuffer: false,
             powerPreference: 'high-performance', desynchronized: true,
             ...options
         });
 
+        this.isWebGL2 = !!this.gl;
         if (!this.gl) {
             console.warn('WebGL2 not available, falling back to WebGL1');
             this.gl = canvas.getContext('webgl', {
-                alpha: true, depth: false, antialias: true,
+                alpha: true, depth: false, stencil: true, antialias: true,
                 premultipliedAlpha: true, powerPreference: 'high-performance',
                 ...options
             });
@@ -28,54 +29,147 @@ export class Blaze2D {
         gl.blendFunc(gl.ONE, gl.ONE_MINUS_SRC_ALPHA);
         gl.pixelStorei(gl.UNPACK_PREMULTIPLY_ALPHA_WEBGL, false);
 
+        // 上下文丢失期间暂停所有绘制，恢复后重建 GPU 资源（见 _restoreContext）
+        this.contextLost = false;
+        this._listeners = new Map();
+        this._onContextLost = (e) => {
+            e.preventDefault();
+            this.contextLost = true;
+            this.batchCount = 0; this._instanced = false;
+            this._emit('contextlost', e);
+        };
+        this._onContextRestored = (e) => {
+            // 先清掉丢失标记：重建过程中的分配（层、粒子缓冲等）遇到 contextLost 会直接跳过
+            this.contextLost = false;
+            this._restoreContext();
+            this._emit('contextrestored', e);
+        };
+        canvas.addEventListener?.('webglcontextlost', this._onContextLost, false);
+        canvas.addEventListener?.('webglcontextrestored', this._onContextRestored, false);
+
         this.currentTime = 0;
         this.cameraX = 0;
         this.cameraY = 0;
         // 是否处于世界坐标模式（true = 顶点坐标为世界坐标，内部自动减去相机偏移）
         this._worldSpaceActive = false;
 
+        // 一个批次可同时采样的纹理单元数；低端设备（或 options.maxTextureUnits = 1）退化为单纹理批次
+        const maxUnits = gl.getParameter(gl.MAX_TEXTURE_IMAGE_UNITS) || 1;
+        // 最后一个单元留给渐变色带纹理
+        this.maxTextureUnits = Math.max(1, Math.min(options.maxTextureUnits || 16, maxUnits < 4 ? 1 : maxUnits - 1));
+        this.batchTextures = [];
+        // 与 batchTextures 按下标对应：该单元是否用最近邻采样（只读前 batchTextures.length 项）
+        this.batchNearest = [];
+        // 同样按下标对应：该单元的纹理是否已是预乘颜色（层、后处理与合成用的渲染目标，纹理上带 _premultiplied 标记）
+        this._batchPremultiplied = new Float32Array(this.maxTextureUnits);
+        this.currentSlot = 0; this.currentNearest = false; this._linearText = false;
+        // 渐变色带纹理的行数，以及每批次可容纳的渐变几何参数组数（片元着色器 uniform 数组长度）
+        this.GRADIENT_ROWS = 64; this.MAX_BATCH_PAINTS = 8;
+        // 每批次可容纳的距离场文字效果组数
+        this.MAX_TEXT_STYLES = 4;
+        // registerEffect 参数类型 -> 分量数
+        this.EFFECT_UNIFORM_SIZES = { float: 1, vec2: 2, vec3: 3, vec4: 4, color: 4 };
+        // 每种特效一批最多容纳的实例数（超出时先提交该批）
+        this.EFFECT_BATCH_SIZE = 512;
+        // globalCompositeOperation：会清除图形外像素的 Porter-Duff 运算，以及混合模式在合成着色器中的编号
+        this.UNBOUNDED_OPS = new Set(['source-in', 'source-out', 'destination-in', 'destination-atop', 'copy']);
+        this.BLEND_MODES = {
+            multiply: 1, screen: 2, overlay: 3, darken: 4, lighten: 5, 'color-dodge': 6, 'color-burn': 7, 'hard-light': 8,
+            'soft-light': 9, difference: 10, exclusion: 11, hue: 12, saturation: 13, color: 14, luminosity: 15
+        };
+        this.PORTER_DUFF_OPS = new Set(['source-over', 'source-atop', 'destination-over', 'destination-out', 'xor', 'lighter', 'additive', ...this.UNBOUNDED_OPS]);
+        this._compositeMode = null; this._composite = null; this._targetFramebuffer = null;
+        // 渲染层：所有已创建的层（上下文恢复时重建），以及 beginLayer 嵌套时保存的外层目标
+        this.layers = new Set(); this._layerStack = [];
+        // 后处理：通道列表（按顺序执行）、场景目标（一个内部层）、通道间中转目标、LUT 等图片纹理
+        this.postProcessing = false; this.postPasses = []; this._postScene = null; this._postTargets = null; this._postImages = new Map(); this._postCopyProgram = null;
+
         this.maxBatchSize = 8192;
         this.verticesPerSprite = 4;
         this.indicesPerSprite = 6;
-        this.vertexStride = 9;
+        this.vertexStride = 10;
         this.vertexCountPerSprite = this.verticesPerSprite * this.vertexStride;
+        // WebGL2 下 drawSpriteFast 走实例化路径：每个精灵只上传一条记录，四个角在顶点着色器里展开（options.instancing = false 可关闭）
+        this.instancing = this.isWebGL2 && options.instancing !== false;
+        this.instanceStride = 16;
+        this._instanced = false;
         this.WHITE_RGBA = new Float32Array([1, 1, 1, 1]);
+        // 独立纹理（不在图集里）的 uv 区域
+        this.FULL_UV = Object.freeze({ u0: 0, v0: 0, u1: 1, v1: 1 });
 
-        this.dnVertexStride = 17;
+        this.dnVertexStride = 18;
+        // 伤害数字样式：名字 -> 编号，参数打包在 dnStyleData 里，以 uniform 数组传给着色器，不同样式可在同一次 Draw Call 中混用
+        this.DN_MAX_STYLES = 16; this.DN_STYLE_ROWS = 7;
+        // 默认样式即原来写死在着色器里的运动与动画参数，自定义样式未给出的参数从这里取
+        this.DN_DEFAULT_STYLE = {
+            gravity: 800, drag: 3, motion: 'arc', shake: 0, popIn: 0.2, startScale: 0.3, bounce: 0.1, shrinkStart: 0.7, endScale: 0,
+            fadeStart: 0.7, flashTime: 0.2, flashColor: '#ffffff', flashStrength: 0.42, outlineColor: null,
+            font: null, outlineWidth: 2, glowColor: '#ffffff', glowWidth: 0
+        };
+        // 每个样式使用的字形字体（位图字体，或 font 指定的距离场字体）
+        this.dnStyles = new Map(); this.dnStyleData = new Float32Array(this.DN_MAX_STYLES * this.DN_STYLE_ROWS * 4); this.dnStyleFaces = [];
+        // 伤害数字常驻 GPU：每块（chunk）是一段按纹理来源（字形页或 BMFont 页图）区分的环形缓冲，容量 dnMaxBatchSize 个字形，
+        // 数字在寿命结束前一直留在缓冲里，过期槽位被新数字复用；一块写满时再开一块，不会丢弃数字
         this.dnMaxBatchSize = 4000;
-        this.dnBatchCount = 0;
-        this.dnVertexData = new Float32Array(this.dnMaxBatchSize * 4 * this.dnVertexStride);
-        this.dnVertexBuffer = null;
+        this.dnChunks = [];
+        // 图集整理、释放或上下文恢复后，块记录的纹理与 uv 可能已过期，下次绘制前按来源重新解析
+        this._dnTexturesStale = false;
         this.dnIndexBuffer = null;
-        this.dnCurrentTexture = null;
 
         this.initShaders();
-        this.initGravityShader();
-        this.initIceFieldShader();
         this.initDamageNumberShader();
+        this.initParticleShader();
+        this.initCompositeShader();
         this.initBuffers();
+        // 粒子发射器：所有已创建的发射器（上下文恢复时重建缓冲并整体重传）
+        this.particleEmitters = new Set();
+        this.PARTICLE_STRIDE = 11;
+        // 区域特效：名字 -> { source, schema, program, 顶点布局与实例队列 }；_pendingEffects 为本批排队的特效段 { effect, first, count, at }，at 为排队时主批次的图元数
+        this.effects = new Map(); this._pendingEffects = [];
+        this._registerBuiltinEffects();
 
         this.textureCache = new Map();
         this.textureUsage = new Map();
+        // 渐变色带缓存：色标组合 -> 色带纹理中的行，按 LRU 复用
         this.gradientCache = new Map();
-        this.textCache = new Map();
+        // 半透明描边的设备空间并集：路径 + 线型 + 矩阵 -> 三角形，按 LRU 复用（见 _strokeUnion）
+        this.strokeCache = new Map(); this.maxStrokeCacheSize = 64;
+        this._batchPaints = new Float32Array(this.MAX_BATCH_PAINTS * 3); this._batchPaintCount = 0; this._batchSerial = 0;
+        this._paint = null; this._batchFilter = null;
+        // createPattern 的图片 -> 独立纹理（图案要在整张图上重复取样，不进图集）
+        this.patternTextures = new Map();
+        // 距离场文字的效果参数表（描边 / 发光 / 柔化），与渐变参数表一样按批次填写
+        this._batchTextStyles = new Float32Array(this.MAX_TEXT_STYLES * 12); this._batchTextStyleCount = 0; this._textStyle = null;
+        // fillText 不走字形缓存的文字（描边、超大字号）整串栅格化后打包进共享的文字页，按 LRU 逐条淘汰
+        this.textCache = new Map(); this.textPages = [];
         this.colorCache = new Map();
         this.statePool = [];
         this.atlasCache = new Map();
+        this.frames = new Map();
+        this.animations = new Map();
         this.currentTexture = null;
         this.batchCount = 0;
         this.drawCallCount = 0;
         this.triangleCount = 0;
+        this.layerPassCount = 0;
         this.maxTextureCacheSize = 200;
         this.maxTextCacheSize = 1000;
+        this.TEXT_PAGE_SIZE = Math.min(gl.getParameter(gl.MAX_TEXTURE_SIZE) || 2048, 1024);
+        this.maxTextPages = options.maxTextPages || 4;
 
         this.textCanvas = document.createElement('canvas');
         this.textCtx = this.textCanvas.getContext('2d');
 
-        this.whiteTexture = gl.createTexture();
-        gl.bindTexture(gl.TEXTURE_2D, this.whiteTexture);
-        gl.texImage2D(gl.TEXTURE_2D, 0, gl.RGBA, 1, 1, 0, gl.RGBA, gl.UNSIGNED_BYTE, new Uint8Array([255, 255, 255, 255]));
-        gl.bindTexture(gl.TEXTURE_2D, null);
+        this.whiteTexture = this._createWhiteTexture();
+        this.gradientTexture = this._createGradientTexture();
+
+        // clip()：轴对齐矩形走 scissor，其余路径写入模板缓冲（高 4 位为嵌套层级）
+        this.hasStencil = !!gl.getContextAttributes()?.stencil;
+        this.IDENTITY_MATRIX = new Float32Array([1, 0, 0, 1, 0, 0]);
+        this.EMPTY_CLIP = Object.freeze([]);
+        this.EMPTY_DASH = Object.freeze([]);
+        this._appliedClipRect = null;
+        this._appliedClipPaths = this.EMPTY_CLIP;
 
         this.stateStack = [this._createDefaultState()];
         this.width = canvas.width;
@@ -83,33 +177,145 @@ export class Blaze2D {
         this.dpr = 1;
         this.currentPath = [];
 
-        this._effectQuadVerts = new Float32Array([
-            0, 0, 0, 0,
-            0, 0, 1, 0,
-            0, 0, 1, 1,
-            0, 0, 0, 1
-        ]);
-
-        this.initBitmapFont();
+        // 字形缓存：字体 + 字素簇 -> 字形页中的一格，首次使用时栅格化；页数到上限后按 LRU 淘汰
+        this.glyphCache = new Map(); this.glyphFaces = new Map(); this.glyphPages = []; this._glyphRun = 0;
+        this.GLYPH_PAGE_SIZE = Math.min(gl.getParameter(gl.MAX_TEXTURE_SIZE) || 2048, 1024);
+        this.maxGlyphPages = options.maxGlyphPages || 4;
+        // fillText 栅格化字号的档位（设备像素），按当前缩放取不小于实际字号的一档；超过最大档的文字仍整串生成纹理
+        this.GLYPH_SIZES = [12, 16, 20, 24, 32, 40, 48, 64, 80, 96, 128, 160, 192, 256];
+        // drawBitmapText 与伤害数字使用的位图字体：64px 粗体 Arial，带黑色描边
+        this.bitmapFace = this._glyphFace('bold 64px Arial', 64 / 6);
+        // 具名字体：名字 -> { type, face }，可用于 drawBitmapText 的 options.font、伤害数字样式与 ctx.font 的字体族
+        this.fonts = new Map();
+        this.registerSDFFont('sdf');
+        this._defineBuiltinDamageNumberStyles();
 
         const maxTex = gl.getParameter(gl.MAX_TEXTURE_SIZE) || 2048;
         this.atlasSize = Math.min(maxTex, 4096);
-        this.atlasTexture = gl.createTexture();
-        gl.bindTexture(gl.TEXTURE_2D, this.atlasTexture);
-        gl.texImage2D(gl.TEXTURE_2D, 0, gl.RGBA, this.atlasSize, this.atlasSize, 0, gl.RGBA, gl.UNSIGNED_BYTE, null);
+        this.atlasPadding = 2;
+        // 图集页按需增长；超过上限后的图片退回独立纹理
+        this.maxAtlasPages = options.maxAtlasPages || 8;
+        this.atlasPages = [];
+        // 像素风模式（setPixelArt）：图片最近邻采样、顶点对齐设备像素、图集条目四边外扩
+        this.pixelArt = !!options.pixelArt;
+        this.pixelSnap = options.pixelSnap ?? this.pixelArt;
+        this.atlasExtrude = options.atlasExtrude ?? this.pixelArt;
+        this.nearestSampler = this._createNearestSampler();
+        this.atlasTexture = this._createAtlasPage().texture;
+    }
+
+    setTime(time) { this.currentTime = time; }
+
+    /**
+     * 监听引擎事件：'contextlost'（GPU 重置，绘制暂停）与 'contextrestored'（资源已重建，可继续绘制）。
+     * 自行创建的 WebGLTexture 等资源需在 contextrestored 中重新创建。
+     * @param {string} type
+     * @param {Function} fn
+     */
+    on(type, fn) {
+        if (!this._listeners.has(type)) this._listeners.set(type, new Set());
+        this._listeners.get(type).add(fn);
+        return this;
+    }
+
+    off(type, fn) { this._listeners.get(type)?.delete(fn); return this; }
+
+    _emit(type, ...args) {
+        const set = this._listeners.get(type); if (!set) return;
+        for (const fn of set) {
+            try { fn(...args); } catch (e) { console.error(e); }
+        }
+    }
+
+    /**
+     * 上下文恢复后重建着色器、缓冲、白纹理、位图字体，并从仍被引用的源图片重新上传所有图集页。
+     * 独立纹理与文字/渐变缓存直接丢弃，下次绘制时按需重新生成。
+     */
+    _restoreContext() {
+        const gl = this.gl;
+        gl.enable(gl.BLEND);
+        gl.pixelStorei(gl.UNPACK_PREMULTIPLY_ALPHA_WEBGL, false);
+        this.batchCount = 0; this.currentTexture = null; this.batchTextures.length = 0; this._instanced = false;
+
+        this.initShaders();
+        this.initDamageNumberShader();
+        this.initParticleShader();
+        this.initCompositeShader();
+        this.initBuffers();
+        for (const emitter of this.particleEmitters) this._allocateEmitter(emitter);
+        this._resetEffects();
+        for (const effect of this.effects.values()) this._compileEffect(effect);
+        this.whiteTexture = this._createWhiteTexture();
+        this.gradientTexture = this._createGradientTexture();
+        this.nearestSampler = this._createNearestSampler();
+        // 字形页原位重建并重新栅格化缓存中的字形；常驻的伤害数字整体重传，纹理在下次绘制时按来源重新解析
+        for (const page of this.glyphPages) page.texture = this._createAtlasTexture(this.GLYPH_PAGE_SIZE);
+        for (const glyph of this.glyphCache.values()) { glyph.texture = glyph.page.texture; this._rasterizeGlyph(glyph); }
+        for (const chunk of this.dnChunks) this._allocateDamageNumberChunk(chunk);
+        this._dnTexturesStale = true;
+
+        for (const page of this.atlasPages) {
+            page.texture = this._createAtlasTexture(page.size);
+            for (const entry of page.entries) this._uploadAtlasEntry(page, entry);
+        }
+        this.atlasTexture = this.atlasPages[0].texture;
+
+        for (const image of this.textureCache.keys()) image._glTextureInfo = null;
+        this.textureCache.clear(); this.textureUsage.clear();
+        this.textCache.clear(); this.textPages.length = 0; this.gradientCache.clear(); this.patternTextures.clear();
+        this._composite = null;
+        // 丢失时若正在层内绘制，回到画布；层的 GL 对象重新分配，内容需要重画（dirty）
+        if (this._layerStack.length) {
+            const base = this._layerStack[0];
+            this.width = base.width; this.height = base.height; this.dpr = base.dpr; this._worldSpaceActive = base.worldSpace;
+            this._layerStack.length = 0;
+        }
+        this._targetFramebuffer = null;
+        this._postTargets = null; this._postImages.clear(); this._postCopyProgram = null;
+        for (const pass of this.postPasses) {
+            if (pass.programs) pass.programs = Object.keys(pass.sources).map(k => this._compilePostProgram(pass.name, pass.sources[k]));
+            else pass.program = this._compilePostProgram(pass.name, pass.source);
+        }
+        for (const layer of this.layers) { layer.texture = layer.framebuffer = layer.stencil = null; this._allocateLayer(layer); }
+
+        gl.viewport(0, 0, this.width, this.height);
+        // 新上下文的 scissor / 模板都是默认状态，作废已应用裁剪的缓存后按当前状态重建
+        this._appliedClipRect = this._appliedClipPaths = null;
+        this._applyClip();
+        this._updateBlendMode();
+    }
+
+    _createWhiteTexture() {
+        const gl = this.gl, tex = gl.createTexture();
+        gl.bindTexture(gl.TEXTURE_2D, tex);
+        gl.texImage2D(gl.TEXTURE_2D, 0, gl.RGBA, 1, 1, 0, gl.RGBA, gl.UNSIGNED_BYTE, new Uint8Array([255, 255, 255, 255]));
+        gl.bindTexture(gl.TEXTURE_2D, null);
+        return tex;
+    }
+
+    /** WebGL2 下最近邻采样用的 sampler 对象；WebGL1 没有 sampler，返回 null，改为临时修改纹理参数。 */
+    _createNearestSampler() {
+        if (!this.isWebGL2) return null;
+        const gl = this.gl, sampler = gl.createSampler();
+        gl.samplerParameteri(sampler, gl.TEXTURE_MIN_FILTER, gl.NEAREST);
+        gl.samplerParameteri(sampler, gl.TEXTURE_MAG_FILTER, gl.NEAREST);
+        gl.samplerParameteri(sampler, gl.TEXTURE_WRAP_S, gl.CLAMP_TO_EDGE);
+        gl.samplerParameteri(sampler, gl.TEXTURE_WRAP_T, gl.CLAMP_TO_EDGE);
+        return sampler;
+    }
+
+    _createGradientTexture() {
+        const gl = this.gl, tex = gl.createTexture();
+        gl.bindTexture(gl.TEXTURE_2D, tex);
+        gl.texImage2D(gl.TEXTURE_2D, 0, gl.RGBA, 256, this.GRADIENT_ROWS, 0, gl.RGBA, gl.UNSIGNED_BYTE, null);
         gl.texParameteri(gl.TEXTURE_2D, gl.TEXTURE_WRAP_S, gl.CLAMP_TO_EDGE);
         gl.texParameteri(gl.TEXTURE_2D, gl.TEXTURE_WRAP_T, gl.CLAMP_TO_EDGE);
         gl.texParameteri(gl.TEXTURE_2D, gl.TEXTURE_MIN_FILTER, gl.LINEAR);
         gl.texParameteri(gl.TEXTURE_2D, gl.TEXTURE_MAG_FILTER, gl.LINEAR);
-
-        this.atlasX = 0;
-        this.atlasY = 0;
-        this.atlasRowHeight = 0;
-        this.atlasPadding = 2;
+        gl.bindTexture(gl.TEXTURE_2D, null);
+        return tex;
     }
 
-    setTime(time) { this.currentTime = time; }
-
     /**
      * 设置世界相机中心坐标（视口中心对准的世界坐标）。
      * 需配合 beginWorldSpace / endWorldSpace 使用，或直接在 worldSpace 模式下生效。
@@ -118,6 +324,23 @@ export class Blaze2D {
      */
     setCamera(x, y) { this.cameraX = x; this.cameraY = y; }
 
+    /**
+     * 全局像素风模式：开启后所有图片（drawImage、精灵、帧、图案、粒子、层）都用最近邻采样，不再受 imageSmoothingEnabled 影响；
+     * 关闭后回到按次的 imageSmoothingEnabled。文字与 Canvas 一样不受影响，普通（非距离场）BMFont 除外。
+     * @param {boolean} enabled
+     * @param {object} [options]
+     * @param {boolean} [options.snap=enabled] 顶点经矩阵与相机变换后取整到设备像素，避免移动时像素抖动、缝隙
+     * @param {boolean} [options.extrude=enabled] 图集条目把边缘像素外扩到留白中，缩放、亚像素位置下不再混入相邻图片
+     */
+    setPixelArt(enabled, { snap = enabled, extrude = enabled } = {}) {
+        this.flush();
+        this.pixelArt = !!enabled; this.pixelSnap = !!snap;
+        if (this.atlasExtrude === !!extrude) return;
+        this.atlasExtrude = !!extrude;
+        if (this.contextLost) return;
+        for (const page of this.atlasPages) for (const entry of page.entries) this._uploadAtlasEntry(page, entry);
+    }
+
     /**
      * 进入世界坐标绘制模式。
      * 调用后所有绘制坐标视为世界坐标，Blaze2D 内部自动通过 setCamera 的值减去相机偏移。
@@ -143,126 +366,604 @@ export class Blaze2D {
         m[0] = this.dpr; m[1] = 0; m[2] = 0; m[3] = this.dpr; m[4] = 0; m[5] = 0;
     }
 
-    resetFrameStats() { this.drawCallCount = 0; this.triangleCount = 0; }
+    resetFrameStats() { this.drawCallCount = 0; this.triangleCount = 0; this.layerPassCount = 0; }
+
+    /**
+     * 创建离屏渲染层（帧缓冲 + 纹理）。尺寸为 CSS 像素，实际分辨率乘以 dpr。
+     * 层对象本身可直接作为 drawImage / drawSpriteFast / drawTexture 的图像源。
+     * @param {number} width
+     * @param {number} height
+     * @param {number} [dpr] 默认取当前 dpr
+     */
+    createLayer(width, height, dpr = this.dpr || 1) {
+        const layer = { isLayer: true, width, height, dpr, pixelWidth: 0, pixelHeight: 0, texture: null, framebuffer: null, stencil: null, uv: { u0: 0, v0: 1, u1: 1, v1: 0 }, dirty: true };
+        // 帧缓冲内容是上下颠倒的（GL 原点在左下），所以 uv 的 v 方向翻转
+        layer._glTextureInfo = layer;
+        this._allocateLayer(layer);
+        this.layers.add(layer);
+        return layer;
+    }
+
+    /** 调整层尺寸（或 dpr），原有内容丢失并标记 dirty。 */
+    resizeLayer(layer, width, height, dpr = layer.dpr) {
+        if (this._layerStack.some(e => e.layer === layer)) throw new Error('Cannot resize a layer while drawing into it.');
+        this.flush();
+        layer.width = width; layer.height = height; layer.dpr = dpr;
+        this._releaseLayer(layer); this._allocateLayer(layer);
+    }
 
-    initBitmapFont() {
-        const chars = " !\"#$%&'()*+,-./0123456789:;<=>?@ABCDEFGHIJKLMNOPQRSTUVWXYZ[\\]^_`abcdefghijklmnopqrstuvwxyz{|}~✨⭐❤⚡🔥❄💧🍀👾💀👻🧟🧙👹💣☠️👿🐉🔪💨➬➪🔹💠🤝🗡️🎁💖🧲🧄🟢🦇❄️👼🐕👁️";
-        this.bitmapFont = new Map();
-        const fontSize = 64;
-        const padding = 8;
-        this.textCtx.font = `bold ${fontSize}px Arial`;
+    destroyLayer(layer) {
+        if (!this.layers.has(layer)) return;
+        this.flush();
+        this._releaseLayer(layer);
+        this.layers.delete(layer);
+    }
 
-        const charInfos = [];
-        let maxHeight = 0;
-        for (const char of chars) {
-            const charWidth = Math.ceil(this.textCtx.measureText(char).width);
-            const charHeight = Math.ceil(fontSize * 1.2);
-            const renderWidth = charWidth + padding * 2;
-            const renderHeight = charHeight + padding * 2;
-            charInfos.push({ char, charWidth, charHeight, renderWidth, renderHeight });
-            maxHeight = Math.max(maxHeight, renderHeight);
+    _allocateLayer(layer) {
+        const gl = this.gl, w = Math.max(1, Math.ceil(layer.width * layer.dpr)), h = Math.max(1, Math.ceil(layer.height * layer.dpr));
+        layer.pixelWidth = w; layer.pixelHeight = h; layer.dirty = true;
+        if (this.contextLost) return;
+        const tex = gl.createTexture();
+        tex._premultiplied = true;
+        gl.bindTexture(gl.TEXTURE_2D, tex);
+        gl.texImage2D(gl.TEXTURE_2D, 0, gl.RGBA, w, h, 0, gl.RGBA, gl.UNSIGNED_BYTE, null);
+        gl.texParameteri(gl.TEXTURE_2D, gl.TEXTURE_WRAP_S, gl.CLAMP_TO_EDGE);
+        gl.texParameteri(gl.TEXTURE_2D, gl.TEXTURE_WRAP_T, gl.CLAMP_TO_EDGE);
+        gl.texParameteri(gl.TEXTURE_2D, gl.TEXTURE_MIN_FILTER, gl.LINEAR);
+        gl.texParameteri(gl.TEXTURE_2D, gl.TEXTURE_MAG_FILTER, gl.LINEAR);
+        const fb = gl.createFramebuffer();
+        gl.bindFramebuffer(gl.FRAMEBUFFER, fb);
+        gl.framebufferTexture2D(gl.FRAMEBUFFER, gl.COLOR_ATTACHMENT0, gl.TEXTURE_2D, tex, 0);
+        // 层内也要支持 clip() 的模板裁剪。WebGL1 只保证 DEPTH_STENCIL 组合附件可用，单独的 STENCIL_INDEX8 可能不完整
+        let stencil = null;
+        if (this.hasStencil) {
+            const attachment = this.isWebGL2 ? gl.STENCIL_ATTACHMENT : gl.DEPTH_STENCIL_ATTACHMENT;
+            stencil = gl.createRenderbuffer();
+            gl.bindRenderbuffer(gl.RENDERBUFFER, stencil);
+            gl.renderbufferStorage(gl.RENDERBUFFER, this.isWebGL2 ? gl.STENCIL_INDEX8 : gl.DEPTH_STENCIL, w, h);
+            gl.framebufferRenderbuffer(gl.FRAMEBUFFER, attachment, gl.RENDERBUFFER, stencil);
+            gl.bindRenderbuffer(gl.RENDERBUFFER, null);
+            if (gl.checkFramebufferStatus(gl.FRAMEBUFFER) !== gl.FRAMEBUFFER_COMPLETE) {
+                // 不支持就去掉模板附件，这个层里的 clip() 退化为 scissor 包围盒裁剪
+                console.warn('Blaze2D: layer stencil attachment is unsupported, clip() inside layers falls back to scissor rectangles');
+                gl.framebufferRenderbuffer(gl.FRAMEBUFFER, attachment, gl.RENDERBUFFER, null);
+                gl.deleteRenderbuffer(stencil); stencil = null;
+            }
         }
+        gl.clearColor(0, 0, 0, 0); gl.clear(gl.COLOR_BUFFER_BIT);
+        gl.bindFramebuffer(gl.FRAMEBUFFER, this._targetFramebuffer);
+        layer.texture = tex; layer.framebuffer = fb; layer.stencil = stencil;
+    }
 
-        const atlasWidth = 1024;
-        let atlasHeight = maxHeight;
-        let curX = 0, curY = 0;
-        for (const info of charInfos) {
-            if (curX + info.renderWidth > atlasWidth) { curX = 0; curY += maxHeight; atlasHeight += maxHeight; }
-            info.x = curX; info.y = curY;
-            curX += info.renderWidth;
-        }
+    _releaseLayer(layer) {
+        const gl = this.gl;
+        if (layer.framebuffer) gl.deleteFramebuffer(layer.framebuffer);
+        if (layer.stencil) gl.deleteRenderbuffer(layer.stencil);
+        if (layer.texture) gl.deleteTexture(layer.texture);
+        layer.texture = layer.framebuffer = layer.stencil = null;
+    }
 
-        const finalH = Math.pow(2, Math.ceil(Math.log2(atlasHeight)));
-        this.textCanvas.width = atlasWidth;
-        this.textCanvas.height = finalH;
+    /**
+     * 开始向层绘制，直到 endLayer()。期间坐标原点为层左上角（CSS 像素，已乘 dpr），裁剪与变换从空白开始，
+     * beginWorldSpace 时相机对准层的中心。可以嵌套。
+     * @param {object} layer createLayer 返回的层
+     * @param {boolean} [clear=true] 是否先清空层内容
+     */
+    beginLayer(layer, clear = true) {
+        if (!layer?.isLayer || this.contextLost) return;
+        this.flush();
+        const gl = this.gl;
+        this._layerStack.push({ layer, framebuffer: this._targetFramebuffer, width: this.width, height: this.height, dpr: this.dpr, worldSpace: this._worldSpaceActive });
+        // 解除所有纹理单元上的旧绑定，防止层纹理仍挂在某个单元上形成反馈回路
+        for (let i = 0; i <= this.maxTextureUnits; i++) { gl.activeTexture(gl.TEXTURE0 + i); gl.bindTexture(gl.TEXTURE_2D, null); }
+        gl.activeTexture(gl.TEXTURE0);
+        this._targetFramebuffer = layer.framebuffer;
+        gl.bindFramebuffer(gl.FRAMEBUFFER, layer.framebuffer);
+        this.width = layer.pixelWidth; this.height = layer.pixelHeight; this.dpr = layer.dpr;
+        gl.viewport(0, 0, this.width, this.height);
+        this._worldSpaceActive = false;
+        this.save();
+        const s = this._state;
+        s.matrix.set([layer.dpr, 0, 0, layer.dpr, 0, 0]);
+        s.clipRect = null; s.clipPaths = this.EMPTY_CLIP;
+        this._appliedClipRect = this._appliedClipPaths = null;
+        gl.disable(gl.SCISSOR_TEST);
+        if (clear) { gl.clearColor(0, 0, 0, 0); gl.clear(gl.COLOR_BUFFER_BIT); }
+        this._applyClip();
+        this._updateBlendMode();
+        layer.dirty = false;
+        this.layerPassCount++;
+    }
 
-        this.textCtx.font = `bold ${fontSize}px Arial`;
-        this.textCtx.textAlign = 'left';
-        this.textCtx.textBaseline = 'middle';
-        this.textCtx.strokeStyle = '#000000';
-        this.textCtx.lineWidth = fontSize / 6;
-        this.textCtx.lineJoin = 'round';
-        this.textCtx.fillStyle = '#ffffff';
-        this.textCtx.clearRect(0, 0, atlasWidth, finalH);
+    /** 结束当前层的绘制，回到外层目标（画布或外层的层）。 */
+    endLayer() {
+        const entry = this._layerStack.pop();
+        if (!entry) return;
+        this.flush();
+        const gl = this.gl;
+        this._targetFramebuffer = entry.framebuffer;
+        gl.bindFramebuffer(gl.FRAMEBUFFER, entry.framebuffer);
+        this.width = entry.width; this.height = entry.height; this.dpr = entry.dpr;
+        gl.viewport(0, 0, this.width, this.height);
+        this._worldSpaceActive = entry.worldSpace;
+        this.restore();
+        // 外层目标的模板缓冲里仍是之前的裁剪，但 GL 状态已切换过，按当前状态重新应用
+        this._appliedClipRect = this._appliedClipPaths = null;
+        this._applyClip();
+        this._updateBlendMode();
+    }
 
-        for (const info of charInfos) {
-            const dx = info.x + padding, dy = info.y + info.renderHeight / 2;
-            this.textCtx.strokeText(info.char, dx, dy);
-            this.textCtx.fillText(info.char, dx, dy);
-        }
+    /**
+     * 开关全屏后处理。开启后 clear() 会把整帧改画进内部场景目标，帧末调用 present() 依次执行已启用的后处理通道并输出到画布。
+     * 内置通道（默认关闭）：bloom、lut、chromaticAberration、vignette、crt，用 setPostPass(name, { enabled, ...参数 }) 控制。
+     */
+    setPostProcessing(enabled) {
+        this.postProcessing = !!enabled;
+        if (this.postProcessing && !this.postPasses.length) this._initPostPasses();
+    }
 
-        const gl = this.gl;
-        const texture = gl.createTexture();
+    /** 取后处理通道（含 enabled 与 uniforms），可直接修改。 */
+    getPostPass(name) { return this.postPasses.find(p => p.name === name) || null; }
+
+    /**
+     * 修改通道开关或参数，例如 setPostPass('bloom', { enabled: true, threshold: 0.7 })。
+     * @returns {object|null} 通道对象
+     */
+    setPostPass(name, options = {}) {
+        if (!this.postPasses.length) this._initPostPasses();
+        const pass = this.getPostPass(name);
+        if (!pass) return null;
+        for (const k in options) { if (k === 'enabled') pass.enabled = !!options.enabled; else pass.uniforms[k] = options[k]; }
+        return pass;
+    }
+
+    /**
+     * 添加自定义后处理通道。fragmentSource 只需写额外的 uniform 与 main()，已自动声明：
+     * u_texture（上一通道结果，预乘 alpha）、u_resolution（输出像素尺寸）、u_time、v_uv。
+     * uniforms 中的键 k 对应着色器里的 u_k，取值可以是数字、布尔、长度 2~4 的数组或图片/纹理/层。
+     * @param {string} name
+     * @param {string} fragmentSource
+     * @param {object} [uniforms]
+     * @param {{enabled?: boolean, before?: string}} [options] before 指定插到哪个通道之前，默认追加到末尾
+     */
+    addPostPass(name, fragmentSource, uniforms = {}, { enabled = true, before = null } = {}) {
+        if (!this.postPasses.length) this._initPostPasses();
+        if (this.getPostPass(name)) throw new Error(`Blaze2D: post-processing pass "${name}" already exists.`);
+        const pass = { name, source: fragmentSource, enabled, uniforms: { ...uniforms }, program: this._compilePostProgram(name, fragmentSource) };
+        const i = before ? this.postPasses.findIndex(p => p.name === before) : -1;
+        if (i >= 0) this.postPasses.splice(i, 0, pass); else this.postPasses.push(pass);
+        return pass;
+    }
+
+    removePostPass(name) {
+        const i = this.postPasses.findIndex(p => p.name === name);
+        if (i < 0) return;
+        const [pass] = this.postPasses.splice(i, 1);
+        for (const prog of pass.programs || [pass.program]) this.gl.deleteProgram(prog.program);
+    }
+
+    _compilePostProgram(name, body) {
+        const gl = this.gl, program = this.createProgram(`
+            attribute vec2 a_position;
+            varying vec2 v_uv;
+            void main() { v_uv = a_position * 0.5 + 0.5; gl_Position = vec4(a_position, 0, 1); }
+        `, `
+            precision mediump float;
+            uniform sampler2D u_texture;
+            uniform vec2 u_resolution;
+            uniform float u_time;
+            varying vec2 v_uv;
+        ` + body);
+        if (!program) throw new Error(`Blaze2D: post-processing pass "${name}" failed to compile:\n${this.lastShaderError}`);
+        return { program, position: gl.getAttribLocation(program, 'a_position'), uniforms: new Map() };
+    }
+
+    _initPostPasses() {
+        const pass = (name, body, uniforms) => ({ name, source: body, enabled: false, uniforms, program: this._compilePostProgram(name, body) });
+        const bloom = {
+            name: 'bloom', enabled: false, uniforms: { threshold: 0.8, intensity: 1.0, radius: 1.0 },
+            sources: {
+                extract: `
+                    uniform float u_threshold;
+                    void main() {
+                        vec4 c = texture2D(u_texture, v_uv);
+                        float br = max(max(c.r, c.g), c.b), k = max(br - u_threshold, 0.0) / max(br, 1e-4);
+                        gl_FragColor = vec4(c.rgb * k, br * k);
+                    }`,
+                // 9 抽头高斯模糊，利用线性过滤合并成 5 次采样
+                blur: `
+                    uniform vec2 u_direction;
+                    void main() {
+                        vec2 o1 = u_direction * 1.3846153846, o2 = u_direction * 3.2307692308;
+                        vec4 c = texture2D(u_texture, v_uv) * 0.2270270270;
+                        c += (texture2D(u_texture, v_uv + o1) + texture2D(u_texture, v_uv - o1)) * 0.3162162162;
+                        c += (texture2D(u_texture, v_uv + o2) + texture2D(u_texture, v_uv - o2)) * 0.0702702703;
+                        gl_FragColor = c;
+                    }`,
+                combine: `
+                    uniform sampler2D u_bloom;
+                    uniform float u_intensity;
+                    void main() {
+                        vec4 c = texture2D(u_texture, v_uv), b = texture2D(u_bloom, v_uv) * u_intensity;
+                        gl_FragColor = vec4(c.rgb + b.rgb, min(1.0, c.a + b.a));
+                    }`
+            },
+            run: (input, target) => {
+                const t = this._postTargets, u = bloom.uniforms, [extract, blur, combine] = bloom.programs;
+                this._drawPostQuad(extract, input, t.half[0], { threshold: u.threshold });
+                this._drawPostQuad(blur, t.half[0].texture, t.half[1], { direction: [u.radius / t.half[0].w, 0] });
+                this._drawPostQuad(blur, t.half[1].texture, t.half[0], { direction: [0, u.radius / t.half[0].h] });
+                this._drawPostQuad(combine, input, target, { bloom: t.half[0].texture, intensity: u.intensity });
+            }
+        };
+        bloom.programs = ['extract', 'blur', 'combine'].map(k => this._compilePostProgram('bloom', bloom.sources[k]));
+        const lut = pass('lut', `
+            uniform sampler2D u_lut;
+            uniform float u_lutSize;
+            uniform float u_lutFlipY;
+            uniform float u_intensity;
+            // 横向条带格式：宽 N*N、高 N，第 i 个 N*N 方块对应蓝色分量 i/(N-1)，方块内 x 为红、y（自上而下）为绿
+            // 层的纹理自下而上存储（u_lutFlipY = 1），图片自上而下
+            vec3 lookup(vec3 c) {
+                float n = u_lutSize, b = c.b * (n - 1.0), s0 = floor(b), s1 = min(s0 + 1.0, n - 1.0);
+                float x = (c.r * (n - 1.0) + 0.5) / (n * n), y = (c.g * (n - 1.0) + 0.5) / n;
+                y = mix(y, 1.0 - y, u_lutFlipY);
+                return mix(texture2D(u_lut, vec2(x + s0 / n, y)).rgb, texture2D(u_lut, vec2(x + s1 / n, y)).rgb, b - s0);
+            }
+            void main() {
+                vec4 c = texture2D(u_texture, v_uv);
+                vec3 rgb = c.a > 0.0 ? c.rgb / c.a : vec3(0.0);
+                gl_FragColor = vec4(mix(rgb, lookup(clamp(rgb, 0.0, 1.0)), u_intensity) * c.a, c.a);
+            }`, { lut: null, lutSize: 0, intensity: 1.0 });
+        lut.ready = () => !!lut.uniforms.lut;
+        const chromatic = pass('chromaticAberration', `
+            uniform float u_amount;
+            void main() {
+                vec2 dir = v_uv - 0.5;
+                vec4 c = texture2D(u_texture, v_uv);
+                gl_FragColor = vec4(texture2D(u_texture, v_uv + dir * u_amount).r, c.g, texture2D(u_texture, v_uv - dir * u_amount).b, c.a);
+            }`, { amount: 0.01 });
+        const vignette = pass('vignette', `
+            uniform float u_strength;
+            uniform float u_radius;
+            uniform float u_softness;
+            uniform vec3 u_color;
+            void main() {
+                vec4 c = texture2D(u_texture, v_uv);
+                vec2 d = (v_uv - 0.5) * vec2(u_resolution.x / u_resolution.y, 1.0);
+                float v = smoothstep(u_radius, u_radius - u_softness, length(d));
+                gl_FragColor = vec4(mix(u_color * c.a, c.rgb, mix(1.0, v, u_strength)), c.a);
+            }`, { strength: 0.6, radius: 0.75, softness: 0.45, color: [0, 0, 0] });
+        const crt = pass('crt', `
+            uniform float u_curvature;
+            uniform float u_scanline;
+            uniform float u_lineCount;
+            void main() {
+                // 桶形畸变，越界部分输出黑色
+                vec2 p = v_uv * 2.0 - 1.0;
+                p += p * (p.yx * p.yx) * u_curvature;
+                vec2 uv = p * 0.5 + 0.5;
+                if (uv.x < 0.0 || uv.x > 1.0 || uv.y < 0.0 || uv.y > 1.0) { gl_FragColor = vec4(0.0, 0.0, 0.0, 1.0); return; }
+                vec4 c = texture2D(u_texture, uv);
+                float lines = u_lineCount > 0.0 ? u_lineCount : u_resolution.y * 0.5;
+                float s = 1.0 - u_scanline * (0.5 + 0.5 * cos(uv.y * lines * 6.2831853));
+                gl_FragColor = vec4(c.rgb * s, c.a);
+            }`, { curvature: 0.08, scanline: 0.25, lineCount: 0 });
+        // 通道按数组顺序执行，自定义通道默认追加在这些内置通道之后
+        this.postPasses.push(bloom, lut, chromatic, vignette, crt);
+    }
+
+    _createRenderTarget(w, h) {
+        const gl = this.gl, texture = gl.createTexture(), fb = gl.createFramebuffer();
+        texture._premultiplied = true;
         gl.bindTexture(gl.TEXTURE_2D, texture);
-        gl.texImage2D(gl.TEXTURE_2D, 0, gl.RGBA, gl.RGBA, gl.UNSIGNED_BYTE, this.textCanvas);
+        gl.texImage2D(gl.TEXTURE_2D, 0, gl.RGBA, w, h, 0, gl.RGBA, gl.UNSIGNED_BYTE, null);
         gl.texParameteri(gl.TEXTURE_2D, gl.TEXTURE_WRAP_S, gl.CLAMP_TO_EDGE);
         gl.texParameteri(gl.TEXTURE_2D, gl.TEXTURE_WRAP_T, gl.CLAMP_TO_EDGE);
         gl.texParameteri(gl.TEXTURE_2D, gl.TEXTURE_MIN_FILTER, gl.LINEAR);
         gl.texParameteri(gl.TEXTURE_2D, gl.TEXTURE_MAG_FILTER, gl.LINEAR);
+        gl.bindFramebuffer(gl.FRAMEBUFFER, fb);
+        gl.framebufferTexture2D(gl.FRAMEBUFFER, gl.COLOR_ATTACHMENT0, gl.TEXTURE_2D, texture, 0);
+        gl.bindFramebuffer(gl.FRAMEBUFFER, this._targetFramebuffer);
+        return { texture, fb, w, h };
+    }
 
-        for (const info of charInfos) {
-            this.bitmapFont.set(info.char, {
-                texture, padding, fontSize,
-                width: info.charWidth, height: info.charHeight,
-                renderWidth: info.renderWidth, renderHeight: info.renderHeight,
-                u0: info.x / atlasWidth, v0: info.y / finalH,
-                u1: (info.x + info.renderWidth) / atlasWidth,
-                v1: (info.y + info.renderHeight) / finalH
-            });
+    /** 保证场景目标与通道中转目标和画布同尺寸（resize 后按需重建）。 */
+    _ensurePostTargets() {
+        const w = this.width, h = this.height, dpr = this.dpr || 1;
+        if (!this._postScene) this._postScene = this.createLayer(w / dpr, h / dpr, dpr);
+        else if (this._postScene.pixelWidth !== w || this._postScene.pixelHeight !== h) this.resizeLayer(this._postScene, w / dpr, h / dpr, dpr);
+        const t = this._postTargets;
+        if (t && t.w === w && t.h === h) return;
+        const gl = this.gl;
+        if (t) for (const rt of [...t.ping, ...t.half]) { gl.deleteFramebuffer(rt.fb); gl.deleteTexture(rt.texture); }
+        const hw = Math.max(1, w >> 1), hh = Math.max(1, h >> 1);
+        this._postTargets = { w, h, ping: [this._createRenderTarget(w, h), this._createRenderTarget(w, h)], half: [this._createRenderTarget(hw, hh), this._createRenderTarget(hw, hh)] };
+    }
+
+    /** 后处理用到的图片（如 LUT）单独上传：不进图集、不生成 mipmap、线性过滤。 */
+    _postImageTexture(image) {
+        if (image instanceof WebGLTexture) return image;
+        if (image.isLayer) return image.texture;
+        const gl = this.gl;
+        let tex = this._postImages.get(image);
+        if (tex && !image._needsUpdate) return tex;
+        if (!tex) {
+            tex = gl.createTexture();
+            gl.bindTexture(gl.TEXTURE_2D, tex);
+            gl.texParameteri(gl.TEXTURE_2D, gl.TEXTURE_WRAP_S, gl.CLAMP_TO_EDGE);
+            gl.texParameteri(gl.TEXTURE_2D, gl.TEXTURE_WRAP_T, gl.CLAMP_TO_EDGE);
+            gl.texParameteri(gl.TEXTURE_2D, gl.TEXTURE_MIN_FILTER, gl.LINEAR);
+            gl.texParameteri(gl.TEXTURE_2D, gl.TEXTURE_MAG_FILTER, gl.LINEAR);
+            this._postImages.set(image, tex);
+        } else gl.bindTexture(gl.TEXTURE_2D, tex);
+        gl.texImage2D(gl.TEXTURE_2D, 0, gl.RGBA, gl.RGBA, gl.UNSIGNED_BYTE, image);
+        image._needsUpdate = false;
+        return tex;
+    }
+
+    /** 用全屏四边形执行一个后处理程序：input 绑定到 0 号单元，values 中的键 k 写入 u_k。target 为 null 时输出到画布。 */
+    _drawPostQuad(prog, input, target, values) {
+        const gl = this.gl, w = target ? target.w : this.width, h = target ? target.h : this.height;
+        gl.bindFramebuffer(gl.FRAMEBUFFER, target ? target.fb : null);
+        gl.viewport(0, 0, w, h);
+        gl.useProgram(prog.program);
+        const loc = (name) => {
+            if (!prog.uniforms.has(name)) prog.uniforms.set(name, gl.getUniformLocation(prog.program, name));
+            return prog.uniforms.get(name);
+        };
+        gl.activeTexture(gl.TEXTURE0); gl.bindTexture(gl.TEXTURE_2D, input);
+        gl.uniform1i(loc('u_texture'), 0);
+        gl.uniform2f(loc('u_resolution'), w, h);
+        gl.uniform1f(loc('u_time'), this.currentTime);
+        let unit = 1;
+        for (const k in values) {
+            const l = loc('u_' + k), v = values[k];
+            if (!l || v === null || v === undefined) continue;
+            if (typeof v === 'number' || typeof v === 'boolean') gl.uniform1f(l, +v);
+            else if (v.length === 2) gl.uniform2fv(l, v);
+            else if (v.length === 3) gl.uniform3fv(l, v);
+            else if (v.length === 4) gl.uniform4fv(l, v);
+            else if (typeof v === 'object') {
+                gl.activeTexture(gl.TEXTURE0 + unit); gl.bindTexture(gl.TEXTURE_2D, this._postImageTexture(v));
+                gl.uniform1i(l, unit++);
+            }
+        }
+        gl.bindBuffer(gl.ARRAY_BUFFER, this.fullscreenQuadBuffer);
+        gl.enableVertexAttribArray(prog.position); gl.vertexAttribPointer(prog.position, 2, gl.FLOAT, false, 0, 0);
+        gl.drawArrays(gl.TRIANGLE_STRIP, 0, 4);
+        this.drawCallCount++; this.triangleCount += 2;
+        for (let i = unit - 1; i >= 0; i--) { gl.activeTexture(gl.TEXTURE0 + i); gl.bindTexture(gl.TEXTURE_2D, null); }
+    }
+
+    /**
+     * 结束一帧：提交所有批次；开启后处理时依次执行已启用的通道（中间结果在两张中转纹理间交替），最后一个通道直接输出到画布。
+     * 之后到下一次 clear() 之前的绘制直接画在画布上，不受后处理影响（可用于不想被模糊/畸变的 UI）。
+     */
+    present() {
+        this.flush();
+        const scene = this._postScene;
+        if (!this.postProcessing || !scene || this._targetFramebuffer !== scene.framebuffer || this._layerStack.length || this.contextLost) return;
+        const gl = this.gl, passes = this.postPasses.filter(p => p.enabled && (!p.ready || p.ready()));
+        gl.disable(gl.BLEND); gl.disable(gl.SCISSOR_TEST); gl.disable(gl.STENCIL_TEST);
+        let input = scene.texture;
+        if (!passes.length) this._drawPostQuad(this._postCopyProgram || (this._postCopyProgram = this._compilePostProgram('copy', 'void main() { gl_FragColor = texture2D(u_texture, v_uv); }')), input, null, {});
+        for (let i = 0; i < passes.length; i++) {
+            const pass = passes[i], target = i === passes.length - 1 ? null : this._postTargets.ping[i & 1];
+            if (pass.run) pass.run(input, target);
+            else this._drawPostQuad(pass.program, input, target, pass.name === 'lut' ? { ...pass.uniforms, lutSize: this._lutSize(pass.uniforms), lutFlipY: pass.uniforms.lut.isLayer ? 1 : 0 } : pass.uniforms);
+            if (target) input = target.texture;
         }
+        this._targetFramebuffer = null;
+        gl.bindFramebuffer(gl.FRAMEBUFFER, null);
+        gl.viewport(0, 0, this.width, this.height);
+        gl.enable(gl.BLEND);
+        gl.useProgram(this.program);
+        this._appliedClipRect = this._appliedClipPaths = null;
+        this._applyClip();
+        this._updateBlendMode();
+    }
+
+    /** LUT 的边长 N：优先用显式的 lutSize，否则取来源的像素高度（层取 pixelHeight，图片取 naturalHeight）；裸 WebGLTexture 读不到尺寸，必须显式给出。 */
+    _lutSize(uniforms) {
+        const lut = uniforms.lut;
+        if (uniforms.lutSize) return uniforms.lutSize;
+        if (lut instanceof WebGLTexture) throw new Error('Blaze2D: the lut pass needs an explicit lutSize when lut is a WebGLTexture.');
+        return lut.pixelHeight ?? lut.naturalHeight ?? lut.height;
     }
 
     initShaders() {
-        const gl = this.gl;
+        const gl = this.gl, units = this.maxTextureUnits;
+        // WebGL1 的 GLSL 不允许用变量索引 sampler 数组，这里按纹理单元数展开成分支链
+        let sampleChain = '';
+        for (let i = 0; i < units - 1; i++) sampleChain += `if (index < ${i}.5) return straight(texture2D(u_textures[${i}], uv), u_premultiplied[${i}]);\n                `;
+        sampleChain += `return straight(texture2D(u_textures[${units - 1}], uv), u_premultiplied[${units - 1}]);`;
+        const fragmentSource = `
+            precision mediump float;
+            uniform sampler2D u_textures[${units}];
+            // 各单元的纹理是否已预乘（层等渲染目标）
+            uniform float u_premultiplied[${units}];
+            uniform sampler2D u_gradientRamp;
+            uniform vec3 u_paints[${this.MAX_BATCH_PAINTS}];
+            // 距离场文字效果，每组 3 行：[描边颜色] [发光颜色] [描边宽度, 发光宽度, 柔化, 距离场范围]
+            uniform vec4 u_textStyles[${this.MAX_TEXT_STYLES * 3}];
+            // ctx.filter 的颜色矩阵（作用于非预乘颜色），u_filtered 为 0 时不生效
+            uniform mat4 u_filter;
+            uniform vec4 u_filterOffset;
+            uniform float u_filtered;
+            varying vec2 v_texCoord;
+            varying float v_alpha;
+            varying vec4 v_color;
+            varying float v_texIndex;
+            // 采样结果统一为非预乘颜色，shade() 只乘一次 alpha；预乘纹理在这里除回去，避免重复相乘
+            vec4 straight(vec4 c, float premultiplied) {
+                return premultiplied > 0.5 && c.a > 0.0 ? vec4(c.rgb / c.a, c.a) : c;
+            }
+            vec4 sampleTexture(float index, vec2 uv) {
+                ${sampleChain}
+            }
+            // 渐变空间已归一化：线性渐变 t = p.x；径向渐变起始圆在原点、两圆心连线沿 +x，
+            // 参数为 (圆心距, r0, r1)，r1 < 0 表示线性渐变；row 为色带行的纹理 v 坐标。
+            // 图案的参数为 (x 向重复, y 向重复, -2)，p 以图片尺寸归一化，row 为图案纹理所在的纹理单元
+            vec4 paintColor(float slot, vec2 p, float row) {
+                vec3 g = u_paints[0];
+                for (int i = 1; i < ${this.MAX_BATCH_PAINTS}; i++) if (slot > float(i) - 0.5) g = u_paints[i];
+                if (g.z < -1.5) {
+                    if ((g.x < 0.5 && (p.x < 0.0 || p.x > 1.0)) || (g.y < 0.5 && (p.y < 0.0 || p.y > 1.0))) return vec4(0.0);
+                    return sampleTexture(row, mix(p, fract(p), g.xy));
+                }
+                float t = p.x;
+                if (g.z >= 0.0) {
+                    // 双圆锥渐变：求 |p - t*c| = r0 + t*(r1 - r0) 且半径非负的最大 t
+                    float dr = g.z - g.y, a = g.x * g.x - dr * dr, b = p.x * g.x + g.y * dr, c = dot(p, p) - g.y * g.y;
+                    if (abs(a) < 1e-5) {
+                        t = c / (2.0 * b);
+                        if (g.y + t * dr < 0.0) return vec4(0.0);
+                    } else {
+                        float disc = b * b - a * c;
+                        if (disc < 0.0) return vec4(0.0);
+                        float sq = sqrt(disc), t1 = (b + sq) / a, t2 = (b - sq) / a;
+                        t = max(t1, t2);
+                        if (g.y + t * dr < 0.0) { t = min(t1, t2); if (g.y + t * dr < 0.0) return vec4(0.0); }
+                    }
+                }
+                return texture2D(u_gradientRamp, vec2((clamp(t, 0.0, 1.0) * 255.0 + 0.5) / 256.0, row));
+            }
+            // 距离场字形：宽度均为屏幕像素，scale 为每字形像素对应的屏幕像素；距离场范围为负表示 MSDF（取三通道中值）
+            vec4 distanceText(float slot, vec4 texColor, vec4 fill, float scale) {
+                vec4 outline = u_textStyles[0], glow = u_textStyles[1], p = u_textStyles[2];
+                for (int i = 1; i < ${this.MAX_TEXT_STYLES}; i++) if (slot > float(i) - 0.5) { outline = u_textStyles[i * 3]; glow = u_textStyles[i * 3 + 1]; p = u_textStyles[i * 3 + 2]; }
+                float sd = p.w < 0.0 ? max(min(texColor.r, texColor.g), min(max(texColor.r, texColor.g), texColor.b)) : texColor.a;
+                float d = (sd - 0.5) * abs(p.w) * scale, aa = 0.5 + p.z;
+                vec4 c = vec4(fill.rgb, 1.0) * fill.a * smoothstep(-aa, aa, d);
+                c += vec4(outline.rgb, 1.0) * outline.a * smoothstep(-aa, aa, d + p.x) * (1.0 - c.a);
+                if (p.y > 0.0) { float g = clamp(1.0 + (d + p.x) / p.y, 0.0, 1.0); c += vec4(glow.rgb, 1.0) * glow.a * g * g * (1.0 - c.a); }
+                return c;
+            }
+            vec4 shade() {
+                // a_texIndex = 纹理单元 + 16 * (渐变槽位 + 1) + 160 * (文字效果槽位 + 1)，普通顶点后两部分为 0
+                float effect = floor((v_texIndex + 0.5) / 160.0), index = v_texIndex - effect * 160.0;
+                float paint = floor((index + 0.5) / 16.0);
+                vec4 texColor = sampleTexture(index - paint * 16.0, v_texCoord);
+                vec4 fill = paint > 0.5 ? paintColor(paint - 1.0, v_color.xy, v_color.z) : vec4(v_color.rgb, 1.0);
+                if (effect > 0.5) return distanceText(effect - 1.0, texColor, fill, v_color.a) * v_alpha;
+                if (paint > 0.5) {
+                    float ga = texColor.a * fill.a * v_alpha;
+                    return vec4(texColor.rgb * fill.rgb * ga, ga);
+                }
+                float isFlash = step(1.5, v_color.a);
+                vec3 rgb = mix(texColor.rgb * v_color.rgb, vec3(1.0, 0.0, 0.0), isFlash);
+                float a = texColor.a * v_alpha;
+                return vec4(rgb * a, a);
+            }
+            void main() {
+                vec4 c = shade();
+                if (u_filtered > 0.5) {
+                    c = clamp(u_filter * vec4(c.a > 0.0 ? c.rgb / c.a : vec3(0.0), c.a) + u_filterOffset, 0.0, 1.0);
+                    c.rgb *= c.a;
+                }
+                gl_FragColor = c;
+            }
+        `;
         this.program = this.createProgram(`
             attribute vec2 a_position;
             attribute vec2 a_texCoord;
             attribute float a_alpha;
             attribute vec4 a_color;
+            attribute float a_texIndex;
             uniform vec2 u_resolution;
             uniform vec2 u_camera;
             uniform float u_worldSpace;
+            uniform float u_snap;
             varying vec2 v_texCoord;
             varying float v_alpha;
             varying vec4 v_color;
+            varying float v_texIndex;
             void main() {
                 vec2 pos = a_position;
                 if (u_worldSpace > 0.5) {
                     // 世界坐标 -> 屏幕像素：减相机偏移，再加视口中心
                     pos = pos - u_camera + u_resolution * 0.5;
                 }
+                // 像素对齐：最终位置取整到设备像素
+                if (u_snap > 0.5) pos = floor(pos + 0.5);
                 vec2 clip = (pos / u_resolution) * 2.0 - 1.0;
                 gl_Position = vec4(clip * vec2(1, -1), 0, 1);
-                v_texCoord = a_texCoord; v_alpha = a_alpha; v_color = a_color;
-            }
-        `, `
-            precision mediump float;
-            uniform sampler2D u_image;
-            varying vec2 v_texCoord;
-            varying float v_alpha;
-            varying vec4 v_color;
-            void main() {
-                vec4 texColor = texture2D(u_image, v_texCoord);
-                float isFlash = step(1.5, v_color.a);
-                vec3 rgb = mix(texColor.rgb * v_color.rgb, vec3(1.0, 0.0, 0.0), isFlash);
-                float a = texColor.a * v_alpha;
-                gl_FragColor = vec4(rgb * a, a);
+                v_texCoord = a_texCoord; v_alpha = a_alpha; v_color = a_color; v_texIndex = a_texIndex;
             }
-        `);
+        `, fragmentSource);
         this.locations = {
             position: gl.getAttribLocation(this.program, 'a_position'),
             texCoord: gl.getAttribLocation(this.program, 'a_texCoord'),
             alpha: gl.getAttribLocation(this.program, 'a_alpha'),
             color: gl.getAttribLocation(this.program, 'a_color'),
+            texIndex: gl.getAttribLocation(this.program, 'a_texIndex'),
             resolution: gl.getUniformLocation(this.program, 'u_resolution'),
             camera: gl.getUniformLocation(this.program, 'u_camera'),
             worldSpace: gl.getUniformLocation(this.program, 'u_worldSpace'),
-            image: gl.getUniformLocation(this.program, 'u_image')
+            snap: gl.getUniformLocation(this.program, 'u_snap'),
+            textures: gl.getUniformLocation(this.program, 'u_textures'),
+            premultiplied: gl.getUniformLocation(this.program, 'u_premultiplied'),
+            gradientRamp: gl.getUniformLocation(this.program, 'u_gradientRamp'),
+            paints: gl.getUniformLocation(this.program, 'u_paints'),
+            textStyles: gl.getUniformLocation(this.program, 'u_textStyles'),
+            filter: gl.getUniformLocation(this.program, 'u_filter'),
+            filterOffset: gl.getUniformLocation(this.program, 'u_filterOffset'),
+            filtered: gl.getUniformLocation(this.program, 'u_filtered')
+        };
+        // sampler 数组与纹理单元一一对应，只需设置一次
+        gl.useProgram(this.program);
+        gl.uniform1iv(this.locations.textures, Array.from({ length: units }, (_, i) => i));
+        gl.uniform1i(this.locations.gradientRamp, units);
+        if (!this.instancing) return;
+        // 实例记录：中心点、两条半轴（尺寸与旋转已和当前矩阵合并）、uv 矩形、tint + 闪白标记、alpha、纹理单元
+        this.instanceProgram = this.createProgram(`
+            attribute vec2 a_corner;
+            attribute vec4 a_center;
+            attribute vec2 a_axisY;
+            attribute vec4 a_uvRect;
+            attribute vec4 a_color;
+            attribute vec2 a_alphaTex;
+            uniform vec2 u_resolution;
+            uniform vec2 u_camera;
+            uniform float u_worldSpace;
+            uniform float u_snap;
+            varying vec2 v_texCoord;
+            varying float v_alpha;
+            varying vec4 v_color;
+            varying float v_texIndex;
+            void main() {
+                vec2 pos = a_center.xy + a_center.zw * a_corner.x + a_axisY * a_corner.y;
+                if (u_worldSpace > 0.5) {
+                    pos = pos - u_camera + u_resolution * 0.5;
+                }
+                if (u_snap > 0.5) pos = floor(pos + 0.5);
+                vec2 clip = (pos / u_resolution) * 2.0 - 1.0;
+                gl_Position = vec4(clip * vec2(1, -1), 0, 1);
+                v_texCoord = mix(a_uvRect.xy, a_uvRect.zw, a_corner * 0.5 + 0.5);
+                v_alpha = a_alphaTex.x; v_color = a_color; v_texIndex = a_alphaTex.y;
+            }
+        `, fragmentSource);
+        const loc = (n) => gl.getAttribLocation(this.instanceProgram, n);
+        this.instanceLocations = {
+            corner: loc('a_corner'), center: loc('a_center'), axisY: loc('a_axisY'), uvRect: loc('a_uvRect'), color: loc('a_color'), alphaTex: loc('a_alphaTex'),
+            resolution: gl.getUniformLocation(this.instanceProgram, 'u_resolution'),
+            camera: gl.getUniformLocation(this.instanceProgram, 'u_camera'),
+            worldSpace: gl.getUniformLocation(this.instanceProgram, 'u_worldSpace'),
+            snap: gl.getUniformLocation(this.instanceProgram, 'u_snap'),
+            premultiplied: gl.getUniformLocation(this.instanceProgram, 'u_premultiplied'),
+            filter: gl.getUniformLocation(this.instanceProgram, 'u_filter'),
+            filterOffset: gl.getUniformLocation(this.instanceProgram, 'u_filterOffset'),
+            filtered: gl.getUniformLocation(this.instanceProgram, 'u_filtered')
         };
+        gl.useProgram(this.instanceProgram);
+        gl.uniform1iv(gl.getUniformLocation(this.instanceProgram, 'u_textures'), Array.from({ length: units }, (_, i) => i));
+        gl.uniform1i(gl.getUniformLocation(this.instanceProgram, 'u_gradientRamp'), units);
+        gl.useProgram(this.program);
     }
 
     initDamageNumberShader() {
-        const gl = this.gl;
+        const gl = this.gl, R = this.DN_STYLE_ROWS;
         this.dnProgram = this.createProgram(`
             attribute vec2 a_posOffset;
             attribute vec2 a_texCoord;
@@ -272,16 +973,27 @@ export class Blaze2D {
             attribute vec3 a_timeParams;
             attribute vec3 a_color;
             attribute float a_alpha;
+            attribute float a_style;
             uniform vec2 u_resolution;
             uniform float u_dpr;
             uniform float u_currentTime;
             uniform vec2 u_cameraPos;
-            uniform float u_gravity;
+            // 每个样式 ${R} 行（见 defineDamageNumberStyle）：
+            // [重力, 阻力, 运动方式(0 抛物线 / 1 上飘), 抖动] [弹出时长, 淡出起点, 缩小起点, 闪光时长]
+            // [初始缩放, 结束缩放, 弹跳幅度, -] [闪光颜色, 闪光强度] [描边颜色, 是否改色]
+            // [距离场范围(0 = 位图字形，负数为 MSDF), 描边宽度, 发光宽度, -] [发光颜色]
+            uniform vec4 u_styles[${this.DN_MAX_STYLES * R}];
             varying vec2 v_texCoord;
             varying float v_alpha;
             varying vec3 v_color;
             varying float v_flash;
+            varying vec4 v_flashColor;
+            varying vec4 v_outline;
+            varying vec4 v_sdf;
+            varying vec4 v_glow;
             void main() {
+                int base = int(a_style + 0.5) * ${R};
+                vec4 motion = u_styles[base], timing = u_styles[base + 1], scaling = u_styles[base + 2];
                 float t = u_currentTime - a_timeParams.x;
                 if (t < -0.05 || t > a_timeParams.y + 0.1) {
                     gl_Position = vec4(-2.0, -2.0, 0.0, 1.0); return;
@@ -289,21 +1001,31 @@ export class Blaze2D {
                 t = max(0.0, t);
                 float progress = t / a_timeParams.y;
                 float scale = a_timeParams.z;
-                if (progress < 0.2)      scale *= mix(0.3, 1.0, progress / 0.2);
-                else if (progress > 0.7) scale *= (1.0 - (progress - 0.7) / 0.3);
-                if (t < 0.1) scale *= (1.0 + sin(t * 10.0 * 1.57) * 0.1);
-                float resistance = exp(-3.0 * t);
+                if (progress < timing.x) scale *= mix(scaling.x, 1.0, progress / timing.x);
+                else if (progress > timing.z) scale *= mix(1.0, scaling.y, (progress - timing.z) / (1.0 - timing.z));
+                if (t < 0.1) scale *= (1.0 + sin(t * 10.0 * 1.57) * scaling.z);
+                float resistance = exp(-motion.y * t);
                 float x = a_startPos.x + (a_charOffset.x * scale) + a_velocity.x * t * resistance;
-                float y = a_startPos.y + (a_charOffset.y * scale) + a_velocity.y * t + 0.5 * u_gravity * t * t;
+                float y = a_startPos.y + (a_charOffset.y * scale);
+                // 抛物线：竖直方向受重力；上飘：竖直速度按阻力衰减，不受重力
+                if (motion.z < 0.5) y += a_velocity.y * t + 0.5 * motion.x * t * t;
+                else y += motion.y > 1e-4 ? a_velocity.y * (1.0 - resistance) / motion.y : a_velocity.y * t;
+                float shake = motion.w * (1.0 - progress);
+                x += sin(t * 63.0 + a_startPos.y) * shake; y += cos(t * 57.0 + a_startPos.x) * shake;
                 vec2 screenPos = (vec2(x, y) - u_cameraPos) * u_dpr + u_resolution / 2.0 + a_posOffset * scale * u_dpr;
                 vec2 clip = (screenPos / u_resolution) * 2.0 - 1.0;
                 gl_Position = vec4(clip * vec2(1, -1), 0, 1);
                 v_texCoord = a_texCoord;
                 v_color    = a_color;
                 float alpha = 1.0;
-                if (progress > 0.7) alpha = 1.0 - (progress - 0.7) / 0.3;
+                if (progress > timing.y) alpha = 1.0 - (progress - timing.y) / (1.0 - timing.y);
                 v_alpha = alpha * a_alpha;
-                v_flash = (progress < 0.2) ? (0.6 * (1.0 - progress / 0.2)) : 0.0;
+                v_flash = (progress < timing.w) ? (1.0 - progress / timing.w) : 0.0;
+                v_flashColor = u_styles[base + 3];
+                v_outline = u_styles[base + 4];
+                // 距离场字形的描边、发光宽度是屏幕像素，w 为每字形像素对应的屏幕像素
+                v_sdf = vec4(u_styles[base + 5].xyz, scale * u_dpr);
+                v_glow = u_styles[base + 6];
             }
         `, `
             precision mediump float;
@@ -312,10 +1034,29 @@ export class Blaze2D {
             varying float v_alpha;
             varying vec3 v_color;
             varying float v_flash;
+            varying vec4 v_flashColor;
+            varying vec4 v_outline;
+            varying vec4 v_sdf;
+            varying vec4 v_glow;
             void main() {
                 vec4 texColor = texture2D(u_image, v_texCoord);
+                if (v_sdf.x != 0.0) {
+                    // 距离场字形：描边默认黑色，outlineColor 可改色；发光在描边之外衰减。范围为负表示 MSDF（取三通道中值）
+                    float sd = v_sdf.x < 0.0 ? max(min(texColor.r, texColor.g), min(max(texColor.r, texColor.g), texColor.b)) : texColor.a;
+                    float d = (sd - 0.5) * abs(v_sdf.x) * v_sdf.w;
+                    vec3 outline = v_outline.a > 0.5 ? v_outline.rgb : vec3(0.0);
+                    vec4 c = vec4(mix(v_color, v_flashColor.rgb, v_flash * v_flashColor.a), 1.0) * smoothstep(-0.5, 0.5, d);
+                    c += vec4(outline, 1.0) * smoothstep(-0.5, 0.5, d + v_sdf.y) * (1.0 - c.a);
+                    if (v_sdf.z > 0.0) { float g = clamp(1.0 + (d + v_sdf.y) / v_sdf.z, 0.0, 1.0); c += vec4(v_glow.rgb, 1.0) * v_glow.a * g * g * (1.0 - c.a); }
+                    if (c.a < 0.004) discard;
+                    gl_FragColor = c * v_alpha;
+                    return;
+                }
                 if (texColor.a < 0.01) discard;
-                vec3 rgb = mix(texColor.rgb * v_color, vec3(1.0), v_flash * 0.7);
+                vec3 fill = texColor.rgb * v_color;
+                // 位图字形是白字黑边：按亮度在描边色与填充色之间插值即可给描边改色
+                if (v_outline.a > 0.5) fill = mix(v_outline.rgb, v_color, max(max(texColor.r, texColor.g), texColor.b));
+                vec3 rgb = mix(fill, v_flashColor.rgb, v_flash * v_flashColor.a);
                 float a = texColor.a * v_alpha;
                 gl_FragColor = vec4(rgb * a, a);
             }
@@ -329,42 +1070,99 @@ export class Blaze2D {
             timeParams: gl.getAttribLocation(this.dnProgram, 'a_timeParams'),
             color: gl.getAttribLocation(this.dnProgram, 'a_color'),
             alpha: gl.getAttribLocation(this.dnProgram, 'a_alpha'),
+            style: gl.getAttribLocation(this.dnProgram, 'a_style'),
             resolution: gl.getUniformLocation(this.dnProgram, 'u_resolution'),
             dpr: gl.getUniformLocation(this.dnProgram, 'u_dpr'),
             currentTime: gl.getUniformLocation(this.dnProgram, 'u_currentTime'),
             cameraPos: gl.getUniformLocation(this.dnProgram, 'u_cameraPos'),
-            gravity: gl.getUniformLocation(this.dnProgram, 'u_gravity'),
+            styles: gl.getUniformLocation(this.dnProgram, 'u_styles'),
             image: gl.getUniformLocation(this.dnProgram, 'u_image')
         };
+        this._dnStylesDirty = true;
     }
 
-    initGravityShader() {
+    /**
+     * GPU 粒子：与伤害数字相同的思路，每个粒子只在发射时写入一次初始状态，
+     * 位置、旋转、尺寸与颜色全部由顶点着色器根据 u_currentTime 计算（阻力下的抛体运动有解析解）。
+     */
+    initParticleShader() {
         const gl = this.gl;
-        const effectVS = `
-            attribute vec2 a_position;
-            attribute vec2 a_texCoord;
+        this.particleProgram = this.createProgram(`
+            attribute vec2 a_corner;
+            attribute vec2 a_start;
+            attribute vec2 a_velocity;
+            attribute vec2 a_life;
+            attribute vec2 a_spin;
+            attribute float a_scale;
             uniform vec2 u_resolution;
-            uniform vec2 u_camera;
-            uniform float u_worldSpace;
             uniform float u_dpr;
+            uniform float u_currentTime;
+            uniform vec2 u_cameraPos;
+            uniform float u_worldSpace;
+            uniform vec2 u_gravity;
+            uniform float u_drag;
+            uniform vec2 u_keyCounts;
+            uniform vec4 u_sizes;
+            uniform vec4 u_colors[4];
+            uniform vec4 u_uvRect;
+            uniform float u_uvRotated;
             varying vec2 v_texCoord;
+            varying vec4 v_color;
+            // 曲线关键帧在生命周期内均匀分布，n 为关键帧数（1~4）
+            float sizeAt(float p) {
+                float f = p * (u_keyCounts.x - 1.0);
+                return f < 1.0 ? mix(u_sizes.x, u_sizes.y, f) : f < 2.0 ? mix(u_sizes.y, u_sizes.z, f - 1.0) : mix(u_sizes.z, u_sizes.w, f - 2.0);
+            }
+            vec4 colorAt(float p) {
+                float f = p * (u_keyCounts.y - 1.0);
+                return f < 1.0 ? mix(u_colors[0], u_colors[1], f) : f < 2.0 ? mix(u_colors[1], u_colors[2], f - 1.0) : mix(u_colors[2], u_colors[3], f - 2.0);
+            }
             void main() {
-                vec2 pos = a_position * u_dpr;
-                if (u_worldSpace > 0.5) {
-                    pos = pos - u_camera + u_resolution * 0.5;
+                float t = u_currentTime - a_life.x;
+                if (t < 0.0 || t > a_life.y) {
+                    gl_Position = vec4(-2.0, -2.0, 0.0, 1.0); return;
                 }
-                vec2 clip = (pos / u_resolution) * 2.0 - 1.0;
+                float p = t / a_life.y;
+                vec2 pos;
+                if (u_drag > 1e-4) {
+                    float e = (1.0 - exp(-u_drag * t)) / u_drag;
+                    pos = a_start + (a_velocity - u_gravity / u_drag) * e + u_gravity * (t / u_drag);
+                } else pos = a_start + a_velocity * t + 0.5 * u_gravity * t * t;
+                float angle = a_spin.x + a_spin.y * t, c = cos(angle), s = sin(angle);
+                vec2 corner = a_corner * (sizeAt(p) * a_scale * 0.5);
+                vec2 screenPos = (u_worldSpace > 0.5 ? (pos - u_cameraPos) * u_dpr + u_resolution * 0.5 : pos * u_dpr)
+                    + vec2(corner.x * c - corner.y * s, corner.x * s + corner.y * c) * u_dpr;
+                vec2 clip = (screenPos / u_resolution) * 2.0 - 1.0;
                 gl_Position = vec4(clip * vec2(1, -1), 0, 1);
-                v_texCoord = a_texCoord;
+                // 精灵表中顺时针旋转 90° 存放的帧，uv 轴互换
+                vec2 q = a_corner * 0.5 + 0.5;
+                v_texCoord = u_uvRotated > 0.5 ? vec2(mix(u_uvRect.z, u_uvRect.x, q.y), mix(u_uvRect.y, u_uvRect.w, q.x)) : mix(u_uvRect.xy, u_uvRect.zw, q);
+                v_color = colorAt(p);
             }
-        `;
-        this.gravityProgram = this.createProgram(effectVS, `
+        `, `
             precision mediump float;
+            uniform sampler2D u_image;
+            uniform float u_alpha;
             varying vec2 v_texCoord;
-            uniform float u_time;
-            uniform vec4 u_colorInner;
-            uniform vec4 u_colorOuter;
-            uniform float u_distortion;
+            varying vec4 v_color;
+            void main() {
+                vec4 texColor = texture2D(u_image, v_texCoord);
+                float a = texColor.a * v_color.a * u_alpha;
+                gl_FragColor = vec4(texColor.rgb * v_color.rgb * a, a);
+            }
+        `);
+        const attr = (n) => gl.getAttribLocation(this.particleProgram, n), uni = (n) => gl.getUniformLocation(this.particleProgram, n);
+        this.particleLocations = {
+            corner: attr('a_corner'), start: attr('a_start'), velocity: attr('a_velocity'), life: attr('a_life'), spin: attr('a_spin'), scale: attr('a_scale'),
+            resolution: uni('u_resolution'), dpr: uni('u_dpr'), currentTime: uni('u_currentTime'), cameraPos: uni('u_cameraPos'), worldSpace: uni('u_worldSpace'),
+            gravity: uni('u_gravity'), drag: uni('u_drag'), keyCounts: uni('u_keyCounts'), sizes: uni('u_sizes'), colors: uni('u_colors'),
+            uvRect: uni('u_uvRect'), uvRotated: uni('u_uvRotated'), image: uni('u_image'), alpha: uni('u_alpha')
+        };
+    }
+
+    /** 内置区域特效，同样经 registerEffect 注册，drawGravityField / drawIceField 只是对应 drawEffect 的简写。 */
+    _registerBuiltinEffects() {
+        this.registerEffect('gravity', `
             float noise(vec2 p) { return fract(sin(dot(p, vec2(12.9898, 78.233))) * 43758.5453); }
             float smoothNoise(vec2 p) {
                 vec2 i = floor(p); vec2 f = fract(p); f = f*f*(3.0-2.0*f);
@@ -391,53 +1189,13 @@ export class Blaze2D {
                 if (grid<0.1) alpha+=(0.1-grid)*2.0*0.1;
                 gl_FragColor = col * alpha;
             }
-        `);
-        this.gravityLocations = {
-            position: gl.getAttribLocation(this.gravityProgram, 'a_position'),
-            texCoord: gl.getAttribLocation(this.gravityProgram, 'a_texCoord'),
-            resolution: gl.getUniformLocation(this.gravityProgram, 'u_resolution'),
-            camera: gl.getUniformLocation(this.gravityProgram, 'u_camera'),
-            worldSpace: gl.getUniformLocation(this.gravityProgram, 'u_worldSpace'),
-            dpr: gl.getUniformLocation(this.gravityProgram, 'u_dpr'),
-            time: gl.getUniformLocation(this.gravityProgram, 'u_time'),
-            colorInner: gl.getUniformLocation(this.gravityProgram, 'u_colorInner'),
-            colorOuter: gl.getUniformLocation(this.gravityProgram, 'u_colorOuter'),
-            distortion: gl.getUniformLocation(this.gravityProgram, 'u_distortion')
-        };
-    }
-
-    initIceFieldShader() {
-        const gl = this.gl;
-        const effectVS = `
-            attribute vec2 a_position;
-            attribute vec2 a_texCoord;
-            uniform vec2 u_resolution;
-            uniform vec2 u_camera;
-            uniform float u_worldSpace;
-            uniform float u_dpr;
-            varying vec2 v_texCoord;
-            void main() {
-                vec2 pos = a_position * u_dpr;
-                if (u_worldSpace > 0.5) {
-                    pos = pos - u_camera + u_resolution * 0.5;
-                }
-                vec2 clip = (pos / u_resolution) * 2.0 - 1.0;
-                gl_Position = vec4(clip * vec2(1, -1), 0, 1);
-                v_texCoord = a_texCoord;
-            }
-        `;
-        this.iceProgram = this.createProgram(effectVS, `
-            precision mediump float;
-            varying vec2 v_texCoord;
-            uniform float u_time;
-            uniform vec4 u_colorInner;
-            uniform vec4 u_colorOuter;
-            uniform float u_alpha;
-            float hash(vec2 p) { return fract(sin(dot(p,vec2(127.1,311.7)))*43758.5453123); }
-            float noise(vec2 p) {
-                vec2 i=floor(p),f=fract(p); f=f*f*(3.0-2.0*f);
-                return mix(mix(hash(i),hash(i+vec2(1,0)),f.x),mix(hash(i+vec2(0,1)),hash(i+vec2(1,1)),f.x),f.y);
-            }
+        `, { colorInner: 'color', colorOuter: 'color', distortion: { type: 'float', default: 0.15 } });
+        this.registerEffect('ice', `
+            float hash(vec2 p) { return fract(sin(dot(p,vec2(127.1,311.7)))*43758.5453123); }
+            float noise(vec2 p) {
+                vec2 i=floor(p),f=fract(p); f=f*f*(3.0-2.0*f);
+                return mix(mix(hash(i),hash(i+vec2(1,0)),f.x),mix(hash(i+vec2(0,1)),hash(i+vec2(1,1)),f.x),f.y);
+            }
             void main() {
                 vec2 uv = v_texCoord*2.0-1.0;
                 float dist = length(uv);
@@ -465,24 +1223,135 @@ export class Blaze2D {
                 }
                 gl_FragColor = color*u_alpha*smoothstep(1.0,0.9,dd);
             }
+        `, { colorInner: 'color', colorOuter: 'color', alpha: { type: 'float', default: 1 } });
+    }
+
+    /**
+     * 生成特效程序。特效按实例合批：中心、半径（已换算成设备像素）、时间与 schema 中的参数都作为顶点属性，
+     * 经 varying 传到片元着色器，并用 #define 映射回 u_time / u_k，因此特效源码仍可按 uniform 的写法使用它们。
+     */
+    _compileEffect(effect) {
+        const gl = this.gl, keys = Object.keys(effect.schema);
+        const attrs = keys.map(k => `attribute ${effect.schema[k].glslType} a_${k};\nvarying ${effect.schema[k].glslType} v_${k};`).join('\n');
+        const program = this.createProgram(`
+            attribute vec4 a_quad;
+            attribute float a_time;
+            uniform vec2 u_resolution;
+            varying vec2 v_texCoord;
+            varying float v_time;
+            ${attrs}
+            void main() {
+                vec2 clip = (a_quad.xy / u_resolution) * 2.0 - 1.0;
+                gl_Position = vec4(clip * vec2(1, -1), 0, 1);
+                v_texCoord = a_quad.zw; v_time = a_time;
+                ${keys.map(k => `v_${k} = a_${k};`).join(' ')}
+            }
+        `, `
+            precision mediump float;
+            varying vec2 v_texCoord;
+            varying float v_time;
+            #define u_time v_time
+            ${keys.map(k => `varying ${effect.schema[k].glslType} v_${k};\n#define u_${k} v_${k}`).join('\n')}
+        ` + effect.source);
+        if (!program) throw new Error(`Blaze2D: effect "${effect.name}" failed to compile:\n${this.lastShaderError}`);
+        effect.program = program;
+        effect.resolution = gl.getUniformLocation(program, 'u_resolution');
+        // 顶点布局：quad(4: 设备像素坐标 + 方块内 uv)、time(1)、各参数依次排列
+        effect.attributes = [{ loc: gl.getAttribLocation(program, 'a_quad'), size: 4, offset: 0 }, { loc: gl.getAttribLocation(program, 'a_time'), size: 1, offset: 4 }];
+        let offset = 5;
+        for (const k of keys) { effect.attributes.push({ loc: gl.getAttribLocation(program, 'a_' + k), size: effect.schema[k].size, offset }); offset += effect.schema[k].size; }
+        effect.stride = offset;
+        if (!effect.vertexData || effect.vertexData.length !== this.EFFECT_BATCH_SIZE * 4 * offset) effect.vertexData = new Float32Array(this.EFFECT_BATCH_SIZE * 4 * offset);
+        effect.buffer = gl.createBuffer();
+        gl.bindBuffer(gl.ARRAY_BUFFER, effect.buffer);
+        gl.bufferData(gl.ARRAY_BUFFER, effect.vertexData.byteLength, gl.DYNAMIC_DRAW);
+        effect.count = 0; effect.segment = null;
+    }
+
+    initCompositeShader() {
+        const gl = this.gl;
+        this.compositeProgram = this.createProgram(`
+            attribute vec2 a_position;
+            void main() { gl_Position = vec4(a_position, 0, 1); }
+        `, `
+            #ifdef GL_FRAGMENT_PRECISION_HIGH
+            precision highp float;
+            #else
+            precision mediump float;
+            #endif
+            uniform sampler2D u_source;
+            uniform sampler2D u_backdrop;
+            uniform vec2 u_size;
+            uniform int u_mode;
+            float lum(vec3 c) { return dot(c, vec3(0.3, 0.59, 0.11)); }
+            vec3 clipColor(vec3 c) {
+                float l = lum(c), n = min(min(c.r, c.g), c.b), x = max(max(c.r, c.g), c.b);
+                if (n < 0.0) c = l + (c - l) * l / (l - n);
+                if (x > 1.0) c = l + (c - l) * (1.0 - l) / (x - l);
+                return c;
+            }
+            vec3 setLum(vec3 c, float l) { return clipColor(c + (l - lum(c))); }
+            float sat(vec3 c) { return max(max(c.r, c.g), c.b) - min(min(c.r, c.g), c.b); }
+            vec3 setSat(vec3 c, float s) {
+                float n = min(min(c.r, c.g), c.b), x = max(max(c.r, c.g), c.b);
+                return x > n ? (c - n) * s / (x - n) : vec3(0.0);
+            }
+            float softLight(float b, float s) {
+                float d = b <= 0.25 ? ((16.0 * b - 12.0) * b + 4.0) * b : sqrt(b);
+                return s <= 0.5 ? b - (1.0 - 2.0 * s) * b * (1.0 - b) : b + (2.0 * s - 1.0) * (d - b);
+            }
+            float dodge(float b, float s) { return b == 0.0 ? 0.0 : (s >= 1.0 ? 1.0 : min(1.0, b / (1.0 - s))); }
+            float burn(float b, float s) { return b >= 1.0 ? 1.0 : (s <= 0.0 ? 0.0 : 1.0 - min(1.0, (1.0 - b) / s)); }
+            vec3 hardLight(vec3 b, vec3 s) {
+                vec3 m = b * 2.0 * s, sc = b + (2.0 * s - 1.0) - b * (2.0 * s - 1.0);
+                return mix(m, sc, step(0.5, s));
+            }
+            // W3C Compositing and Blending Level 1 的混合函数，b 为画布颜色，s 为源颜色（均未预乘）
+            vec3 blend(vec3 b, vec3 s) {
+                if (u_mode == 1) return b * s;
+                if (u_mode == 2) return b + s - b * s;
+                if (u_mode == 3) return hardLight(s, b);
+                if (u_mode == 4) return min(b, s);
+                if (u_mode == 5) return max(b, s);
+                if (u_mode == 6) return vec3(dodge(b.r, s.r), dodge(b.g, s.g), dodge(b.b, s.b));
+                if (u_mode == 7) return vec3(burn(b.r, s.r), burn(b.g, s.g), burn(b.b, s.b));
+                if (u_mode == 8) return hardLight(b, s);
+                if (u_mode == 9) return vec3(softLight(b.r, s.r), softLight(b.g, s.g), softLight(b.b, s.b));
+                if (u_mode == 10) return abs(b - s);
+                if (u_mode == 11) return b + s - 2.0 * b * s;
+                if (u_mode == 12) return setLum(setSat(s, sat(b)), lum(b));
+                if (u_mode == 13) return setLum(setSat(b, sat(s)), lum(b));
+                if (u_mode == 14) return setLum(s, lum(b));
+                return setLum(b, lum(s));
+            }
+            void main() {
+                vec2 uv = gl_FragCoord.xy / u_size;
+                vec4 src = texture2D(u_source, uv);
+                if (u_mode == 0) { gl_FragColor = src; return; }
+                vec4 dst = texture2D(u_backdrop, uv);
+                vec3 cs = src.a > 0.0 ? src.rgb / src.a : vec3(0.0), cb = dst.a > 0.0 ? dst.rgb / dst.a : vec3(0.0);
+                // 预乘结果：源与画布不重叠的部分照常 source-over，重叠部分用混合后的颜色
+                gl_FragColor = vec4(src.rgb * (1.0 - dst.a) + dst.rgb * (1.0 - src.a) + src.a * dst.a * clamp(blend(cb, cs), 0.0, 1.0), src.a + dst.a * (1.0 - src.a));
+            }
         `);
-        this.iceLocations = {
-            position: gl.getAttribLocation(this.iceProgram, 'a_position'),
-            texCoord: gl.getAttribLocation(this.iceProgram, 'a_texCoord'),
-            resolution: gl.getUniformLocation(this.iceProgram, 'u_resolution'),
-            camera: gl.getUniformLocation(this.iceProgram, 'u_camera'),
-            worldSpace: gl.getUniformLocation(this.iceProgram, 'u_worldSpace'),
-            dpr: gl.getUniformLocation(this.iceProgram, 'u_dpr'),
-            time: gl.getUniformLocation(this.iceProgram, 'u_time'),
-            colorInner: gl.getUniformLocation(this.iceProgram, 'u_colorInner'),
-            colorOuter: gl.getUniformLocation(this.iceProgram, 'u_colorOuter'),
-            alpha: gl.getUniformLocation(this.iceProgram, 'u_alpha')
+        this.compositeLocations = {
+            position: gl.getAttribLocation(this.compositeProgram, 'a_position'),
+            size: gl.getUniformLocation(this.compositeProgram, 'u_size'),
+            mode: gl.getUniformLocation(this.compositeProgram, 'u_mode')
         };
+        gl.useProgram(this.compositeProgram);
+        gl.uniform1i(gl.getUniformLocation(this.compositeProgram, 'u_source'), 0);
+        gl.uniform1i(gl.getUniformLocation(this.compositeProgram, 'u_backdrop'), 1);
+        gl.useProgram(this.program);
     }
 
     initBuffers() {
         const gl = this.gl;
 
+        this.fullscreenQuadBuffer = gl.createBuffer();
+        gl.bindBuffer(gl.ARRAY_BUFFER, this.fullscreenQuadBuffer);
+        gl.bufferData(gl.ARRAY_BUFFER, new Float32Array([-1, -1, 1, -1, -1, 1, 1, 1]), gl.STATIC_DRAW);
+
         this.vertexData = new Float32Array(this.maxBatchSize * this.verticesPerSprite * this.vertexStride);
         this.vertexBuffer = gl.createBuffer();
         gl.bindBuffer(gl.ARRAY_BUFFER, this.vertexBuffer);
@@ -498,9 +1367,26 @@ export class Blaze2D {
         gl.bindBuffer(gl.ELEMENT_ARRAY_BUFFER, this.indexBuffer);
         gl.bufferData(gl.ELEMENT_ARRAY_BUFFER, indices, gl.STATIC_DRAW);
 
-        this.dnVertexBuffer = gl.createBuffer();
-        gl.bindBuffer(gl.ARRAY_BUFFER, this.dnVertexBuffer);
-        gl.bufferData(gl.ARRAY_BUFFER, this.dnVertexData.byteLength, gl.DYNAMIC_DRAW);
+        if (this.instancing) {
+            // 实例属性的 divisor 记录在 VAO 里，不会影响其它程序共用的属性位置
+            this.instanceData = new Float32Array(this.maxBatchSize * this.instanceStride);
+            this.instanceBuffer = gl.createBuffer();
+            gl.bindBuffer(gl.ARRAY_BUFFER, this.instanceBuffer);
+            gl.bufferData(gl.ARRAY_BUFFER, this.instanceData.byteLength, gl.DYNAMIC_DRAW);
+            const cornerBuffer = gl.createBuffer(), L = this.instanceLocations, stride = this.instanceStride * 4;
+            this.instanceVAO = gl.createVertexArray();
+            gl.bindVertexArray(this.instanceVAO);
+            gl.bindBuffer(gl.ARRAY_BUFFER, cornerBuffer);
+            gl.bufferData(gl.ARRAY_BUFFER, new Float32Array([-1, -1, 1, -1, 1, 1, -1, 1]), gl.STATIC_DRAW);
+            gl.enableVertexAttribArray(L.corner); gl.vertexAttribPointer(L.corner, 2, gl.FLOAT, false, 0, 0);
+            gl.bindBuffer(gl.ARRAY_BUFFER, this.instanceBuffer);
+            for (const [l, size, offset] of [[L.center, 4, 0], [L.axisY, 2, 16], [L.uvRect, 4, 24], [L.color, 4, 40], [L.alphaTex, 2, 56]]) {
+                gl.enableVertexAttribArray(l); gl.vertexAttribPointer(l, size, gl.FLOAT, false, stride, offset); gl.vertexAttribDivisor(l, 1);
+            }
+            gl.bindBuffer(gl.ELEMENT_ARRAY_BUFFER, this.indexBuffer);
+            gl.bindVertexArray(null);
+            gl.bindBuffer(gl.ELEMENT_ARRAY_BUFFER, this.indexBuffer);
+        }
 
         const dnIndices = new Uint16Array(this.dnMaxBatchSize * 6);
         for (let i = 0; i < this.dnMaxBatchSize; i++) {
@@ -512,9 +1398,6 @@ export class Blaze2D {
         gl.bindBuffer(gl.ELEMENT_ARRAY_BUFFER, this.dnIndexBuffer);
         gl.bufferData(gl.ELEMENT_ARRAY_BUFFER, dnIndices, gl.STATIC_DRAW);
 
-        this.effectQuadBuffer = gl.createBuffer();
-        gl.bindBuffer(gl.ARRAY_BUFFER, this.effectQuadBuffer);
-        gl.bufferData(gl.ARRAY_BUFFER, 64, gl.DYNAMIC_DRAW);
     }
 
     createShader(type, source) {
@@ -523,7 +1406,8 @@ export class Blaze2D {
         gl.shaderSource(shader, source);
         gl.compileShader(shader);
         if (!gl.getShaderParameter(shader, gl.COMPILE_STATUS)) {
-            console.error(gl.getShaderInfoLog(shader));
+            this.lastShaderError = gl.getShaderInfoLog(shader);
+            console.error(this.lastShaderError);
             gl.deleteShader(shader);
             return null;
         }
@@ -532,12 +1416,15 @@ export class Blaze2D {
 
     createProgram(vsSource, fsSource) {
         const gl = this.gl;
+        const vs = this.createShader(gl.VERTEX_SHADER, vsSource), fs = this.createShader(gl.FRAGMENT_SHADER, fsSource);
+        if (!vs || !fs) return null;
         const program = gl.createProgram();
-        gl.attachShader(program, this.createShader(gl.VERTEX_SHADER, vsSource));
-        gl.attachShader(program, this.createShader(gl.FRAGMENT_SHADER, fsSource));
+        gl.attachShader(program, vs);
+        gl.attachShader(program, fs);
         gl.linkProgram(program);
         if (!gl.getProgramParameter(program, gl.LINK_STATUS)) {
-            console.error(gl.getProgramInfoLog(program));
+            this.lastShaderError = gl.getProgramInfoLog(program) || this.lastShaderError;
+            console.error(this.lastShaderError);
             gl.deleteProgram(program);
             return null;
         }
@@ -551,9 +1438,12 @@ export class Blaze2D {
             fillStyle: '#ffffff', fillStyleRGBA: new Float32Array([1, 1, 1, 1]),
             strokeStyle: '#000000', strokeStyleRGBA: new Float32Array([0, 0, 0, 1]),
             lineWidth: 1, font: '20px Arial',
-            textAlign: 'left', textBaseline: 'alphabetic',
+            lineCap: 'butt', lineJoin: 'miter', miterLimit: 10, lineDash: this.EMPTY_DASH, lineDashOffset: 0,
+            textAlign: 'left', textBaseline: 'alphabetic', direction: 'inherit', letterSpacing: '0px',
+            imageSmoothingEnabled: true, imageSmoothingQuality: 'low', filter: 'none', filterMatrix: null,
             globalCompositeOperation: 'source-over',
-            shadowBlur: 0, shadowColor: 'transparent'
+            shadowBlur: 0, shadowColor: 'transparent',
+            clipRect: null, clipPaths: this.EMPTY_CLIP
         };
     }
 
@@ -575,9 +1465,17 @@ export class Blaze2D {
             to.strokeStyleRGBA.set(from.strokeStyleRGBA);
         }
         to.lineWidth = from.lineWidth; to.font = from.font;
-        to.textAlign = from.textAlign; to.textBaseline = from.textBaseline;
+        // 虚线数组同样只读共享，setLineDash() 每次都会生成新数组
+        to.lineCap = from.lineCap; to.lineJoin = from.lineJoin; to.miterLimit = from.miterLimit;
+        to.lineDash = from.lineDash; to.lineDashOffset = from.lineDashOffset;
+        to.textAlign = from.textAlign; to.textBaseline = from.textBaseline; to.direction = from.direction; to.letterSpacing = from.letterSpacing;
+        to.imageSmoothingEnabled = from.imageSmoothingEnabled; to.imageSmoothingQuality = from.imageSmoothingQuality;
+        // filter 的颜色矩阵解析后只读共享
+        to.filter = from.filter; to.filterMatrix = from.filterMatrix;
         to.globalCompositeOperation = from.globalCompositeOperation;
         to.shadowBlur = from.shadowBlur; to.shadowColor = from.shadowColor;
+        // 裁剪区只读共享，clip() 总是生成新对象，所以按引用复制即可
+        to.clipRect = from.clipRect; to.clipPaths = from.clipPaths;
     }
 
     save() {
@@ -593,14 +1491,108 @@ export class Blaze2D {
         const discarded = this.stateStack.pop();
         this.statePool.push(discarded);
         if (oldMode !== this.globalCompositeOperation) { this.flush(); this._updateBlendMode(); }
+        const s = this._state;
+        if (discarded.clipRect !== s.clipRect || discarded.clipPaths !== s.clipPaths) { this.flush(); this._applyClip(); }
     }
 
+    /**
+     * 按 globalCompositeOperation 设置混合。能用 blendFunc 精确表达的直接设置（预乘 alpha）；
+     * 会清除图形外像素的 Porter-Duff 运算（unbounded）与需要画布颜色参与计算的混合模式（blend）
+     * 记在 _compositeMode 中，由 _beginOffscreenComposite / _endOffscreenComposite 走离屏读回路径。
+     */
     _updateBlendMode() {
+        const gl = this.gl, mode = this.globalCompositeOperation;
+        this._compositeMode = null;
+        if (mode === 'screen') { gl.blendFuncSeparate(gl.ONE, gl.ONE_MINUS_SRC_COLOR, gl.ONE, gl.ONE_MINUS_SRC_ALPHA); return; }
+        // 不透明画布上 Da 恒为 1，multiply 化简为 Cs*Cd + Cd*(1-Sa)
+        if (mode === 'multiply' && this._opaqueTarget()) { gl.blendFunc(gl.DST_COLOR, gl.ONE_MINUS_SRC_ALPHA); return; }
+        if (this.BLEND_MODES[mode]) { this._compositeMode = 'blend'; gl.blendFunc(gl.ONE, gl.ZERO); return; }
+        if (this.UNBOUNDED_OPS.has(mode)) this._compositeMode = 'unbounded';
+        const f = this._blendFactors(mode);
+        gl.blendFunc(f[0], f[1]);
+    }
+
+    _opaqueTarget() { return this._targetFramebuffer === null && this.gl.getContextAttributes()?.alpha === false; }
+
+    /** Porter-Duff 运算对应的 (源因子, 目标因子)，输出为预乘颜色。 */
+    _blendFactors(mode) {
+        const gl = this.gl;
+        switch (mode) {
+            case 'source-in': return [gl.DST_ALPHA, gl.ZERO];
+            case 'source-out': return [gl.ONE_MINUS_DST_ALPHA, gl.ZERO];
+            case 'source-atop': return [gl.DST_ALPHA, gl.ONE_MINUS_SRC_ALPHA];
+            case 'destination-over': return [gl.ONE_MINUS_DST_ALPHA, gl.ONE];
+            case 'destination-in': return [gl.ZERO, gl.SRC_ALPHA];
+            case 'destination-out': return [gl.ZERO, gl.ONE_MINUS_SRC_ALPHA];
+            case 'destination-atop': return [gl.ONE_MINUS_DST_ALPHA, gl.SRC_ALPHA];
+            case 'copy': return [gl.ONE, gl.ZERO];
+            case 'xor': return [gl.ONE_MINUS_DST_ALPHA, gl.ONE_MINUS_SRC_ALPHA];
+            case 'lighter': case 'additive': return [gl.ONE, gl.ONE];
+            default: return [gl.ONE, gl.ONE_MINUS_SRC_ALPHA];
+        }
+    }
+
+    _createCompositeTarget(w, h) {
+        const gl = this.gl, old = this._composite;
+        if (old) { gl.deleteFramebuffer(old.fb); gl.deleteTexture(old.source); gl.deleteTexture(old.backdrop); }
+        const makeTex = () => {
+            const t = gl.createTexture();
+            t._premultiplied = true;
+            gl.bindTexture(gl.TEXTURE_2D, t);
+            gl.texImage2D(gl.TEXTURE_2D, 0, gl.RGBA, w, h, 0, gl.RGBA, gl.UNSIGNED_BYTE, null);
+            gl.texParameteri(gl.TEXTURE_2D, gl.TEXTURE_WRAP_S, gl.CLAMP_TO_EDGE);
+            gl.texParameteri(gl.TEXTURE_2D, gl.TEXTURE_WRAP_T, gl.CLAMP_TO_EDGE);
+            gl.texParameteri(gl.TEXTURE_2D, gl.TEXTURE_MIN_FILTER, gl.NEAREST);
+            gl.texParameteri(gl.TEXTURE_2D, gl.TEXTURE_MAG_FILTER, gl.NEAREST);
+            return t;
+        };
+        const c = { w, h, source: makeTex(), backdrop: makeTex(), fb: gl.createFramebuffer() };
+        gl.bindFramebuffer(gl.FRAMEBUFFER, c.fb);
+        gl.framebufferTexture2D(gl.FRAMEBUFFER, gl.COLOR_ATTACHMENT0, gl.TEXTURE_2D, c.source, 0);
+        gl.bindFramebuffer(gl.FRAMEBUFFER, this._targetFramebuffer);
+        this._composite = c;
+        return c;
+    }
+
+    /**
+     * 读回路径第一步：把接下来的绘制改画进与画布同尺寸的透明离屏层（层内按 source-over 累积）。
+     * 同一批次的图元因此作为一个整体参与合成。
+     */
+    _beginOffscreenComposite() {
         const gl = this.gl;
-        const mode = this.globalCompositeOperation;
-        if (mode === 'source-atop') gl.blendFunc(gl.DST_ALPHA, gl.ONE_MINUS_SRC_ALPHA);
-        else if (mode === 'lighter' || mode === 'screen' || mode === 'additive') gl.blendFunc(gl.ONE, gl.ONE);
-        else gl.blendFunc(gl.ONE, gl.ONE_MINUS_SRC_ALPHA);
+        let c = this._composite;
+        if (!c || c.w !== this.width || c.h !== this.height) c = this._createCompositeTarget(this.width, this.height);
+        gl.bindFramebuffer(gl.FRAMEBUFFER, c.fb);
+        // 离屏层没有模板附件，模板裁剪在合成到画布时生效；scissor 对清屏和绘制同样生效
+        gl.clearColor(0, 0, 0, 0); gl.clear(gl.COLOR_BUFFER_BIT);
+        gl.blendFunc(gl.ONE, gl.ONE_MINUS_SRC_ALPHA);
+    }
+
+    /** 读回路径第二步：全屏合成离屏层。blend 模式先把画布拷进 backdrop 再在着色器里混合，unbounded 运算直接用 blendFunc。 */
+    _endOffscreenComposite() {
+        const gl = this.gl, c = this._composite, L = this.compositeLocations, mode = this.globalCompositeOperation;
+        gl.bindFramebuffer(gl.FRAMEBUFFER, this._targetFramebuffer);
+        gl.useProgram(this.compositeProgram);
+        gl.activeTexture(gl.TEXTURE0); gl.bindTexture(gl.TEXTURE_2D, c.source);
+        if (this._compositeMode === 'blend') {
+            gl.activeTexture(gl.TEXTURE1); gl.bindTexture(gl.TEXTURE_2D, c.backdrop);
+            gl.copyTexSubImage2D(gl.TEXTURE_2D, 0, 0, 0, 0, 0, c.w, c.h);
+            gl.blendFunc(gl.ONE, gl.ZERO);
+            gl.uniform1i(L.mode, this.BLEND_MODES[mode]);
+        } else {
+            const f = this._blendFactors(mode);
+            gl.blendFunc(f[0], f[1]);
+            gl.uniform1i(L.mode, 0);
+        }
+        gl.uniform2f(L.size, c.w, c.h);
+        gl.bindBuffer(gl.ARRAY_BUFFER, this.fullscreenQuadBuffer);
+        gl.enableVertexAttribArray(L.position); gl.vertexAttribPointer(L.position, 2, gl.FLOAT, false, 0, 0);
+        gl.drawArrays(gl.TRIANGLE_STRIP, 0, 4);
+        this.drawCallCount++;
+        // 解除离屏层的纹理绑定，避免下次写入它时形成反馈回路
+        gl.bindTexture(gl.TEXTURE_2D, null);
+        gl.activeTexture(gl.TEXTURE0); gl.bindTexture(gl.TEXTURE_2D, null);
+        gl.useProgram(this.program);
     }
 
     get _state() { return this.stateStack[this.stateStack.length - 1]; }
@@ -638,20 +1630,48 @@ export class Blaze2D {
     get textAlign() { return this._state.textAlign; }
     set textBaseline(v) { this._state.textBaseline = v; }
     get textBaseline() { return this._state.textBaseline; }
-    set lineCap(v) { this._state.lineCap = v; }
-    get lineCap() { return this._state.lineCap || 'butt'; }
-    set lineJoin(v) { this._state.lineJoin = v; }
-    get lineJoin() { return this._state.lineJoin || 'miter'; }
+    set lineCap(v) { if (v === 'butt' || v === 'round' || v === 'square') this._state.lineCap = v; }
+    get lineCap() { return this._state.lineCap; }
+    set lineJoin(v) { if (v === 'miter' || v === 'round' || v === 'bevel') this._state.lineJoin = v; }
+    get lineJoin() { return this._state.lineJoin; }
+    set miterLimit(v) { if (v > 0 && Number.isFinite(v)) this._state.miterLimit = v; }
+    get miterLimit() { return this._state.miterLimit; }
     set globalCompositeOperation(v) {
         const s = this._state; if (s.globalCompositeOperation === v) return;
+        if (!this.PORTER_DUFF_OPS.has(v) && !this.BLEND_MODES[v]) return;
         this.flush(); s.globalCompositeOperation = v; this._updateBlendMode();
     }
     get globalCompositeOperation() { return this._state.globalCompositeOperation || 'source-over'; }
-    set lineDash(v) { this._lineDash = v; }
-    get lineDash() { return this._lineDash || []; }
-    set lineDashOffset(v) { this._lineDashOffset = v; }
-    get lineDashOffset() { return this._lineDashOffset || 0; }
-    setLineDash(v) { this._lineDash = v; }
+    set direction(v) { if (v === 'ltr' || v === 'rtl' || v === 'inherit') this._state.direction = v; }
+    get direction() { return this._state.direction; }
+    /** CSS 长度（px / em / rem），非法值忽略；作用于 fillText / strokeText / measureText。 */
+    set letterSpacing(v) {
+        const m = String(v).trim().match(/^(-?(?:\d+\.?\d*|\.\d+))(px|em|rem)?$/);
+        if (m && (m[2] || parseFloat(m[1]) === 0)) this._state.letterSpacing = parseFloat(m[1]) + (m[2] || 'px');
+    }
+    get letterSpacing() { return this._state.letterSpacing; }
+    /** false 时之后的图片绘制改用最近邻采样（文字除外），按次生效、可与平滑绘制同批；全局开关见 setPixelArt。 */
+    set imageSmoothingEnabled(v) { this._state.imageSmoothingEnabled = !!v; }
+    get imageSmoothingEnabled() { return this._state.imageSmoothingEnabled; }
+    set imageSmoothingQuality(v) { if (v === 'low' || v === 'medium' || v === 'high') this._state.imageSmoothingQuality = v; }
+    get imageSmoothingQuality() { return this._state.imageSmoothingQuality; }
+    /** CSS filter 字符串，见 _parseFilter；无法解析的值按 Canvas 规则忽略。 */
+    set filter(v) {
+        const matrix = this._parseFilter(String(v));
+        if (matrix !== undefined) { this._state.filter = String(v); this._state.filterMatrix = matrix; }
+    }
+    get filter() { return this._state.filter; }
+    set lineDash(v) { this.setLineDash(v); }
+    get lineDash() { return this.getLineDash(); }
+    set lineDashOffset(v) { if (Number.isFinite(v)) this._state.lineDashOffset = v; }
+    get lineDashOffset() { return this._state.lineDashOffset; }
+    /** 与 Canvas 一致：含负数或非有限值时忽略，奇数个元素时复制一遍。 */
+    setLineDash(v) {
+        const arr = Array.from(v || []);
+        if (arr.some(d => !(d >= 0) || !Number.isFinite(d))) return;
+        this._state.lineDash = arr.length === 0 ? this.EMPTY_DASH : (arr.length % 2 ? arr.concat(arr) : arr);
+    }
+    getLineDash() { return this._state.lineDash.slice(); }
 
     translate(x, y) {
         const m = this._state.matrix;
@@ -666,31 +1686,220 @@ export class Blaze2D {
         const m0 = m[0], m1 = m[1], m2 = m[2], m3 = m[3];
         m[0] = m0 * c + m2 * s; m[1] = m1 * c + m3 * s; m[2] = m0 * -s + m2 * c; m[3] = m1 * -s + m3 * c;
     }
+    /** 矩阵为设备像素（含 dpr）；也接受 DOMMatrix / { a, b, c, d, e, f } 形式的单个参数。 */
     setTransform(a, b, c, d, e, f) {
+        if (typeof a === 'object' && a !== null) {
+            // DOMMatrix2DInit：先取出对象再逐项读取，避免 a 被改写后后面的默认值读错对象
+            const init = a;
+            a = init.a ?? init.m11 ?? 1; b = init.b ?? init.m12 ?? 0; c = init.c ?? init.m21 ?? 0;
+            d = init.d ?? init.m22 ?? 1; e = init.e ?? init.m41 ?? 0; f = init.f ?? init.m42 ?? 0;
+        }
         const m = this._state.matrix;
         m[0] = a; m[1] = b; m[2] = c; m[3] = d; m[4] = e; m[5] = f;
     }
+    transform(a, b, c, d, e, f) {
+        if (![a, b, c, d, e, f].every(Number.isFinite)) return;
+        const m = this._state.matrix, m0 = m[0], m1 = m[1], m2 = m[2], m3 = m[3];
+        m[4] += m0 * e + m2 * f; m[5] += m1 * e + m3 * f;
+        m[0] = m0 * a + m2 * b; m[1] = m1 * a + m3 * b; m[2] = m0 * c + m2 * d; m[3] = m1 * c + m3 * d;
+    }
+    /** 回到初始变换（只含 dpr 缩放），即用户坐标为 CSS 像素。 */
+    resetTransform() { const dpr = this.dpr || 1; this.setTransform(dpr, 0, 0, dpr, 0, 0); }
+    /** 当前矩阵（设备像素，含 dpr），可直接传回 setTransform。没有 DOMMatrix 的环境返回 { a, b, c, d, e, f }。 */
+    getTransform() {
+        const m = this._state.matrix;
+        return typeof DOMMatrix === 'function' ? new DOMMatrix([m[0], m[1], m[2], m[3], m[4], m[5]]) : { a: m[0], b: m[1], c: m[2], d: m[3], e: m[4], f: m[5] };
+    }
 
+    /** 把矩形（受当前变换与裁剪影响）清为全透明；与原生一致，不改动变换、样式等绘图状态，覆盖整个画布时也一样。 */
     clearRect(x, y, w, h) {
-        const t = 1.0;
-        if (x <= t && y <= t && w >= (this.width / this.dpr) - t && h >= (this.height / this.dpr) - t) this.clear();
+        if (!w || !h || ![x, y, w, h].every(Number.isFinite)) return;
+        const gl = this.gl;
+        this._drawWithBlend(gl.ZERO, gl.ZERO, () => this._drawRect(x, y, w, h, this.WHITE_RGBA, 1));
+    }
+
+    /** 不经 globalCompositeOperation 与 filter、按给定混合因子画一批，画完恢复当前的混合模式。 */
+    _drawWithBlend(src, dst, draw) {
+        const s = this._state, filter = s.filterMatrix;
+        this.flush();
+        this._compositeMode = null; s.filterMatrix = null;
+        this.gl.blendFunc(src, dst);
+        draw();
+        this.flush();
+        s.filterMatrix = filter;
+        this._updateBlendMode();
+    }
+
+    /**
+     * 把 CSS filter 字符串解析为 4x5 颜色矩阵（Float32Array(20)：列主序 mat4 + vec4 偏移，作用于非预乘颜色）。
+     * 支持 brightness / contrast / grayscale / sepia / saturate / invert / opacity / hue-rotate，按书写顺序相乘；
+     * 多个函数合成一个矩阵，中间结果不逐级截断到 [0, 1]。blur / drop-shadow / url 需要读取邻域像素，首次出现时警告并忽略。
+     * @returns {Float32Array|null|undefined} 'none' 返回 null，语法错误返回 undefined
+     */
+    _parseFilter(v) {
+        v = v.trim();
+        if (v === '' || v === 'none') return null;
+        const re = /\s*([a-z-]+)\(\s*((?:[^()]|\([^()]*\))*?)\s*\)\s*/iy;
+        const ANGLE = { deg: Math.PI / 180, rad: 1, grad: Math.PI / 200, turn: Math.PI * 2 };
+        // 当前矩阵，行主序 4x5
+        let M = [1, 0, 0, 0, 0, 0, 1, 0, 0, 0, 0, 0, 1, 0, 0, 0, 0, 0, 1, 0], m;
+        const apply = (F) => {
+            const R = new Array(20);
+            for (let r = 0; r < 4; r++) for (let c = 0; c < 5; c++) {
+                let sum = c === 4 ? F[r * 5 + 4] : 0;
+                for (let k = 0; k < 4; k++) sum += F[r * 5 + k] * M[k * 5 + c];
+                R[r * 5 + c] = sum;
+            }
+            M = R;
+        };
+        const rgb = (a0, a1, a2, b0, b1, b2, c0, c1, c2) => [a0, a1, a2, 0, 0, b0, b1, b2, 0, 0, c0, c1, c2, 0, 0, 0, 0, 0, 1, 0];
+        re.lastIndex = 0;
+        while (re.lastIndex < v.length && (m = re.exec(v))) {
+            const name = m[1].toLowerCase(), arg = m[2];
+            if (name === 'blur' || name === 'drop-shadow' || name === 'url') {
+                if (!this._filterWarned) { this._filterWarned = true; console.warn(`Blaze2D: filter ${name}() is not supported and is ignored`); }
+                continue;
+            }
+            const n = arg.match(/^([+-]?(?:\d+\.?\d*|\.\d+)(?:e[+-]?\d+)?)(%|deg|rad|grad|turn)?$/i);
+            if (arg !== '' && !n) return undefined;
+            const unit = n?.[2]?.toLowerCase();
+            if (name === 'hue-rotate') {
+                if (n && !unit && parseFloat(n[1]) !== 0 || unit === '%') return undefined;
+                const t = n ? parseFloat(n[1]) * (ANGLE[unit] || 0) : 0, cs = Math.cos(t), sn = Math.sin(t);
+                apply(rgb(0.213 + cs * 0.787 - sn * 0.213, 0.715 - cs * 0.715 - sn * 0.715, 0.072 - cs * 0.072 + sn * 0.928,
+                    0.213 - cs * 0.213 + sn * 0.143, 0.715 + cs * 0.285 + sn * 0.140, 0.072 - cs * 0.072 - sn * 0.283,
+                    0.213 - cs * 0.213 - sn * 0.787, 0.715 - cs * 0.715 + sn * 0.715, 0.072 + cs * 0.928 + sn * 0.072));
+                continue;
+            }
+            if (unit && unit !== '%') return undefined;
+            const a = n ? parseFloat(n[1]) / (unit ? 100 : 1) : 1;
+            if (a < 0) return undefined;
+            const k = 1 - Math.min(a, 1);
+            switch (name) {
+                case 'brightness': apply(rgb(a, 0, 0, 0, a, 0, 0, 0, a)); break;
+                case 'contrast': { const F = rgb(a, 0, 0, 0, a, 0, 0, 0, a); F[4] = F[9] = F[14] = 0.5 - 0.5 * a; apply(F); break; }
+                case 'grayscale': apply(rgb(0.2126 + 0.7874 * k, 0.7152 - 0.7152 * k, 0.0722 - 0.0722 * k, 0.2126 - 0.2126 * k, 0.7152 + 0.2848 * k, 0.0722 - 0.0722 * k, 0.2126 - 0.2126 * k, 0.7152 - 0.7152 * k, 0.0722 + 0.9278 * k)); break;
+                case 'sepia': apply(rgb(0.393 + 0.607 * k, 0.769 - 0.769 * k, 0.189 - 0.189 * k, 0.349 - 0.349 * k, 0.686 + 0.314 * k, 0.168 - 0.168 * k, 0.272 - 0.272 * k, 0.534 - 0.534 * k, 0.131 + 0.869 * k)); break;
+                case 'saturate': apply(rgb(0.213 + 0.787 * a, 0.715 - 0.715 * a, 0.072 - 0.072 * a, 0.213 - 0.213 * a, 0.715 + 0.285 * a, 0.072 - 0.072 * a, 0.213 - 0.213 * a, 0.715 - 0.715 * a, 0.072 + 0.928 * a)); break;
+                case 'invert': { const i = Math.min(a, 1), F = rgb(1 - 2 * i, 0, 0, 0, 1 - 2 * i, 0, 0, 0, 1 - 2 * i); F[4] = F[9] = F[14] = i; apply(F); break; }
+                case 'opacity': { const F = rgb(1, 0, 0, 0, 1, 0, 0, 0, 1); F[18] = Math.min(a, 1); apply(F); break; }
+                default: return undefined;
+            }
+        }
+        if (!m) return undefined;
+        const out = new Float32Array(20);
+        for (let r = 0; r < 4; r++) { for (let c = 0; c < 4; c++) out[c * 4 + r] = M[r * 5 + c]; out[16 + r] = M[r * 5 + 4]; }
+        return out;
+    }
+
+    /** 与 Canvas 相同，可传宽高或一个 ImageData（只取其尺寸）。环境没有 ImageData 时返回 { width, height, data }。 */
+    createImageData(sw, sh) {
+        if (typeof sw === 'object' && sw !== null) { sh = sw.height; sw = sw.width; }
+        sw = Math.abs(Math.trunc(sw)); sh = Math.abs(Math.trunc(sh));
+        if (!sw || !sh) throw new DOMException('Blaze2D: createImageData() width and height must be non-zero.', 'IndexSizeError');
+        return typeof ImageData === 'function' ? new ImageData(sw, sh) : { width: sw, height: sh, data: new Uint8ClampedArray(sw * sh * 4) };
+    }
+
+    /**
+     * 读回当前绘制目标（画布、后处理场景或层）的像素，坐标为设备像素（与 canvas.width / height 同一尺度），超出目标的部分为透明黑。
+     * 会先提交批次并同步等待 GPU，每帧频繁调用会拖慢渲染。
+     */
+    getImageData(sx, sy, sw, sh) {
+        if (!sw || !sh) throw new DOMException('Blaze2D: getImageData() width and height must be non-zero.', 'IndexSizeError');
+        if (sw < 0) { sx += sw; sw = -sw; }
+        if (sh < 0) { sy += sh; sh = -sh; }
+        sx = Math.floor(sx); sy = Math.floor(sy); sw = Math.ceil(sw); sh = Math.ceil(sh);
+        const out = this.createImageData(sw, sh);
+        this.flush();
+        const x0 = Math.max(0, sx), y0 = Math.max(0, sy), x1 = Math.min(this.width, sx + sw), y1 = Math.min(this.height, sy + sh);
+        if (x1 <= x0 || y1 <= y0 || this.contextLost) return out;
+        const w = x1 - x0, h = y1 - y0, buf = new Uint8Array(w * h * 4), d = out.data, gl = this.gl;
+        gl.readPixels(x0, this.height - y1, w, h, gl.RGBA, gl.UNSIGNED_BYTE, buf);
+        for (let row = 0; row < h; row++) {
+            // GL 的行自下而上；帧缓冲里是预乘颜色，ImageData 是非预乘的
+            const src = (h - 1 - row) * w * 4, dst = ((y0 - sy + row) * sw + (x0 - sx)) * 4;
+            for (let i = 0; i < w * 4; i += 4) {
+                const a = buf[src + i + 3];
+                if (!a) continue;
+                const k = 255 / a;
+                d[dst + i] = buf[src + i] * k; d[dst + i + 1] = buf[src + i + 1] * k; d[dst + i + 2] = buf[src + i + 2] * k; d[dst + i + 3] = a;
+            }
+        }
+        return out;
+    }
+
+    /**
+     * 把 ImageData（可选脏矩形）原样写入当前绘制目标，坐标为设备像素。与 Canvas 一样不受变换、globalAlpha、合成模式、裁剪与 filter 影响。
+     */
+    putImageData(imageData, dx, dy, dirtyX = 0, dirtyY = 0, dirtyWidth = imageData.width, dirtyHeight = imageData.height) {
+        if (dirtyWidth < 0) { dirtyX += dirtyWidth; dirtyWidth = -dirtyWidth; }
+        if (dirtyHeight < 0) { dirtyY += dirtyHeight; dirtyHeight = -dirtyHeight; }
+        if (dirtyX < 0) { dirtyWidth += dirtyX; dirtyX = 0; }
+        if (dirtyY < 0) { dirtyHeight += dirtyY; dirtyY = 0; }
+        const w = Math.min(dirtyWidth, imageData.width - dirtyX), h = Math.min(dirtyHeight, imageData.height - dirtyY);
+        if (!(w > 0 && h > 0) || this.contextLost) return;
+        const src = imageData.data, pixels = new Uint8Array(w * h * 4);
+        for (let row = 0; row < h; row++) {
+            const start = ((dirtyY + row) * imageData.width + dirtyX) * 4;
+            pixels.set(src.subarray(start, start + w * 4), row * w * 4);
+        }
+        this.flush();
+        const gl = this.gl, s = this._state, matrix = s.matrix.slice(), worldSpace = this._worldSpaceActive, tex = gl.createTexture();
+        gl.bindTexture(gl.TEXTURE_2D, tex);
+        gl.texImage2D(gl.TEXTURE_2D, 0, gl.RGBA, w, h, 0, gl.RGBA, gl.UNSIGNED_BYTE, pixels);
+        gl.texParameteri(gl.TEXTURE_2D, gl.TEXTURE_WRAP_S, gl.CLAMP_TO_EDGE);
+        gl.texParameteri(gl.TEXTURE_2D, gl.TEXTURE_WRAP_T, gl.CLAMP_TO_EDGE);
+        gl.texParameteri(gl.TEXTURE_2D, gl.TEXTURE_MIN_FILTER, gl.NEAREST);
+        gl.texParameteri(gl.TEXTURE_2D, gl.TEXTURE_MAG_FILTER, gl.NEAREST);
+        s.matrix.set(this.IDENTITY_MATRIX); this._worldSpaceActive = false;
+        gl.disable(gl.SCISSOR_TEST); gl.disable(gl.STENCIL_TEST);
+        try {
+            this._drawWithBlend(gl.ONE, gl.ZERO, () => this._drawTextureDirect(tex, Math.round(dx) + dirtyX, Math.round(dy) + dirtyY, w, h, 1, this.WHITE_RGBA));
+        } finally {
+            gl.deleteTexture(tex);
+            s.matrix.set(matrix); this._worldSpaceActive = worldSpace;
+            // 模板缓冲内容没变，重新打开测试即可；scissor 按当前状态重新应用
+            if (s.clipPaths.length) gl.enable(gl.STENCIL_TEST);
+            this._appliedClipRect = null; this._applyClip();
+        }
     }
 
     clear() {
         this.flush();
+        if (this._layerStack.length) {
+            // 层内 clear() 只清空层本身，不重置绘制状态（外层状态要在 endLayer 时恢复）
+            const gl = this.gl;
+            gl.disable(gl.SCISSOR_TEST); this._appliedClipRect = null;
+            gl.clearColor(0, 0, 0, 0); gl.clear(gl.COLOR_BUFFER_BIT);
+            this._applyClip();
+            return;
+        }
+        if (this.postProcessing && !this.contextLost) {
+            // 开启后处理时整帧画进场景目标，present() 时再经通道链输出
+            this._ensurePostTargets();
+            this._targetFramebuffer = this._postScene.framebuffer;
+            this.gl.bindFramebuffer(this.gl.FRAMEBUFFER, this._targetFramebuffer);
+            this._appliedClipPaths = null;
+        } else if (this._targetFramebuffer !== null) {
+            this._targetFramebuffer = null;
+            this.gl.bindFramebuffer(this.gl.FRAMEBUFFER, null);
+            this._appliedClipPaths = null;
+        }
+        this.gl.disable(this.gl.SCISSOR_TEST); this._appliedClipRect = null;
         this.gl.clearColor(0, 0, 0, 0);
         this.gl.clear(this.gl.COLOR_BUFFER_BIT);
         this.resetState();
     }
 
     resetState() {
-        this.batchCount = 0; this.currentTexture = null;
+        this.batchCount = 0; this.currentTexture = null; this.batchTextures.length = 0;
         while (this.stateStack.length > 1) this.statePool.push(this.stateStack.pop());
         const root = this.stateStack[0];
         this._copyState(this._createDefaultState(), root);
         root.matrix[0] = root.matrix[3] = this.dpr || 1;
         this.globalCompositeOperation = 'source-over';
         this._updateBlendMode();
+        this._applyClip();
     }
 
     resize(width, height, dpr = 1) {
@@ -698,33 +1907,50 @@ export class Blaze2D {
         this.canvas.width = this.width; this.canvas.height = this.height;
         this.gl.viewport(0, 0, this.width, this.height);
         this.setTransform(dpr, 0, 0, dpr, 0, 0);
+        // 画布尺寸变化后模板缓冲被重新分配，需要重建裁剪
+        this._appliedClipRect = this._appliedClipPaths = null;
+        this._applyClip();
     }
 
     fillRect(x, y, w, h) {
         const s = this._state;
-        if (typeof s.fillStyle === 'object' && s.fillStyle?.isGradient) { this.beginPath(); this.rect(x, y, w, h); this.fill(); return; }
-        const rgba = typeof s.fillStyle === 'string' ? this._parseColor(s.fillStyle) : (Array.isArray(s.fillStyle) ? s.fillStyle : this.WHITE_RGBA);
-        this._drawRect(x, y, w, h, rgba, s.alpha);
+        if (s.fillStyle?.isGradient) {
+            if (this._beginPaint(s.fillStyle)) { this._drawTextureDirect(this.whiteTexture, x, y, w, h); this._endPaint(); }
+        } else {
+            const rgba = typeof s.fillStyle === 'string' ? this._parseColor(s.fillStyle) : (Array.isArray(s.fillStyle) ? s.fillStyle : this.WHITE_RGBA);
+            this._drawRect(x, y, w, h, rgba, s.alpha);
+        }
+        this._endDraw();
     }
 
     drawRect(x, y, w, h, color = [1, 1, 1, 1], alpha = 1.0) {
         this._drawTextureDirect(this.whiteTexture, x, y, w, h, alpha, typeof color === 'string' ? this._parseColor(color) : color);
+        this._endDraw();
     }
 
     drawCircle(x, y, radius, color = [1, 1, 1, 1], alpha = 1.0, isStroke = false, lineWidth = 1) {
         this._drawCircle(x, y, radius, color, alpha, isStroke, lineWidth);
+        this._endDraw();
     }
 
     drawLine(x1, y1, x2, y2, width, color = [1, 1, 1, 1], alpha = 1.0) {
         this._drawLine(x1, y1, x2, y2, width, typeof color === 'string' ? this._parseColor(color) : color, alpha, this._state.matrix);
+        this._endDraw();
     }
 
+    /**
+     * 一个绘制操作结束。离屏读回的合成模式（_compositeMode）按 Canvas 语义逐个操作合成：
+     * 立即提交并合成本次操作，同一批次里相互重叠的图形才不会被当成一个整体合成。
+     */
+    _endDraw() { if (this._compositeMode && this.batchCount > 0) this.flush(); }
+
     drawShadow(shadowTexture, x, y, w, h, alpha = 0.3) {
         if (!shadowTexture) return;
         if (shadowTexture._needsUpdate === undefined) shadowTexture._needsUpdate = true;
         const info = this.getTexture(shadowTexture);
         if (!info) return;
         this._drawTextureDirect(info, x, y, w, h, alpha, [1, 1, 1, 1], 0, 0, 1, 1);
+        this._endDraw();
     }
 
     drawImage(image, sx, sy, sw, sh, dx, dy, dw, dh) {
@@ -735,12 +1961,9 @@ export class Blaze2D {
             sx = 0; sy = 0; sw = image.width; sh = image.height;
         }
         const info = this.getTexture(image);
-        const texture = info.texture ? info.texture : info;
-        if (this.currentTexture !== texture || this.batchCount >= this.maxBatchSize) {
-            if (this.batchCount > 0) this.flush();
-            this.currentTexture = (texture instanceof WebGLTexture) ? texture : this.whiteTexture;
-        }
         const s = this._state, m = s.matrix;
+        const hasShadow = s.shadowBlur > 0 && s.shadowColor !== 'transparent' && s.shadowColor !== 'rgba(0,0,0,0)';
+        this._bindTexture(info.texture ? info.texture : info, hasShadow ? 2 : 1);
         const m0 = m[0], m1 = m[1], m2 = m[2], m3 = m[3], m4 = m[4], m5 = m[5];
         let u0, v0, u1, v1;
         if (info.uv) {
@@ -750,23 +1973,24 @@ export class Blaze2D {
         } else {
             u0 = sx / image.width; v0 = sy / image.height; u1 = (sx + sw) / image.width; v1 = (sy + sh) / image.height;
         }
-        if (s.shadowBlur > 0 && s.shadowColor !== 'transparent' && s.shadowColor !== 'rgba(0,0,0,0)') {
+        if (hasShadow) {
             const sRGBA = this._parseColor(s.shadowColor), glow = s.shadowBlur * 0.5, sA = s.alpha * 0.5;
             const sx0 = dx - glow, sy0 = dy - glow, x1 = sx0 + dw + glow * 2, y1 = sy0 + dh + glow * 2;
             const o = this.batchCount * this.vertexCountPerSprite;
             this.addVertex(o + 0, m0 * sx0 + m2 * sy0 + m4, m1 * sx0 + m3 * sy0 + m5, u0, v0, sA, sRGBA);
-            this.addVertex(o + 9, m0 * x1 + m2 * sy0 + m4, m1 * x1 + m3 * sy0 + m5, u1, v0, sA, sRGBA);
-            this.addVertex(o + 18, m0 * x1 + m2 * y1 + m4, m1 * x1 + m3 * y1 + m5, u1, v1, sA, sRGBA);
-            this.addVertex(o + 27, m0 * sx0 + m2 * y1 + m4, m1 * sx0 + m3 * y1 + m5, u0, v1, sA, sRGBA);
-            if (++this.batchCount >= this.maxBatchSize) this.flush();
+            this.addVertex(o + 10, m0 * x1 + m2 * sy0 + m4, m1 * x1 + m3 * sy0 + m5, u1, v0, sA, sRGBA);
+            this.addVertex(o + 20, m0 * x1 + m2 * y1 + m4, m1 * x1 + m3 * y1 + m5, u1, v1, sA, sRGBA);
+            this.addVertex(o + 30, m0 * sx0 + m2 * y1 + m4, m1 * sx0 + m3 * y1 + m5, u0, v1, sA, sRGBA);
+            this.batchCount++;
         }
         const rgba = s.flash > 0 ? [1, 1, 1, 10] : this.WHITE_RGBA;
         const x1 = dx + dw, y1 = dy + dh, o = this.batchCount * this.vertexCountPerSprite;
         this.addVertex(o + 0, m0 * dx + m2 * dy + m4, m1 * dx + m3 * dy + m5, u0, v0, s.alpha, rgba);
-        this.addVertex(o + 9, m0 * x1 + m2 * dy + m4, m1 * x1 + m3 * dy + m5, u1, v0, s.alpha, rgba);
-        this.addVertex(o + 18, m0 * x1 + m2 * y1 + m4, m1 * x1 + m3 * y1 + m5, u1, v1, s.alpha, rgba);
-        this.addVertex(o + 27, m0 * dx + m2 * y1 + m4, m1 * dx + m3 * y1 + m5, u0, v1, s.alpha, rgba);
+        this.addVertex(o + 10, m0 * x1 + m2 * dy + m4, m1 * x1 + m3 * dy + m5, u1, v0, s.alpha, rgba);
+        this.addVertex(o + 20, m0 * x1 + m2 * y1 + m4, m1 * x1 + m3 * y1 + m5, u1, v1, s.alpha, rgba);
+        this.addVertex(o + 30, m0 * dx + m2 * y1 + m4, m1 * dx + m3 * y1 + m5, u0, v1, s.alpha, rgba);
         this.batchCount++;
+        this._endDraw();
     }
 
     drawTexture(info, x, y, w, h, u0 = 0, v0 = 0, u1 = 1, v1 = 1, rotation = 0, alpha = 1.0, flipX = false, flipY = false, tintR = 1, tintG = 1, tintB = 1, flash = 0) {
@@ -779,10 +2003,7 @@ export class Blaze2D {
             texture = info.texture;
             if (info.uv) { const uw = info.uv.u1 - info.uv.u0, vh = info.uv.v1 - info.uv.v0; fU0 = info.uv.u0 + u0 * uw; fV0 = info.uv.v0 + v0 * vh; fU1 = info.uv.u0 + u1 * uw; fV1 = info.uv.v0 + v1 * vh; }
         }
-        if (this.currentTexture !== texture || this.batchCount >= this.maxBatchSize) {
-            if (this.batchCount > 0) this.flush();
-            this.currentTexture = (texture instanceof WebGLTexture) ? texture : this.whiteTexture;
-        }
+        this._bindTexture(texture);
         if (flipX) { let t = fU0; fU0 = fU1; fU1 = t; }
         if (flipY) { let t = fV0; fV0 = fV1; fV1 = t; }
         const s = this._state, m = s.matrix, m0 = m[0], m1 = m[1], m2 = m[2], m3 = m[3], m4 = m[4], m5 = m[5];
@@ -791,9 +2012,9 @@ export class Blaze2D {
         if (rotation === 0) {
             const x1 = x + w, y1 = y + h;
             this.addVertex(o + 0, m0 * x + m2 * y + m4, m1 * x + m3 * y + m5, fU0, fV0, fA, rgba);
-            this.addVertex(o + 9, m0 * x1 + m2 * y + m4, m1 * x1 + m3 * y + m5, fU1, fV0, fA, rgba);
-            this.addVertex(o + 18, m0 * x1 + m2 * y1 + m4, m1 * x1 + m3 * y1 + m5, fU1, fV1, fA, rgba);
-            this.addVertex(o + 27, m0 * x + m2 * y1 + m4, m1 * x + m3 * y1 + m5, fU0, fV1, fA, rgba);
+            this.addVertex(o + 10, m0 * x1 + m2 * y + m4, m1 * x1 + m3 * y + m5, fU1, fV0, fA, rgba);
+            this.addVertex(o + 20, m0 * x1 + m2 * y1 + m4, m1 * x1 + m3 * y1 + m5, fU1, fV1, fA, rgba);
+            this.addVertex(o + 30, m0 * x + m2 * y1 + m4, m1 * x + m3 * y1 + m5, fU0, fV1, fA, rgba);
         } else {
             const cos = Math.cos(rotation), sin = Math.sin(rotation), hw = w / 2, hh = h / 2, cx = x + hw, cy = y + hh;
             const rx0 = -hw * cos + hh * sin + cx, ry0 = -hw * sin - hh * cos + cy;
@@ -801,11 +2022,12 @@ export class Blaze2D {
             const rx2 = hw * cos - hh * sin + cx, ry2 = hw * sin + hh * cos + cy;
             const rx3 = -hw * cos - hh * sin + cx, ry3 = -hw * sin + hh * cos + cy;
             this.addVertex(o + 0, m0 * rx0 + m2 * ry0 + m4, m1 * rx0 + m3 * ry0 + m5, fU0, fV0, fA, rgba);
-            this.addVertex(o + 9, m0 * rx1 + m2 * ry1 + m4, m1 * rx1 + m3 * ry1 + m5, fU1, fV0, fA, rgba);
-            this.addVertex(o + 18, m0 * rx2 + m2 * ry2 + m4, m1 * rx2 + m3 * ry2 + m5, fU1, fV1, fA, rgba);
-            this.addVertex(o + 27, m0 * rx3 + m2 * ry3 + m4, m1 * rx3 + m3 * ry3 + m5, fU0, fV1, fA, rgba);
+            this.addVertex(o + 10, m0 * rx1 + m2 * ry1 + m4, m1 * rx1 + m3 * ry1 + m5, fU1, fV0, fA, rgba);
+            this.addVertex(o + 20, m0 * rx2 + m2 * ry2 + m4, m1 * rx2 + m3 * ry2 + m5, fU1, fV1, fA, rgba);
+            this.addVertex(o + 30, m0 * rx3 + m2 * ry3 + m4, m1 * rx3 + m3 * ry3 + m5, fU0, fV1, fA, rgba);
         }
         this.batchCount++;
+        this._endDraw();
     }
 
     drawSpriteFast(image, x, y, w, h, rotation = 0, alpha = 1.0, tint = null) {
@@ -814,10 +2036,9 @@ export class Blaze2D {
         let texture, uv;
         if (texInfo?.texture) { texture = texInfo.texture; uv = texInfo.uv || { u0: 0, v0: 0, u1: 1, v1: 1 }; }
         else { texture = (texInfo instanceof WebGLTexture) ? texInfo : this.whiteTexture; uv = { u0: 0, v0: 0, u1: 1, v1: 1 }; }
-        if (this.currentTexture !== texture || this.batchCount >= this.maxBatchSize) {
-            if (this.batchCount > 0) this.flush();
-            this.currentTexture = (texture instanceof WebGLTexture) ? texture : this.whiteTexture;
-        }
+        // 批次里已有普通顶点时改走顶点路径，不为切换绘制方式单独提交
+        if (this.instancing && (this._instanced || this.batchCount === 0)) { this._drawSpriteInstance(texture, uv, x, y, w, h, rotation, alpha, tint); this._endDraw(); return; }
+        const slot = this._bindTexture(texture);
         const hw = w * 0.5, hh = h * 0.5, cos = Math.cos(rotation), sin = Math.sin(rotation);
         const lx0 = -hw * cos + hh * sin + x, ly0 = -hw * sin - hh * cos + y;
         const lx1 = hw * cos + hh * sin + x, ly1 = hw * sin - hh * cos + y;
@@ -831,204 +2052,1734 @@ export class Blaze2D {
         let rgba = (tint && tint.length >= 4 && !tint.isGradient) ? tint : this.WHITE_RGBA;
         const fA = alpha * s.alpha, isFlash = rgba[3] > 5, cA = isFlash ? 1 : Math.min(1, rgba[3]), ca = fA * cA, ff = isFlash ? 2 : Math.min(1, ca);
         const o = this.batchCount * this.vertexCountPerSprite, d = this.vertexData;
-        d[o + 0] = r0x; d[o + 1] = r0y; d[o + 2] = uv.u0; d[o + 3] = uv.v0; d[o + 4] = ca; d[o + 5] = rgba[0]; d[o + 6] = rgba[1]; d[o + 7] = rgba[2]; d[o + 8] = ff;
-        d[o + 9] = r1x; d[o + 10] = r1y; d[o + 11] = uv.u1; d[o + 12] = uv.v0; d[o + 13] = ca; d[o + 14] = rgba[0]; d[o + 15] = rgba[1]; d[o + 16] = rgba[2]; d[o + 17] = ff;
-        d[o + 18] = r2x; d[o + 19] = r2y; d[o + 20] = uv.u1; d[o + 21] = uv.v1; d[o + 22] = ca; d[o + 23] = rgba[0]; d[o + 24] = rgba[1]; d[o + 25] = rgba[2]; d[o + 26] = ff;
-        d[o + 27] = r3x; d[o + 28] = r3y; d[o + 29] = uv.u0; d[o + 30] = uv.v1; d[o + 31] = ca; d[o + 32] = rgba[0]; d[o + 33] = rgba[1]; d[o + 34] = rgba[2]; d[o + 35] = ff;
+        d[o + 0] = r0x; d[o + 1] = r0y; d[o + 2] = uv.u0; d[o + 3] = uv.v0; d[o + 4] = ca; d[o + 5] = rgba[0]; d[o + 6] = rgba[1]; d[o + 7] = rgba[2]; d[o + 8] = ff; d[o + 9] = slot;
+        d[o + 10] = r1x; d[o + 11] = r1y; d[o + 12] = uv.u1; d[o + 13] = uv.v0; d[o + 14] = ca; d[o + 15] = rgba[0]; d[o + 16] = rgba[1]; d[o + 17] = rgba[2]; d[o + 18] = ff; d[o + 19] = slot;
+        d[o + 20] = r2x; d[o + 21] = r2y; d[o + 22] = uv.u1; d[o + 23] = uv.v1; d[o + 24] = ca; d[o + 25] = rgba[0]; d[o + 26] = rgba[1]; d[o + 27] = rgba[2]; d[o + 28] = ff; d[o + 29] = slot;
+        d[o + 30] = r3x; d[o + 31] = r3y; d[o + 32] = uv.u0; d[o + 33] = uv.v1; d[o + 34] = ca; d[o + 35] = rgba[0]; d[o + 36] = rgba[1]; d[o + 37] = rgba[2]; d[o + 38] = ff; d[o + 39] = slot;
+        this.batchCount++;
+        this._endDraw();
+    }
+
+    /** drawSpriteFast 的实例化版本：写一条 16 个 float 的实例记录，替代 4 个顶点 × 10 个 float。 */
+    _drawSpriteInstance(texture, uv, x, y, w, h, rotation, alpha, tint) {
+        const slot = this._bindSlot(texture, 1);
+        this._instanced = true;
+        const s = this._state, m = s.matrix, cos = Math.cos(rotation), sin = Math.sin(rotation);
+        const ax = w * 0.5 * cos, ay = w * 0.5 * sin, bx = -h * 0.5 * sin, by = h * 0.5 * cos;
+        const rgba = (tint && tint.length >= 4 && !tint.isGradient) ? tint : this.WHITE_RGBA;
+        const isFlash = rgba[3] > 5, ca = alpha * s.alpha * (isFlash ? 1 : Math.min(1, rgba[3]));
+        const o = this.batchCount * this.instanceStride, d = this.instanceData;
+        d[o] = m[0] * x + m[2] * y + m[4]; d[o + 1] = m[1] * x + m[3] * y + m[5];
+        d[o + 2] = m[0] * ax + m[2] * ay; d[o + 3] = m[1] * ax + m[3] * ay;
+        d[o + 4] = m[0] * bx + m[2] * by; d[o + 5] = m[1] * bx + m[3] * by;
+        d[o + 6] = uv.u0; d[o + 7] = uv.v0; d[o + 8] = uv.u1; d[o + 9] = uv.v1;
+        d[o + 10] = rgba[0]; d[o + 11] = rgba[1]; d[o + 12] = rgba[2]; d[o + 13] = isFlash ? 2 : Math.min(1, ca);
+        d[o + 14] = ca; d[o + 15] = slot;
+        this.batchCount++;
+    }
+
+    /**
+     * 导入 TexturePacker / Aseprite 导出的精灵表（JSON Hash 或 JSON Array 格式），按名字注册每一帧。
+     * 支持裁剪（trimmed）、旋转（rotated，顺时针 90°）与 pivot；Aseprite 的 frameTags 与
+     * TexturePacker 的 animations 会注册为帧序列，可用 getAnimationFrame 取帧。
+     * @param {HTMLImageElement|HTMLCanvasElement} image 精灵表图片
+     * @param {object|string} data 导出的 JSON（对象或字符串）
+     * @param {{pivotX?: number, pivotY?: number}} [options] 没有 pivot 的帧使用的默认锚点（默认中心）
+     * @returns {{image, frames: string[], animations: string[]}} 表句柄，可传给 unloadSpritesheet
+     */
+    loadSpritesheet(image, data, options = {}) {
+        if (typeof data === 'string') data = JSON.parse(data);
+        const defPivotX = options.pivotX ?? 0.5, defPivotY = options.pivotY ?? 0.5;
+        const list = Array.isArray(data.frames)
+            ? data.frames.map(f => [f.filename ?? f.name, f])
+            : Object.entries(data.frames || {});
+        const sheet = { image, frames: [], animations: [] };
+        for (const [name, f] of list) {
+            const fr = f.frame, rotated = !!f.rotated;
+            const sss = f.spriteSourceSize || { x: 0, y: 0, w: fr.w, h: fr.h };
+            const src = f.sourceSize || { w: sss.w, h: sss.h };
+            this.frames.set(name, {
+                name, image, rotated,
+                // 精灵表中的实际区域（旋转帧的宽高互换）
+                x: fr.x, y: fr.y, w: rotated ? fr.h : fr.w, h: rotated ? fr.w : fr.h,
+                trimX: sss.x, trimY: sss.y, trimW: sss.w, trimH: sss.h,
+                sourceW: src.w, sourceH: src.h,
+                pivotX: f.pivot ? f.pivot.x : defPivotX, pivotY: f.pivot ? f.pivot.y : defPivotY,
+                duration: f.duration !== undefined ? f.duration / 1000 : 0.1
+            });
+            sheet.frames.push(name);
+        }
+        const tags = data.meta?.frameTags || [];
+        for (const tag of tags) {
+            const names = sheet.frames.slice(tag.from, tag.to + 1);
+            this._registerAnimation(tag.name, names, tag.direction || 'forward');
+            sheet.animations.push(tag.name);
+        }
+        for (const [tagName, names] of Object.entries(data.animations || {})) {
+            this._registerAnimation(tagName, names, 'forward');
+            sheet.animations.push(tagName);
+        }
+        return sheet;
+    }
+
+    _registerAnimation(name, frameNames, direction) {
+        const durations = frameNames.map(n => this.frames.get(n)?.duration ?? 0.1);
+        this.animations.set(name, { name, frames: frameNames, durations, direction, totalDuration: durations.reduce((a, b) => a + b, 0) });
+    }
+
+    /** 移除精灵表注册的帧与动画，并释放其纹理。 */
+    unloadSpritesheet(sheet) {
+        if (!sheet) return;
+        for (const name of sheet.frames) if (this.frames.get(name)?.image === sheet.image) this.frames.delete(name);
+        for (const name of sheet.animations) this.animations.delete(name);
+        this.releaseTexture(sheet.image);
+    }
+
+    getFrame(name) { return this.frames.get(name) || null; }
+
+    /**
+     * 按时间取动画当前帧的名字（循环播放），支持 Aseprite 的 forward / reverse / pingpong。
+     * @param {string} name 动画（tag）名
+     * @param {number} time 动画已播放的秒数
+     * @returns {string|null}
+     */
+    getAnimationFrame(name, time) {
+        const anim = this.animations.get(name);
+        if (!anim || anim.frames.length === 0) return null;
+        const n = anim.frames.length;
+        const order = anim.direction === 'pingpong' && n > 1
+            ? [...Array(n).keys(), ...Array.from({ length: n - 2 }, (_, i) => n - 2 - i)]
+            : anim.direction === 'reverse' ? Array.from({ length: n }, (_, i) => n - 1 - i) : [...Array(n).keys()];
+        let total = 0;
+        for (const i of order) total += anim.durations[i];
+        let t = total > 0 ? ((time % total) + total) % total : 0;
+        for (const i of order) { t -= anim.durations[i]; if (t < 0) return anim.frames[i]; }
+        return anim.frames[order[order.length - 1]];
+    }
+
+    /**
+     * 按帧名绘制精灵，与 drawSpriteFast 共用批次。(x, y) 为帧的 pivot 所在位置，旋转也绕 pivot 进行。
+     * @param {string} name 帧名
+     * @param {number} [w] 绘制宽度，默认原始（未裁剪）尺寸；负值表示水平翻转
+     * @param {number} [h] 绘制高度，默认原始尺寸；负值表示垂直翻转
+     */
+    drawFrame(name, x, y, w, h, rotation = 0, alpha = 1.0, tint = null) { this._drawFrame(name, x, y, w, h, rotation, alpha, tint); this._endDraw(); }
+
+    /** drawFrame 的批次部分；drawTextLayout 的行内图标也走这里，整段排版作为一个绘制操作合成。 */
+    _drawFrame(name, x, y, w, h, rotation, alpha, tint) {
+        const f = typeof name === 'string' ? this.frames.get(name) : name;
+        if (!f) return;
+        const iW = f.image.width, iH = f.image.height;
+        if (!iW || !iH) return;
+        const texInfo = this.getTexture(f.image);
+        let texture = this.whiteTexture, uv = null;
+        if (texInfo?.texture) { texture = texInfo.texture; uv = texInfo.uv; }
+        else if (texInfo instanceof WebGLTexture) texture = texInfo;
+        this._bindTexture(texture);
+        // 帧在整张纹理中的 UV 区域
+        let bu0 = 0, bv0 = 0, bw = 1, bh = 1;
+        if (uv) { bu0 = uv.u0; bv0 = uv.v0; bw = uv.u1 - uv.u0; bh = uv.v1 - uv.v0; }
+        const ru0 = bu0 + (f.x / iW) * bw, rv0 = bv0 + (f.y / iH) * bh, ru1 = bu0 + ((f.x + f.w) / iW) * bw, rv1 = bv0 + ((f.y + f.h) / iH) * bh;
+        const sx = (w === undefined ? f.sourceW : w) / f.sourceW, sy = (h === undefined ? f.sourceH : h) / f.sourceH;
+        const left = (f.trimX - f.pivotX * f.sourceW) * sx, top = (f.trimY - f.pivotY * f.sourceH) * sy;
+        const right = left + f.trimW * sx, bottom = top + f.trimH * sy;
+        const cos = Math.cos(rotation), sin = Math.sin(rotation);
+        const lx0 = left * cos - top * sin + x, ly0 = left * sin + top * cos + y;
+        const lx1 = right * cos - top * sin + x, ly1 = right * sin + top * cos + y;
+        const lx2 = right * cos - bottom * sin + x, ly2 = right * sin + bottom * cos + y;
+        const lx3 = left * cos - bottom * sin + x, ly3 = left * sin + bottom * cos + y;
+        const s = this._state, m = s.matrix, m0 = m[0], m1 = m[1], m2 = m[2], m3 = m[3], m4 = m[4], m5 = m[5];
+        // 旋转帧在表中顺时针转了 90°：左上角对应区域右上角，依次类推
+        let u0, v0, u1, v1, u2, v2, u3, v3;
+        if (f.rotated) { u0 = ru1; v0 = rv0; u1 = ru1; v1 = rv1; u2 = ru0; v2 = rv1; u3 = ru0; v3 = rv0; }
+        else { u0 = ru0; v0 = rv0; u1 = ru1; v1 = rv0; u2 = ru1; v2 = rv1; u3 = ru0; v3 = rv1; }
+        const rgba = (tint && tint.length >= 4 && !tint.isGradient) ? tint : this.WHITE_RGBA;
+        const fA = alpha * s.alpha, o = this.batchCount * this.vertexCountPerSprite;
+        this.addVertex(o + 0, m0 * lx0 + m2 * ly0 + m4, m1 * lx0 + m3 * ly0 + m5, u0, v0, fA, rgba);
+        this.addVertex(o + 10, m0 * lx1 + m2 * ly1 + m4, m1 * lx1 + m3 * ly1 + m5, u1, v1, fA, rgba);
+        this.addVertex(o + 20, m0 * lx2 + m2 * ly2 + m4, m1 * lx2 + m3 * ly2 + m5, u2, v2, fA, rgba);
+        this.addVertex(o + 30, m0 * lx3 + m2 * ly3 + m4, m1 * lx3 + m3 * ly3 + m5, u3, v3, fA, rgba);
         this.batchCount++;
     }
 
+    /**
+     * 注册（或替换同名）区域特效。fragmentSource 只需写辅助函数与 main()，已自动声明：
+     * v_texCoord（特效方块内 0~1）、u_time，以及 schema 中每个参数 k 对应的 u_k（每个实例各自的值）。输出按预乘 alpha 处理。
+     * 编译失败时抛出 Error，消息中带着色器日志。
+     * @param {string} name
+     * @param {string} fragmentSource
+     * @param {Object<string, string|{type: string, default?: *}>} [uniformSchema] 参数类型：float / vec2 / vec3 / vec4 / color（CSS 颜色串或 [r,g,b,a]）
+     */
+    registerEffect(name, fragmentSource, uniformSchema = {}) {
+        const schema = {};
+        for (const [k, def] of Object.entries(uniformSchema)) {
+            const { type, default: value } = typeof def === 'string' ? { type: def } : def;
+            const size = this.EFFECT_UNIFORM_SIZES[type];
+            if (!/^[A-Za-z]\w*$/.test(k) || k === 'time') throw new Error(`Blaze2D: effect "${name}" has an invalid uniform name "${k}".`);
+            if (!size) throw new TypeError(`Blaze2D: effect "${name}" uniform "${k}" has unknown type "${type}" (expected float, vec2, vec3, vec4 or color).`);
+            const u = schema[k] = { type, size, glslType: size === 1 ? 'float' : `vec${size}`, value: null };
+            u.value = value === undefined ? (size === 1 ? 0 : new Float32Array(size)) : this._effectValue(name, k, u, value);
+        }
+        const gl = this.gl, limit = Math.min(gl.getParameter(gl.MAX_VERTEX_ATTRIBS), gl.getParameter(gl.MAX_VARYING_VECTORS)) - 2;
+        if (Object.keys(schema).length > limit) throw new Error(`Blaze2D: effect "${name}" declares ${Object.keys(schema).length} uniforms, at most ${limit} are supported.`);
+        const effect = { name, source: fragmentSource, schema, program: null };
+        this._compileEffect(effect);
+        const old = this.effects.get(name);
+        if (old) {
+            if (old.count) this.flush();
+            gl.deleteProgram(old.program); gl.deleteBuffer(old.buffer);
+        }
+        this.effects.set(name, effect);
+        return effect;
+    }
+
+    /** 校验并转换特效参数，类型不符时抛出 TypeError。 */
+    _effectValue(name, key, u, v) {
+        if (u.type === 'color' && typeof v === 'string') return this._parseColor(v);
+        if (u.size === 1) {
+            if (typeof v !== 'number' || !isFinite(v)) throw new TypeError(`Blaze2D: effect "${name}" uniform "${key}" expects a finite number, got ${v}.`);
+            return v;
+        }
+        if (!v || typeof v !== 'object' || v.length !== u.size) throw new TypeError(`Blaze2D: effect "${name}" uniform "${key}" expects ${u.type === 'color' ? 'a CSS color or ' : ''}an array of ${u.size} numbers.`);
+        return v;
+    }
+
+    /**
+     * 以 (x, y) 为中心、radius 为半径绘制已注册的特效，与内置特效一样遵循摄像机 / 世界坐标 / dpr 与当前合成模式。
+     * 实例先排队，不打断主批次：flush 时按排队位置穿插在前后的精灵之间绘制。相邻两次精灵绘制之间排队的同种特效合为一次 Draw Call，
+     * 不同种类的按首次排队的顺序整体叠放；与精灵交替排队时，每次交替都会把主批次切开一次。
+     * @param {object} [uniforms] 参数值，未给出的用 schema 默认值；time 默认为 setTime() 设置的时间
+     */
+    drawEffect(name, x, y, radius, uniforms = {}) {
+        const effect = this.effects.get(name);
+        if (!effect) throw new Error(`Blaze2D: unknown effect "${name}".`);
+        for (const k in uniforms) if (k !== 'time' && !effect.schema[k]) throw new Error(`Blaze2D: effect "${name}" has no uniform "${k}".`);
+        if (this.contextLost) return;
+        if (effect.count >= this.EFFECT_BATCH_SIZE) this.flush();
+        // 记下排队时主批次的位置，flush 时据此穿插；实例化绘制无法从中间切开，批次里已有实例记录时先展开成顶点
+        if (this._instanced && this.batchCount > 0) this._expandInstances();
+        const at = this.batchCount, seg = effect.segment;
+        if (seg && seg.at === at) seg.count++;
+        else this._pendingEffects.push(effect.segment = { effect, first: effect.count, count: 1, at });
+        const dpr = this.dpr, r = radius * dpr, d = effect.vertexData, stride = effect.stride, o = effect.count * 4 * stride;
+        let cx = x * dpr, cy = y * dpr;
+        if (this._worldSpaceActive) { cx += this.width * 0.5 - this.cameraX * dpr; cy += this.height * 0.5 - this.cameraY * dpr; }
+        const time = uniforms.time ?? this.currentTime;
+        for (let i = 0; i < 4; i++) {
+            const v = o + i * stride, u = (i === 1 || i === 2) ? 1 : 0, w = i >= 2 ? 1 : 0;
+            d[v] = cx + (u * 2 - 1) * r; d[v + 1] = cy + (w * 2 - 1) * r; d[v + 2] = u; d[v + 3] = w; d[v + 4] = time;
+        }
+        let off = 5;
+        for (const k in effect.schema) {
+            const u = effect.schema[k], val = uniforms[k] === undefined ? u.value : this._effectValue(name, k, u, uniforms[k]);
+            for (let i = 0; i < 4; i++) {
+                const v = o + i * stride + off;
+                if (u.size === 1) d[v] = val; else for (let c = 0; c < u.size; c++) d[v + c] = val[c];
+            }
+            off += u.size;
+        }
+        effect.count++;
+        // 离屏读回的合成模式下每个特效单独合成（见 _endDraw）
+        if (this._compositeMode) this._flushEffects();
+    }
+
+    /** 主批次为空时提交排队的特效（合成模式下每次 drawEffect 都立即走这里）；主批次有内容时由 flush 穿插绘制。 */
+    _flushEffects() {
+        if (!this._pendingEffects.length) return;
+        if (!this.contextLost) {
+            if (this._compositeMode) this._beginOffscreenComposite();
+            this._drawEffects(0, Infinity);
+            if (this._compositeMode) this._endOffscreenComposite();
+            this.gl.useProgram(this.program);
+        }
+        this._resetEffects();
+    }
+
+    /**
+     * 依次绘制 _pendingEffects[i..] 中排队位置不超过 at 的特效段，每段一次 drawElements（复用主批次的四边形索引）。
+     * 会切换着色器程序与顶点属性，调用方需自行切回。
+     * @returns {number} 下一个未绘制的段下标
+     */
+    _drawEffects(i, at) {
+        const gl = this.gl, pending = this._pendingEffects;
+        gl.bindBuffer(gl.ELEMENT_ARRAY_BUFFER, this.indexBuffer);
+        for (; i < pending.length && pending[i].at <= at; i++) {
+            const { effect: e, first, count } = pending[i];
+            gl.useProgram(e.program);
+            gl.uniform2f(e.resolution, this.width, this.height);
+            gl.bindBuffer(gl.ARRAY_BUFFER, e.buffer);
+            // 同种特效的各段按 first 递增绘制，第一段时整体上传一次
+            if (first === 0) gl.bufferSubData(gl.ARRAY_BUFFER, 0, e.vertexData.subarray(0, e.count * 4 * e.stride));
+            for (const a of e.attributes) {
+                if (a.loc < 0) continue;
+                gl.enableVertexAttribArray(a.loc); gl.vertexAttribPointer(a.loc, a.size, gl.FLOAT, false, e.stride * 4, a.offset * 4);
+            }
+            gl.drawElements(gl.TRIANGLES, count * 6, gl.UNSIGNED_SHORT, first * 12);
+            this.drawCallCount++; this.triangleCount += count * 2;
+        }
+        return i;
+    }
+
+    /** 清空特效队列（已提交或放弃）。 */
+    _resetEffects() {
+        for (const seg of this._pendingEffects) { seg.effect.count = 0; seg.effect.segment = null; }
+        this._pendingEffects.length = 0;
+    }
+
     drawGravityField(x, y, radius, time, colorInner, colorOuter, distortion = 0.15) {
-        this.flush();
-        const gl = this.gl;
-        gl.useProgram(this.gravityProgram);
-        gl.uniform2f(this.gravityLocations.resolution, this.width, this.height);
-        gl.uniform2f(this.gravityLocations.camera, this.cameraX * this.dpr, this.cameraY * this.dpr);
-        gl.uniform1f(this.gravityLocations.worldSpace, this._worldSpaceActive ? 1.0 : 0.0);
-        gl.uniform1f(this.gravityLocations.dpr, this.dpr);
-        gl.uniform1f(this.gravityLocations.time, time);
-        gl.uniform4fv(this.gravityLocations.colorInner, colorInner);
-        gl.uniform4fv(this.gravityLocations.colorOuter, colorOuter);
-        gl.uniform1f(this.gravityLocations.distortion, distortion);
-        this._drawEffectQuad(x, y, radius, this.gravityLocations);
-        gl.useProgram(this.program);
+        this.drawEffect('gravity', x, y, radius, { time, colorInner, colorOuter, distortion });
     }
 
     drawIceField(x, y, radius, time, alpha, colorInner, colorOuter) {
-        this.flush();
-        const gl = this.gl;
-        gl.useProgram(this.iceProgram);
-        gl.uniform2f(this.iceLocations.resolution, this.width, this.height);
-        gl.uniform2f(this.iceLocations.camera, this.cameraX * this.dpr, this.cameraY * this.dpr);
-        gl.uniform1f(this.iceLocations.worldSpace, this._worldSpaceActive ? 1.0 : 0.0);
-        gl.uniform1f(this.iceLocations.dpr, this.dpr);
-        gl.uniform1f(this.iceLocations.time, time);
-        gl.uniform1f(this.iceLocations.alpha, alpha);
-        gl.uniform4fv(this.iceLocations.colorInner, colorInner);
-        gl.uniform4fv(this.iceLocations.colorOuter, colorOuter);
-        this._drawEffectQuad(x, y, radius, this.iceLocations);
-        gl.useProgram(this.program);
+        this.drawEffect('ice', x, y, radius, { time, alpha, colorInner, colorOuter });
     }
 
-    _drawEffectQuad(x, y, radius, locs) {
-        const gl = this.gl, v = this._effectQuadVerts;
-        v[0] = x - radius; v[1] = y - radius;
-        v[4] = x + radius; v[5] = y - radius;
-        v[8] = x + radius; v[9] = y + radius;
-        v[12] = x - radius; v[13] = y + radius;
-        gl.bindBuffer(gl.ARRAY_BUFFER, this.effectQuadBuffer);
-        gl.bufferSubData(gl.ARRAY_BUFFER, 0, v);
-        gl.enableVertexAttribArray(locs.position);
-        gl.vertexAttribPointer(locs.position, 2, gl.FLOAT, false, 16, 0);
-        gl.enableVertexAttribArray(locs.texCoord);
-        gl.vertexAttribPointer(locs.texCoord, 2, gl.FLOAT, false, 16, 8);
-        gl.drawArrays(gl.TRIANGLE_FAN, 0, 4);
-    }
+    /**
+     * 按 fillText 实际绘制的路径测量（字形缓存或整串文字纹理），返回 TextMetrics 的同名字段：
+     * width 为绘制时参与对齐的宽度，actualBoundingBox* 为墨迹范围，fontBoundingBox* 为字体框，均相对当前 textAlign / textBaseline 的对齐点。
+     */
     measureText(text) {
-        this.textCtx.font = this._state.font;
-        return this.textCtx.measureText(text);
+        text = String(text).replace(/[\t\n\f\r]/g, ' ');
+        const s = this._state, run = this._fillTextGlyphs(text), align = this._textAlign(s);
+        if (run) return this._glyphMetrics(run.glyphs, run.face.face, run.face.size, align, s.textBaseline, false, this._letterSpacing(s) * run.face.face.size / run.face.size);
+        const { width, height, metrics: m } = this._textTextureSize(text, s.font, s.letterSpacing, this._textDirection(s)), [ox, oy] = this._textTextureAnchor(width, height, align, s.textBaseline);
+        // 纹理里的文字以 top 基线画在 (2, 2)
+        return {
+            width, actualBoundingBoxLeft: -(ox + 2 - (m.actualBoundingBoxLeft || 0)), actualBoundingBoxRight: ox + 2 + (m.actualBoundingBoxRight ?? m.width),
+            actualBoundingBoxAscent: -(oy + 2 - (m.actualBoundingBoxAscent || 0)), actualBoundingBoxDescent: oy + 2 + (m.actualBoundingBoxDescent ?? height - 4),
+            fontBoundingBoxAscent: -(oy + 2 - (m.fontBoundingBoxAscent || 0)), fontBoundingBoxDescent: oy + 2 + (m.fontBoundingBoxDescent ?? height - 4)
+        };
     }
-    fillText(text, x, y) { this._drawText(text, x, y, false); }
-    strokeText(text, x, y) { this._drawText(text, x, y, true); }
 
-    _drawText(text, x, y, isStroke) {
-        const s = this._state;
-        if (!isStroke && this.bitmapFont) {
-            let allIn = true;
-            for (let i = 0; i < text.length; i++) { if (!this.bitmapFont.has(text[i])) { allIn = false; break; } }
-            if (allIn) { this.drawBitmapText(text, x, y, parseInt(s.font) || 20, s.fillStyle, s.alpha, s.textAlign, s.textBaseline); return; }
+    /** drawBitmapText 的测量版本，参数含义相同；返回值同 measureText，相对 align / baseline 的对齐点。 */
+    measureBitmapText(text, size, align = 'left', baseline = 'middle', options = null) {
+        const face = options ? this._namedFont(options.font || 'sdf').face : this.bitmapFace;
+        return this._glyphMetrics(this._glyphs(String(text), face), face, size, align, baseline, true);
+    }
+    fillText(text, x, y, maxWidth) { this._drawText(text, x, y, false, maxWidth); this._endDraw(); }
+    strokeText(text, x, y, maxWidth) { this._drawText(text, x, y, true, maxWidth); this._endDraw(); }
+
+    /** maxWidth 与 Canvas 一致：文字更宽时水平压缩到 maxWidth，非正数不绘制。空白字符（含换行）按空格处理，多行文字请用 layoutText。 */
+    _drawText(text, x, y, isStroke, maxWidth) {
+        if (maxWidth !== undefined && !(maxWidth > 0)) return;
+        text = String(text).replace(/[\t\n\f\r]/g, ' ');
+        const s = this._state, style = isStroke ? s.strokeStyle : s.fillStyle, align = this._textAlign(s);
+        // 渐变文字：字形按白色栅格化，颜色由着色器按渐变求值后与字形 alpha 相乘
+        const paint = style?.isGradient ? style : null;
+        if (paint && !this._beginPaint(paint)) return;
+        // 填充文字按字素簇逐个取字形缓存（中日文、emoji 均可），同一批次内绘制
+        const run = isStroke ? null : this._fillTextGlyphs(text);
+        if (run) {
+            const { face, glyphs } = run;
+            // 距离场字体的阴影在着色器里完成（Canvas 的 shadowBlur / shadowColor）
+            const effects = face.face.sdf && s.shadowBlur > 0 ? { shadowColor: s.shadowColor, shadowBlur: s.shadowBlur } : null;
+            // letterSpacing 换算为字体单位
+            const spacing = this._letterSpacing(s) * face.face.size / face.size;
+            const width = this._glyphRunWidth(glyphs, face.face, spacing) * face.size / face.face.size, scaleX = maxWidth < width ? maxWidth / width : 1;
+            this._drawGlyphs(glyphs, face.face, x, y, face.size, paint ? this.WHITE_RGBA : this._parseColor(style), s.alpha, align, s.textBaseline, false, effects, spacing, scaleX);
+            if (paint) this._endPaint();
+            return;
         }
-        const key = `${text}_${s.font}_${s.textAlign}_${s.textBaseline}_${isStroke ? s.strokeStyle : s.fillStyle}_${isStroke ? s.lineWidth : 0}`;
+        const color = paint ? '#ffffff' : style;
+        const key = `${text}_${s.font}_${color}_${isStroke ? s.lineWidth : 0}_${s.letterSpacing}_${this._textDirection(s)}`;
         let info = this.textCache.get(key);
-        if (!info) {
-            if (this.textCache.size >= this.maxTextCacheSize) this._cleanupTextCache();
-            info = this._createTextTexture(text, s, isStroke);
+        if (info) { this.textCache.delete(key); this.textCache.set(key, info); }
+        else {
+            if (this.textCache.size >= this.maxTextCacheSize) this._evictTextEntry();
+            info = this._createTextEntry(text, s, isStroke, color);
             this.textCache.set(key, info);
         }
-        let ox = 0, oy = 0;
-        if (s.textAlign === 'center') ox = -info.width / 2; else if (s.textAlign === 'right') ox = -info.width;
-        if (s.textBaseline === 'middle') oy = -info.height / 2; else if (s.textBaseline === 'bottom') oy = -info.height;
-        else if (s.textBaseline === 'top') oy = 0; else oy = -info.height * 0.8;
-        this._drawTextureDirect(info.texture, x + ox, y + oy, info.width, info.height);
+        const w = maxWidth < info.width ? maxWidth : info.width, [ox, oy] = this._textTextureAnchor(w, info.height, align, s.textBaseline);
+        this._linearText = true;
+        this._drawTextureDirect(info.texture, x + ox, y + oy, w, info.height, null, null, info.u0, info.v0, info.u1, info.v1);
+        this._linearText = false;
+        info.batch = this._batchSerial;
+        if (paint) this._endPaint();
+    }
+
+    /** fillText 走字形缓存时的字体与字形；字号超出档位、或有字素放不进字形页（BMFont 缺字除外）时返回 null，改用整串文字纹理。 */
+    _fillTextGlyphs(text) {
+        const face = this._textFace(this._state.font), glyphs = face && this._glyphs(text, face.face);
+        return glyphs && (face.face.glyphs || !glyphs.includes(null)) ? { face, glyphs } : null;
+    }
+
+    /** direction 为 inherit 时取画布最近的 dir 属性，没有则按 ltr。 */
+    _textDirection(s) {
+        if (s.direction !== 'inherit') return s.direction;
+        return this.canvas.closest?.('[dir]')?.getAttribute('dir') === 'rtl' ? 'rtl' : 'ltr';
+    }
+
+    /** 把 textAlign 的 start / end 按书写方向解析为 left / right。 */
+    _textAlign(s) {
+        const a = s.textAlign;
+        if (a !== 'start' && a !== 'end') return a;
+        return (a === 'start') === (this._textDirection(s) === 'ltr') ? 'left' : 'right';
+    }
+
+    /** letterSpacing 换算为 CSS 像素：em 相对当前字号，rem 按 16px。 */
+    _letterSpacing(s) {
+        const v = parseFloat(s.letterSpacing);
+        if (!v) return 0;
+        if (s.letterSpacing.endsWith('rem')) return v * 16;
+        if (s.letterSpacing.endsWith('em')) return v * (parseFloat(s.font.match(/(\d*\.?\d+)px/)?.[1]) || 20);
+        return v;
+    }
+
+    /** 整串文字纹理左上角相对对齐点的偏移。 */
+    _textTextureAnchor(w, h, align, baseline) {
+        const ox = align === 'center' ? -w / 2 : align === 'right' ? -w : 0;
+        const oy = baseline === 'middle' ? -h / 2 : baseline === 'bottom' ? -h : baseline === 'top' ? 0 : -h * 0.8;
+        return [ox, oy];
     }
 
-    drawBitmapText(text, x, y, size, color = '#ffffff', alpha = 1.0, align = 'left', baseline = 'middle') {
+    /**
+     * 用位图字体（或 options.font 指定的具名字体）绘制一行文字，与精灵同批。
+     * @param {object} [options] 距离场字体的按次效果；给出 options 但省略 font 时使用内置的 'sdf' 字体
+     * @param {string} [options.font] registerSDFFont 注册的字体名
+     * @param {number} [options.outlineWidth=0] 描边宽度，outlineColor 为描边颜色（默认黑色）
+     * @param {number} [options.glowWidth=0] 描边外的发光宽度，glowColor 为发光颜色（默认白色）
+     * @param {string} [options.shadowColor] 投影颜色，shadowBlur / shadowOffsetX / shadowOffsetY 为模糊半径与偏移
+     */
+    drawBitmapText(text, x, y, size, color = '#ffffff', alpha = 1.0, align = 'left', baseline = 'middle', options = null) {
         if (!text) return;
-        text = text.toString();
         const rgba = typeof color === 'string' ? this._parseColor(color) : (Array.isArray(color) ? color : [1, 1, 1, 1]);
-        const scale = size / 64;
-        let totalW = 0;
-        for (const c of text) { const i = this.bitmapFont.get(c); totalW += i ? i.width * scale : size * 0.5; }
-        let curX = x;
-        if (align === 'center') curX -= totalW / 2; else if (align === 'right') curX -= totalW;
+        const face = options ? this._namedFont(options.font || 'sdf').face : this.bitmapFace;
+        this._drawGlyphs(this._glyphs(text.toString(), face), face, x, y, size, rgba, alpha, align, baseline, true, options);
+        this._endDraw();
+    }
+
+    /**
+     * 按对齐方式排布并绘制一串字形（_glyphs 的结果，null 为无法缓存的字素，按半个字号留空）。
+     * bitmap 为 true 时沿用位图字体的基线约定（top / bottom 各偏移半个字号），否则按 Canvas 的 textBaseline 定位。
+     * 距离场字形经文字效果参数表绘制：先画投影，再画带描边与发光的字形。spacing 为字间距（字体单位），scaleX 为水平压缩比例。
+     */
+    _drawGlyphs(glyphs, face, x, y, size, rgba, alpha, align, baseline, bitmap = false, effects = null, spacing = 0, scaleX = 1) {
+        const scale = size / face.size, [dx, bOff] = this._glyphAnchor(this._glyphRunWidth(glyphs, face, spacing) * scale * scaleX, size, face, align, baseline, bitmap);
+        const curX = x + dx;
+        if (!face.sdf) { this._drawGlyphQuads(glyphs, face, curX, y + bOff, scale, alpha, rgba, spacing, scaleX); return; }
+        const m = this._state.matrix, px = Math.sqrt(Math.abs(m[0] * m[3] - m[1] * m[2])), o = effects || {};
+        const ts = { params: null, code: 0, scale: scale * px };
+        if (o.shadowColor && o.shadowColor !== 'transparent') {
+            // 投影用投影色填充，不参与渐变；期间若批次被提交，渐变参数要重新放回表中
+            const shadow = this._parseColor(o.shadowColor), paint = this._paint;
+            ts.params = this._textStyleParams(face, o, px, shadow);
+            ts.code = 160 * (this._textStyleSlot(ts.params) + 1);
+            this._paint = null; this._textStyle = ts;
+            this._drawGlyphQuads(glyphs, face, curX + (o.shadowOffsetX || 0), y + bOff + (o.shadowOffsetY || 0), scale, alpha, shadow, spacing, scaleX);
+            this._paint = paint; this._textStyle = null;
+            if (paint !== null && this._batchPaintCount === 0) this._rebindPaint(paint);
+        }
+        ts.params = this._textStyleParams(face, o, px, null);
+        ts.code = 160 * (this._textStyleSlot(ts.params) + 1);
+        this._textStyle = ts;
+        this._drawGlyphQuads(glyphs, face, curX, y + bOff, scale, alpha, rgba, spacing, scaleX);
+        this._textStyle = null;
+    }
+
+    /** _drawGlyphs 的定位：返回 [笔位起点相对 x 的偏移, 中线相对 y 的偏移]。 */
+    _glyphAnchor(width, size, face, align, baseline, bitmap) {
+        const dx = align === 'center' ? -width / 2 : align === 'right' || (!bitmap && align === 'end') ? -width : 0;
         let bOff = 0;
-        if (baseline === 'top') bOff = size * 0.5; else if (baseline === 'bottom') bOff = -size * 0.5;
-        for (const c of text) {
-            const i = this.bitmapFont.get(c);
+        if (baseline === 'top' || (!bitmap && baseline === 'hanging')) bOff = size * 0.5;
+        else if (baseline === 'bottom' || (!bitmap && baseline === 'ideographic')) bOff = -size * 0.5;
+        else if (!bitmap && baseline !== 'middle') bOff = -face.mid * size / face.size;
+        return [dx, bOff];
+    }
+
+    /**
+     * 按 _drawGlyphs 的排布测量一串字形，字段同 TextMetrics，相对对齐点。墨迹取字形的 ink（栅格字形为测得的墨迹框，
+     * BMFont 字形为其贴图矩形）；字体框为以中线为中心、高一个字号的 em 框。
+     */
+    _glyphMetrics(glyphs, face, size, align, baseline, bitmap, spacing = 0) {
+        const scale = size / face.size, width = this._glyphRunWidth(glyphs, face, spacing) * scale, [dx, bOff] = this._glyphAnchor(width, size, face, align, baseline, bitmap);
+        const kerning = face.kerning;
+        let x = dx, l = Infinity, r = -Infinity, t = Infinity, b = -Infinity, prev = null;
+        for (const i of glyphs) {
             if (i) {
-                this._drawTextureDirect(i.texture, curX - i.padding * scale, y - (i.renderHeight / 2) * scale + bOff, i.renderWidth * scale, i.renderHeight * scale, alpha, rgba, i.u0, i.v0, i.u1, i.v1);
-                curX += i.width * scale;
-            } else { curX += size * 0.5; }
+                if (kerning && prev) x += (kerning.get(prev.id * 0x110000 + i.id) || 0) * scale;
+                const ink = i.ink || [i.ox, i.oy, i.ox + i.renderWidth, i.oy + i.renderHeight];
+                if (ink[2] > ink[0]) { l = Math.min(l, x + ink[0] * scale); r = Math.max(r, x + ink[2] * scale); t = Math.min(t, ink[1] * scale); b = Math.max(b, ink[3] * scale); }
+                x += (i.width + spacing) * scale;
+            } else { x += (face.size / 2 + spacing) * scale; }
+            prev = i;
         }
+        if (l > r) { l = r = 0; t = b = -bOff; }
+        return {
+            width, actualBoundingBoxLeft: -l, actualBoundingBoxRight: r, actualBoundingBoxAscent: -(bOff + t), actualBoundingBoxDescent: bOff + b,
+            fontBoundingBoxAscent: size / 2 - bOff, fontBoundingBoxDescent: bOff + size / 2
+        };
     }
 
-    drawGPUDamageNumber(text, x, y, vx, vy, startTime, duration, size, color, alpha = 1.0) {
-        if (!text) return;
-        text = text.toString();
-        const rgba = typeof color === 'string' ? this._parseColor(color) : (Array.isArray(color) ? color : [1, 1, 1, 1]);
-        const baseScale = size / 64;
-        let totalW = 0;
-        for (const c of text) { const i = this.bitmapFont.get(c); totalW += i ? i.width : 32; }
-        let curCharX = -totalW / 2;
-        for (const c of text) {
-            const i = this.bitmapFont.get(c);
-            if (!i) { curCharX += 32; continue; }
-            if (this.dnCurrentTexture !== i.texture || this.dnBatchCount >= this.dnMaxBatchSize) {
-                this.flushDamageNumbers(); this.dnCurrentTexture = i.texture;
-            }
-            const x0 = -i.padding, y0 = -(i.renderHeight / 2);
-            const x1 = x0 + i.renderWidth, y1 = y0 + i.renderHeight;
-            const verts = [
-                [x0, y0, i.u0, i.v0],
-                [x1, y0, i.u1, i.v0],
-                [x1, y1, i.u1, i.v1],
-                [x0, y1, i.u0, i.v1]
-            ];
-            const o = this.dnBatchCount * 4 * this.dnVertexStride;
-            const d = this.dnVertexData;
-            for (let k = 0; k < 4; k++) {
-                const vo = o + k * this.dnVertexStride;
-                d[vo] = verts[k][0]; d[vo + 1] = verts[k][1]; d[vo + 2] = verts[k][2]; d[vo + 3] = verts[k][3];
-                d[vo + 4] = x; d[vo + 5] = y; d[vo + 6] = curCharX; d[vo + 7] = 0;
-                d[vo + 8] = vx; d[vo + 9] = vy; d[vo + 10] = startTime; d[vo + 11] = duration; d[vo + 12] = baseScale;
-                d[vo + 13] = rgba[0]; d[vo + 14] = rgba[1]; d[vo + 15] = rgba[2]; d[vo + 16] = alpha;
-            }
-            this.dnBatchCount++; curCharX += i.width;
+    /** 一串字形的总宽度（字体单位）：advance 之和加上字距调整与每个字后的 spacing，null 按半个字号计。 */
+    _glyphRunWidth(glyphs, face, spacing = 0) {
+        const kerning = face.kerning;
+        let w = glyphs.length * spacing, prev = null;
+        for (const i of glyphs) {
+            if (!i) { w += face.size / 2; prev = null; continue; }
+            if (kerning && prev) w += kerning.get(prev.id * 0x110000 + i.id) || 0;
+            w += i.width; prev = i;
         }
+        return w;
     }
 
-    flushDamageNumbers() {
-        if (this.dnBatchCount === 0 || !this.dnCurrentTexture) return;
-        const gl = this.gl;
-        gl.useProgram(this.dnProgram);
-        gl.uniform2f(this.dnLocations.resolution, this.width, this.height);
-        gl.uniform1f(this.dnLocations.dpr, this.dpr || 1);
-        gl.uniform1f(this.dnLocations.currentTime, this.currentTime);
-        gl.uniform2f(this.dnLocations.cameraPos, this.cameraX, this.cameraY);
-        gl.uniform1f(this.dnLocations.gravity, 800.0);
-        gl.activeTexture(gl.TEXTURE0);
-        gl.bindTexture(gl.TEXTURE_2D, this.dnCurrentTexture);
-        gl.uniform1i(this.dnLocations.image, 0);
-        gl.bindBuffer(gl.ARRAY_BUFFER, this.dnVertexBuffer);
-        gl.bufferSubData(gl.ARRAY_BUFFER, 0, this.dnVertexData.subarray(0, this.dnBatchCount * 4 * this.dnVertexStride));
-        const stride = this.dnVertexStride * 4;
-        gl.enableVertexAttribArray(this.dnLocations.posOffset); gl.vertexAttribPointer(this.dnLocations.posOffset, 2, gl.FLOAT, false, stride, 0);
-        gl.enableVertexAttribArray(this.dnLocations.texCoord); gl.vertexAttribPointer(this.dnLocations.texCoord, 2, gl.FLOAT, false, stride, 8);
-        gl.enableVertexAttribArray(this.dnLocations.startPos); gl.vertexAttribPointer(this.dnLocations.startPos, 2, gl.FLOAT, false, stride, 16);
-        gl.enableVertexAttribArray(this.dnLocations.charOffset); gl.vertexAttribPointer(this.dnLocations.charOffset, 2, gl.FLOAT, false, stride, 24);
-        gl.enableVertexAttribArray(this.dnLocations.velocity); gl.vertexAttribPointer(this.dnLocations.velocity, 2, gl.FLOAT, false, stride, 32);
-        gl.enableVertexAttribArray(this.dnLocations.timeParams); gl.vertexAttribPointer(this.dnLocations.timeParams, 3, gl.FLOAT, false, stride, 40);
-        gl.enableVertexAttribArray(this.dnLocations.color); gl.vertexAttribPointer(this.dnLocations.color, 3, gl.FLOAT, false, stride, 52);
-        gl.enableVertexAttribArray(this.dnLocations.alpha); gl.vertexAttribPointer(this.dnLocations.alpha, 1, gl.FLOAT, false, stride, 64);
-        gl.bindBuffer(gl.ELEMENT_ARRAY_BUFFER, this.dnIndexBuffer);
-        gl.drawElements(gl.TRIANGLES, this.dnBatchCount * 6, gl.UNSIGNED_SHORT, 0);
-        this.drawCallCount++; this.triangleCount += this.dnBatchCount * 2;
-        this.dnBatchCount = 0;
-        gl.useProgram(this.program);
+    /** 从 (curX, y) 起逐个绘制字形，y 为中线；字形的 ox / oy 是相对笔位与中线的偏移（字体单位）。 */
+    _drawGlyphQuads(glyphs, face, curX, y, scale, alpha, rgba, spacing = 0, scaleX = 1) {
+        // 彩色字形（emoji）保持自身颜色，只继承填充色的透明度
+        const white = rgba[3] < 1 ? [1, 1, 1, rgba[3]] : this.WHITE_RGBA, kerning = face.kerning, sx = scale * scaleX;
+        // 文字与 Canvas 一样不受 imageSmoothingEnabled 影响；普通 BMFont（像素字体）按图片处理
+        this._linearText = !!face.sdf || !face.glyphs;
+        let prev = null;
+        for (const i of glyphs) {
+            if (i) {
+                if (kerning && prev) curX += (kerning.get(prev.id * 0x110000 + i.id) || 0) * sx;
+                if (i.renderWidth > 0) this._drawTextureDirect(i.texture, curX + i.ox * sx, y + i.oy * scale, i.renderWidth * sx, i.renderHeight * scale, alpha, i.colored && rgba !== this.WHITE_RGBA ? white : rgba, i.u0, i.v0, i.u1, i.v1);
+                i.batch = this._batchSerial;
+                curX += (i.width + spacing) * sx;
+            } else { curX += (face.size / 2 + spacing) * sx; }
+            prev = i;
+        }
+        this._linearText = false;
     }
 
-    beginPath() { this.currentPath = []; }
-    closePath() { this.currentPath.push({ type: 'closePath' }); }
-    moveTo(x, y) { this.currentPath.push({ type: 'moveTo', x, y }); }
-    lineTo(x, y) { this.currentPath.push({ type: 'lineTo', x, y }); }
-    rect(x, y, w, h) { this.currentPath.push({ type: 'rect', x, y, w, h }); }
-    arc(x, y, r, sa, ea, ac) { this.currentPath.push({ type: 'arc', x, y, r, sa, ea, ac }); }
-    arcTo(x1, y1, x2, y2, r) { this.currentPath.push({ type: 'arcTo', x1, y1, x2, y2, r }); }
-    ellipse(x, y, rx, ry, rot, sa, ea, ac) { this.currentPath.push({ type: 'ellipse', x, y, rx, ry, rot, sa, ea, ac }); }
-    quadraticCurveTo(cp1x, cp1y, x, y) { this.currentPath.push({ type: 'quadraticCurveTo', cp1x, cp1y, x, y }); }
-
-    fill() { this._fillOrStroke(false); }
-    stroke() { this._fillOrStroke(true); }
+    /**
+     * 距离场文字的效果参数（见片元着色器 u_textStyles）。宽度按用户坐标给出，乘以 px 换算为屏幕像素。
+     * shadow 不为空时生成投影用的参数：描边换成投影色，不发光，柔化取 shadowBlur 的一半。
+     */
+    _textStyleParams(face, o, px, shadow) {
+        const ow = (o.outlineWidth || 0) * px, gw = shadow ? 0 : (o.glowWidth || 0) * px;
+        const oc = ow > 0 ? (shadow || this._parseColor(o.outlineColor || '#000000')) : null;
+        const gc = gw > 0 ? this._parseColor(o.glowColor || '#ffffff') : null;
+        return [
+            oc ? oc[0] : 0, oc ? oc[1] : 0, oc ? oc[2] : 0, oc ? Math.min(1, oc[3]) : 0,
+            gc ? gc[0] : 0, gc ? gc[1] : 0, gc ? gc[2] : 0, gc ? Math.min(1, gc[3]) : 0,
+            ow, gw, shadow ? (o.shadowBlur || 0) * px / 2 : 0, (face.msdf ? -2 : 2) * face.sdf
+        ];
+    }
 
-    _fillOrStroke(isStroke) {
+    /**
+     * 注册距离场（SDF）字体：字形首次使用时以 options.font 栅格化并生成距离场，之后任意字号绘制都保持清晰，
+     * 描边、发光与投影在着色器里按次指定。注册后可用于 drawBitmapText 的 options.font、伤害数字样式的 font，
+     * 也可以直接作为 ctx.font 的字体族交给 fillText（如 '24px sdf'）。内置一个名为 'sdf' 的粗体 Arial。
+     * @param {string} name
+     * @param {object} [options]
+     * @param {string} [options.font='bold 48px Arial'] 栅格化用的 CSS 字体
+     * @param {number} [options.radius=8] 距离场范围（栅格像素）；描边加发光的宽度最多约 radius × 绘制字号 / 栅格字号
+     */
+    registerSDFFont(name, options = {}) {
+        const font = { name, type: 'sdf', face: this._glyphFace(options.font || 'bold 48px Arial', 0, options.radius || 8) };
+        this.fonts.set(name, font);
+        return font;
+    }
+
+    /**
+     * 载入 AngelCode BMFont（BMFont / Hiero / msdf-bmfont 导出）为具名字体，之后可用于 drawBitmapText 的 options.font、
+     * 伤害数字样式的 font，或作为 ctx.font 的字体族交给 fillText（字号按 info.size 缩放）。
+     * 支持 xadvance、xoffset / yoffset、字距调整（kerning）与多页；页图经 getTexture 上传（小页会进图集）。
+     * 带 distanceField 信息（msdf-bmfont）的字体按 MSDF 绘制，可使用描边、发光与投影。
+     * @param {string} name
+     * @param {string|ArrayBuffer|Uint8Array|object} data 文本或 XML 描述、二进制 .fnt，或 msdf-bmfont 的 JSON
+     * @param {HTMLImageElement|HTMLCanvasElement|Array|object} pages 页图：单张、按页号排列的数组，或以页文件名为键的对象
+     * @param {object} [options]
+     * @param {'sdf'|'msdf'} [options.distanceField] 描述中没有 distanceField 时指定距离场类型（Hiero 的距离场效果为 'sdf'，存于 alpha）
+     * @param {number} [options.distanceRange=4] 距离场范围（页图像素）
+     * @returns {{name: string, type: 'bmfont', face: object}}
+     */
+    loadBMFont(name, data, pages, options = {}) {
+        const fnt = this._parseBMFont(data), common = fnt.common || {}, info = fnt.info || {};
+        const W = common.scaleW, H = common.scaleH, lineHeight = common.lineHeight, size = Math.abs(info.size) || lineHeight;
+        // msdf-bmfont 的 sdf / psdf 同样把距离写在 RGB 三通道，按 MSDF 取中值结果一致
+        const field = fnt.distanceField?.fieldType ? 'msdf' : options.distanceField;
+        const range = fnt.distanceField?.distanceRange || options.distanceRange || 4;
+        const images = fnt.pages.map((file, id) => Array.isArray(pages) ? pages[id] : (pages && file in pages ? pages[file] : (id === 0 ? pages : null)));
+        const face = {
+            key: 'bmfont:' + name, font: name, size, lineHeight, base: common.base, outline: 0, padding: 0, mid: common.base - lineHeight / 2,
+            sdf: field ? range / 2 : 0, msdf: field === 'msdf', glyphs: new Map(), kerning: new Map()
+        };
+        for (const c of fnt.chars) {
+            const image = images[c.page || 0];
+            if (!image) continue;
+            face.glyphs.set(c.id, {
+                id: c.id, texture: image, padding: 0, fontSize: size, width: c.xadvance, height: lineHeight, renderWidth: c.width, renderHeight: c.height,
+                // 以笔位和行中线为原点（_drawGlyphQuads / 伤害数字共用）
+                ox: c.xoffset, oy: c.yoffset - lineHeight / 2,
+                u0: c.x / W, v0: c.y / H, u1: (c.x + c.width) / W, v1: (c.y + c.height) / H,
+                colored: false, batch: -1, run: -1, pinnedUntil: -Infinity
+            });
+        }
+        for (const k of fnt.kernings) face.kerning.set(k.first * 0x110000 + k.second, k.amount);
+        const font = { name, type: 'bmfont', face };
+        this.fonts.set(name, font);
+        return font;
+    }
+
+    /** 把文本、XML、二进制或 JSON 格式的 BMFont 描述统一成 { info, common, pages, chars, kernings, distanceField }。 */
+    _parseBMFont(data) {
+        if (data instanceof ArrayBuffer || ArrayBuffer.isView(data)) {
+            const bytes = data instanceof ArrayBuffer ? new Uint8Array(data) : new Uint8Array(data.buffer, data.byteOffset, data.byteLength);
+            if (bytes[0] === 66 && bytes[1] === 77 && bytes[2] === 70) return this._parseBMFontBinary(bytes);
+            data = new TextDecoder().decode(bytes);
+        }
+        if (typeof data === 'string' && data.trimStart().startsWith('{')) data = JSON.parse(data);
+        if (typeof data !== 'string') return { pages: [], chars: [], kernings: [], ...data };
+        const fnt = { pages: [], chars: [], kernings: [] };
+        const attrs = (src) => {
+            const o = {};
+            for (const [, k, v] of src.matchAll(/(\w+)=("[^"]*"|\S+)/g)) {
+                const str = v[0] === '"' ? v.slice(1, -1) : v;
+                o[k] = str !== '' && !isNaN(str) ? +str : str;
+            }
+            return o;
+        };
+        // XML 每个元素、文本格式每一行都是「标签名 + key=value 列表」
+        const entries = data.trimStart().startsWith('<')
+            ? Array.from(data.matchAll(/<(\w+)\s([^>]*?)\/?>/g), m => [m[1], m[2]])
+            : data.split(/\r?\n/).map(line => { const m = line.match(/^\s*(\w+)\s*(.*)$/); return m ? [m[1], m[2]] : null; }).filter(Boolean);
+        for (const [tag, rest] of entries) {
+            const o = attrs(rest);
+            if (tag === 'info' || tag === 'common' || tag === 'distanceField') fnt[tag] = o;
+            else if (tag === 'page') fnt.pages[o.id] = o.file;
+            else if (tag === 'char') fnt.chars.push(o);
+            else if (tag === 'kerning') fnt.kernings.push(o);
+        }
+        return fnt;
+    }
+
+    /** 二进制 .fnt（版本 3）：'BMF' + 版本号，之后是 [类型 1 字节, 长度 4 字节] 开头的区块。 */
+    _parseBMFontBinary(bytes) {
+        const view = new DataView(bytes.buffer, bytes.byteOffset, bytes.byteLength), fnt = { pages: [], chars: [], kernings: [] };
+        const cstr = (from, to) => { const list = []; let start = from; for (let i = from; i < to; i++) if (bytes[i] === 0) { list.push(new TextDecoder().decode(bytes.subarray(start, i))); start = i + 1; } return list; };
+        let p = 4;
+        while (p + 5 <= bytes.length) {
+            const type = bytes[p], len = view.getUint32(p + 1, true), b = p + 5;
+            if (type === 1) fnt.info = { size: view.getInt16(b, true), face: cstr(b + 14, b + len)[0] };
+            else if (type === 2) fnt.common = { lineHeight: view.getUint16(b, true), base: view.getUint16(b + 2, true), scaleW: view.getUint16(b + 4, true), scaleH: view.getUint16(b + 6, true), pages: view.getUint16(b + 8, true) };
+            else if (type === 3) fnt.pages = cstr(b, b + len);
+            else if (type === 4) {
+                for (let c = b; c + 20 <= b + len; c += 20) fnt.chars.push({
+                    id: view.getUint32(c, true), x: view.getUint16(c + 4, true), y: view.getUint16(c + 6, true), width: view.getUint16(c + 8, true), height: view.getUint16(c + 10, true),
+                    xoffset: view.getInt16(c + 12, true), yoffset: view.getInt16(c + 14, true), xadvance: view.getInt16(c + 16, true), page: bytes[c + 18], chnl: bytes[c + 19]
+                });
+            } else if (type === 5) {
+                for (let k = b; k + 10 <= b + len; k += 10) fnt.kernings.push({ first: view.getUint32(k, true), second: view.getUint32(k + 4, true), amount: view.getInt16(k + 8, true) });
+            }
+            p = b + len;
+        }
+        return fnt;
+    }
+
+    _namedFont(name) {
+        const font = this.fonts.get(name);
+        if (!font) throw new Error(`Blaze2D: unknown font "${name}".`);
+        return font;
+    }
+
+    /**
+     * 排版一段文字，结果可缓存复用，用 drawTextLayout 绘制（drawRichText 为两步合一）。支持自动换行（空格处断行，
+     * 中日韩文字与 emoji 之间可断，避开行首 / 行尾禁则标点）、\n 换行、行高、每行对齐、字间距、超出时整体缩小，以及行内标记：
+     * [color=#f00]…[/color]、[size=32]…[/size]、[icon=帧名]（loadSpritesheet 注册的帧，高度与当前字号一致），[[ 表示字面的 [。
+     * 所有文字经字形缓存绘制，图标走图集，整段与精灵同批。
+     * @param {string} text
+     * @param {object} [options]
+     * @param {string} [options.font] CSS 字体串（默认当前 ctx.font）或具名字体名（registerSDFFont / loadBMFont）
+     * @param {number} [options.size] 字号，默认取 font 中的字号（具名字体为其原始字号）
+     * @param {string|number[]} [options.color] 文字颜色，默认当前 fillStyle
+     * @param {number} [options.maxWidth=Infinity] 行宽上限
+     * @param {'word'|'char'|'none'} [options.wrap='word'] 按词换行、逐字换行或只在 \n 处换行
+     * @param {number} [options.lineHeight=1.2] 行高，为该行最大字号的倍数
+     * @param {'left'|'center'|'right'} [options.align='left'] 每行的水平对齐，绘制时 x 为对应的左边、中点或右边
+     * @param {'top'|'middle'|'bottom'} [options.valign='top'] 整段的垂直对齐，绘制时 y 为对应的上边、中线或下边
+     * @param {number} [options.letterSpacing=0] 字间距（与字号同单位）
+     * @param {boolean} [options.shrinkToFit=false] 超出 maxHeight（不换行时还有 maxWidth）时按比例缩小字号，最小到 minScale
+     * @param {number} [options.maxHeight=Infinity]
+     * @param {number} [options.minScale=0.5]
+     * @param {boolean} [options.markup=true] 是否解析行内标记
+     * @param {object} [options.effects] 距离场字体的描边 / 发光 / 投影（同 drawBitmapText 的 options）
+     * @returns {{lines: object[], width: number, height: number, scale: number, options: object}}
+     */
+    layoutText(text, options = {}) {
+        const o = { wrap: 'word', lineHeight: 1.2, align: 'left', valign: 'top', letterSpacing: 0, maxWidth: Infinity, maxHeight: Infinity, minScale: 0.5, markup: true, ...options };
+        const named = o.font ? this.fonts.get(o.font) : null, css = named ? null : (o.font || this._state.font);
+        const baseSize = o.size || (named ? named.face.size : parseFloat(css.match(/(\d*\.?\d+)px/)?.[1]) || 20);
+        const color = o.color ?? (typeof this._state.fillStyle === 'string' ? this._state.fillStyle : '#ffffff');
+        const units = this._parseTextMarkup(String(text), o.markup, color, baseSize);
+        let scale = 1, layout = null;
+        for (let n = 0; n < 16; n++) {
+            layout = this._layoutLines(units, o, named, css, scale);
+            const overW = o.wrap === 'none' && layout.width > o.maxWidth, overH = layout.height > o.maxHeight;
+            if (!o.shrinkToFit || (!overW && !overH) || scale <= o.minScale) break;
+            // 换行时高度随字号近似平方变化，按比例的平方根缩小更快收敛
+            const ratio = Math.min(overW ? o.maxWidth / layout.width : 1, overH ? Math.sqrt(o.maxHeight / layout.height) : 1);
+            scale = Math.max(o.minScale, scale * Math.min(0.95, Math.max(0.5, ratio)));
+        }
+        layout.scale = scale; layout.options = o;
+        return layout;
+    }
+
+    /** 绘制 layoutText 的结果。(x, y) 的含义由排版时的 align / valign 决定。 */
+    drawTextLayout(layout, x, y) {
+        const o = layout.options, alpha = this._state.alpha;
+        const top = y - (o.valign === 'middle' ? layout.height / 2 : o.valign === 'bottom' ? layout.height : 0);
+        for (const line of layout.lines) {
+            const left = x - (o.align === 'center' ? line.width / 2 : o.align === 'right' ? line.width : 0), baseline = top + line.y + line.baseline;
+            for (const run of line.runs) {
+                if (run.icon) {
+                    const f = this.frames.get(run.icon);
+                    if (f) this._drawFrame(f, left + run.x + f.pivotX * run.width, baseline - run.mid - run.size / 2 + f.pivotY * run.size, run.width, run.size, 0, alpha);
+                    continue;
+                }
+                const glyphs = this._glyphs(run.clusters, run.face), spacing = run.spacing * run.face.size / run.size;
+                this._drawGlyphs(glyphs, run.face, left + run.x, baseline - run.mid, run.size, run.rgba, alpha, 'left', 'middle', true, o.effects || null, spacing);
+            }
+        }
+        this._endDraw();
+    }
+
+    /** layoutText + drawTextLayout。每帧都变化的文字直接用它；不变的文字缓存 layoutText 的结果更省。 */
+    drawRichText(text, x, y, options = {}) {
+        const layout = this.layoutText(text, options);
+        this.drawTextLayout(layout, x, y);
+        return layout;
+    }
+
+    /** 解析行内标记，得到排版单元：{ cluster, color, size }、{ icon, color, size } 或 { newline: true }。未知标记按原文保留。 */
+    _parseTextMarkup(text, markup, color, size) {
+        const units = [], colors = [color], sizes = [size];
+        const push = (str) => {
+            for (const c of this._graphemes(str)) {
+                if (c === '\n' || c === '\r\n') units.push({ newline: true });
+                else if (c !== '\r') units.push({ cluster: c === '\t' ? ' ' : c, color: colors[colors.length - 1], size: sizes[sizes.length - 1] });
+            }
+        };
+        if (!markup) { push(text); return units; }
+        let i = 0, plain = '';
+        while (i < text.length) {
+            if (text[i] !== '[') { plain += text[i++]; continue; }
+            if (text[i + 1] === '[') { plain += '['; i += 2; continue; }
+            const m = text.slice(i).match(/^\[(\/?)(color|size|icon)(?:=([^\]]*))?\]/);
+            if (!m || (!m[1] && m[3] === undefined)) { plain += text[i++]; continue; }
+            push(plain); plain = ''; i += m[0].length;
+            const [, close, tag, value] = m;
+            if (tag === 'icon') { if (!close) units.push({ icon: value, color: colors[colors.length - 1], size: sizes[sizes.length - 1] }); }
+            else if (tag === 'color') { if (close) { if (colors.length > 1) colors.pop(); } else colors.push(value); }
+            else if (close) { if (sizes.length > 1) sizes.pop(); } else sizes.push(parseFloat(value) || sizes[sizes.length - 1]);
+        }
+        push(plain);
+        return units;
+    }
+
+    /** 按给定的整体缩放把排版单元断成行，并把每行中字体、字号、颜色相同的连续字素合并成一段（run）。 */
+    _layoutLines(units, o, named, css, scale) {
+        const faces = new Map(), spacing = o.letterSpacing * scale;
+        const faceFor = (size) => {
+            let f = faces.get(size);
+            if (!f) { f = named ? named.face : this._textFace(css.replace(/(\d*\.?\d+)px/, size + 'px'), true)?.face || null; faces.set(size, f); }
+            return f;
+        };
+        // 先量出每个单元的宽度；字距调整只在同一段内生效，记在后一个字上
+        let prev = null;
+        for (const u of units) {
+            if (u.newline) { prev = null; continue; }
+            u.px = u.size * scale; u.face = faceFor(u.px); u.kern = 0;
+            if (u.icon) {
+                const f = this.frames.get(u.icon);
+                u.advance = (f ? u.px * f.sourceW / f.sourceH : 0) + spacing; u.glyph = null; prev = null;
+                continue;
+            }
+            const g = u.face && this._glyph(u.cluster, u.face), k = u.px / (u.face ? u.face.size : 1);
+            u.glyph = g; u.advance = (g ? g.width * k : u.px / 2) + spacing;
+            if (g && prev && prev.face === u.face && prev.px === u.px && prev.color === u.color && u.face.kerning) u.kern = (u.face.kerning.get(prev.glyph.id * 0x110000 + g.id) || 0) * k;
+            prev = g ? u : null;
+        }
+        const lines = [], wrap = o.wrap !== 'none' && o.maxWidth < Infinity;
+        let start = 0, width = 0, breakAt = -1;
+        const flushLine = (end, next) => { lines.push(this._buildTextLine(units, start, end, o, scale)); start = next; };
+        for (let i = 0; i < units.length; i++) {
+            const u = units[i];
+            if (u.newline) { flushLine(i, i + 1); width = 0; breakAt = -1; continue; }
+            if (i > start && this._canBreakBefore(units, i, o.wrap)) breakAt = i;
+            const w = u.advance + (i > start ? u.kern : 0);
+            if (wrap && i > start && width + w > o.maxWidth && u.cluster !== ' ') {
+                // 回到最近的断行点；这一行内没有断行点（超长单词）就在当前字前强制断开
+                const at = breakAt > start ? breakAt : i;
+                flushLine(at, at);
+                while (start < i && units[start].cluster === ' ') start++;
+                width = 0; breakAt = -1;
+                for (let k = start; k < i; k++) width += units[k].advance + (k > start ? units[k].kern : 0);
+            }
+            width += i > start ? w : u.advance;
+        }
+        flushLine(units.length, units.length);
+        let y = 0, maxW = 0;
+        for (const line of lines) { line.y = y; y += line.height; if (line.width > maxW) maxW = line.width; }
+        return { lines, width: maxW, height: y };
+    }
+
+    /** 行尾标点不能放在行首、开括号不能放在行尾（简化的禁则处理）。 */
+    _canBreakBefore(units, i, wrap) {
+        const u = units[i], p = units[i - 1];
+        if (p.newline || u.cluster === ' ') return false;
+        const noStart = /^[,.!?;:)\]}、。，．！？；：）」』】〉》〕…ー々ぁぃぅぇぉっゃゅょァィゥェォッャュョ～%’”]$/, noEnd = /^[(\[{（「『【〈《〔‘“]$/;
+        if ((u.cluster && noStart.test(u.cluster)) || (p.cluster && noEnd.test(p.cluster))) return false;
+        if (wrap === 'char' || p.cluster === ' ' || u.icon || p.icon) return true;
+        const wide = /[⺀-鿿가-힯豈-﫿＀-￯]|[\u{20000}-\u{3FFFF}]|\p{Extended_Pictographic}/u;
+        return wide.test(u.cluster) || wide.test(p.cluster);
+    }
+
+    /** 把 [start, end) 的单元组成一行：去掉行尾空格，按基线对齐混排的字号，计算行高。 */
+    _buildTextLine(units, start, end, o, scale) {
+        while (end > start && units[end - 1].cluster === ' ') end--;
+        const runs = [];
+        let x = 0, ascent = 0, descent = 0, maxPx = 0, run = null;
+        for (let i = start; i < end; i++) {
+            const u = units[i];
+            if (i > start) x += u.kern;
+            // mid：alphabetic 基线到 em 框中线的距离；图标按所在字号的 em 框居中
+            const mid = u.face ? u.face.mid * u.px / u.face.size : 0;
+            ascent = Math.max(ascent, u.px / 2 + mid); descent = Math.max(descent, u.px / 2 - mid); maxPx = Math.max(maxPx, u.px);
+            if (u.icon) { runs.push({ icon: u.icon, x, width: u.advance - o.letterSpacing * scale, size: u.px, mid }); run = null; }
+            else if (run && run.face === u.face && run.size === u.px && run.color === u.color) run.clusters.push(u.cluster);
+            else { run = { clusters: [u.cluster], face: u.face, size: u.px, color: u.color, rgba: this._parseColor(u.color), x, mid, spacing: o.letterSpacing * scale }; runs.push(run); }
+            x += u.advance;
+        }
+        if (!maxPx) { const size = (units[start]?.size ?? o.size ?? 20) * scale; maxPx = size; ascent = descent = size / 2; }
+        const height = Math.max(maxPx * o.lineHeight, ascent + descent);
+        return { runs: runs.filter(r => r.icon || r.face), width: x, height, baseline: (height - ascent - descent) / 2 + ascent };
+    }
+
+    /**
+     * 生成一个 GPU 伤害数字。数字会一直留在常驻缓冲里，直到 startTime + duration 之后自动回收，
+     * 每个数字只需调用一次；每帧调用 flushDamageNumbers() 绘制所有仍存活的数字。
+     * @param {string} [style='default'] defineDamageNumberStyle 定义的样式名（内置 default / crit / heal / shield / miss / combo）
+     */
+    drawGPUDamageNumber(text, x, y, vx, vy, startTime, duration, size, color, alpha = 1.0, style = 'default') {
+        if (!text) return;
+        text = text.toString();
+        const styleIndex = this.dnStyles.get(style) ?? 0;
+        const rgba = typeof color === 'string' ? this._parseColor(color) : (Array.isArray(color) ? color : [1, 1, 1, 1]);
+        const face = this.dnStyleFaces[styleIndex], baseScale = size / face.size, end = startTime + duration + 0.1;
+        const glyphs = this._glyphs(text, face), kerning = face.kerning;
+        let curCharX = -this._glyphRunWidth(glyphs, face) / 2, prev = null;
+        for (const i of glyphs) {
+            if (!i) { curCharX += face.size / 2; prev = null; continue; }
+            if (kerning && prev) curCharX += kerning.get(prev.id * 0x110000 + i.id) || 0;
+            prev = i;
+            // 数字存活期间字形不能被淘汰（缓冲里记着它的纹理坐标）
+            if (end > i.pinnedUntil) i.pinnedUntil = end;
+            // BMFont 的页图可能被放进图集，纹理坐标要换算到图集中
+            const source = i.page || i.texture, target = this._damageNumberTexture(source), uv = target.uv;
+            let u0 = i.u0, v0 = i.v0, u1 = i.u1, v1 = i.v1;
+            if (uv) { const uw = uv.u1 - uv.u0, vh = uv.v1 - uv.v0; u0 = uv.u0 + i.u0 * uw; v0 = uv.v0 + i.v0 * vh; u1 = uv.u0 + i.u1 * uw; v1 = uv.v0 + i.v1 * vh; }
+            const chunk = this._damageNumberSlot(source, target), slot = chunk.last;
+            const x0 = i.ox, y0 = i.oy;
+            const x1 = x0 + i.renderWidth, y1 = y0 + i.renderHeight;
+            const verts = [
+                [x0, y0, u0, v0],
+                [x1, y0, u1, v0],
+                [x1, y1, u1, v1],
+                [x0, y1, u0, v1]
+            ];
+            const o = slot * 4 * this.dnVertexStride;
+            const d = chunk.data;
+            for (let k = 0; k < 4; k++) {
+                const vo = o + k * this.dnVertexStride;
+                d[vo] = verts[k][0]; d[vo + 1] = verts[k][1]; d[vo + 2] = verts[k][2]; d[vo + 3] = verts[k][3];
+                d[vo + 4] = x; d[vo + 5] = y; d[vo + 6] = curCharX; d[vo + 7] = 0;
+                d[vo + 8] = vx; d[vo + 9] = vy; d[vo + 10] = startTime; d[vo + 11] = duration; d[vo + 12] = baseScale;
+                d[vo + 13] = rgba[0]; d[vo + 14] = rgba[1]; d[vo + 15] = rgba[2]; d[vo + 16] = alpha; d[vo + 17] = styleIndex;
+            }
+            chunk.expiry[slot] = end;
+            if (end > chunk.maxExpiry) chunk.maxExpiry = end;
+            if (slot < chunk.dirtyFrom) chunk.dirtyFrom = slot;
+            if (slot > chunk.dirtyTo) chunk.dirtyTo = slot;
+            curCharX += i.width;
+        }
+    }
+
+    /**
+     * 定义（或覆盖同名）伤害数字样式，最多 DN_MAX_STYLES 种。未给出的参数取默认样式的值。时间类参数都是占寿命的比例（0~1）。
+     * @param {string} name
+     * @param {object} [options]
+     * @param {number} [options.gravity=800] 竖直重力（像素/秒²，仅 motion 为 'arc' 时生效）
+     * @param {number} [options.drag=3] 阻力，速度按 e^(-drag·t) 衰减
+     * @param {'arc'|'float'} [options.motion='arc'] 抛物线弹出，或沿初速度方向减速上飘
+     * @param {number} [options.shake=0] 抖动幅度（像素），随寿命衰减
+     * @param {number} [options.popIn=0.2] 从 startScale 放大到原尺寸所占的时间
+     * @param {number} [options.startScale=0.3] 弹出时的初始缩放
+     * @param {number} [options.bounce=0.1] 刚出现 0.1 秒内的弹跳幅度
+     * @param {number} [options.shrinkStart=0.7] 开始缩小到 endScale 的时刻
+     * @param {number} [options.endScale=0] 寿命结束时的缩放
+     * @param {number} [options.fadeStart=0.7] 开始淡出的时刻
+     * @param {number} [options.flashTime=0.2] 出现时闪光的持续时间，flashColor / flashStrength 为闪光颜色与强度
+     * @param {string|number[]} [options.outlineColor] 描边颜色，省略时保留字形自带的黑色描边
+     * @param {string} [options.font] 改用 registerSDFFont 注册的距离场字体，放大缩小都保持清晰；
+     *   此时 outlineWidth（默认 2）为描边宽度，glowWidth / glowColor 为描边外的发光（屏幕像素）
+     * @returns {number} 样式编号
+     */
+    defineDamageNumberStyle(name, options = {}) {
+        let index = this.dnStyles.get(name);
+        if (index === undefined) {
+            index = this.dnStyles.size;
+            if (index >= this.DN_MAX_STYLES) throw new Error(`Blaze2D: at most ${this.DN_MAX_STYLES} damage number styles can be defined.`);
+            this.dnStyles.set(name, index);
+        }
+        const o = { ...this.DN_DEFAULT_STYLE, ...options }, flash = this._parseColor(o.flashColor), outline = o.outlineColor ? this._parseColor(o.outlineColor) : null;
+        const face = o.font ? this._namedFont(o.font).face : this.bitmapFace, glow = this._parseColor(o.glowColor);
+        this.dnStyleFaces[index] = face;
+        this.dnStyleData.set([
+            o.gravity, o.drag, o.motion === 'float' ? 1 : 0, o.shake,
+            Math.max(1e-3, o.popIn), Math.min(0.999, o.fadeStart), Math.min(0.999, o.shrinkStart), Math.max(1e-3, o.flashTime),
+            o.startScale, o.endScale, o.bounce, 0,
+            flash[0], flash[1], flash[2], o.flashStrength,
+            outline ? outline[0] : 0, outline ? outline[1] : 0, outline ? outline[2] : 0, outline ? 1 : 0,
+            (face.msdf ? -2 : 2) * face.sdf, face.sdf ? o.outlineWidth : 0, face.sdf ? o.glowWidth : 0, 0,
+            glow[0], glow[1], glow[2], Math.min(1, glow[3])
+        ], index * this.DN_STYLE_ROWS * 4);
+        this._dnStylesDirty = true;
+        return index;
+    }
+
+    _defineBuiltinDamageNumberStyles() {
+        this.defineDamageNumberStyle('default');
+        this.defineDamageNumberStyle('crit', { startScale: 2.2, bounce: 0.25, shake: 4, flashColor: '#ffe066', flashStrength: 0.8, flashTime: 0.3, gravity: 600, outlineColor: '#5a0000' });
+        this.defineDamageNumberStyle('heal', { motion: 'float', drag: 1.5, startScale: 0.6, bounce: 0.05, fadeStart: 0.6, shrinkStart: 0.8, endScale: 0.8, flashColor: '#d8ffd8', outlineColor: '#0b4d1a' });
+        this.defineDamageNumberStyle('shield', { motion: 'float', drag: 2.5, startScale: 1.4, bounce: 0, flashColor: '#bfe4ff', flashStrength: 0.6, outlineColor: '#0a2a55' });
+        this.defineDamageNumberStyle('miss', { motion: 'float', drag: 2, startScale: 1, bounce: 0, flashStrength: 0, fadeStart: 0.4, endScale: 1, outlineColor: '#333333' });
+        this.defineDamageNumberStyle('combo', { motion: 'float', drag: 6, startScale: 1.8, bounce: 0.3, shake: 2, shrinkStart: 0.85, flashColor: '#ffffff', flashStrength: 0.7, flashTime: 0.15 });
+    }
+
+    /**
+     * 为一个字形找空闲槽位（返回所在块，槽位为 chunk.last）：从环形指针往后找第一个过期或未用过的槽位。
+     * 块按纹理来源（字形页或 BMFont 页图）区分，target 为来源当前解析到的纹理与 uv。
+     * 一块里全部存活时记下最早的过期时间，在那之前跳过这块；所有块都满了就新开一块。
+     */
+    _damageNumberSlot(source, target) {
+        const now = this.currentTime, cap = this.dnMaxBatchSize;
+        for (const chunk of this.dnChunks) {
+            if (chunk.source !== source || now < chunk.blockedUntil) continue;
+            this._retargetDamageNumberChunk(chunk, target);
+            if (now > chunk.maxExpiry) { chunk.next = 0; chunk.high = 0; chunk.maxExpiry = -Infinity; }
+            let earliest = Infinity;
+            for (let n = 0; n < cap; n++) {
+                const i = (chunk.next + n) % cap;
+                if (i >= chunk.high || chunk.expiry[i] <= now) {
+                    chunk.last = i; chunk.next = i + 1 === cap ? 0 : i + 1;
+                    if (i >= chunk.high) chunk.high = i + 1;
+                    return chunk;
+                }
+                if (chunk.expiry[i] < earliest) earliest = chunk.expiry[i];
+            }
+            chunk.blockedUntil = earliest;
+        }
+        const chunk = {
+            source, texture: null, uv: null, data: new Float32Array(cap * 4 * this.dnVertexStride), expiry: new Float32Array(cap), buffer: null,
+            last: 0, next: 1, high: 1, maxExpiry: -Infinity, blockedUntil: -Infinity, dirtyFrom: cap, dirtyTo: -1
+        };
+        this._retargetDamageNumberChunk(chunk, target);
+        this._allocateDamageNumberChunk(chunk);
+        this.dnChunks.push(chunk);
+        return chunk;
+    }
+
+    /** 伤害数字纹理来源当前对应的 { texture, uv }：字形页取页纹理，BMFont 页图经 getTexture 解析（可能在图集里，uv 为所在区域）。 */
+    _damageNumberTexture(source) {
+        if (source instanceof WebGLTexture) return { texture: source, uv: null };
+        if (this.glyphPages.includes(source)) return { texture: source.texture, uv: null };
+        const t = this.getTexture(source);
+        return { texture: t.texture || t, uv: t.uv || null };
+    }
+
+    /** 把块换到来源当前的纹理上；uv 区域变了（图集整理、释放后重新上传）时按新旧区域换算缓冲里的纹理坐标，整块重传。 */
+    _retargetDamageNumberChunk(chunk, { texture, uv }) {
+        chunk.texture = texture;
+        const a = chunk.uv, b = uv || this.FULL_UV;
+        if (a && (a.u0 !== b.u0 || a.v0 !== b.v0 || a.u1 !== b.u1 || a.v1 !== b.v1)) {
+            const su = (b.u1 - b.u0) / (a.u1 - a.u0), sv = (b.v1 - b.v0) / (a.v1 - a.v0), d = chunk.data, S = this.dnVertexStride;
+            for (let o = 0, end = chunk.high * 4 * S; o < end; o += S) { d[o + 2] = b.u0 + (d[o + 2] - a.u0) * su; d[o + 3] = b.v0 + (d[o + 3] - a.v0) * sv; }
+            chunk.dirtyFrom = 0; chunk.dirtyTo = chunk.high - 1;
+        }
+        chunk.uv = { u0: b.u0, v0: b.v0, u1: b.u1, v1: b.v1 };
+    }
+
+    _allocateDamageNumberChunk(chunk) {
+        const gl = this.gl;
+        chunk.buffer = gl.createBuffer();
+        gl.bindBuffer(gl.ARRAY_BUFFER, chunk.buffer);
+        gl.bufferData(gl.ARRAY_BUFFER, chunk.data.byteLength, gl.DYNAMIC_DRAW);
+        chunk.dirtyFrom = 0; chunk.dirtyTo = chunk.high - 1;
+    }
+
+    /** 立即移除所有伤害数字（例如切换关卡时）。 */
+    clearDamageNumbers() {
+        if (!this.contextLost) for (const chunk of this.dnChunks) this.gl.deleteBuffer(chunk.buffer);
+        this.dnChunks.length = 0;
+    }
+
+    /** 绘制所有存活的伤害数字，每块一次 Draw Call，只上传上次绘制后新生成的槽位。每帧调用一次。 */
+    flushDamageNumbers() {
+        const now = this.currentTime;
+        // 整块过期的多余块直接释放，每种纹理来源至少留一块以免反复分配
+        for (let k = this.dnChunks.length - 1; k >= 0; k--) {
+            const chunk = this.dnChunks[k];
+            if (now > chunk.maxExpiry && this.dnChunks.some(c => c !== chunk && c.source === chunk.source)) {
+                if (!this.contextLost) this.gl.deleteBuffer(chunk.buffer);
+                this.dnChunks.splice(k, 1);
+            }
+        }
+        const live = this.dnChunks.filter(c => c.high > 0 && now <= c.maxExpiry);
+        if (!live.length || this.contextLost) return;
+        if (this._dnTexturesStale) {
+            this._dnTexturesStale = false;
+            for (const chunk of live) this._retargetDamageNumberChunk(chunk, this._damageNumberTexture(chunk.source));
+        }
+        this.flush();
+        const gl = this.gl, L = this.dnLocations;
+        if (this._compositeMode) this._beginOffscreenComposite();
+        gl.useProgram(this.dnProgram);
+        gl.uniform2f(L.resolution, this.width, this.height);
+        gl.uniform1f(L.dpr, this.dpr || 1);
+        gl.uniform1f(L.currentTime, now);
+        gl.uniform2f(L.cameraPos, this.cameraX, this.cameraY);
+        if (this._dnStylesDirty) { gl.uniform4fv(L.styles, this.dnStyleData); this._dnStylesDirty = false; }
+        gl.activeTexture(gl.TEXTURE0);
+        gl.uniform1i(L.image, 0);
+        gl.bindBuffer(gl.ELEMENT_ARRAY_BUFFER, this.dnIndexBuffer);
+        const stride = this.dnVertexStride * 4;
+        for (const chunk of live) {
+            gl.bindTexture(gl.TEXTURE_2D, chunk.texture);
+            gl.bindBuffer(gl.ARRAY_BUFFER, chunk.buffer);
+            if (chunk.dirtyTo >= chunk.dirtyFrom) {
+                const S = 4 * this.dnVertexStride;
+                gl.bufferSubData(gl.ARRAY_BUFFER, chunk.dirtyFrom * S * 4, chunk.data.subarray(chunk.dirtyFrom * S, (chunk.dirtyTo + 1) * S));
+                chunk.dirtyFrom = this.dnMaxBatchSize; chunk.dirtyTo = -1;
+            }
+            gl.enableVertexAttribArray(L.posOffset); gl.vertexAttribPointer(L.posOffset, 2, gl.FLOAT, false, stride, 0);
+            gl.enableVertexAttribArray(L.texCoord); gl.vertexAttribPointer(L.texCoord, 2, gl.FLOAT, false, stride, 8);
+            gl.enableVertexAttribArray(L.startPos); gl.vertexAttribPointer(L.startPos, 2, gl.FLOAT, false, stride, 16);
+            gl.enableVertexAttribArray(L.charOffset); gl.vertexAttribPointer(L.charOffset, 2, gl.FLOAT, false, stride, 24);
+            gl.enableVertexAttribArray(L.velocity); gl.vertexAttribPointer(L.velocity, 2, gl.FLOAT, false, stride, 32);
+            gl.enableVertexAttribArray(L.timeParams); gl.vertexAttribPointer(L.timeParams, 3, gl.FLOAT, false, stride, 40);
+            gl.enableVertexAttribArray(L.color); gl.vertexAttribPointer(L.color, 3, gl.FLOAT, false, stride, 52);
+            gl.enableVertexAttribArray(L.alpha); gl.vertexAttribPointer(L.alpha, 1, gl.FLOAT, false, stride, 64);
+            gl.enableVertexAttribArray(L.style); gl.vertexAttribPointer(L.style, 1, gl.FLOAT, false, stride, 68);
+            gl.drawElements(gl.TRIANGLES, chunk.high * 6, gl.UNSIGNED_SHORT, 0);
+            this.drawCallCount++; this.triangleCount += chunk.high * 2;
+        }
+        if (this._compositeMode) this._endOffscreenComposite();
+        gl.useProgram(this.program);
+    }
+
+    /**
+     * 创建 GPU 粒子发射器。粒子存放在发射器自己的环形缓冲里，发射一次即可，过期的槽位被后续发射覆盖。
+     * 范围参数可写成数字或 [min, max]；size / color 可写成 1~4 个关键帧（在生命周期内均匀分布）。
+     * @param {object} [options]
+     * @param {HTMLImageElement|HTMLCanvasElement} [options.image] 粒子贴图（经图集），省略时为纯色方块
+     * @param {string} [options.frame] 改用 loadSpritesheet 注册的帧
+     * @param {number} [options.maxParticles=2048] 同时存活的粒子上限（环形缓冲大小，最多 maxBatchSize）
+     * @param {number|number[]} [options.lifetime=[0.6, 1.2]] 寿命（秒）
+     * @param {number|number[]} [options.speed=[50, 150]] 初速度（像素/秒）
+     * @param {number} [options.angle=-Math.PI/2] 发射方向（弧度），spread 为以它为中心的扩散角（默认 2π，即四面八方）
+     * @param {number|number[]} [options.radius=0] 出生点离发射点的随机距离
+     * @param {number|number[]} [options.gravity=0] 重力加速度，数字表示竖直方向，数组为 [gx, gy]
+     * @param {number} [options.drag=0] 空气阻力系数（1/秒，速度按 e^(-drag·t) 衰减）
+     * @param {number|number[]} [options.rotation=0] 初始角度；rotationSpeed 为角速度（弧度/秒）
+     * @param {number|number[]} [options.size=8] 随寿命变化的尺寸关键帧；scale 为每个粒子的随机尺寸倍率
+     * @param {string|Array} [options.color=['#fff', 'rgba(255,255,255,0)']] 随寿命变化的颜色关键帧（含 alpha）
+     * @param {boolean} [options.worldSpace=true] 坐标是否为世界坐标（随 setCamera 移动），否则为屏幕 CSS 像素
+     */
+    createParticleEmitter(options = {}) {
+        const range = (v, def) => { v = v ?? def; return Array.isArray(v) ? [v[0], v[v.length > 1 ? 1 : 0]] : [v, v]; };
+        const keys = (v) => (Array.isArray(v) ? v : [v]).slice(0, 4);
+        const sizes = keys(options.size ?? 8), colors = keys(options.color ?? ['#fff', 'rgba(255,255,255,0)']).map(c => this._parseColor(c));
+        const gravity = options.gravity ?? 0, max = Math.max(1, Math.min(options.maxParticles || 2048, this.maxBatchSize));
+        const emitter = {
+            image: options.image || null, frame: options.frame || null, maxParticles: max, worldSpace: options.worldSpace !== false,
+            spawn: {
+                lifetime: range(options.lifetime, [0.6, 1.2]), speed: range(options.speed, [50, 150]), angle: options.angle ?? -Math.PI / 2,
+                spread: options.spread ?? Math.PI * 2, radius: range(options.radius, 0), rotation: range(options.rotation, 0),
+                rotationSpeed: range(options.rotationSpeed, 0), scale: range(options.scale, 1)
+            },
+            gravity: typeof gravity === 'number' ? [0, gravity] : gravity, drag: options.drag || 0,
+            keyCounts: [sizes.length, colors.length],
+            sizes: new Float32Array(4).map((_, i) => sizes[Math.min(i, sizes.length - 1)]),
+            colors: new Float32Array(16).map((_, i) => colors[Math.min(i >> 2, colors.length - 1)][i & 3]),
+            data: new Float32Array(max * 4 * this.PARTICLE_STRIDE), buffer: null,
+            next: 0, used: 0, expires: -Infinity, dirtyFrom: max, dirtyTo: -1
+        };
+        this._allocateEmitter(emitter);
+        this.particleEmitters.add(emitter);
+        return emitter;
+    }
+
+    destroyParticleEmitter(emitter) {
+        if (!this.particleEmitters.delete(emitter)) return;
+        if (!this.contextLost) this.gl.deleteBuffer(emitter.buffer);
+        emitter.buffer = null;
+    }
+
+    _allocateEmitter(emitter) {
+        const gl = this.gl;
+        emitter.buffer = gl.createBuffer();
+        gl.bindBuffer(gl.ARRAY_BUFFER, emitter.buffer);
+        gl.bufferData(gl.ARRAY_BUFFER, emitter.data.byteLength, gl.DYNAMIC_DRAW);
+        // 新缓冲内容为空，已写入的粒子整体重传
+        emitter.dirtyFrom = 0; emitter.dirtyTo = emitter.used - 1;
+    }
+
+    /**
+     * 在 (x, y) 发射 count 个粒子，出生时间为 setTime() 设置的当前时间。
+     * overrides 可临时覆盖发射参数（lifetime、speed、angle、spread、radius、rotation、rotationSpeed、scale），例如让血花朝受击方向喷出。
+     */
+    emitParticles(emitter, x, y, count = 1, overrides = null) {
+        const sp = overrides ? { ...emitter.spawn } : emitter.spawn;
+        if (overrides) for (const k in overrides) if (k in sp) sp[k] = (k === 'angle' || k === 'spread') ? overrides[k] : (Array.isArray(overrides[k]) ? overrides[k] : [overrides[k], overrides[k]]);
+        const max = emitter.maxParticles, d = emitter.data, S = this.PARTICLE_STRIDE, now = this.currentTime;
+        const rand = (r) => r[0] + (r[1] - r[0]) * Math.random();
+        count = Math.min(count, max);
+        for (let n = 0; n < count; n++) {
+            const slot = emitter.next, life = rand(sp.lifetime), speed = rand(sp.speed), dir = sp.angle + (Math.random() - 0.5) * sp.spread;
+            const ra = Math.random() * Math.PI * 2, rr = rand(sp.radius), px = x + Math.cos(ra) * rr, py = y + Math.sin(ra) * rr;
+            const vx = Math.cos(dir) * speed, vy = Math.sin(dir) * speed, rot = rand(sp.rotation), spin = rand(sp.rotationSpeed), scale = rand(sp.scale);
+            for (let k = 0; k < 4; k++) {
+                const o = (slot * 4 + k) * S;
+                d[o] = (k === 1 || k === 2) ? 1 : -1; d[o + 1] = k >= 2 ? 1 : -1;
+                d[o + 2] = px; d[o + 3] = py; d[o + 4] = vx; d[o + 5] = vy;
+                d[o + 6] = now; d[o + 7] = life; d[o + 8] = rot; d[o + 9] = spin; d[o + 10] = scale;
+            }
+            if (now + life > emitter.expires) emitter.expires = now + life;
+            if (slot < emitter.dirtyFrom) emitter.dirtyFrom = slot;
+            if (slot > emitter.dirtyTo) emitter.dirtyTo = slot;
+            emitter.next = (slot + 1) % max;
+            if (emitter.used < max) emitter.used++;
+        }
+    }
+
+    /** 绘制发射器中所有存活粒子（一次 Draw Call），只上传自上次绘制以来新发射的槽位。遵循 globalAlpha 与 globalCompositeOperation（如 'lighter' 叠加发光）。 */
+    drawParticles(emitter) {
+        if (this.contextLost || !emitter.buffer || emitter.used === 0 || this.currentTime > emitter.expires) return;
+        this.flush();
+        const gl = this.gl, L = this.particleLocations, S = this.PARTICLE_STRIDE;
+        gl.bindBuffer(gl.ARRAY_BUFFER, emitter.buffer);
+        if (emitter.dirtyTo >= emitter.dirtyFrom) {
+            gl.bufferSubData(gl.ARRAY_BUFFER, emitter.dirtyFrom * 4 * S * 4, emitter.data.subarray(emitter.dirtyFrom * 4 * S, (emitter.dirtyTo + 1) * 4 * S));
+            emitter.dirtyFrom = emitter.maxParticles; emitter.dirtyTo = -1;
+        }
+        let texture = this.whiteTexture, u0 = 0, v0 = 0, u1 = 1, v1 = 1, rotated = false;
+        const f = emitter.frame ? this.frames.get(emitter.frame) : null, image = f ? f.image : emitter.image;
+        if (image) {
+            const info = this.getTexture(image);
+            if (info?.texture) { texture = info.texture; if (info.uv) ({ u0, v0, u1, v1 } = info.uv); }
+            else if (info instanceof WebGLTexture) texture = info;
+        }
+        if (f) {
+            const bw = u1 - u0, bh = v1 - v0, iW = f.image.width, iH = f.image.height;
+            u1 = u0 + ((f.x + f.w) / iW) * bw; v1 = v0 + ((f.y + f.h) / iH) * bh; u0 += (f.x / iW) * bw; v0 += (f.y / iH) * bh;
+            rotated = !!f.rotated;
+        }
+        if (this._compositeMode) this._beginOffscreenComposite();
+        gl.useProgram(this.particleProgram);
+        gl.uniform2f(L.resolution, this.width, this.height);
+        gl.uniform1f(L.dpr, this.dpr || 1);
+        gl.uniform1f(L.currentTime, this.currentTime);
+        gl.uniform2f(L.cameraPos, this.cameraX, this.cameraY);
+        gl.uniform1f(L.worldSpace, emitter.worldSpace ? 1.0 : 0.0);
+        gl.uniform2fv(L.gravity, emitter.gravity);
+        gl.uniform1f(L.drag, emitter.drag);
+        gl.uniform2fv(L.keyCounts, emitter.keyCounts);
+        gl.uniform4fv(L.sizes, emitter.sizes);
+        gl.uniform4fv(L.colors, emitter.colors);
+        gl.uniform4f(L.uvRect, u0, v0, u1, v1);
+        gl.uniform1f(L.uvRotated, rotated ? 1.0 : 0.0);
+        gl.uniform1f(L.alpha, this._state.alpha);
+        gl.activeTexture(gl.TEXTURE0); gl.bindTexture(gl.TEXTURE_2D, texture);
+        gl.uniform1i(L.image, 0);
+        const nearest = texture !== this.whiteTexture && this._nearestSampling();
+        if (nearest) this._setSampling(0, texture, true);
+        const stride = S * 4;
+        gl.enableVertexAttribArray(L.corner); gl.vertexAttribPointer(L.corner, 2, gl.FLOAT, false, stride, 0);
+        gl.enableVertexAttribArray(L.start); gl.vertexAttribPointer(L.start, 2, gl.FLOAT, false, stride, 8);
+        gl.enableVertexAttribArray(L.velocity); gl.vertexAttribPointer(L.velocity, 2, gl.FLOAT, false, stride, 16);
+        gl.enableVertexAttribArray(L.life); gl.vertexAttribPointer(L.life, 2, gl.FLOAT, false, stride, 24);
+        gl.enableVertexAttribArray(L.spin); gl.vertexAttribPointer(L.spin, 2, gl.FLOAT, false, stride, 32);
+        gl.enableVertexAttribArray(L.scale); gl.vertexAttribPointer(L.scale, 1, gl.FLOAT, false, stride, 40);
+        gl.bindBuffer(gl.ELEMENT_ARRAY_BUFFER, this.indexBuffer);
+        gl.drawElements(gl.TRIANGLES, emitter.used * 6, gl.UNSIGNED_SHORT, 0);
+        if (nearest) this._setSampling(0, texture, false);
+        if (this._compositeMode) this._endOffscreenComposite();
+        this.drawCallCount++; this.triangleCount += emitter.used * 2;
+        gl.useProgram(this.program);
+    }
+
+    beginPath() { this.currentPath = []; }
+    closePath() { this.currentPath.push({ type: 'closePath' }); }
+    moveTo(x, y) { this.currentPath.push({ type: 'moveTo', x, y }); }
+    lineTo(x, y) { this.currentPath.push({ type: 'lineTo', x, y }); }
+    rect(x, y, w, h) { this.currentPath.push({ type: 'rect', x, y, w, h }); }
+    arc(x, y, r, sa, ea, ac) { this.currentPath.push({ type: 'arc', x, y, r, sa, ea, ac }); }
+    arcTo(x1, y1, x2, y2, r) { this.currentPath.push({ type: 'arcTo', x1, y1, x2, y2, r }); }
+    ellipse(x, y, rx, ry, rot, sa, ea, ac) { this.currentPath.push({ type: 'ellipse', x, y, rx, ry, rot, sa, ea, ac }); }
+    quadraticCurveTo(cp1x, cp1y, x, y) { this.currentPath.push({ type: 'quadraticCurveTo', cp1x, cp1y, x, y }); }
+    bezierCurveTo(cp1x, cp1y, cp2x, cp2y, x, y) { this.currentPath.push({ type: 'bezierCurveTo', cp1x, cp1y, cp2x, cp2y, x, y }); }
+
+    /**
+     * 与 Canvas 的 roundRect 相同：radii 为数字、{ x, y } 或 1 到 4 个它们组成的数组（左上、右上、右下、左下的简写规则同 CSS border-radius），
+     * 相邻圆角之和超过边长时整体等比缩小。展开成直线与椭圆弧命令，其余路径代码无需特殊处理。
+     */
+    roundRect(x, y, w, h, radii = 0) {
+        const list = Array.isArray(radii) ? radii : [radii];
+        if (list.length < 1 || list.length > 4) throw new RangeError(`Blaze2D: roundRect() expects 1 to 4 radii, got ${list.length}.`);
+        const r = list.map(v => typeof v === 'number' ? { x: v, y: v } : { x: v?.x ?? 0, y: v?.y ?? 0 });
+        if (![x, y, w, h].every(Number.isFinite) || !r.every(p => Number.isFinite(p.x) && Number.isFinite(p.y))) return;
+        if (r.some(p => p.x < 0 || p.y < 0)) throw new RangeError('Blaze2D: roundRect() radii must be non-negative.');
+        let [tl, tr, br, bl] = r.length === 1 ? [r[0], r[0], r[0], r[0]] : r.length === 2 ? [r[0], r[1], r[0], r[1]] : r.length === 3 ? [r[0], r[1], r[2], r[1]] : r;
+        // 宽高为负时矩形翻转，圆角随之交换
+        if (w < 0) { x += w; w = -w; [tl, tr, bl, br] = [tr, tl, br, bl]; }
+        if (h < 0) { y += h; h = -h; [tl, tr, bl, br] = [bl, br, tl, tr]; }
+        const fit = (len, a, b) => a + b > len ? len / (a + b) : 1;
+        const k = Math.min(fit(w, tl.x, tr.x), fit(w, bl.x, br.x), fit(h, tl.y, bl.y), fit(h, tr.y, br.y));
+        [tl, tr, br, bl] = [tl, tr, br, bl].map(p => ({ x: p.x * k, y: p.y * k }));
+        const H = Math.PI / 2;
+        this.moveTo(x + tl.x, y);
+        this.lineTo(x + w - tr.x, y); this.ellipse(x + w - tr.x, y + tr.y, tr.x, tr.y, 0, -H, 0);
+        this.lineTo(x + w, y + h - br.y); this.ellipse(x + w - br.x, y + h - br.y, br.x, br.y, 0, 0, H);
+        this.lineTo(x + bl.x, y + h); this.ellipse(x + bl.x, y + h - bl.y, bl.x, bl.y, 0, H, 2 * H);
+        this.lineTo(x, y + tl.y); this.ellipse(x + tl.x, y + tl.y, tl.x, tl.y, 0, 2 * H, 3 * H);
+        this.closePath(); this.moveTo(x, y);
+    }
+
+    /**
+     * 点 (x, y) 是否在当前路径内（按当前变换）。坐标与 resetTransform() 后的用户坐标相同，即 CSS 像素，不受当前变换影响。
+     * 与 fill() 一样只支持当前路径，不支持 Path2D。
+     */
+    isPointInPath(x, y, fillRule = 'nonzero') {
+        if (typeof x === 'object') throw new TypeError('Blaze2D: isPointInPath() does not support Path2D; build the path on the context.');
+        const [px, py] = this._fromCanvasPoint(x, y);
+        let winding = 0;
+        for (const sp of this._flattenPath(this.currentPath, this._state.matrix)) {
+            // 每个子路径都按闭合处理，与 fill() 一致
+            const p = sp.points, n = p.length;
+            for (let i = 0; i < n; i += 2) {
+                const x0 = p[i], y0 = p[i + 1], x1 = p[(i + 2) % n], y1 = p[(i + 3) % n];
+                const cross = (x1 - x0) * (py - y0) - (px - x0) * (y1 - y0);
+                if (y0 <= py && y1 > py && cross > 0) winding++;
+                else if (y1 <= py && y0 > py && cross < 0) winding--;
+            }
+        }
+        return fillRule === 'evenodd' ? (winding & 1) === 1 : winding !== 0;
+    }
+
+    /** 点 (x, y) 是否落在当前路径按当前 lineWidth / lineCap / lineJoin / miterLimit / 虚线描边的区域内，坐标约定同 isPointInPath。 */
+    isPointInStroke(x, y) {
+        if (typeof x === 'object') throw new TypeError('Blaze2D: isPointInStroke() does not support Path2D; build the path on the context.');
+        const s = this._state, m = s.matrix, det = m[0] * m[3] - m[1] * m[2];
+        if (!det || !(s.lineWidth > 0)) return false;
+        const scale = Math.sqrt(Math.max(m[0] * m[0] + m[1] * m[1], m[2] * m[2] + m[3] * m[3])) || 1;
+        const tris = this._strokeTriangles(this._flattenPath(this.currentPath, this.IDENTITY_MATRIX, 0.25 / scale), s.lineWidth / 2, m);
+        // 描边三角形在路径的局部坐标里，把点逆变换过去
+        const [dx, dy] = this._fromCanvasPoint(x, y), qx = dx - m[4], qy = dy - m[5];
+        const lx = (m[3] * qx - m[2] * qy) / det, ly = (m[0] * qy - m[1] * qx) / det;
+        for (let i = 0; i < tris.length; i += 6) {
+            const d0 = (tris[i + 2] - tris[i]) * (ly - tris[i + 1]) - (lx - tris[i]) * (tris[i + 3] - tris[i + 1]);
+            const d1 = (tris[i + 4] - tris[i + 2]) * (ly - tris[i + 3]) - (lx - tris[i + 2]) * (tris[i + 5] - tris[i + 3]);
+            const d2 = (tris[i] - tris[i + 4]) * (ly - tris[i + 5]) - (lx - tris[i + 4]) * (tris[i + 1] - tris[i + 5]);
+            if ((d0 >= 0 && d1 >= 0 && d2 >= 0) || (d0 <= 0 && d1 <= 0 && d2 <= 0)) return true;
+        }
+        return false;
+    }
+
+    /** CSS 像素的画布坐标 -> 路径展平后所在的设备坐标（worldSpace 模式下加回相机偏移）。 */
+    _fromCanvasPoint(x, y) {
+        const dpr = this.dpr || 1;
+        if (!this._worldSpaceActive) return [x * dpr, y * dpr];
+        return [x * dpr + this.cameraX * dpr - this.width * 0.5, y * dpr + this.cameraY * dpr - this.height * 0.5];
+    }
+
+    /**
+     * 用当前路径与现有裁剪区求交。轴对齐矩形使用 scissor，其余路径（圆弧、任意多边形）写入模板缓冲。
+     * 裁剪区属于绘图状态，随 save()/restore() 嵌套；模板裁剪最多嵌套 15 层。
+     * @param {'nonzero'|'evenodd'} [fillRule]
+     */
+    clip(fillRule = 'nonzero') {
+        const s = this._state, m = s.matrix, path = this.currentPath;
+        this.flush();
+        if (path.length === 1 && path[0].type === 'rect' && Math.abs(m[1]) < 1e-6 && Math.abs(m[2]) < 1e-6) {
+            const c = path[0];
+            const [ax, ay] = this._toScreen(m[0] * c.x + m[4], m[3] * c.y + m[5]);
+            const [bx, by] = this._toScreen(m[0] * (c.x + c.w) + m[4], m[3] * (c.y + c.h) + m[5]);
+            let x0 = Math.round(Math.min(ax, bx)), y0 = Math.round(Math.min(ay, by));
+            let x1 = Math.round(Math.max(ax, bx)), y1 = Math.round(Math.max(ay, by));
+            if (s.clipRect) {
+                const r = s.clipRect;
+                x0 = Math.max(x0, r.x); y0 = Math.max(y0, r.y); x1 = Math.min(x1, r.x + r.w); y1 = Math.min(y1, r.y + r.h);
+            }
+            s.clipRect = { x: x0, y: y0, w: Math.max(0, x1 - x0), h: Math.max(0, y1 - y0) };
+        } else {
+            const polys = this._flattenPath(path, m).map(sp => {
+                const p = sp.points;
+                for (let i = 0; i < p.length; i += 2) { const q = this._toScreen(p[i], p[i + 1]); p[i] = q[0]; p[i + 1] = q[1]; }
+                return p;
+            });
+            if (!this._targetHasStencil()) {
+                // 没有模板缓冲时退化为包围盒裁剪
+                let x0 = Infinity, y0 = Infinity, x1 = -Infinity, y1 = -Infinity;
+                for (const p of polys) for (let i = 0; i < p.length; i += 2) { x0 = Math.min(x0, p[i]); x1 = Math.max(x1, p[i]); y0 = Math.min(y0, p[i + 1]); y1 = Math.max(y1, p[i + 1]); }
+                if (x0 === Infinity) x0 = y0 = x1 = y1 = 0;
+                if (s.clipRect) { const r = s.clipRect; x0 = Math.max(x0, r.x); y0 = Math.max(y0, r.y); x1 = Math.min(x1, r.x + r.w); y1 = Math.min(y1, r.y + r.h); }
+                s.clipRect = { x: Math.floor(x0), y: Math.floor(y0), w: Math.max(0, Math.ceil(x1) - Math.floor(x0)), h: Math.max(0, Math.ceil(y1) - Math.floor(y0)) };
+            } else if (s.clipPaths.length >= 15) {
+                console.warn('Blaze2D: clip() nesting deeper than 15 stencil levels is ignored');
+            } else {
+                s.clipPaths = s.clipPaths.concat([{ polys, fillRule }]);
+            }
+        }
+        this._applyClip();
+    }
+
+    /** 设备像素坐标 -> 画布像素坐标（worldSpace 模式下扣除相机偏移，与顶点着色器一致）。 */
+    _toScreen(x, y) {
+        if (!this._worldSpaceActive) return [x, y];
+        return [x - this.cameraX * this.dpr + this.width * 0.5, y - this.cameraY * this.dpr + this.height * 0.5];
+    }
+
+    /** 当前绘制目标是否有模板缓冲：画布看上下文属性，层看是否成功挂上了模板附件。 */
+    _targetHasStencil() {
+        const top = this._layerStack[this._layerStack.length - 1];
+        return top ? !!top.layer.stencil : this.hasStencil;
+    }
+
+    /** 让 GL 的 scissor / 模板状态与当前绘图状态的裁剪区一致。调用前需已 flush。 */
+    _applyClip() {
+        const gl = this.gl, s = this._state;
+        if (this._appliedClipPaths !== s.clipPaths) {
+            gl.disable(gl.SCISSOR_TEST); this._appliedClipRect = null;
+            this._buildStencilClip(s.clipPaths);
+            this._appliedClipPaths = s.clipPaths;
+        }
+        if (this._appliedClipRect !== s.clipRect) {
+            const r = s.clipRect;
+            if (r) { gl.enable(gl.SCISSOR_TEST); gl.scissor(r.x, this.height - r.y - r.h, r.w, r.h); }
+            else gl.disable(gl.SCISSOR_TEST);
+            this._appliedClipRect = r;
+        }
+    }
+
+    /**
+     * 重建模板缓冲：第 k 层裁剪先用扇形三角形把缠绕数写进低 4 位（nonzero 按正反面 INCR/DECR，evenodd 翻转最低位），
+     * 再把“位于第 k-1 层且缠绕数非零”的像素提升为第 k 层。绘制时只通过高 4 位等于层数的像素。
+     */
+    _buildStencilClip(paths) {
+        const gl = this.gl;
+        if (!paths.length) { gl.disable(gl.STENCIL_TEST); return; }
+        // 模板图元必须直接画进当前目标：读回合成的离屏层没有模板附件，走那条路径时绕数写不进去
+        const ws = this._worldSpaceActive, mode = this._compositeMode;
+        this._worldSpaceActive = false; this._compositeMode = null;
+        gl.enable(gl.STENCIL_TEST);
+        gl.stencilMask(0xFF); gl.clearStencil(0); gl.clear(gl.STENCIL_BUFFER_BIT);
+        gl.colorMask(false, false, false, false);
+        for (let k = 1; k <= paths.length; k++) {
+            const clip = paths[k - 1];
+            gl.stencilFunc(gl.ALWAYS, 0, 0xFF);
+            if (clip.fillRule === 'evenodd') { gl.stencilMask(0x01); gl.stencilOp(gl.KEEP, gl.KEEP, gl.INVERT); }
+            else {
+                gl.stencilMask(0x0F);
+                gl.stencilOpSeparate(gl.FRONT, gl.KEEP, gl.KEEP, gl.INCR_WRAP);
+                gl.stencilOpSeparate(gl.BACK, gl.KEEP, gl.KEEP, gl.DECR_WRAP);
+            }
+            for (const p of clip.polys) this._addFanTriangles(p);
+            this.flush();
+            gl.stencilMask(0x0F); gl.stencilFunc(gl.NOTEQUAL, (k - 1) << 4, 0xF0); gl.stencilOp(gl.KEEP, gl.KEEP, gl.ZERO);
+            this._addScreenQuad(); this.flush();
+            gl.stencilMask(0xFF); gl.stencilFunc(gl.NOTEQUAL, k << 4, 0x0F); gl.stencilOp(gl.KEEP, gl.KEEP, gl.REPLACE);
+            this._addScreenQuad(); this.flush();
+        }
+        gl.colorMask(true, true, true, true);
+        gl.stencilMask(0x00);
+        gl.stencilFunc(gl.EQUAL, paths.length << 4, 0xF0);
+        gl.stencilOp(gl.KEEP, gl.KEEP, gl.KEEP);
+        this._worldSpaceActive = ws; this._compositeMode = mode;
+    }
+
+    _addFanTriangles(p) {
+        const id = this.IDENTITY_MATRIX;
+        for (let i = 2; i + 3 < p.length; i += 2) {
+            this._bindTexture(this.whiteTexture);
+            this._addTriangle(p[0], p[1], p[i], p[i + 1], p[i + 2], p[i + 3], id, 1, this.WHITE_RGBA);
+        }
+    }
+
+    _addScreenQuad() {
+        const id = this.IDENTITY_MATRIX, w = this.width, h = this.height;
+        this._bindTexture(this.whiteTexture, 2);
+        this._addTriangle(0, 0, w, 0, w, h, id, 1, this.WHITE_RGBA);
+        this._addTriangle(0, 0, w, h, 0, h, id, 1, this.WHITE_RGBA);
+    }
+
+    /**
+     * 把路径命令展平为折线，坐标为乘过当前矩阵后的设备像素。
+     * 曲线的分段数由变换后的尺寸与容差（设备像素）决定，缩放和 dpr 越大分得越细。
+     * @returns {{points: number[], closed: boolean}[]}
+     */
+    _flattenPath(path, m, tolerance = 0.25) {
+        const m0 = m[0], m1 = m[1], m2 = m[2], m3 = m[3], m4 = m[4], m5 = m[5];
+        const scale = Math.sqrt(Math.max(m0 * m0 + m1 * m1, m2 * m2 + m3 * m3)) || 1;
+        const subpaths = [];
+        let pts = null, hasCurrent = false, cx = 0, cy = 0, sx = 0, sy = 0;
+        const add = (x, y) => {
+            const tx = m0 * x + m2 * y + m4, ty = m1 * x + m3 * y + m5, n = pts.length;
+            if (n === 0 || Math.abs(pts[n - 2] - tx) > 1e-6 || Math.abs(pts[n - 1] - ty) > 1e-6) pts.push(tx, ty);
+            cx = x; cy = y; hasCurrent = true;
+        };
+        const begin = (x, y) => { pts = []; subpaths.push({ points: pts, closed: false }); sx = x; sy = y; add(x, y); };
+        const ensure = (x, y) => { if (!pts) begin(hasCurrent ? cx : x, hasCurrent ? cy : y); };
+        const arcSegs = (r, sweep) => {
+            const rd = Math.max(r * scale, tolerance);
+            return Math.min(2048, Math.max(1, Math.ceil(Math.abs(sweep) / (2 * Math.acos(Math.max(-1, 1 - tolerance / rd))))));
+        };
+        const ellipsePts = (x, y, rx, ry, rot, sa, ea, ccw) => {
+            const sweep = this._arcSweep(sa, ea, ccw), n = arcSegs(Math.max(Math.abs(rx), Math.abs(ry)), sweep);
+            const cr = Math.cos(rot), sr = Math.sin(rot);
+            for (let i = 0; i <= n; i++) {
+                const t = sa + sweep * (i / n), px = Math.cos(t) * rx, py = Math.sin(t) * ry;
+                const ex = x + px * cr - py * sr, ey = y + px * sr + py * cr;
+                if (i === 0 && !pts) begin(ex, ey); else add(ex, ey);
+            }
+        };
+        for (const c of path) {
+            switch (c.type) {
+                case 'moveTo': begin(c.x, c.y); break;
+                case 'lineTo': if (!pts && !hasCurrent) begin(c.x, c.y); else { ensure(c.x, c.y); add(c.x, c.y); } break;
+                case 'closePath':
+                    if (pts) { subpaths[subpaths.length - 1].closed = true; pts = null; cx = sx; cy = sy; }
+                    break;
+                case 'rect':
+                    begin(c.x, c.y); add(c.x + c.w, c.y); add(c.x + c.w, c.y + c.h); add(c.x, c.y + c.h);
+                    subpaths[subpaths.length - 1].closed = true; pts = null; cx = c.x; cy = c.y;
+                    break;
+                case 'arc': ellipsePts(c.x, c.y, c.r, c.r, 0, c.sa, c.ea, c.ac); break;
+                case 'ellipse': ellipsePts(c.x, c.y, c.rx, c.ry, c.rot, c.sa, c.ea, c.ac); break;
+                case 'quadraticCurveTo': {
+                    ensure(c.cp1x, c.cp1y);
+                    const x0 = cx, y0 = cy, ddx = x0 - 2 * c.cp1x + c.x, ddy = y0 - 2 * c.cp1y + c.y;
+                    const n = Math.min(1024, Math.max(1, Math.ceil(Math.sqrt(Math.sqrt(ddx * ddx + ddy * ddy) * scale / (4 * tolerance)))));
+                    for (let i = 1; i <= n; i++) {
+                        const t = i / n, u = 1 - t;
+                        add(u * u * x0 + 2 * u * t * c.cp1x + t * t * c.x, u * u * y0 + 2 * u * t * c.cp1y + t * t * c.y);
+                    }
+                    break;
+                }
+                case 'bezierCurveTo': {
+                    ensure(c.cp1x, c.cp1y);
+                    // 分段数由控制多边形的二阶差分估计：弦高误差不超过 3 * max|Δ²P| / (4 n²)
+                    const x0 = cx, y0 = cy;
+                    const d1 = Math.hypot(x0 - 2 * c.cp1x + c.cp2x, y0 - 2 * c.cp1y + c.cp2y), d2 = Math.hypot(c.cp1x - 2 * c.cp2x + c.x, c.cp1y - 2 * c.cp2y + c.y);
+                    const n = Math.min(1024, Math.max(1, Math.ceil(Math.sqrt(3 * Math.max(d1, d2) * scale / (4 * tolerance)))));
+                    for (let i = 1; i <= n; i++) {
+                        const t = i / n, u = 1 - t, b0 = u * u * u, b1 = 3 * u * u * t, b2 = 3 * u * t * t, b3 = t * t * t;
+                        add(b0 * x0 + b1 * c.cp1x + b2 * c.cp2x + b3 * c.x, b0 * y0 + b1 * c.cp1y + b2 * c.cp2y + b3 * c.y);
+                    }
+                    break;
+                }
+                case 'arcTo': {
+                    ensure(c.x1, c.y1);
+                    const x0 = cx, y0 = cy, r = c.r;
+                    const ax = x0 - c.x1, ay = y0 - c.y1, bx = c.x2 - c.x1, by = c.y2 - c.y1;
+                    const la = Math.hypot(ax, ay), lb = Math.hypot(bx, by), cross = ax * by - ay * bx;
+                    if (r <= 0 || la < 1e-9 || lb < 1e-9 || Math.abs(cross) < 1e-9 * la * lb) { add(c.x1, c.y1); break; }
+                    const half = Math.acos(Math.max(-1, Math.min(1, (ax * bx + ay * by) / (la * lb)))) / 2;
+                    const d = r / Math.tan(half), t1x = c.x1 + ax / la * d, t1y = c.y1 + ay / la * d;
+                    const bisx = ax / la + bx / lb, bisy = ay / la + by / lb, bl = Math.hypot(bisx, bisy), dc = r / Math.sin(half);
+                    const ocx = c.x1 + bisx / bl * dc, ocy = c.y1 + bisy / bl * dc;
+                    const a0 = Math.atan2(t1y - ocy, t1x - ocx), t2x = c.x1 + bx / lb * d, t2y = c.y1 + by / lb * d;
+                    add(t1x, t1y);
+                    ellipsePts(ocx, ocy, r, r, 0, a0, Math.atan2(t2y - ocy, t2x - ocx), cross > 0);
+                    break;
+                }
+            }
+        }
+        return subpaths.filter(sp => sp.points.length >= 4);
+    }
+
+    /** 按 Canvas 规则把起止角换算成带符号的扫过角度。 */
+    _arcSweep(sa, ea, ccw) {
+        const TAU = Math.PI * 2;
+        if (!ccw) { if (ea - sa >= TAU) return TAU; const d = (ea - sa) % TAU; return d < 0 ? d + TAU : d; }
+        if (sa - ea >= TAU) return -TAU;
+        const d = (sa - ea) % TAU;
+        return -(d < 0 ? d + TAU : d);
+    }
+
+    fill(fillRule = 'nonzero') { this._fillOrStroke(false, fillRule); this._endDraw(); }
+    stroke() { this._fillOrStroke(true); this._endDraw(); }
+
+    _fillOrStroke(isStroke, fillRule = 'nonzero') {
         const s = this._state;
         const isComplex = this.currentPath.some(c =>
-            ['lineTo', 'moveTo', 'rect', 'quadraticCurveTo', 'arcTo', 'closePath'].includes(c.type) ||
-            (c.type === 'arc' && (c.sa !== 0 || Math.abs(c.ea - Math.PI * 2) > 0.01))
+            ['lineTo', 'moveTo', 'rect', 'quadraticCurveTo', 'bezierCurveTo', 'arcTo', 'closePath'].includes(c.type) ||
+            ((c.type === 'arc' || c.type === 'ellipse') && (c.sa !== 0 || Math.abs(c.ea - Math.PI * 2) > 0.01)) ||
+            (c.type === 'ellipse' && isStroke)
         );
-        if (isComplex) { this._drawComplexPath(isStroke); return; }
+        if (isComplex) {
+            const style = isStroke ? s.strokeStyle : s.fillStyle;
+            // 带阴影的路径仍走 2D canvas 光栅化，其余路径直接三角化进主批次（渐变由着色器求值）
+            if (s.shadowBlur > 0 && s.shadowColor !== 'transparent' && s.shadowColor !== 'rgba(0,0,0,0)') { this._drawComplexPath(isStroke, fillRule); return; }
+            const paint = style?.isGradient ? style : null;
+            if (paint && !this._beginPaint(paint)) return;
+            const rgba = paint ? this.WHITE_RGBA : ((isStroke ? s.strokeStyleRGBA : s.fillStyleRGBA) || this._parseColor(style));
+            if (isStroke) this._strokePath(rgba, s.alpha); else this._fillPath(fillRule, rgba, s.alpha);
+            if (paint) this._endPaint();
+            return;
+        }
         for (const c of this.currentPath) {
             if (c.type === 'arc') this._drawCircle(c.x, c.y, c.r, isStroke ? s.strokeStyle : s.fillStyle, s.alpha, isStroke, s.lineWidth);
             if (c.type === 'ellipse') this._drawEllipse(c.x, c.y, c.rx, c.ry, c.rot, isStroke ? s.strokeStyle : s.fillStyle, s.alpha);
         }
     }
 
-    _drawComplexPath(isStroke) {
+    _fillPath(fillRule, rgba, alpha) {
+        const polys = this._flattenPath(this.currentPath, this._state.matrix).map(sp => sp.points);
+        this._emitTriangles(this._tessellate(polys, fillRule), this.IDENTITY_MATRIX, alpha, rgba);
+    }
+
+    _strokePath(rgba, alpha) {
+        const s = this._state, m = s.matrix;
+        // 在局部坐标里展平和扩边，再整体乘矩阵，非等比缩放下线宽也随之变形（与 Canvas 一致）
+        const scale = Math.sqrt(Math.max(m[0] * m[0] + m[1] * m[1], m[2] * m[2] + m[3] * m[3])) || 1;
+        this._strokeSubpaths(this._flattenPath(this.currentPath, this.IDENTITY_MATRIX, 0.25 / scale), s.lineWidth, rgba, alpha, m);
+    }
+
+    /** 按当前状态的 lineCap / lineJoin / miterLimit / 虚线把局部坐标折线扩成三角形并绘制。 */
+    _strokeSubpaths(subpaths, lineWidth, rgba, alpha, m) {
+        const hw = lineWidth / 2;
+        if (!(hw > 0)) return;
+        if (rgba[3] * alpha >= 0.999 && (this._paint === null || this._paint.opaque)) { this._emitTriangles(this._strokeTriangles(subpaths, hw, m), m, alpha, rgba); return; }
+        // 并集在去掉平移的设备空间里求，平移在绘制时再加上，滚动 / 平移画面时缓存依然命中
+        this._emitTriangles(this._strokeUnion(subpaths, lineWidth, m), [1, 0, 0, 1, m[4], m[5]], alpha, rgba);
+    }
+
+    /**
+     * 半透明时线段、连接和线帽的重叠处会被混合两次：统一三角形朝向后在设备空间按 nonzero 求并集。
+     * 求并集是 O(n²)，结果按折线、线型与矩阵的线性部分缓存，逐帧重画同一条长折线时直接复用。
+     */
+    _strokeUnion(subpaths, lineWidth, m) {
+        const s = this._state;
+        let size = 0; for (const sp of subpaths) size += sp.points.length + 2;
+        // 折线签名：每个子路径为 [闭合, 点数, ...坐标]，命中时逐项核对，哈希只用于缩短键
+        const sig = new Float64Array(size);
+        let k = 0, h = 0x811c9dc5;
+        for (const sp of subpaths) { sig[k++] = sp.closed ? 1 : 0; sig[k++] = sp.points.length; sig.set(sp.points, k); k += sp.points.length; }
+        const words = new Int32Array(sig.buffer);
+        for (let i = 0; i < words.length; i++) h = Math.imul(h ^ words[i], 16777619);
+        const key = `${h}|${size}|${lineWidth}|${s.lineCap}|${s.lineJoin}|${s.miterLimit}|${s.lineDash}|${s.lineDashOffset}|${m[0]},${m[1]},${m[2]},${m[3]}`;
+        const hit = this.strokeCache.get(key);
+        if (hit && hit.sig.every((v, i) => v === sig[i])) { this.strokeCache.delete(key); this.strokeCache.set(key, hit); return hit.tris; }
+        const tris = this._strokeTriangles(subpaths, lineWidth / 2, m), polys = [], m0 = m[0], m1 = m[1], m2 = m[2], m3 = m[3];
+        for (let i = 0; i < tris.length; i += 6) {
+            const x0 = m0 * tris[i] + m2 * tris[i + 1], y0 = m1 * tris[i] + m3 * tris[i + 1];
+            const x1 = m0 * tris[i + 2] + m2 * tris[i + 3], y1 = m1 * tris[i + 2] + m3 * tris[i + 3];
+            const x2 = m0 * tris[i + 4] + m2 * tris[i + 5], y2 = m1 * tris[i + 4] + m3 * tris[i + 5];
+            const area = (x1 - x0) * (y2 - y0) - (x2 - x0) * (y1 - y0);
+            if (area > 0) polys.push([x0, y0, x1, y1, x2, y2]); else if (area < 0) polys.push([x0, y0, x2, y2, x1, y1]);
+        }
+        const union = this._tessellate(polys, 'nonzero');
+        if (this.strokeCache.size >= this.maxStrokeCacheSize) this.strokeCache.delete(this.strokeCache.keys().next().value);
+        this.strokeCache.set(key, { sig, tris: union });
+        return union;
+    }
+
+    /** 局部坐标折线的描边三角形（每 6 个数一个三角形），容差按矩阵 m 的缩放换算。 */
+    _strokeTriangles(subpaths, hw, m) {
+        const s = this._state, tol = 0.25 / (Math.sqrt(Math.max(m[0] * m[0] + m[1] * m[1], m[2] * m[2] + m[3] * m[3])) || 1);
+        const lines = s.lineDash.length ? this._dashSubpaths(subpaths, s.lineDash, s.lineDashOffset) : subpaths;
+        const tris = [];
+        for (const sp of lines) this._strokePolyline(tris, sp.points, sp.closed, hw, s.lineCap, s.lineJoin, s.miterLimit, tol, sp.dir);
+        return tris;
+    }
+
+    /**
+     * 把折线按虚线模式切成若干开放折线，每个子路径都从模式起点（加上偏移）重新开始。
+     * 长度为 0 的实线段输出为两点重合的折线并带上所在线段的方向 dir，由线帽画成圆点或方点（与 Canvas 一致）。
+     */
+    _dashSubpaths(subpaths, dash, offset) {
+        let total = 0; for (const d of dash) total += d;
+        if (!(total > 0)) return subpaths;
+        const out = [];
+        for (const sp of subpaths) {
+            const p = sp.points, n = p.length / 2, segs = sp.closed ? n : n - 1;
+            let di = 0, on = true, phase = ((offset % total) + total) % total;
+            while (phase > 0 && phase >= dash[di]) { phase -= dash[di]; di = (di + 1) % dash.length; on = !on; }
+            let rem = dash[di] - phase, cur = on ? [p[0], p[1]] : null;
+            for (let i = 0; i < segs; i++) {
+                const j = (i + 1) % n, x0 = p[i * 2], y0 = p[i * 2 + 1], x1 = p[j * 2], y1 = p[j * 2 + 1];
+                const len = Math.hypot(x1 - x0, y1 - y0);
+                let t = 0;
+                while (len - t > rem) {
+                    t += rem;
+                    const x = x0 + (x1 - x0) * t / len, y = y0 + (y1 - y0) * t / len;
+                    if (on) { cur.push(x, y); out.push({ points: cur, closed: false, dir: [(x1 - x0) / len, (y1 - y0) / len] }); cur = null; } else cur = [x, y];
+                    on = !on; di = (di + 1) % dash.length; rem = dash[di];
+                }
+                rem -= len - t;
+                if (on) cur.push(x1, y1);
+            }
+            if (cur && cur.length >= 4) out.push({ points: cur, closed: false });
+        }
+        return out;
+    }
+
+    /**
+     * 单条折线的扩边：每段一个矩形，顶点处按 join 补连接，开放折线两端按 cap 补线帽。结果追加到 out。
+     * 退化成一个点的折线只有给出方向 dir（零长度虚线段）时才按 cap 画点。
+     */
+    _strokePolyline(out, p, closed, hw, cap, join, miterLimit, tol, dir = null) {
+        const q = [];
+        for (let i = 0; i < p.length; i += 2) {
+            const k = q.length;
+            if (k === 0 || q[k - 2] !== p[i] || q[k - 1] !== p[i + 1]) q.push(p[i], p[i + 1]);
+        }
+        let n = q.length / 2;
+        if (closed && n > 2 && q[0] === q[(n - 1) * 2] && q[1] === q[(n - 1) * 2 + 1]) n--;
+        // 圆角每段的最大角度由容差决定，保证弦高误差不超过约 1/4 设备像素
+        const step = 2 * Math.acos(Math.max(-1, 1 - tol / hw)) || Math.PI / 8;
+        const fan = (cx, cy, vx, vy, sweep) => {
+            const k = Math.max(1, Math.ceil(Math.abs(sweep) / step)), c = Math.cos(sweep / k), sn = Math.sin(sweep / k);
+            for (let i = 0; i < k; i++) {
+                const wx = vx * c - vy * sn, wy = vx * sn + vy * c;
+                out.push(cx, cy, cx + vx, cy + vy, cx + wx, cy + wy);
+                vx = wx; vy = wy;
+            }
+        };
+        if (n < 2) {
+            if (!dir || n < 1 || cap === 'butt') return;
+            const x = q[0], y = q[1], nx = -dir[1] * hw, ny = dir[0] * hw, ex = dir[0] * hw, ey = dir[1] * hw;
+            if (cap === 'round') fan(x, y, nx, ny, Math.PI * 2);
+            else out.push(x + nx - ex, y + ny - ey, x + nx + ex, y + ny + ey, x - nx + ex, y - ny + ey, x + nx - ex, y + ny - ey, x - nx + ex, y - ny + ey, x - nx - ex, y - ny - ey);
+            return;
+        }
+        const segs = closed ? n : n - 1, ux = new Float64Array(segs), uy = new Float64Array(segs);
+        for (let i = 0; i < segs; i++) {
+            const j = (i + 1) % n, dx = q[j * 2] - q[i * 2], dy = q[j * 2 + 1] - q[i * 2 + 1], len = Math.hypot(dx, dy);
+            ux[i] = dx / len; uy[i] = dy / len;
+            const x0 = q[i * 2], y0 = q[i * 2 + 1], x1 = q[j * 2], y1 = q[j * 2 + 1], nx = -uy[i] * hw, ny = ux[i] * hw;
+            out.push(x0 + nx, y0 + ny, x1 + nx, y1 + ny, x1 - nx, y1 - ny, x0 + nx, y0 + ny, x1 - nx, y1 - ny, x0 - nx, y0 - ny);
+        }
+        for (let i = closed ? 0 : 1; i < (closed ? n : n - 1); i++) {
+            const a = (i - 1 + segs) % segs, x = q[i * 2], y = q[i * 2 + 1];
+            const ax = ux[a], ay = uy[a], bx = ux[i], by = uy[i], cross = ax * by - ay * bx, dot = ax * bx + ay * by;
+            if (Math.abs(cross) < 1e-9 && dot > 0) continue;
+            // 向法线正方向拐弯时外侧在负法线一边
+            const o = cross > 0 ? -hw : hw, p0x = x - ay * o, p0y = y + ax * o, p1x = x - by * o, p1y = y + bx * o;
+            if (join === 'round') fan(x, y, -ay * o, ax * o, (cross < 0 ? -1 : 1) * Math.atan2(Math.abs(cross), dot));
+            else if (join === 'miter' && dot > -1 + 1e-9 && Math.sqrt(2 / (1 + dot)) <= miterLimit) {
+                const tx = x + (-ay - by) * o / (1 + dot), ty = y + (ax + bx) * o / (1 + dot);
+                out.push(x, y, p0x, p0y, tx, ty, x, y, tx, ty, p1x, p1y);
+            } else out.push(x, y, p0x, p0y, p1x, p1y);
+        }
+        if (closed || cap === 'butt') return;
+        const ends = [[q[0], q[1], -ux[0], -uy[0]], [q[(n - 1) * 2], q[(n - 1) * 2 + 1], ux[segs - 1], uy[segs - 1]]];
+        for (const [x, y, dx, dy] of ends) {
+            const nx = -dy * hw, ny = dx * hw;
+            if (cap === 'round') fan(x, y, nx, ny, -Math.PI);
+            else {
+                const ex = dx * hw, ey = dy * hw;
+                out.push(x + nx, y + ny, x + nx + ex, y + ny + ey, x - nx + ex, y - ny + ey, x + nx, y + ny, x - nx + ex, y - ny + ey, x - nx, y - ny);
+            }
+        }
+    }
+
+    _emitTriangles(tris, m, alpha, rgba) {
+        for (let i = 0; i + 5 < tris.length; i += 6) {
+            this._bindTexture(this.whiteTexture);
+            this._addTriangle(tris[i], tris[i + 1], tris[i + 2], tris[i + 3], tris[i + 4], tris[i + 5], m, alpha, rgba);
+        }
+    }
+
+    /**
+     * 把若干闭合多边形（扁平坐标数组）三角化，支持凹多边形、自相交与孔洞，按 nonzero / evenodd 规则填充。
+     * 单个凸多边形直接扇形剖分；其余情况按所有顶点与边交点的 y 坐标切成水平带，
+     * 带内的边互不相交，按 x 排序后累计缠绕数即可得到填充区间（梯形）。
+     * @returns {number[]} 三角形顶点坐标，每 6 个数一个三角形
+     */
+    _tessellate(polys, fillRule = 'nonzero') {
+        const out = [];
+        if (polys.length === 1 && this._isConvex(polys[0])) {
+            const p = polys[0];
+            for (let i = 2; i + 3 < p.length; i += 2) out.push(p[0], p[1], p[i], p[i + 1], p[i + 2], p[i + 3]);
+            return out;
+        }
+        const edges = [];
+        for (const p of polys) {
+            const n = p.length / 2;
+            if (n < 3) continue;
+            for (let i = 0; i < n; i++) {
+                const j = (i + 1) % n;
+                let x0 = p[i * 2], y0 = p[i * 2 + 1], x1 = p[j * 2], y1 = p[j * 2 + 1], dir = 1;
+                if (y0 === y1) continue;
+                if (y0 > y1) { let t = x0; x0 = x1; x1 = t; t = y0; y0 = y1; y1 = t; dir = -1; }
+                edges.push({ x0, y0, x1, y1, dir, slope: (x1 - x0) / (y1 - y0) });
+            }
+        }
+        if (!edges.length) return out;
+        edges.sort((a, b) => a.y0 - b.y0);
+        const ys = [];
+        for (const e of edges) ys.push(e.y0, e.y1);
+        for (let i = 0; i < edges.length; i++) {
+            const a = edges[i];
+            for (let j = i + 1; j < edges.length && edges[j].y0 < a.y1; j++) {
+                const b = edges[j], top = Math.max(a.y0, b.y0), bot = Math.min(a.y1, b.y1);
+                if (bot <= top) continue;
+                const dt = (a.x0 + (top - a.y0) * a.slope) - (b.x0 + (top - b.y0) * b.slope);
+                const db = (a.x0 + (bot - a.y0) * a.slope) - (b.x0 + (bot - b.y0) * b.slope);
+                if ((dt < 0 && db > 0) || (dt > 0 && db < 0)) ys.push(top + (bot - top) * dt / (dt - db));
+            }
+        }
+        ys.sort((a, b) => a - b);
+        const evenOdd = fillRule === 'evenodd';
+        let active = [], next = 0;
+        for (let k = 0; k + 1 < ys.length; k++) {
+            const y0 = ys[k], y1 = ys[k + 1];
+            if (y1 - y0 < 1e-6) continue;
+            const ym = (y0 + y1) * 0.5;
+            while (next < edges.length && edges[next].y0 < ym) active.push(edges[next++]);
+            active = active.filter(e => e.y1 > ym);
+            const span = active.map(e => ({ e, xt: e.x0 + (y0 - e.y0) * e.slope, xb: e.x0 + (y1 - e.y0) * e.slope }));
+            span.sort((a, b) => (a.xt + a.xb) - (b.xt + b.xb));
+            let w = 0, left = null;
+            for (const sp of span) {
+                const was = evenOdd ? (w & 1) !== 0 : w !== 0;
+                w += sp.e.dir;
+                const now = evenOdd ? (w & 1) !== 0 : w !== 0;
+                if (!was && now) left = sp;
+                else if (was && !now) {
+                    out.push(left.xt, y0, sp.xt, y0, sp.xb, y1, left.xt, y0, sp.xb, y1, left.xb, y1);
+                }
+            }
+        }
+        return out;
+    }
+
+    /** 判断多边形是否为简单凸多边形：转向一致，且 x、y 方向各最多反转两次（排除五角星之类的自交）。 */
+    _isConvex(p) {
+        const n = p.length / 2;
+        if (n < 3) return false;
+        let sign = 0, xFlips = 0, yFlips = 0, pdx = p[0] - p[(n - 1) * 2], pdy = p[1] - p[(n - 1) * 2 + 1], lastX = 0, lastY = 0;
+        for (let i = 0; i < n; i++) {
+            const j = (i + 1) % n, dx = p[j * 2] - p[i * 2], dy = p[j * 2 + 1] - p[i * 2 + 1];
+            const cross = pdx * dy - pdy * dx;
+            if (cross !== 0) { const sg = cross > 0 ? 1 : -1; if (sign === 0) sign = sg; else if (sg !== sign) return false; }
+            if (dx !== 0) { const sx = dx > 0 ? 1 : -1; if (lastX !== 0 && sx !== lastX) xFlips++; lastX = sx; }
+            if (dy !== 0) { const sy = dy > 0 ? 1 : -1; if (lastY !== 0 && sy !== lastY) yFlips++; lastY = sy; }
+            pdx = dx; pdy = dy;
+        }
+        return xFlips <= 2 && yFlips <= 2;
+    }
+
+    /** 渐变与阴影路径的退路：在 2D canvas 上光栅化后作为临时纹理绘制。 */
+    _drawComplexPath(isStroke, fillRule = 'nonzero') {
         const s = this._state;
         let minX = Infinity, minY = Infinity, maxX = -Infinity, maxY = -Infinity;
         for (const c of this.currentPath) {
             if (c.type === 'rect') { minX = Math.min(minX, c.x); minY = Math.min(minY, c.y); maxX = Math.max(maxX, c.x + c.w); maxY = Math.max(maxY, c.y + c.h); }
             else if (c.x !== undefined) { const r = c.r || c.rx || c.ry || 0; minX = Math.min(minX, c.x - r); minY = Math.min(minY, c.y - r); maxX = Math.max(maxX, c.x + r); maxY = Math.max(maxY, c.y + r); }
+            for (const [px, py] of [[c.cp1x, c.cp1y], [c.cp2x, c.cp2y], [c.x1, c.y1], [c.x2, c.y2]]) if (px !== undefined) { minX = Math.min(minX, px); minY = Math.min(minY, py); maxX = Math.max(maxX, px); maxY = Math.max(maxY, py); }
         }
         if (minX === Infinity) return;
         const pad = ((s.lineWidth || 1) + (s.shadowBlur || 0) * 2 + 5);
@@ -1039,6 +3790,11 @@ export class Blaze2D {
         const ctx = this.textCtx;
         ctx.clearRect(0, 0, pW, pH); ctx.save(); ctx.scale(dpr, dpr); ctx.translate(-Math.floor(minX), -Math.floor(minY));
         const _buildGrad = (g, ctx) => {
+            if (g.type === 'pattern') {
+                const pattern = ctx.createPattern(g.image, g.repetition), pm = g.matrix;
+                if (pattern && pm) pattern.setTransform({ a: pm[0], b: pm[1], c: pm[2], d: pm[3], e: pm[4], f: pm[5] });
+                return pattern;
+            }
             const grad = g.type === 'radial'
                 ? ctx.createRadialGradient(g.x0 - Math.floor(minX), g.y0 - Math.floor(minY), g.r0, g.x1 - Math.floor(minX), g.y1 - Math.floor(minY), g.r1)
                 : ctx.createLinearGradient(g.x0 - Math.floor(minX), g.y0 - Math.floor(minY), g.x1 - Math.floor(minX), g.y1 - Math.floor(minY));
@@ -1047,7 +3803,8 @@ export class Blaze2D {
         };
         ctx.fillStyle = s.fillStyle?.isGradient ? _buildGrad(s.fillStyle, ctx) : (s.fillStyle || 'white');
         ctx.strokeStyle = s.strokeStyle?.isGradient ? _buildGrad(s.strokeStyle, ctx) : (s.strokeStyle || 'white');
-        ctx.lineWidth = s.lineWidth; ctx.lineCap = 'round'; ctx.lineJoin = 'round';
+        ctx.lineWidth = s.lineWidth; ctx.lineCap = s.lineCap; ctx.lineJoin = s.lineJoin; ctx.miterLimit = s.miterLimit;
+        ctx.setLineDash(s.lineDash); ctx.lineDashOffset = s.lineDashOffset;
         ctx.shadowBlur = s.shadowBlur; ctx.shadowColor = s.shadowColor;
         ctx.globalCompositeOperation = s.globalCompositeOperation || 'source-over';
         ctx.beginPath();
@@ -1056,11 +3813,13 @@ export class Blaze2D {
             else if (c.type === 'lineTo') ctx.lineTo(c.x, c.y);
             else if (c.type === 'rect') ctx.rect(c.x, c.y, c.w, c.h);
             else if (c.type === 'quadraticCurveTo') ctx.quadraticCurveTo(c.cp1x, c.cp1y, c.x, c.y);
+            else if (c.type === 'bezierCurveTo') ctx.bezierCurveTo(c.cp1x, c.cp1y, c.cp2x, c.cp2y, c.x, c.y);
+            else if (c.type === 'arcTo') ctx.arcTo(c.x1, c.y1, c.x2, c.y2, c.r);
             else if (c.type === 'arc') ctx.arc(c.x, c.y, c.r, c.sa, c.ea, c.ac);
             else if (c.type === 'ellipse') ctx.ellipse(c.x, c.y, c.rx, c.ry, c.rot, c.sa, c.ea, c.ac);
             else if (c.type === 'closePath') ctx.closePath();
         }
-        if (isStroke) ctx.stroke(); else ctx.fill();
+        if (isStroke) ctx.stroke(); else ctx.fill(fillRule);
         ctx.restore();
         const gl = this.gl, tex = gl.createTexture();
         try {
@@ -1076,12 +3835,12 @@ export class Blaze2D {
     }
 
     _drawRect(x, y, w, h, rgba, alpha) {
-        if (this.currentTexture !== this.whiteTexture || this.batchCount >= this.maxBatchSize) { this.flush(); this.currentTexture = this.whiteTexture; }
+        this._bindTexture(this.whiteTexture);
         const m = this._state.matrix, x1 = x + w, y1 = y + h, o = this.batchCount * this.verticesPerSprite * this.vertexStride;
         this.addVertex(o + 0, m[0] * x + m[2] * y + m[4], m[1] * x + m[3] * y + m[5], 0, 0, alpha, rgba);
-        this.addVertex(o + 9, m[0] * x1 + m[2] * y + m[4], m[1] * x1 + m[3] * y + m[5], 1, 0, alpha, rgba);
-        this.addVertex(o + 18, m[0] * x1 + m[2] * y1 + m[4], m[1] * x1 + m[3] * y1 + m[5], 1, 1, alpha, rgba);
-        this.addVertex(o + 27, m[0] * x + m[2] * y1 + m[4], m[1] * x + m[3] * y1 + m[5], 0, 1, alpha, rgba);
+        this.addVertex(o + 10, m[0] * x1 + m[2] * y + m[4], m[1] * x1 + m[3] * y + m[5], 1, 0, alpha, rgba);
+        this.addVertex(o + 20, m[0] * x1 + m[2] * y1 + m[4], m[1] * x1 + m[3] * y1 + m[5], 1, 1, alpha, rgba);
+        this.addVertex(o + 30, m[0] * x + m[2] * y1 + m[4], m[1] * x + m[3] * y1 + m[5], 0, 1, alpha, rgba);
         this.batchCount++;
     }
 
@@ -1094,91 +3853,85 @@ export class Blaze2D {
             tex = texOrInfo.texture;
             if (texOrInfo.uv) { const uw = texOrInfo.uv.u1 - texOrInfo.uv.u0, vh = texOrInfo.uv.v1 - texOrInfo.uv.v0; fU0 = texOrInfo.uv.u0 + u0 * uw; fV0 = texOrInfo.uv.v0 + v0 * vh; fU1 = texOrInfo.uv.u0 + u1 * uw; fV1 = texOrInfo.uv.v0 + v1 * vh; }
         }
-        if (this.currentTexture !== tex || this.batchCount >= this.maxBatchSize) { if (this.batchCount > 0) this.flush(); this.currentTexture = (tex instanceof WebGLTexture) ? tex : this.whiteTexture; }
+        this._bindTexture(tex);
         const s = this._state, m = s.matrix, m0 = m[0], m1 = m[1], m2 = m[2], m3 = m[3], m4 = m[4], m5 = m[5];
         const alpha = alphaOverride !== null ? alphaOverride : s.alpha;
         let rgba = rgbaOverride !== null ? rgbaOverride : this.WHITE_RGBA;
         if (rgba?.isGradient || !rgba?.length || rgba.length < 4) rgba = this.WHITE_RGBA;
         const x1 = x + w, y1 = y + h, o = this.batchCount * this.vertexCountPerSprite;
         this.addVertex(o + 0, m0 * x + m2 * y + m4, m1 * x + m3 * y + m5, fU0, fV0, alpha, rgba);
-        this.addVertex(o + 9, m0 * x1 + m2 * y + m4, m1 * x1 + m3 * y + m5, fU1, fV0, alpha, rgba);
-        this.addVertex(o + 18, m0 * x1 + m2 * y1 + m4, m1 * x1 + m3 * y1 + m5, fU1, fV1, alpha, rgba);
-        this.addVertex(o + 27, m0 * x + m2 * y1 + m4, m1 * x + m3 * y1 + m5, fU0, fV1, alpha, rgba);
+        this.addVertex(o + 10, m0 * x1 + m2 * y + m4, m1 * x1 + m3 * y + m5, fU1, fV0, alpha, rgba);
+        this.addVertex(o + 20, m0 * x1 + m2 * y1 + m4, m1 * x1 + m3 * y1 + m5, fU1, fV1, alpha, rgba);
+        this.addVertex(o + 30, m0 * x + m2 * y1 + m4, m1 * x + m3 * y1 + m5, fU0, fV1, alpha, rgba);
         this.batchCount++;
     }
 
     _drawCircle(x, y, radius, colorOrGrad, alpha, isStroke = false, lineWidth = 1) {
-        if (colorOrGrad?.isGradient && colorOrGrad.type === 'radial') { this._drawRadialGradientEllipse(x, y, radius, radius, 0, colorOrGrad, alpha); return; }
-        const rgba = typeof colorOrGrad === 'string' ? this._parseColor(colorOrGrad) : (Array.isArray(colorOrGrad) ? colorOrGrad : [1, 1, 1, 1]);
+        const paint = colorOrGrad?.isGradient ? colorOrGrad : null;
+        const rgba = typeof colorOrGrad === 'string' ? this._parseColor(colorOrGrad) : (Array.isArray(colorOrGrad) || colorOrGrad instanceof Float32Array ? colorOrGrad : this.WHITE_RGBA);
         const segs = Math.max(32, Math.min(128, Math.floor(radius / 6)));
         const s = this._state, m = s.matrix;
         if (!isStroke && s.shadowBlur > 0 && s.shadowColor !== 'transparent' && rgba[3] > 0.05 && alpha > 0.01) {
             const sRGBA = this._parseColor(s.shadowColor), ob = s.shadowBlur;
             s.shadowBlur = 0; this._drawCircle(x, y, radius + ob * 0.4, sRGBA, alpha * rgba[3] * 0.3, false); s.shadowBlur = ob;
         }
-        if (this.currentTexture !== this.whiteTexture || this.batchCount + segs >= this.maxBatchSize) { if (this.batchCount > 0) this.flush(); this.currentTexture = this.whiteTexture; }
+        if (paint && !this._beginPaint(paint)) return;
+        if (isStroke && s.lineDash.length) {
+            const pts = [];
+            for (let i = 0; i < segs; i++) pts.push(x + Math.cos(i / segs * Math.PI * 2) * radius, y + Math.sin(i / segs * Math.PI * 2) * radius);
+            this._strokeSubpaths([{ points: pts, closed: true }], lineWidth, rgba, alpha, m);
+            if (paint) this._endPaint();
+            return;
+        }
+        this._bindTexture(this.whiteTexture, isStroke ? segs * 2 : segs);
+        // 描边是内外两圈共享顶点的环带，不存在重叠和接缝
+        const ri = Math.max(0, radius - lineWidth / 2), ro = radius + lineWidth / 2;
         for (let i = 0; i < segs; i++) {
             const a1 = (i / segs) * Math.PI * 2, a2 = ((i + 1) / segs) * Math.PI * 2;
-            const x1 = x + Math.cos(a1) * radius, y1 = y + Math.sin(a1) * radius;
-            const x2 = x + Math.cos(a2) * radius, y2 = y + Math.sin(a2) * radius;
-            if (isStroke) this._drawLine(x1, y1, x2, y2, lineWidth, rgba, alpha, m);
-            else this._addTriangle(x, y, x1, y1, x2, y2, m, alpha, rgba);
+            const c1 = Math.cos(a1), s1 = Math.sin(a1), c2 = Math.cos(a2), s2 = Math.sin(a2);
+            if (isStroke) {
+                this._addTriangle(x + c1 * ro, y + s1 * ro, x + c2 * ro, y + s2 * ro, x + c2 * ri, y + s2 * ri, m, alpha, rgba);
+                this._addTriangle(x + c1 * ro, y + s1 * ro, x + c2 * ri, y + s2 * ri, x + c1 * ri, y + s1 * ri, m, alpha, rgba);
+            } else this._addTriangle(x, y, x + c1 * radius, y + s1 * radius, x + c2 * radius, y + s2 * radius, m, alpha, rgba);
         }
+        if (paint) this._endPaint();
     }
 
     _drawEllipse(x, y, rx, ry, rot, colorOrGrad, alpha) {
-        if (colorOrGrad?.isGradient && colorOrGrad.type === 'radial') { this._drawRadialGradientEllipse(x, y, rx, ry, rot, colorOrGrad, alpha); return; }
-        const rgba = typeof colorOrGrad === 'string' ? this._parseColor(colorOrGrad) : (Array.isArray(colorOrGrad) ? colorOrGrad : [1, 1, 1, 1]);
+        const paint = colorOrGrad?.isGradient ? colorOrGrad : null;
+        const rgba = typeof colorOrGrad === 'string' ? this._parseColor(colorOrGrad) : (Array.isArray(colorOrGrad) || colorOrGrad instanceof Float32Array ? colorOrGrad : this.WHITE_RGBA);
         const segs = 32, s = this._state, m = s.matrix, cosR = Math.cos(rot), sinR = Math.sin(rot);
-        if (this.currentTexture !== this.whiteTexture || this.batchCount + segs >= this.maxBatchSize) { if (this.batchCount > 0) this.flush(); this.currentTexture = this.whiteTexture; }
+        if (paint && !this._beginPaint(paint)) return;
+        this._bindTexture(this.whiteTexture, segs);
         for (let i = 0; i < segs; i++) {
             const a1 = (i / segs) * Math.PI * 2, a2 = ((i + 1) / segs) * Math.PI * 2;
             const px1 = Math.cos(a1) * rx, py1 = Math.sin(a1) * ry, px2 = Math.cos(a2) * rx, py2 = Math.sin(a2) * ry;
             this._addTriangle(x, y, x + px1 * cosR - py1 * sinR, y + px1 * sinR + py1 * cosR, x + px2 * cosR - py2 * sinR, y + px2 * sinR + py2 * cosR, m, alpha, rgba);
         }
-    }
-
-    _drawRadialGradientEllipse(x, y, rx, ry, rot, gradient, alpha) {
-        let key = ''; for (const s of gradient.stops) key += s.offset + s.color;
-        let tex = this.gradientCache.get(key);
-        if (!tex) {
-            const sz = 128, c = document.createElement('canvas'); c.width = c.height = sz;
-            const ctx = c.getContext('2d'), g = ctx.createRadialGradient(sz / 2, sz / 2, 0, sz / 2, sz / 2, sz / 2);
-            gradient.stops.forEach(s => g.addColorStop(s.offset, s.color));
-            ctx.fillStyle = g; ctx.beginPath(); ctx.arc(sz / 2, sz / 2, sz / 2, 0, Math.PI * 2); ctx.fill();
-            tex = this.gl.createTexture(); const gl = this.gl;
-            gl.bindTexture(gl.TEXTURE_2D, tex);
-            gl.texImage2D(gl.TEXTURE_2D, 0, gl.RGBA, gl.RGBA, gl.UNSIGNED_BYTE, c);
-            gl.texParameteri(gl.TEXTURE_2D, gl.TEXTURE_WRAP_S, gl.CLAMP_TO_EDGE);
-            gl.texParameteri(gl.TEXTURE_2D, gl.TEXTURE_WRAP_T, gl.CLAMP_TO_EDGE);
-            gl.texParameteri(gl.TEXTURE_2D, gl.TEXTURE_MIN_FILTER, gl.LINEAR);
-            gl.texParameteri(gl.TEXTURE_2D, gl.TEXTURE_MAG_FILTER, gl.LINEAR);
-            this.gradientCache.set(key, tex);
-        }
-        this.save(); this.translate(x, y); this.rotate(rot);
-        this._drawTextureDirect(tex, -rx, -ry, rx * 2, ry * 2, alpha);
-        this.restore();
+        if (paint) this._endPaint();
     }
 
     _drawLine(x1, y1, x2, y2, width, rgba, alpha, m) {
-        if (this.currentTexture !== this.whiteTexture || this.batchCount >= this.maxBatchSize) { if (this.batchCount > 0) this.flush(); this.currentTexture = this.whiteTexture; }
+        const s = this._state;
+        if (s.lineCap !== 'butt' || s.lineDash.length) { this._strokeSubpaths([{ points: [x1, y1, x2, y2], closed: false }], width, rgba, alpha, m); return; }
+        this._bindTexture(this.whiteTexture);
         const dx = x2 - x1, dy = y2 - y1, len = Math.sqrt(dx * dx + dy * dy);
         if (len <= 0) return;
         const nx = -dy / len * (width / 2), ny = dx / len * (width / 2);
         const o = this.batchCount * this.vertexCountPerSprite, m0 = m[0], m1 = m[1], m2 = m[2], m3 = m[3], m4 = m[4], m5 = m[5];
         this.addVertex(o + 0, m0 * (x1 + nx) + m2 * (y1 + ny) + m4, m1 * (x1 + nx) + m3 * (y1 + ny) + m5, 0, 0, alpha, rgba);
-        this.addVertex(o + 9, m0 * (x2 + nx) + m2 * (y2 + ny) + m4, m1 * (x2 + nx) + m3 * (y2 + ny) + m5, 1, 0, alpha, rgba);
-        this.addVertex(o + 18, m0 * (x2 - nx) + m2 * (y2 - ny) + m4, m1 * (x2 - nx) + m3 * (y2 - ny) + m5, 1, 1, alpha, rgba);
-        this.addVertex(o + 27, m0 * (x1 - nx) + m2 * (y1 - ny) + m4, m1 * (x1 - nx) + m3 * (y1 - ny) + m5, 0, 1, alpha, rgba);
+        this.addVertex(o + 10, m0 * (x2 + nx) + m2 * (y2 + ny) + m4, m1 * (x2 + nx) + m3 * (y2 + ny) + m5, 1, 0, alpha, rgba);
+        this.addVertex(o + 20, m0 * (x2 - nx) + m2 * (y2 - ny) + m4, m1 * (x2 - nx) + m3 * (y2 - ny) + m5, 1, 1, alpha, rgba);
+        this.addVertex(o + 30, m0 * (x1 - nx) + m2 * (y1 - ny) + m4, m1 * (x1 - nx) + m3 * (y1 - ny) + m5, 0, 1, alpha, rgba);
         this.batchCount++;
     }
 
     _addTriangle(x0, y0, x1, y1, x2, y2, m, alpha, rgba) {
         const o = this.batchCount * this.verticesPerSprite * this.vertexStride, m0 = m[0], m1 = m[1], m2 = m[2], m3 = m[3], m4 = m[4], m5 = m[5];
         this.addVertex(o + 0, m0 * x0 + m2 * y0 + m4, m1 * x0 + m3 * y0 + m5, 0, 0, alpha, rgba);
-        this.addVertex(o + 9, m0 * x1 + m2 * y1 + m4, m1 * x1 + m3 * y1 + m5, 1, 0, alpha, rgba);
-        this.addVertex(o + 18, m0 * x2 + m2 * y2 + m4, m1 * x2 + m3 * y2 + m5, 1, 1, alpha, rgba);
-        this.addVertex(o + 27, m0 * x2 + m2 * y2 + m4, m1 * x2 + m3 * y2 + m5, 1, 1, alpha, rgba);
+        this.addVertex(o + 10, m0 * x1 + m2 * y1 + m4, m1 * x1 + m3 * y1 + m5, 1, 0, alpha, rgba);
+        this.addVertex(o + 20, m0 * x2 + m2 * y2 + m4, m1 * x2 + m3 * y2 + m5, 1, 1, alpha, rgba);
+        this.addVertex(o + 30, m0 * x2 + m2 * y2 + m4, m1 * x2 + m3 * y2 + m5, 1, 1, alpha, rgba);
         this.batchCount++;
     }
 
@@ -1187,46 +3940,335 @@ export class Blaze2D {
         const isFlash = r3 > 5, cA = isFlash ? 1 : (r3 > 1 ? 1 : r3), ca = a * cA;
         d[offset] = x; d[offset + 1] = y; d[offset + 2] = u; d[offset + 3] = v; d[offset + 4] = ca;
         d[offset + 5] = r; d[offset + 6] = g; d[offset + 7] = b; d[offset + 8] = isFlash ? 2 : (ca > 1 ? 1 : ca);
+        d[offset + 9] = this.currentSlot;
+        const p = this._paint;
+        if (p !== null) {
+            const t = p.xform;
+            d[offset + 5] = t[0] * x + t[2] * y + t[4]; d[offset + 6] = t[1] * x + t[3] * y + t[5]; d[offset + 7] = p.row; d[offset + 8] = ca;
+            d[offset + 9] += p.code;
+        }
+        const ts = this._textStyle;
+        if (ts !== null) { d[offset + 8] = ts.scale; d[offset + 9] += ts.code; }
     }
 
-    flush() {
-        if (this.batchCount === 0) return;
+    /**
+     * 让接下来写入的顶点按渐变着色：顶点颜色的 xy 存放归一化后的渐变空间坐标（由设备坐标仿射变换得到，插值精确），
+     * z 存放色带行，a_texIndex 附带本批次的几何参数槽位，片元着色器据此求 t 并查色带。必须与 _endPaint() 成对调用。
+     * @returns {boolean} 渐变退化（Canvas 规定此时不绘制）或矩阵不可逆时返回 false
+     */
+    _beginPaint(g) {
+        const m = this._state.matrix, det = m[0] * m[3] - m[1] * m[2];
+        if (!det) return false;
+        // 设备坐标 -> 用户坐标
+        const i0 = m[3] / det, i1 = -m[1] / det, i2 = -m[2] / det, i3 = m[0] / det;
+        const i4 = (m[2] * m[5] - m[3] * m[4]) / det, i5 = (m[1] * m[4] - m[0] * m[5]) / det;
+        if (g.type === 'pattern') return this._beginPattern(g, i0, i1, i2, i3, i4, i5);
+        // 用户坐标 -> 渐变空间：gx = a*(x-x0) + c*(y-y0)，gy = b*(x-x0) + d*(y-y0)
+        const dx = g.x1 - g.x0, dy = g.y1 - g.y0;
+        let a, b, c, d, L = 0, r0 = 0, r1 = -1;
+        if (g.type === 'radial') {
+            L = Math.hypot(dx, dy);
+            if (L === 0 && g.r0 === g.r1) return false;
+            // 按最大尺寸归一化，避免 mediump 下 dot(p, p) 溢出
+            const k = 1 / Math.max(g.r0, g.r1, L), ux = L ? dx / L : 1, uy = L ? dy / L : 0;
+            a = ux * k; c = uy * k; b = -uy * k; d = ux * k;
+            L *= k; r0 = g.r0 * k; r1 = g.r1 * k;
+        } else {
+            const l2 = dx * dx + dy * dy;
+            if (!l2) return false;
+            a = dx / l2; c = dy / l2; b = -dy / l2; d = dx / l2;
+        }
+        const entry = this._gradientRow(g), slot = this._paintSlot(L, r0, r1);
+        entry.batch = this._batchSerial;
+        const p = this._paintState || (this._paintState = { xform: new Float64Array(6), params: new Float32Array(3), code: 0, row: 0, entry: null, opaque: false, texture: null, nearest: false });
+        const t = p.xform, ox = i4 - g.x0, oy = i5 - g.y0;
+        t[0] = a * i0 + c * i1; t[2] = a * i2 + c * i3; t[4] = a * ox + c * oy;
+        t[1] = b * i0 + d * i1; t[3] = b * i2 + d * i3; t[5] = b * ox + d * oy;
+        p.params.set(this._batchPaints.subarray(slot * 3, slot * 3 + 3));
+        p.code = 16 * (slot + 1); p.row = (entry.row + 0.5) / this.GRADIENT_ROWS; p.opaque = g._opaque; p.entry = entry; p.texture = null;
+        this._paint = p;
+        return true;
+    }
+
+    /**
+     * 图案版的 _beginPaint（i0..i5 为设备坐标 -> 用户坐标）：顶点颜色的 xy 为以图片尺寸归一化的图案坐标，z 为图案纹理所在的纹理单元。
+     * 图案纹理与图元自己的纹理同批绑定；批次中途提交时由 _rebindPaint 重新绑定。
+     */
+    _beginPattern(g, i0, i1, i2, i3, i4, i5) {
+        const pm = g.matrix || this.IDENTITY_MATRIX, pd = pm[0] * pm[3] - pm[1] * pm[2];
+        // 图案与图元纹理至少要两个纹理单元
+        if (!pd || this.maxTextureUnits < 2) return false;
+        const tex = this._patternTexture(g), nearest = this._nearestSampling();
+        // 给图元自己的纹理留一个单元
+        if (this.batchTextures.length >= this.maxTextureUnits - 1) this.flush();
+        const slot = this._paintSlot(g.repeatX ? 1 : 0, g.repeatY ? 1 : 0, -2), unit = this._textureUnit(tex, nearest);
+        // 用户坐标 -> 图案空间：先乘图案矩阵的逆，再除以图片宽高
+        const a = pm[3] / pd / g.width, c = -pm[2] / pd / g.width, e = (pm[2] * pm[5] - pm[3] * pm[4]) / pd / g.width;
+        const b = -pm[1] / pd / g.height, d = pm[0] / pd / g.height, f = (pm[1] * pm[4] - pm[0] * pm[5]) / pd / g.height;
+        const p = this._paintState || (this._paintState = { xform: new Float64Array(6), params: new Float32Array(3), code: 0, row: 0, entry: null, opaque: false, texture: null, nearest: false });
+        const t = p.xform;
+        t[0] = a * i0 + c * i1; t[2] = a * i2 + c * i3; t[4] = a * i4 + c * i5 + e;
+        t[1] = b * i0 + d * i1; t[3] = b * i2 + d * i3; t[5] = b * i4 + d * i5 + f;
+        p.params.set(this._batchPaints.subarray(slot * 3, slot * 3 + 3));
+        p.code = 16 * (slot + 1); p.row = unit; p.opaque = false; p.entry = g; p.texture = tex; p.nearest = nearest;
+        g.batch = this._batchSerial;
+        this._paint = p;
+        return true;
+    }
+
+    /** 图案图片的纹理，按图片缓存；采样方式与其他图片一样按批次决定（见 _textureUnit）。 */
+    _patternTexture(g) {
+        let tex = this.patternTextures.get(g.image);
+        if (tex) return tex;
         const gl = this.gl;
-        gl.useProgram(this.program);
-        gl.bindBuffer(gl.ARRAY_BUFFER, this.vertexBuffer);
-        gl.bufferSubData(gl.ARRAY_BUFFER, 0, this.vertexData.subarray(0, this.batchCount * this.vertexCountPerSprite));
-        gl.uniform2f(this.locations.resolution, this.width, this.height);
-        gl.uniform2f(this.locations.camera, this.cameraX * this.dpr, this.cameraY * this.dpr);
-        gl.uniform1f(this.locations.worldSpace, this._worldSpaceActive ? 1.0 : 0.0);
+        tex = gl.createTexture();
+        gl.bindTexture(gl.TEXTURE_2D, tex);
+        gl.texImage2D(gl.TEXTURE_2D, 0, gl.RGBA, gl.RGBA, gl.UNSIGNED_BYTE, g.image);
+        gl.texParameteri(gl.TEXTURE_2D, gl.TEXTURE_WRAP_S, gl.CLAMP_TO_EDGE);
+        gl.texParameteri(gl.TEXTURE_2D, gl.TEXTURE_WRAP_T, gl.CLAMP_TO_EDGE);
+        gl.texParameteri(gl.TEXTURE_2D, gl.TEXTURE_MIN_FILTER, gl.LINEAR);
+        gl.texParameteri(gl.TEXTURE_2D, gl.TEXTURE_MAG_FILTER, gl.LINEAR);
+        this.patternTextures.set(g.image, tex);
+        return tex;
+    }
+
+    /** 批次提交后把仍在使用的渐变 / 图案放回新批次：参数占第 0 槽，图案纹理重新占一个纹理单元。 */
+    _rebindPaint(p) {
+        this._batchPaints.set(p.params); this._batchPaintCount = 1; p.code = 16; p.entry.batch = this._batchSerial;
+        if (!p.texture) return;
+        const unit = this._textureUnit(p.texture, p.nearest);
+        if (unit < 0) { this.flush(); return; }
+        p.row = unit;
+    }
+
+    _endPaint() { this._paint = null; }
+
+    /** 在本批次的渐变参数表中查找或追加一组参数（所有线性渐变共用一组），表满时先提交批次。 */
+    _paintSlot(L, r0, r1) {
+        const P = this._batchPaints, fL = Math.fround(L), f0 = Math.fround(r0), f1 = Math.fround(r1);
+        for (let i = 0; i < this._batchPaintCount; i++) {
+            if (P[i * 3] === fL && P[i * 3 + 1] === f0 && P[i * 3 + 2] === f1) return i;
+        }
+        if (this._batchPaintCount >= this.MAX_BATCH_PAINTS) this.flush();
+        const i = this._batchPaintCount++;
+        P[i * 3] = L; P[i * 3 + 1] = r0; P[i * 3 + 2] = r1;
+        return i;
+    }
+
+    /** 批次提交后清空渐变与文字效果参数表；若正处在某个渐变或距离场文字绘制中途（批次写满被动提交），把它放回 0 号槽继续。 */
+    _resetBatchPaints() {
+        this._batchPaintCount = 0;
+        const p = this._paint;
+        if (p !== null) this._rebindPaint(p);
+        this._batchTextStyleCount = 0;
+        const ts = this._textStyle;
+        if (ts !== null) { this._batchTextStyles.set(ts.params); this._batchTextStyleCount = 1; ts.code = 160; }
+    }
+
+    /** 在本批次的文字效果参数表中查找或追加一组参数（12 个 float），表满时先提交批次。 */
+    _textStyleSlot(params) {
+        const T = this._batchTextStyles;
+        for (let i = 0; i < this._batchTextStyleCount; i++) {
+            let k = 0;
+            while (k < 12 && T[i * 12 + k] === Math.fround(params[k])) k++;
+            if (k === 12) return i;
+        }
+        if (this._batchTextStyleCount >= this.MAX_TEXT_STYLES) this.flush();
+        const i = this._batchTextStyleCount++;
+        T.set(params, i * 12);
+        return i;
+    }
+
+    /**
+     * 取渐变色标对应的色带行。色标相同的渐变（包括每帧新建的同色渐变）共享一行；
+     * 色标每帧变化时只是替换最久未用的一行（256x1 的 texSubImage2D），不会创建新纹理。
+     * @returns {{row: number, batch: number}} batch 记录最后引用该行的批次，用于判断能否覆盖
+     */
+    _gradientRow(g) {
+        if (g._rampKey == null) {
+            const stops = g.stops.slice().sort((x, y) => x.offset - y.offset);
+            g._rampKey = stops.map(st => st.offset + ':' + st.color).join('|');
+            g._opaque = stops.length > 0 && stops.every(st => this._parseColor(st.color)[3] >= 1);
+        }
+        const cache = this.gradientCache;
+        let entry = cache.get(g._rampKey);
+        if (entry) cache.delete(g._rampKey);
+        else {
+            let row = cache.size;
+            if (row >= this.GRADIENT_ROWS) {
+                const [oldKey, old] = cache.entries().next().value;
+                // 最久未用的一行仍被当前批次引用，说明所有行都在用，先提交再覆盖
+                if (old.batch === this._batchSerial) this.flush();
+                cache.delete(oldKey); row = old.row;
+            }
+            entry = { row, batch: -1 };
+            const c = this._rampCanvas || (this._rampCanvas = document.createElement('canvas'));
+            if (c.width !== 256 || c.height !== 1) { c.width = 256; c.height = 1; }
+            const ctx = c.getContext('2d'), grad = ctx.createLinearGradient(0.5, 0, 255.5, 0);
+            for (const st of g.stops) grad.addColorStop(st.offset, st.color);
+            ctx.clearRect(0, 0, 256, 1); ctx.fillStyle = grad; ctx.fillRect(0, 0, 256, 1);
+            const gl = this.gl;
+            gl.bindTexture(gl.TEXTURE_2D, this.gradientTexture);
+            gl.texSubImage2D(gl.TEXTURE_2D, 0, 0, row, gl.RGBA, gl.UNSIGNED_BYTE, c);
+        }
+        cache.set(g._rampKey, entry);
+        return entry;
+    }
+
+    /**
+     * 为接下来的 count 个图元选定纹理单元：纹理已在本批次中则复用，否则占用一个新单元。
+     * 只有纹理单元用尽或顶点缓冲写满时才提交当前批次，因此图集、字体、白纹理可以混在同一批次里。
+     * @returns {number} 纹理在本批次中的单元下标（写入顶点的 a_texIndex）
+     */
+    _bindTexture(texture, count = 1) {
+        // 普通顶点与实例记录不能混在同一次绘制里：批次里已有实例记录时展开成顶点，整批改走顶点路径
+        if (this._instanced) this._expandInstances();
+        return this._bindSlot(texture, count);
+    }
+
+    /** 把本批次的实例记录展开为等价的 4 个顶点（角点顺序与 drawSpriteFast 的顶点路径一致），纹理单元与参数表保持不变。 */
+    _expandInstances() {
+        const I = this.instanceData, d = this.vertexData, S = this.instanceStride, V = this.vertexCountPerSprite;
+        for (let i = 0; i < this.batchCount; i++) {
+            const r = i * S;
+            for (let k = 0; k < 4; k++) {
+                const cx = k === 1 || k === 2 ? 1 : -1, cy = k >= 2 ? 1 : -1, o = i * V + k * this.vertexStride;
+                d[o] = I[r] + I[r + 2] * cx + I[r + 4] * cy; d[o + 1] = I[r + 1] + I[r + 3] * cx + I[r + 5] * cy;
+                d[o + 2] = I[cx < 0 ? r + 6 : r + 8]; d[o + 3] = I[cy < 0 ? r + 7 : r + 9]; d[o + 4] = I[r + 14];
+                d[o + 5] = I[r + 10]; d[o + 6] = I[r + 11]; d[o + 7] = I[r + 12]; d[o + 8] = I[r + 13]; d[o + 9] = I[r + 15];
+            }
+        }
+        this._instanced = false;
+    }
+
+    _bindSlot(texture, count) {
+        const tex = (texture instanceof WebGLTexture) ? texture : this.whiteTexture, filter = this._state.filterMatrix;
+        // filter 按批次生效，变化时先提交
+        if (this.batchCount + count > this.maxBatchSize || filter !== this._batchFilter) { this.flush(); this._batchFilter = filter; }
+        const nearest = tex !== this.whiteTexture && this._nearestSampling();
+        if (tex === this.currentTexture && nearest === this.currentNearest) return this.currentSlot;
+        let slot = this._textureUnit(tex, nearest);
+        if (slot < 0) { this.flush(); slot = this._textureUnit(tex, nearest); }
+        this.currentTexture = tex; this.currentNearest = nearest; this.currentSlot = slot;
+        return slot;
+    }
+
+    /**
+     * 本批次中 (纹理, 采样方式) 所在的纹理单元，没有则占用一个新单元；单元用尽时返回 -1。
+     * WebGL2 下同一纹理可以按两种方式各占一个单元；WebGL1 的过滤方式是纹理参数，冲突时先提交批次。
+     */
+    _textureUnit(tex, nearest) {
+        const T = this.batchTextures, N = this.batchNearest;
+        for (let i = 0; i < T.length; i++) if (T[i] === tex && N[i] === nearest) return i;
+        if (!this.isWebGL2 && T.includes(tex)) this.flush();
+        if (T.length >= this.maxTextureUnits) return -1;
+        N[T.length] = nearest;
+        return T.push(tex) - 1;
+    }
+
+    /** 当前绘制是否用最近邻采样：像素风模式或 imageSmoothingEnabled = false；文字绘制期间（_linearText）除外。 */
+    _nearestSampling() { return !this._linearText && (this.pixelArt || !this._state.imageSmoothingEnabled); }
+
+    /** 把纹理单元 unit 上的 tex 切到最近邻采样，nearest 为 false 时恢复。WebGL2 绑定 sampler 对象，WebGL1 直接改纹理参数。 */
+    _setSampling(unit, tex, nearest) {
+        const gl = this.gl;
+        if (this.nearestSampler) { gl.bindSampler(unit, nearest ? this.nearestSampler : null); return; }
+        gl.activeTexture(gl.TEXTURE0 + unit); gl.bindTexture(gl.TEXTURE_2D, tex);
+        gl.texParameteri(gl.TEXTURE_2D, gl.TEXTURE_MIN_FILTER, nearest ? gl.NEAREST : tex._mipmapped ? gl.LINEAR_MIPMAP_LINEAR : gl.LINEAR);
+        gl.texParameteri(gl.TEXTURE_2D, gl.TEXTURE_MAG_FILTER, nearest ? gl.NEAREST : gl.LINEAR);
         gl.activeTexture(gl.TEXTURE0);
-        const tex = this.currentTexture || this.whiteTexture;
-        gl.bindTexture(gl.TEXTURE_2D, (tex instanceof WebGLTexture) ? tex : this.whiteTexture);
-        gl.uniform1i(this.locations.image, 0);
-        const stride = this.vertexStride * 4;
-        gl.enableVertexAttribArray(this.locations.position); gl.vertexAttribPointer(this.locations.position, 2, gl.FLOAT, false, stride, 0);
-        gl.enableVertexAttribArray(this.locations.texCoord); gl.vertexAttribPointer(this.locations.texCoord, 2, gl.FLOAT, false, stride, 8);
-        gl.enableVertexAttribArray(this.locations.alpha); gl.vertexAttribPointer(this.locations.alpha, 1, gl.FLOAT, false, stride, 16);
-        gl.enableVertexAttribArray(this.locations.color); gl.vertexAttribPointer(this.locations.color, 4, gl.FLOAT, false, stride, 20);
-        gl.bindBuffer(gl.ELEMENT_ARRAY_BUFFER, this.indexBuffer);
-        gl.drawElements(gl.TRIANGLES, this.batchCount * this.indicesPerSprite, gl.UNSIGNED_SHORT, 0);
-        this.drawCallCount++; this.triangleCount += this.batchCount * 2;
-        this.batchCount = 0; this.currentTexture = null;
+    }
+
+    flush() {
+        // 空批次也要清掉已占用的纹理单元与参数表，调用方在单元用尽时 flush 后会重新分配
+        if (this.batchCount === 0 || this.contextLost) { this._flushEffects(); this._resetBatch(); return; }
+        const gl = this.gl, instanced = this._instanced, L = instanced ? this.instanceLocations : this.locations;
+        if (this._compositeMode) this._beginOffscreenComposite();
+        // 在第一个精灵之前排队的特效先画；实例化批次里的特效都在这里（见 drawEffect）
+        const pending = this._pendingEffects;
+        let next = this._drawEffects(0, 0);
+        gl.useProgram(instanced ? this.instanceProgram : this.program);
+        gl.uniform2f(L.resolution, this.width, this.height);
+        gl.uniform2f(L.camera, this.cameraX * this.dpr, this.cameraY * this.dpr);
+        gl.uniform1f(L.worldSpace, this._worldSpaceActive ? 1.0 : 0.0);
+        gl.uniform1f(L.snap, this.pixelSnap ? 1.0 : 0.0);
+        const filter = this._batchFilter;
+        gl.uniform1f(L.filtered, filter ? 1.0 : 0.0);
+        if (filter) { gl.uniformMatrix4fv(L.filter, false, filter.subarray(0, 16)); gl.uniform4fv(L.filterOffset, filter.subarray(16)); }
+        const textures = this.batchTextures, nearest = this.batchNearest, premultiplied = this._batchPremultiplied;
+        for (let i = 0; i < textures.length; i++) {
+            gl.activeTexture(gl.TEXTURE0 + i); gl.bindTexture(gl.TEXTURE_2D, textures[i]);
+            if (nearest[i]) this._setSampling(i, textures[i], true);
+            premultiplied[i] = textures[i]._premultiplied ? 1 : 0;
+        }
+        gl.uniform1fv(L.premultiplied, premultiplied);
+        if (instanced) {
+            gl.activeTexture(gl.TEXTURE0);
+            gl.bindBuffer(gl.ARRAY_BUFFER, this.instanceBuffer);
+            gl.bufferSubData(gl.ARRAY_BUFFER, 0, this.instanceData.subarray(0, this.batchCount * this.instanceStride));
+            gl.bindVertexArray(this.instanceVAO);
+            gl.drawElementsInstanced(gl.TRIANGLES, this.indicesPerSprite, gl.UNSIGNED_SHORT, 0, this.batchCount);
+            gl.bindVertexArray(null);
+            this.drawCallCount++;
+        } else {
+            if (this._batchPaintCount > 0) {
+                gl.activeTexture(gl.TEXTURE0 + this.maxTextureUnits); gl.bindTexture(gl.TEXTURE_2D, this.gradientTexture);
+                gl.uniform3fv(L.paints, this._batchPaints);
+            }
+            if (this._batchTextStyleCount > 0) gl.uniform4fv(L.textStyles, this._batchTextStyles);
+            gl.activeTexture(gl.TEXTURE0);
+            gl.bindBuffer(gl.ARRAY_BUFFER, this.vertexBuffer);
+            gl.bufferSubData(gl.ARRAY_BUFFER, 0, this.vertexData.subarray(0, this.batchCount * this.vertexCountPerSprite));
+            const stride = this.vertexStride * 4, n = this.indicesPerSprite;
+            const drawSprites = (from, to) => {
+                gl.bindBuffer(gl.ARRAY_BUFFER, this.vertexBuffer);
+                gl.enableVertexAttribArray(L.position); gl.vertexAttribPointer(L.position, 2, gl.FLOAT, false, stride, 0);
+                gl.enableVertexAttribArray(L.texCoord); gl.vertexAttribPointer(L.texCoord, 2, gl.FLOAT, false, stride, 8);
+                gl.enableVertexAttribArray(L.alpha); gl.vertexAttribPointer(L.alpha, 1, gl.FLOAT, false, stride, 16);
+                gl.enableVertexAttribArray(L.color); gl.vertexAttribPointer(L.color, 4, gl.FLOAT, false, stride, 20);
+                gl.enableVertexAttribArray(L.texIndex); gl.vertexAttribPointer(L.texIndex, 1, gl.FLOAT, false, stride, 36);
+                gl.bindBuffer(gl.ELEMENT_ARRAY_BUFFER, this.indexBuffer);
+                gl.drawElements(gl.TRIANGLES, (to - from) * n, gl.UNSIGNED_SHORT, from * n * 2);
+                this.drawCallCount++;
+            };
+            // 其余特效按排队位置把主批次切开：先画该位置之前的精灵，再画特效，切回主程序继续
+            let from = 0;
+            while (next < pending.length) {
+                const at = pending[next].at;
+                drawSprites(from, at);
+                next = this._drawEffects(next, at);
+                gl.useProgram(this.program);
+                from = at;
+            }
+            if (from < this.batchCount) drawSprites(from, this.batchCount);
+        }
+        // 最近邻只在本批次内生效，合成及其他程序仍按纹理自身的线性过滤采样
+        for (let i = 0; i < textures.length; i++) if (nearest[i]) this._setSampling(i, textures[i], false);
+        if (this._compositeMode) this._endOffscreenComposite();
+        this.triangleCount += this.batchCount * 2;
+        this._batchSerial++; this._resetBatch(); this._resetEffects();
+    }
+
+    /** 批次提交（或放弃）后清空顶点计数、纹理单元与渐变 / 文字效果参数表。 */
+    _resetBatch() {
+        this.batchCount = 0; this.currentTexture = null; this.batchTextures.length = 0; this._instanced = false;
+        this._resetBatchPaints();
     }
 
     getTexture(image) {
-        if (!image) return this.whiteTexture;
+        if (!image || this.contextLost) return this.whiteTexture;
         if (image._glTextureInfo && !image._needsUpdate) return image._glTextureInfo;
         if (image.__isGLTexture || image instanceof WebGLTexture) { image.__isGLTexture = true; return image; }
-        let uv = this.atlasCache.get(image);
-        if (uv) {
-            if (image._needsUpdate) { this._updateInAtlas(image); image._needsUpdate = false; }
-            const info = { texture: this.atlasTexture, uv, width: image.width, height: image.height };
-            image._glTextureInfo = info; return info;
+        const entry = this.atlasCache.get(image);
+        if (entry) {
+            const inAtlas = !image._needsUpdate || this._updateInAtlas(image);
+            image._needsUpdate = false;
+            if (inAtlas) { image._glTextureInfo = entry.info; return entry.info; }
         }
         const iW = image.width, iH = image.height;
         if (iW > 0 && iH > 0 && iW <= 512 && iH <= 512 && !image.disableAutoAtlas) {
-            uv = this._addToAtlas(image);
-            if (uv) { const info = { texture: this.atlasTexture, uv, width: iW, height: iH }; image._glTextureInfo = info; return info; }
+            const added = this._addToAtlas(image);
+            if (added) { image._needsUpdate = false; image._glTextureInfo = added.info; return added.info; }
         }
         let tex = this.textureCache.get(image);
         if (!tex) {
@@ -1237,7 +4279,7 @@ export class Blaze2D {
             gl.texParameteri(gl.TEXTURE_2D, gl.TEXTURE_WRAP_T, gl.CLAMP_TO_EDGE);
             gl.texParameteri(gl.TEXTURE_2D, gl.TEXTURE_MIN_FILTER, gl.LINEAR_MIPMAP_LINEAR);
             gl.texParameteri(gl.TEXTURE_2D, gl.TEXTURE_MAG_FILTER, gl.LINEAR);
-            gl.generateMipmap(gl.TEXTURE_2D);
+            gl.generateMipmap(gl.TEXTURE_2D); tex._mipmapped = true;
             this.textureCache.set(image, tex);
         } else if (image._needsUpdate) {
             const gl = this.gl; gl.bindTexture(gl.TEXTURE_2D, tex);
@@ -1248,50 +4290,479 @@ export class Blaze2D {
         const info = { texture: tex, width: iW, height: iH }; image._glTextureInfo = info; return info;
     }
 
-    _addToAtlas(image) {
+    _createAtlasTexture(size) {
+        const gl = this.gl, texture = gl.createTexture();
+        gl.bindTexture(gl.TEXTURE_2D, texture);
+        gl.texImage2D(gl.TEXTURE_2D, 0, gl.RGBA, size, size, 0, gl.RGBA, gl.UNSIGNED_BYTE, null);
+        gl.texParameteri(gl.TEXTURE_2D, gl.TEXTURE_WRAP_S, gl.CLAMP_TO_EDGE);
+        gl.texParameteri(gl.TEXTURE_2D, gl.TEXTURE_WRAP_T, gl.CLAMP_TO_EDGE);
+        gl.texParameteri(gl.TEXTURE_2D, gl.TEXTURE_MIN_FILTER, gl.LINEAR);
+        gl.texParameteri(gl.TEXTURE_2D, gl.TEXTURE_MAG_FILTER, gl.LINEAR);
+        return texture;
+    }
+
+    _createAtlasPage() {
+        const size = this.atlasSize, texture = this._createAtlasTexture(size);
+        const page = { texture, size, freeRects: [{ x: 0, y: 0, w: size, h: size }], entries: new Set(), usedArea: 0, releasedArea: 0 };
+        this.atlasPages.push(page);
+        return page;
+    }
+
+    /**
+     * 把图片放进任意一页图集（必要时新建页面）。
+     * 传入已有 entry 时复用它，使调用方持有的 {texture, uv} 对象在搬迁后依然有效。
+     * @returns {object|null} 图集条目；所有页面都放不下时返回 null
+     */
+    _addToAtlas(image, entry = null) {
         if (!image || image.width <= 0 || image.height <= 0) return null;
         const w = image.width + this.atlasPadding * 2, h = image.height + this.atlasPadding * 2;
-        if (this.atlasX + w > this.atlasSize) { this.atlasX = 0; this.atlasY += this.atlasRowHeight; this.atlasRowHeight = 0; }
-        if (this.atlasY + h > this.atlasSize) return null;
-        const x = this.atlasX + this.atlasPadding, y = this.atlasY + this.atlasPadding, gl = this.gl;
-        gl.bindTexture(gl.TEXTURE_2D, this.atlasTexture);
-        try { gl.texSubImage2D(gl.TEXTURE_2D, 0, x, y, gl.RGBA, gl.UNSIGNED_BYTE, image); } catch (e) { return null; }
-        const uv = { u0: x / this.atlasSize, v0: y / this.atlasSize, u1: (x + image.width) / this.atlasSize, v1: (y + image.height) / this.atlasSize };
-        this.atlasCache.set(image, uv); this.atlasX += w; this.atlasRowHeight = Math.max(this.atlasRowHeight, h);
-        return uv;
+        let page = null, rect = null;
+        for (const p of this.atlasPages) { rect = this._packRect(p, w, h); if (rect) { page = p; break; } }
+        if (!rect) {
+            // 先尝试压缩释放过空间的页面，仍放不下再开新页
+            for (const p of this.atlasPages) {
+                if (p.releasedArea < w * h) continue;
+                this.compactAtlas(p);
+                rect = this._packRect(p, w, h); if (rect) { page = p; break; }
+            }
+        }
+        if (!rect && this.atlasPages.length < this.maxAtlasPages) { page = this._createAtlasPage(); rect = this._packRect(page, w, h); }
+        if (!rect) return null;
+        if (!entry) entry = { image, page: null, x: 0, y: 0, w, h, info: { texture: null, uv: { u0: 0, v0: 0, u1: 0, v1: 0 }, width: image.width, height: image.height } };
+        entry.w = w; entry.h = h;
+        if (!this._placeAtlasEntry(page, entry, rect.x, rect.y)) { this._freeAtlasRect(page, rect); return null; }
+        this.atlasCache.set(image, entry);
+        return entry;
+    }
+
+    _placeAtlasEntry(page, entry, x, y) {
+        entry.x = x; entry.y = y;
+        if (!this._uploadAtlasEntry(page, entry)) return false;
+        entry.page = page;
+        page.entries.add(entry); page.usedArea += entry.w * entry.h;
+        const pad = this.atlasPadding, image = entry.image, info = entry.info, uv = info.uv, size = page.size;
+        info.width = image.width; info.height = image.height;
+        uv.u0 = (x + pad) / size; uv.v0 = (y + pad) / size; uv.u1 = (x + pad + image.width) / size; uv.v1 = (y + pad + image.height) / size;
+        return true;
+    }
+
+    _uploadAtlasEntry(page, entry) {
+        const gl = this.gl, pad = this.atlasPadding;
+        gl.bindTexture(gl.TEXTURE_2D, page.texture);
+        try {
+            if (this.atlasExtrude && pad > 0) gl.texSubImage2D(gl.TEXTURE_2D, 0, entry.x, entry.y, gl.RGBA, gl.UNSIGNED_BYTE, this._extrudeImage(entry.image));
+            else gl.texSubImage2D(gl.TEXTURE_2D, 0, entry.x + pad, entry.y + pad, gl.RGBA, gl.UNSIGNED_BYTE, entry.image);
+        } catch (e) { return false; }
+        entry.info.texture = page.texture;
+        return true;
+    }
+
+    /** 把图片连同留白画到临时画布上，四条边的像素向外拉伸到留白宽度（四角取角上的像素），返回整块（含留白）。 */
+    _extrudeImage(image) {
+        const p = this.atlasPadding, w = image.width, h = image.height;
+        const c = this._extrudeCanvas || (this._extrudeCanvas = document.createElement('canvas'));
+        c.width = w + p * 2; c.height = h + p * 2;
+        const ctx = c.getContext('2d');
+        ctx.imageSmoothingEnabled = false;
+        ctx.drawImage(image, p, p);
+        ctx.drawImage(image, 0, 0, 1, h, 0, p, p, h); ctx.drawImage(image, w - 1, 0, 1, h, p + w, p, p, h);
+        ctx.drawImage(image, 0, 0, w, 1, p, 0, w, p); ctx.drawImage(image, 0, h - 1, w, 1, p, p + h, w, p);
+        ctx.drawImage(image, 0, 0, 1, 1, 0, 0, p, p); ctx.drawImage(image, w - 1, 0, 1, 1, p + w, 0, p, p);
+        ctx.drawImage(image, 0, h - 1, 1, 1, 0, p + h, p, p); ctx.drawImage(image, w - 1, h - 1, 1, 1, p + w, p + h, p, p);
+        return c;
+    }
+
+    _removeAtlasEntry(entry) {
+        const page = entry.page;
+        if (!page || !page.entries.delete(entry)) return;
+        this._dnTexturesStale = true;
+        page.usedArea -= entry.w * entry.h; page.releasedArea += entry.w * entry.h;
+        this._freeAtlasRect(page, entry);
+    }
+
+    /** MaxRects（Best Short Side Fit）：在页面的空闲矩形中找位置，并切分所有被占用的空闲矩形。 */
+    _packRect(page, w, h) {
+        let best = null, bestShort = Infinity, bestLong = Infinity;
+        for (const r of page.freeRects) {
+            if (r.w < w || r.h < h) continue;
+            const dw = r.w - w, dh = r.h - h, short = Math.min(dw, dh), long = Math.max(dw, dh);
+            if (short < bestShort || (short === bestShort && long < bestLong)) { best = r; bestShort = short; bestLong = long; }
+        }
+        if (!best) return null;
+        const x = best.x, y = best.y, x1 = x + w, y1 = y + h, next = [];
+        for (const r of page.freeRects) {
+            const rx1 = r.x + r.w, ry1 = r.y + r.h;
+            if (x >= rx1 || x1 <= r.x || y >= ry1 || y1 <= r.y) { next.push(r); continue; }
+            if (x > r.x) next.push({ x: r.x, y: r.y, w: x - r.x, h: r.h });
+            if (x1 < rx1) next.push({ x: x1, y: r.y, w: rx1 - x1, h: r.h });
+            if (y > r.y) next.push({ x: r.x, y: r.y, w: r.w, h: y - r.y });
+            if (y1 < ry1) next.push({ x: r.x, y: y1, w: r.w, h: ry1 - y1 });
+        }
+        page.freeRects = this._pruneFreeRects(next);
+        return { x, y, w, h };
+    }
+
+    _freeAtlasRect(page, rect) {
+        page.freeRects.push({ x: rect.x, y: rect.y, w: rect.w, h: rect.h });
+        page.freeRects = this._pruneFreeRects(page.freeRects);
+    }
+
+    _pruneFreeRects(rects) {
+        const out = [];
+        for (let i = 0; i < rects.length; i++) {
+            const a = rects[i];
+            let contained = false;
+            for (let j = 0; j < rects.length; j++) {
+                const b = rects[j];
+                if (i === j || a.x < b.x || a.y < b.y || a.x + a.w > b.x + b.w || a.y + a.h > b.y + b.h) continue;
+                // 两个完全相同的矩形只保留第一个
+                if (a.x === b.x && a.y === b.y && a.w === b.w && a.h === b.h && i < j) continue;
+                contained = true; break;
+            }
+            if (!contained) out.push(a);
+        }
+        return out;
     }
 
     _updateInAtlas(image) {
-        const uv = this.atlasCache.get(image); if (!uv) return;
-        const gl = this.gl, x = Math.round(uv.u0 * this.atlasSize), y = Math.round(uv.v0 * this.atlasSize);
-        gl.bindTexture(gl.TEXTURE_2D, this.atlasTexture);
-        try { gl.texSubImage2D(gl.TEXTURE_2D, 0, x, y, gl.RGBA, gl.UNSIGNED_BYTE, image); } catch (e) { }
+        const entry = this.atlasCache.get(image); if (!entry) return false;
+        if (image.width + this.atlasPadding * 2 !== entry.w || image.height + this.atlasPadding * 2 !== entry.h) {
+            // 尺寸变化：原位置放不下，挪到新位置（entry.info 保持不变）
+            this.flush();
+            this._removeAtlasEntry(entry);
+            if (this._addToAtlas(image, entry)) return true;
+            this.atlasCache.delete(image);
+            return false;
+        }
+        this._uploadAtlasEntry(entry.page, entry);
+        return true;
+    }
+
+    /**
+     * 释放图片占用的 GPU 资源（图集空间或独立纹理）。之后再次绘制该图片会重新上传。
+     * 适合关卡卸载整套怪物素材时调用；图集里空出的区域会被后续图片复用。
+     * @param {HTMLImageElement|HTMLCanvasElement|Array} image 单张图片或图片数组
+     */
+    releaseTexture(image) {
+        if (!image) return;
+        if (Array.isArray(image)) { for (const img of image) this.releaseTexture(img); return; }
+        const entry = this.atlasCache.get(image);
+        if (entry) { this.flush(); this._removeAtlasEntry(entry); this.atlasCache.delete(image); }
+        const tex = this.textureCache.get(image);
+        if (tex) { this.flush(); this.gl.deleteTexture(tex); this.textureCache.delete(image); this.textureUsage.delete(image); this._dnTexturesStale = true; }
+        const pattern = this.patternTextures.get(image);
+        if (pattern) { this.flush(); this.gl.deleteTexture(pattern); this.patternTextures.delete(image); }
+        image._glTextureInfo = null;
+    }
+
+    /**
+     * 重新紧凑排列图集页（不传参数时处理所有页），并删除空页。
+     * 条目搬迁后其 {texture, uv} 对象原地更新，已持有的引用无需重新获取。
+     * @param {object} [page] atlasPages 中的某一页
+     */
+    compactAtlas(page) {
+        const gl = this.gl, pages = page ? [page] : this.atlasPages.slice(), homeless = [];
+        this.flush();
+        this._dnTexturesStale = true;
+        for (const p of pages) {
+            const entries = Array.from(p.entries).sort((a, b) => Math.max(b.w, b.h) - Math.max(a.w, a.h) || b.w * b.h - a.w * a.h);
+            p.entries.clear(); p.usedArea = 0; p.releasedArea = 0;
+            p.freeRects = [{ x: 0, y: 0, w: p.size, h: p.size }];
+            gl.bindTexture(gl.TEXTURE_2D, p.texture);
+            gl.texImage2D(gl.TEXTURE_2D, 0, gl.RGBA, p.size, p.size, 0, gl.RGBA, gl.UNSIGNED_BYTE, null);
+            for (const e of entries) {
+                const r = this._packRect(p, e.w, e.h);
+                if (!r || !this._placeAtlasEntry(p, e, r.x, r.y)) { if (r) this._freeAtlasRect(p, r); homeless.push(e); }
+            }
+        }
+        for (const e of homeless) {
+            e.page = null;
+            if (!this._addToAtlas(e.image, e)) { this.atlasCache.delete(e.image); e.image._glTextureInfo = null; }
+        }
+        if (!page) {
+            for (let i = this.atlasPages.length - 1; i > 0; i--) {
+                const p = this.atlasPages[i];
+                if (p.entries.size === 0) { gl.deleteTexture(p.texture); this.atlasPages.splice(i, 1); }
+            }
+        }
     }
 
     _cleanupTextures() {
         const gl = this.gl;
+        this.flush();
         const sorted = Array.from(this.textureUsage.entries()).sort((a, b) => a[1] - b[1]);
         const n = Math.ceil(this.maxTextureCacheSize * 0.2);
         for (let i = 0; i < n && i < sorted.length; i++) {
             const img = sorted[i][0], tex = this.textureCache.get(img);
-            if (tex && tex !== this.whiteTexture) { gl.deleteTexture(tex); this.textureCache.delete(img); this.textureUsage.delete(img); }
+            if (tex && tex !== this.whiteTexture) { gl.deleteTexture(tex); this.textureCache.delete(img); this.textureUsage.delete(img); img._glTextureInfo = null; this._dnTexturesStale = true; }
+        }
+    }
+
+    /**
+     * 把文本切成字素簇（用户感知的一个字符：组合字符、带变体选择符或肤色的 emoji、ZWJ 序列、国旗等）。
+     * 优先用 Intl.Segmenter，没有时按码点切分后把附加码点并回前一个字素。
+     */
+    _graphemes(text) {
+        if (/^[\x20-\x7e]*$/.test(text)) return text.split('');
+        if (this._segmenter === undefined) this._segmenter = typeof Intl !== 'undefined' && Intl.Segmenter ? new Intl.Segmenter() : null;
+        if (this._segmenter) return Array.from(this._segmenter.segment(text), seg => seg.segment);
+        const out = [];
+        let join = false;
+        for (const c of text) {
+            const cp = c.codePointAt(0), last = out.length - 1;
+            const ri = cp >= 0x1F1E6 && cp <= 0x1F1FF, prevRi = last >= 0 && out[last].length === 2 && out[last].codePointAt(0) >= 0x1F1E6 && out[last].codePointAt(0) <= 0x1F1FF;
+            if (last >= 0 && (join || /^(\p{M}|\p{Emoji_Modifier}|\u200d|[\u{E0020}-\u{E007F}])$/u.test(c) || (ri && prevRi))) out[last] += c;
+            else out.push(c);
+            join = cp === 0x200D;
         }
+        return out;
     }
 
-    _cleanupTextCache() {
+    /**
+     * 取（必要时创建）字形字体。font 为 CSS 字体串，其中的字号即栅格化字号；outline > 0 时字形带该宽度的黑色描边；
+     * sdf > 0 时字形存为该范围（栅格像素）的距离场。mid 为 alphabetic 基线到 em 框中线的距离，用于把按 middle 栅格化的字形放回 Canvas 的基线。
+     */
+    _glyphFace(font, outline = 0, sdf = 0) {
+        const key = sdf ? `${font}|sdf${sdf}` : outline ? `${font}|${outline}` : font;
+        let face = this.glyphFaces.get(key);
+        if (!face) {
+            const size = parseFloat(font.match(/(\d*\.?\d+)px/)?.[1]) || 20;
+            this.textCtx.font = font; this.textCtx.textBaseline = 'alphabetic';
+            const m = this.textCtx.measureText('M');
+            const ascent = m.emHeightAscent ?? m.fontBoundingBoxAscent ?? size * 0.8, descent = m.emHeightDescent ?? m.fontBoundingBoxDescent ?? size * 0.2;
+            face = { key, font, size, outline, sdf, msdf: false, padding: sdf ? sdf + 1 : Math.max(2, Math.ceil(size / 8)), mid: (ascent - descent) / 2 };
+            this.glyphFaces.set(key, face);
+        }
+        return face;
+    }
+
+    /**
+     * fillText 用的字形字体：字体族是注册过的具名字体时直接用它，否则按当前变换下的设备像素字号取栅格化档位。
+     * 字号不是 px 时返回 null；超过最大档时返回 null，clamp 为 true 则取最大档（放大绘制）。
+     */
+    _textFace(font, clamp = false) {
+        const px = font.match(/(\d*\.?\d+)px/);
+        if (!px) return null;
+        const family = font.slice(px.index + px[0].length).replace(/^\/\S+/, '').split(',')[0].trim().replace(/^["']|["']$/g, '');
+        const named = this.fonts.get(family);
+        if (named) return { size: parseFloat(px[1]), face: named.face };
+        const m = this._state.matrix, size = parseFloat(px[1]), need = size * Math.sqrt(Math.abs(m[0] * m[3] - m[1] * m[2]));
+        const raster = this.GLYPH_SIZES.find(v => v >= need) || (clamp ? this.GLYPH_SIZES[this.GLYPH_SIZES.length - 1] : 0);
+        if (!raster) return null;
+        return { size, face: this._glyphFace(font.replace(px[0], raster + 'px')) };
+    }
+
+    /** 取一串文字（或已切好的字素簇数组）的字形，缺失的即时栅格化；无法放入字形页的字素对应 null。 */
+    _glyphs(text, face) {
+        const run = ++this._glyphRun, out = Array.isArray(text) ? text.slice() : this._graphemes(text);
+        for (let k = 0; k < out.length; k++) { const g = this._glyph(out[k], face); if (g) g.run = run; out[k] = g; }
+        return out;
+    }
+
+    _glyph(cluster, face) {
+        // BMFont 字体的字形是预先载入的，按首个码点查找
+        if (face.glyphs) return face.glyphs.get(cluster.codePointAt(0)) ?? null;
+        const key = face.key + '\n' + cluster, cache = this.glyphCache;
+        let g = cache.get(key);
+        if (g) { cache.delete(key); cache.set(key, g); return g; }
+        this.textCtx.font = face.font; this.textCtx.textBaseline = 'alphabetic';
+        const m = this.textCtx.measureText(cluster), width = m.width, padding = face.padding, height = Math.ceil(face.size * 1.2);
+        const renderWidth = Math.ceil(width) + padding * 2, renderHeight = height + padding * 2;
+        const cell = this._allocateGlyphCell(renderWidth, renderHeight);
+        if (!cell) return null;
+        const size = this.GLYPH_PAGE_SIZE;
+        g = {
+            key, cluster, face, page: cell.page, shelf: cell.shelf, x: cell.x, y: cell.y, texture: cell.page.texture,
+            padding, fontSize: face.size, width, height, renderWidth, renderHeight, ox: -padding, oy: -renderHeight / 2,
+            u0: cell.x / size, v0: cell.y / size, u1: (cell.x + renderWidth) / size, v1: (cell.y + renderHeight) / size,
+            colored: false, batch: -1, run: -1, pinnedUntil: -Infinity, ink: this._glyphInk(m, face, width, height)
+        };
+        this._rasterizeGlyph(g);
+        cache.set(key, g);
+        return g;
+    }
+
+    /** 字形的墨迹框 [左, 上, 右, 下]（字体单位，相对笔位与中线），含描边；取不到墨迹度量时用字形格子。 */
+    _glyphInk(m, face, width, height) {
+        if (m.actualBoundingBoxRight === undefined) return [0, -height / 2, width, height / 2];
+        const o = face.outline / 2, ink = [-m.actualBoundingBoxLeft, face.mid - m.actualBoundingBoxAscent, m.actualBoundingBoxRight, face.mid + m.actualBoundingBoxDescent];
+        return ink[2] > ink[0] ? [ink[0] - o, ink[1] - o, ink[2] + o, ink[3] + o] : ink;
+    }
+
+    /** 把字形画到离屏画布（按 middle 基线居中）并写入字形页中它的格子。 */
+    _rasterizeGlyph(g) {
+        const c = this._glyphCanvas || (this._glyphCanvas = document.createElement('canvas')), face = g.face, w = g.renderWidth, h = g.renderHeight;
+        if (c.width < w || c.height < h) { c.width = Math.max(c.width, w, 256); c.height = Math.max(c.height, h, 256); this._glyphCtx = null; }
+        const ctx = this._glyphCtx || (this._glyphCtx = c.getContext('2d'));
+        ctx.clearRect(0, 0, w, h);
+        ctx.font = face.font; ctx.textAlign = 'left'; ctx.textBaseline = 'middle'; ctx.fillStyle = '#ffffff';
+        if (face.outline) { ctx.strokeStyle = '#000000'; ctx.lineWidth = face.outline; ctx.lineJoin = 'round'; ctx.strokeText(g.cluster, g.padding, h / 2); }
+        ctx.fillText(g.cluster, g.padding, h / 2);
+        const d = ctx.getImageData(0, 0, w, h).data;
+        if (face.sdf) this._distanceField(d, w, h, face.sdf);
+        // 白色字形的像素 RGB 相等；出现明显的彩色像素说明是彩色 emoji，绘制时不再用填充色着色
+        else if (!face.outline) for (let i = 0; i < d.length; i += 4) { if (d[i + 3] > 32 && (Math.abs(d[i] - d[i + 1]) > 8 || Math.abs(d[i + 1] - d[i + 2]) > 8)) { g.colored = true; break; } }
         const gl = this.gl;
-        for (const info of this.textCache.values()) gl.deleteTexture(info.texture);
-        this.textCache.clear();
+        gl.bindTexture(gl.TEXTURE_2D, g.texture);
+        gl.texSubImage2D(gl.TEXTURE_2D, 0, g.x, g.y, w, h, gl.RGBA, gl.UNSIGNED_BYTE, new Uint8Array(d.buffer, d.byteOffset, w * h * 4));
+    }
+
+    /** 由字形覆盖率生成距离场，写回 alpha（RGB 置白）：a = 0.5 + 有符号距离 / (2 * radius)，字形内为正。 */
+    _distanceField(data, w, h, radius) {
+        const n = w * h, INF = 1e20, outer = new Float64Array(n), inner = new Float64Array(n);
+        for (let i = 0; i < n; i++) {
+            const a = data[i * 4 + 3] / 255;
+            // 半透明的边缘像素按覆盖率估计到边缘的亚像素距离
+            outer[i] = a === 1 ? 0 : a === 0 ? INF : Math.max(0, 0.5 - a) ** 2;
+            inner[i] = a === 1 ? INF : a === 0 ? 0 : Math.max(0, a - 0.5) ** 2;
+        }
+        const len = Math.max(w, h), f = new Float64Array(len), v = new Uint16Array(len), z = new Float64Array(len + 1);
+        for (const grid of [outer, inner]) {
+            for (let x = 0; x < w; x++) this._edt1d(grid, x, w, h, f, v, z);
+            for (let y = 0; y < h; y++) this._edt1d(grid, y * w, 1, w, f, v, z);
+        }
+        for (let i = 0; i < n; i++) {
+            const d = Math.sqrt(outer[i]) - Math.sqrt(inner[i]);
+            data[i * 4] = data[i * 4 + 1] = data[i * 4 + 2] = 255;
+            data[i * 4 + 3] = Math.round(255 * (0.5 - d / (2 * radius)));
+        }
+    }
+
+    /** 一维平方欧氏距离变换（Felzenszwalb & Huttenlocher，下包络抛物线），原地处理 grid 中按 stride 排列的 length 个值。 */
+    _edt1d(grid, offset, stride, length, f, v, z) {
+        v[0] = 0; z[0] = -1e20; z[1] = 1e20; f[0] = grid[offset];
+        for (let q = 1, k = 0, s = 0; q < length; q++) {
+            f[q] = grid[offset + q * stride];
+            const q2 = q * q;
+            do { const r = v[k]; s = (f[q] - f[r] + q2 - r * r) / (q - r) / 2; } while (s <= z[k] && --k > -1);
+            k++; v[k] = q; z[k] = s; z[k + 1] = 1e20;
+        }
+        for (let q = 0, k = 0; q < length; q++) {
+            while (z[k + 1] < q) k++;
+            const r = v[k], qr = q - r;
+            grid[offset + q * stride] = f[r] + qr * qr;
+        }
+    }
+
+    /**
+     * 在字形页中分配 w x h 的格子：页内按行（shelf）排布，每行记录空闲区间。
+     * 所有页都放不下且页数已到上限时，淘汰最久未用的字形腾出空间。
+     */
+    _allocateGlyphCell(w, h) {
+        const size = this.GLYPH_PAGE_SIZE;
+        if (w > size || h > size) return null;
+        for (;;) {
+            for (const page of this.glyphPages) { const cell = this._shelfAllocate(page, w, h); if (cell) return cell; }
+            if (this.glyphPages.length < this.maxGlyphPages) { this.glyphPages.push({ texture: this._createAtlasTexture(size), size, shelves: [], bottom: 0 }); continue; }
+            if (!this._evictGlyph()) return null;
+        }
+    }
+
+    _shelfAllocate(page, w, h) {
+        const size = page.size;
+        for (const shelf of page.shelves) {
+            // 高度相近的行才复用，避免小字占掉大字的行；整行空闲时任何不高于它的字形都可放入
+            const empty = shelf.free.length === 1 && shelf.free[0][1] === size;
+            if (shelf.h < h || (!empty && shelf.h > h * 1.25 + 4)) continue;
+            for (let i = 0; i < shelf.free.length; i++) {
+                const span = shelf.free[i];
+                if (span[1] < w) continue;
+                const x = span[0];
+                span[0] += w; span[1] -= w;
+                if (!span[1]) shelf.free.splice(i, 1);
+                return { page, shelf, x, y: shelf.y };
+            }
+        }
+        if (page.bottom + h > size) return null;
+        const shelf = { y: page.bottom, h, free: w < size ? [[w, size - w]] : [] };
+        page.shelves.push(shelf); page.bottom += h;
+        return { page, shelf, x: 0, y: shelf.y };
+    }
+
+    /** 淘汰最久未用、且不在当前文字串中、不被存活伤害数字引用的字形；当前批次仍引用它时先提交。 */
+    _evictGlyph() {
+        const now = this.currentTime;
+        for (const [key, g] of this.glyphCache) {
+            if (g.run === this._glyphRun || g.pinnedUntil > now) continue;
+            if (g.batch === this._batchSerial) this.flush();
+            this.glyphCache.delete(key);
+            this._freeShelfCell(g);
+            return true;
+        }
+        return false;
+    }
+
+    /** 归还字形或文字条目的格子：并入所在行的空闲区间，页底部整行空闲时收回高度。 */
+    _freeShelfCell(g) {
+        const shelf = g.shelf, free = shelf.free, page = g.page, size = page.size;
+        let i = 0;
+        while (i < free.length && free[i][0] < g.x) i++;
+        free.splice(i, 0, [g.x, g.renderWidth]);
+        if (i + 1 < free.length && free[i][0] + free[i][1] === free[i + 1][0]) { free[i][1] += free[i + 1][1]; free.splice(i + 1, 1); }
+        if (i > 0 && free[i - 1][0] + free[i - 1][1] === free[i][0]) { free[i - 1][1] += free[i][1]; free.splice(i, 1); }
+        const shelves = page.shelves;
+        while (shelves.length) {
+            const last = shelves[shelves.length - 1];
+            if (last.free.length !== 1 || last.free[0][1] !== size) break;
+            shelves.pop(); page.bottom = last.y;
+        }
+    }
+
+    /** 在文字页中分配 w x h 的格子，做法同 _allocateGlyphCell；页数到上限后按 LRU 淘汰文字条目。比一页还大时返回 null。 */
+    _allocateTextCell(w, h) {
+        const size = this.TEXT_PAGE_SIZE;
+        if (w > size || h > size) return null;
+        for (;;) {
+            for (const page of this.textPages) { const cell = this._shelfAllocate(page, w, h); if (cell) return cell; }
+            if (this.textPages.length < this.maxTextPages) { this.textPages.push({ texture: this._createAtlasTexture(size), size, shelves: [], bottom: 0 }); continue; }
+            if (!this._evictTextEntry()) return null;
+        }
+    }
+
+    /** 淘汰最久未用的文字条目：归还它在文字页中的格子（单独的纹理直接删除）；当前批次仍引用它时先提交。 */
+    _evictTextEntry() {
+        const oldest = this.textCache.entries().next().value;
+        if (!oldest) return false;
+        const [key, info] = oldest;
+        if (info.batch === this._batchSerial) this.flush();
+        this.textCache.delete(key);
+        if (info.page) this._freeShelfCell(info); else this.gl.deleteTexture(info.texture);
+        return true;
     }
 
-    _createTextTexture(text, state, isStroke) {
-        this.textCtx.font = state.font;
-        const w = Math.ceil(this.textCtx.measureText(text).width) + 4, fs = parseInt(state.font) || 20, h = Math.ceil(fs * 1.4) + 4;
+    /** 整串文字纹理的尺寸（四周各留 2px）与以 top 基线测得的度量，绘制与 measureText 共用。 */
+    _textTextureSize(text, font, letterSpacing = '0px', direction = 'ltr') {
+        const ctx = this.textCtx;
+        ctx.font = font; ctx.textBaseline = 'top'; ctx.letterSpacing = letterSpacing; ctx.direction = direction;
+        const metrics = ctx.measureText(text), fs = parseInt(font) || 20;
+        ctx.letterSpacing = '0px'; ctx.direction = 'ltr';
+        return { width: Math.ceil(metrics.width) + 4, height: Math.ceil(fs * 1.4) + 4, metrics };
+    }
+
+    /**
+     * 整串栅格化一段文字，放进文字页的一格（与精灵同批）；比一页还大的文字单独建纹理。
+     * 返回的条目记录纹理、尺寸、uv 与格子位置，batch 为最近一次使用它的批次。
+     */
+    _createTextEntry(text, state, isStroke, color = isStroke ? state.strokeStyle : state.fillStyle) {
+        const direction = this._textDirection(state), { width: w, height: h } = this._textTextureSize(text, state.font, state.letterSpacing, direction);
+        // 改画布尺寸会重置上下文状态，字体等要在之后设置
         this.textCanvas.width = w; this.textCanvas.height = h;
-        this.textCtx.font = state.font; this.textCtx.textAlign = 'left'; this.textCtx.textBaseline = 'top';
-        if (isStroke) { this.textCtx.strokeStyle = state.strokeStyle; this.textCtx.lineWidth = state.lineWidth; this.textCtx.strokeText(text, 2, 2); }
-        else { this.textCtx.fillStyle = state.fillStyle; this.textCtx.fillText(text, 2, 2); }
-        const gl = this.gl, tex = gl.createTexture();
+        const ctx = this.textCtx;
+        ctx.font = state.font; ctx.textAlign = 'left'; ctx.textBaseline = 'top'; ctx.letterSpacing = state.letterSpacing; ctx.direction = direction;
+        if (isStroke) { ctx.strokeStyle = color; ctx.lineWidth = state.lineWidth; ctx.strokeText(text, 2, 2); }
+        else { ctx.fillStyle = color; ctx.fillText(text, 2, 2); }
+        ctx.letterSpacing = '0px'; ctx.direction = 'ltr';
+        const gl = this.gl, cell = this._allocateTextCell(w, h);
+        if (cell) {
+            const page = cell.page, size = page.size;
+            gl.bindTexture(gl.TEXTURE_2D, page.texture);
+            gl.texSubImage2D(gl.TEXTURE_2D, 0, cell.x, cell.y, gl.RGBA, gl.UNSIGNED_BYTE, this.textCanvas);
+            return {
+                texture: page.texture, width: w, height: h, page, shelf: cell.shelf, x: cell.x, y: cell.y, renderWidth: w,
+                u0: cell.x / size, v0: cell.y / size, u1: (cell.x + w) / size, v1: (cell.y + h) / size, batch: -1
+            };
+        }
+        const tex = gl.createTexture();
         gl.bindTexture(gl.TEXTURE_2D, tex);
         gl.texImage2D(gl.TEXTURE_2D, 0, gl.RGBA, gl.RGBA, gl.UNSIGNED_BYTE, this.textCanvas);
         gl.texParameteri(gl.TEXTURE_2D, gl.TEXTURE_WRAP_S, gl.CLAMP_TO_EDGE);
@@ -1299,7 +4770,7 @@ export class Blaze2D {
         gl.texParameteri(gl.TEXTURE_2D, gl.TEXTURE_MIN_FILTER, gl.LINEAR);
         gl.texParameteri(gl.TEXTURE_2D, gl.TEXTURE_MAG_FILTER, gl.LINEAR);
         gl.bindTexture(gl.TEXTURE_2D, null);
-        return { texture: tex, width: w, height: h };
+        return { texture: tex, width: w, height: h, page: null, u0: 0, v0: 0, u1: 1, v1: 1, batch: -1 };
     }
 
     _parseColor(color) {
@@ -1330,9 +4801,31 @@ export class Blaze2D {
     }
 
     createLinearGradient(x0, y0, x1, y1) {
-        return { isGradient: true, type: 'linear', x0, y0, x1, y1, stops: [], addColorStop(o, c) { this.stops.push({ offset: o, color: c }); } };
+        return { isGradient: true, type: 'linear', x0, y0, x1, y1, stops: [], addColorStop(o, c) { this.stops.push({ offset: o, color: c }); this._rampKey = null; } };
     }
     createRadialGradient(x0, y0, r0, x1, y1, r1) {
-        return { isGradient: true, type: 'radial', x0, y0, r0, x1, y1, r1, stops: [], addColorStop(o, c) { this.stops.push({ offset: o, color: c }); } };
+        return { isGradient: true, type: 'radial', x0, y0, r0, x1, y1, r1, stops: [], addColorStop(o, c) { this.stops.push({ offset: o, color: c }); this._rampKey = null; } };
+    }
+    /**
+     * 与 Canvas 的 createPattern 相同，返回的对象可作 fillStyle / strokeStyle，支持 setTransform(matrix)。
+     * 图案与渐变走同一条着色路径（isGradient 表示由着色器逐片元求色的样式）。canvas / video 等可变的来源在创建时重新上传，取当时的内容。
+     * @returns {object|null} 图片尚未解码（尺寸为 0）时返回 null
+     */
+    createPattern(image, repetition) {
+        const rep = repetition == null || repetition === '' ? 'repeat' : repetition;
+        if (!['repeat', 'repeat-x', 'repeat-y', 'no-repeat'].includes(rep)) throw new DOMException(`Blaze2D: createPattern() repetition "${rep}" is invalid.`, 'SyntaxError');
+        const width = image.naturalWidth || image.videoWidth || image.width, height = image.naturalHeight || image.videoHeight || image.height;
+        if (!width || !height) return null;
+        const immutable = (typeof HTMLImageElement !== 'undefined' && image instanceof HTMLImageElement) || (typeof ImageBitmap !== 'undefined' && image instanceof ImageBitmap);
+        const old = this.patternTextures.get(image);
+        if (old && !immutable) {
+            if (this.batchTextures.includes(old)) this.flush();
+            this.gl.deleteTexture(old); this.patternTextures.delete(image);
+        }
+        return {
+            isGradient: true, type: 'pattern', image, repetition: rep, width, height, repeatX: rep === 'repeat' || rep === 'repeat-x', repeatY: rep === 'repeat' || rep === 'repeat-y',
+            matrix: null, batch: -1,
+            setTransform(t) { this.matrix = t ? [t.a ?? t.m11 ?? 1, t.b ?? t.m12 ?? 0, t.c ?? t.m21 ?? 0, t.d ?? t.m22 ?? 1, t.e ?? t.m41 ?? 0, t.f ?? t.m42 ?? 0] : null; }
+        };
     }
 }
@@ -0,0 +1,27 @@
+import { test, pair, both, pixels, assert, assertPixels } from './harness.js';
+import { swatch } from './batch.test.js';
+
+/** n 张不同颜色的纯色图；512x512 时每页 4096² 图集只放得下 7x7 张。 */
+function swatches(n, size) { return Array.from({ length: n }, (_, i) => swatch(size, size, `hsl(${i * 47 % 360}, 70%, 50%)`)); }
+
+test('图集放满后自动开新页，跨页的图片照常绘制', () => {
+    const p = pair(100, 50), images = swatches(50, 512);
+    both(p, ctx => images.forEach((img, i) => ctx.drawImage(img, (i % 10) * 10, Math.floor(i / 10) * 10, 10, 10)));
+    const ctx = p.blaze, first = ctx.getTexture(images[0]), last = ctx.getTexture(images[49]);
+    assert(ctx.atlasPages.length === 2, `atlas pages: ${ctx.atlasPages.length}`);
+    assert(first.uv && last.uv && first.texture !== last.texture, '第 50 张图应落在第二页');
+    assertPixels(pixels(ctx), pixels(p.native), { tol: 4, ratio: 0, label: 'pages' });
+});
+
+test('releaseTexture 与 compactAtlas：已持有的 {texture, uv} 原地更新，释放的图片可重新上传', () => {
+    const p = pair(60, 30), images = swatches(20, 100), keep = images[19], ctx = p.blaze;
+    for (const img of images) ctx.getTexture(img);
+    const info = ctx.getTexture(keep), before = { ...info.uv };
+    ctx.releaseTexture(images.slice(0, 19));
+    assert(images.slice(0, 19).every(img => !ctx.atlasCache.has(img)), '释放后仍留在图集缓存里');
+    ctx.compactAtlas();
+    assert(ctx.getTexture(keep) === info, 'compactAtlas 后 getTexture 返回了新对象');
+    assert(info.uv.u0 !== before.u0 || info.uv.v0 !== before.v0, '压缩后条目没有移动');
+    both(p, ctx => { ctx.drawImage(keep, 0, 0, 30, 30); ctx.drawImage(images[3], 30, 0, 30, 30); });
+    assertPixels(pixels(ctx), pixels(p.native), { tol: 4, ratio: 0, label: 'compact' });
+});
@@ -0,0 +1,42 @@
+import { Blaze2D } from '../Blaze2d.js';
+import { test, pair, both, pixels, assert, assertPixels } from './harness.js';
+
+/** 纯色画布，当作 drawImage 的图片源。 */
+export function swatch(w, h, color) {
+    const c = document.createElement('canvas');
+    c.width = w; c.height = h;
+    const ctx = c.getContext('2d');
+    ctx.fillStyle = color; ctx.fillRect(0, 0, w, h);
+    return c;
+}
+
+/** 图集里的小图、白纹理上的矩形与路径、超出图集尺寸的大图交替绘制。 */
+function drawMixed(ctx, images) {
+    ctx.fillStyle = '#264653'; ctx.fillRect(0, 0, 80, 60);
+    ctx.drawImage(images.small, 5, 5);
+    ctx.fillStyle = '#e9c46a'; ctx.beginPath(); ctx.arc(40, 25, 12, 0, Math.PI * 2); ctx.fill();
+    ctx.drawImage(images.large, 0, 0, 600, 20, 10, 42, 60, 10);
+    ctx.drawImage(images.other, 60, 5);
+    ctx.fillStyle = 'rgba(255, 255, 255, 0.5)'; ctx.fillRect(0, 30, 80, 4);
+}
+
+test('图集、白纹理与独立纹理混在同一批次', () => {
+    const p = pair(80, 60), images = { small: swatch(12, 12, '#e76f51'), other: swatch(10, 16, '#8ab17d'), large: swatch(600, 20, '#6d597a') };
+    p.blaze.clear(); p.blaze.resetFrameStats();
+    both(p, ctx => drawMixed(ctx, images));
+    p.blaze.flush();
+    assert(p.blaze.drawCallCount === 1, `draw calls: ${p.blaze.drawCallCount}`);
+    assertPixels(pixels(p.blaze), pixels(p.native), { tol: 4, ratio: 0.02, label: 'mixed' });
+});
+
+test('纹理单元只有一个时退化为单纹理批次，结果不变', () => {
+    const p = pair(80, 60), images = { small: swatch(12, 12, '#e76f51'), other: swatch(10, 16, '#8ab17d'), large: swatch(600, 20, '#6d597a') };
+    const canvas = document.createElement('canvas');
+    canvas.width = 80; canvas.height = 60;
+    const ctx = new Blaze2D(canvas, { maxTextureUnits: 1 });
+    ctx.clear(); ctx.resetFrameStats();
+    drawMixed(ctx, images); drawMixed(p.native, images);
+    ctx.flush();
+    assert(ctx.maxTextureUnits === 1 && ctx.drawCallCount > 1, `draw calls: ${ctx.drawCallCount}`);
+    assertPixels(pixels(ctx), pixels(p.native), { tol: 4, ratio: 0.02, label: 'single unit' });
+});
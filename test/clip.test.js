@@ -0,0 +1,42 @@
+import { test, pair, both, pixels, assertPixels } from './harness.js';
+
+test('clip：矩形、圆与任意多边形', () => {
+    const p = pair(90, 40);
+    both(p, ctx => {
+        ctx.save(); ctx.beginPath(); ctx.rect(5, 5, 20, 30); ctx.clip();
+        ctx.fillStyle = '#e63946'; ctx.fillRect(0, 0, 90, 40); ctx.restore();
+        ctx.save(); ctx.beginPath(); ctx.arc(45, 20, 12, 0, Math.PI * 2); ctx.clip();
+        ctx.fillStyle = '#457b9d'; ctx.fillRect(0, 0, 90, 40); ctx.restore();
+        ctx.save(); ctx.beginPath(); ctx.moveTo(65, 5); ctx.lineTo(88, 10); ctx.lineTo(75, 20); ctx.lineTo(86, 35); ctx.lineTo(62, 30); ctx.closePath(); ctx.clip();
+        ctx.fillStyle = '#2a9d8f'; ctx.fillRect(0, 0, 90, 40); ctx.restore();
+    });
+    assertPixels(pixels(p.blaze), pixels(p.native), { tol: 8, ratio: 0.04, label: 'shapes' });
+});
+
+test('clip：嵌套取交集，restore 后逐层恢复', () => {
+    const p = pair(60, 60);
+    both(p, ctx => {
+        ctx.save();
+        ctx.beginPath(); ctx.rect(10, 10, 40, 40); ctx.clip();
+        ctx.save();
+        ctx.beginPath(); ctx.arc(50, 50, 20, 0, Math.PI * 2); ctx.clip();
+        ctx.fillStyle = '#f4a261'; ctx.fillRect(0, 0, 60, 60);
+        ctx.restore();
+        // 只剩外层矩形
+        ctx.fillStyle = 'rgba(38, 70, 83, 0.5)'; ctx.fillRect(0, 0, 30, 60);
+        ctx.restore();
+        ctx.fillStyle = '#e9c46a'; ctx.fillRect(0, 55, 60, 5);
+    });
+    assertPixels(pixels(p.blaze), pixels(p.native), { tol: 8, ratio: 0.03, label: 'nested' });
+});
+
+test('clip：旋转后的矩形走模板而不是 scissor', () => {
+    const p = pair(60, 60);
+    both(p, ctx => {
+        ctx.translate(30, 30); ctx.rotate(Math.PI / 6);
+        ctx.beginPath(); ctx.rect(-15, -10, 30, 20); ctx.clip();
+        ctx.setTransform(1, 0, 0, 1, 0, 0);
+        ctx.fillStyle = '#6d597a'; ctx.fillRect(0, 0, 60, 60);
+    });
+    assertPixels(pixels(p.blaze), pixels(p.native), { tol: 8, ratio: 0.04, label: 'rotated' });
+});
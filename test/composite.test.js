@@ -0,0 +1,31 @@
+import { test, pair, both, pixels, assertPixels } from './harness.js';
+
+// 走离屏读回路径的合成模式（unbounded 运算与 blend 模式），以及用 blendFunc 直接表达的对照组
+const MODES = ['source-in', 'source-out', 'destination-in', 'destination-out', 'destination-atop', 'copy', 'xor', 'multiply', 'overlay', 'difference', 'hue', 'color-dodge'];
+
+for (const mode of MODES) {
+    test(`${mode}：同一批次内相互重叠的绘制逐个合成`, () => {
+        const p = pair(80, 60);
+        both(p, ctx => {
+            ctx.fillStyle = 'rgba(0, 128, 255, 0.8)'; ctx.fillRect(5, 5, 50, 40);
+            ctx.globalCompositeOperation = mode;
+            // 两个半透明矩形互相重叠，再叠一条路径：每一个都必须以前一个的结果为底色
+            ctx.fillStyle = 'rgba(255, 64, 0, 0.6)'; ctx.fillRect(20, 15, 40, 30); ctx.fillRect(35, 25, 40, 30);
+            ctx.fillStyle = 'rgba(32, 200, 32, 0.5)'; ctx.beginPath(); ctx.rect(10, 30, 50, 20); ctx.fill();
+            ctx.globalCompositeOperation = 'source-over';
+        });
+        assertPixels(pixels(p.blaze), pixels(p.native), { tol: 6, ratio: 0.01, label: mode });
+    });
+}
+
+test('destination-out 下 clip() 仍只裁剪路径内部', () => {
+    const p = pair(60, 60);
+    both(p, ctx => {
+        ctx.fillStyle = '#264653'; ctx.fillRect(0, 0, 60, 60);
+        ctx.globalCompositeOperation = 'destination-out';
+        ctx.beginPath(); ctx.arc(30, 30, 15, 0, Math.PI * 2); ctx.clip();
+        ctx.fillStyle = 'rgba(0, 0, 0, 0.7)'; ctx.fillRect(0, 0, 60, 60);
+        ctx.globalCompositeOperation = 'source-over';
+    });
+    assertPixels(pixels(p.blaze), pixels(p.native), { tol: 6, ratio: 0.02, label: 'clip' });
+});
@@ -0,0 +1,217 @@
+import { test, pair, both, pixels, pixel, assert, assertClose, assertColor, assertPixels } from './harness.js';
+
+/** 两个矩阵（DOMMatrix 或 {a..f}）的 2D 分量逐项相差不超过 tol。 */
+function assertMatrix(actual, expected, tol, label) {
+    for (const k of ['a', 'b', 'c', 'd', 'e', 'f']) assertClose(actual[k], expected[k], tol, `${label}.${k}`);
+}
+
+/** 在网格上逐点比较两个上下文的点查询结果，不一致的点占比不得超过 ratio（路径边界上的点允许有舍入差异）。 */
+function assertSameHits(p, query, { w = p.native.canvas.width, h = p.native.canvas.height, step = 2, ratio = 0.01, label = 'hits' } = {}) {
+    let total = 0, bad = 0, inside = 0;
+    for (let y = 0.5; y < h; y += step) {
+        for (let x = 0.5; x < w; x += step) {
+            const expected = query(p.native, x, y);
+            if (expected !== query(p.blaze, x, y)) bad++;
+            if (expected) inside++;
+            total++;
+        }
+    }
+    assert(inside > 0, `${label}: 原生结果里没有命中点，测试本身有误`);
+    if (bad / total > ratio) throw new Error(`${label}: ${bad} / ${total} 个点与原生结果不一致`);
+}
+
+/** 8x8 的双色棋盘格，用作图案与 putImageData 的源。 */
+function checker() {
+    const c = document.createElement('canvas'), g = c.getContext('2d');
+    c.width = c.height = 8;
+    g.fillStyle = '#ff4000'; g.fillRect(0, 0, 8, 8);
+    g.fillStyle = 'rgba(0, 96, 255, 0.6)'; g.fillRect(0, 0, 4, 4); g.fillRect(4, 4, 4, 4);
+    return c;
+}
+
+test('transform 系列：getTransform 与原生一致', () => {
+    const p = pair(40, 40);
+    both(p, ctx => { ctx.translate(10, 5); ctx.rotate(0.3); ctx.scale(2, 0.5); ctx.transform(1, 0.2, -0.4, 1, 3, 4); });
+    assertMatrix(p.blaze.getTransform(), p.native.getTransform(), 1e-6, 'translate/rotate/scale/transform');
+    both(p, ctx => ctx.setTransform(1, 2, 3, 4, 5, 6));
+    assertMatrix(p.blaze.getTransform(), p.native.getTransform(), 1e-9, 'setTransform(a..f)');
+    both(p, ctx => ctx.resetTransform());
+    assertMatrix(p.blaze.getTransform(), p.native.getTransform(), 1e-9, 'resetTransform');
+});
+
+test('setTransform(DOMMatrix2DInit)：m11.. 与 a.. 两种写法', () => {
+    const p = pair(40, 40);
+    for (const init of [{ m11: 2, m12: 0.5, m21: 0.25, m22: 3, m41: 7, m42: 9 }, { a: 1.5, d: 2, e: 3 }, new DOMMatrix([0.5, 0.1, -0.1, 0.5, 4, 8])]) {
+        both(p, ctx => ctx.setTransform(init));
+        assertMatrix(p.blaze.getTransform(), p.native.getTransform(), 1e-9, JSON.stringify(init));
+    }
+});
+
+test('变换后的填充与原生像素一致', () => {
+    const p = pair(80, 80);
+    both(p, ctx => {
+        ctx.setTransform({ m11: 1.2, m12: 0.4, m21: -0.3, m22: 0.9, m41: 30, m42: 10 });
+        ctx.fillStyle = '#2a9d8f'; ctx.fillRect(0, 0, 30, 40);
+        ctx.rotate(0.5); ctx.fillStyle = 'rgba(230, 57, 70, 0.7)'; ctx.beginPath(); ctx.arc(20, 30, 12, 0, Math.PI * 2); ctx.fill();
+    });
+    assertPixels(pixels(p.blaze), pixels(p.native), { label: 'transform' });
+});
+
+test('clearRect：局部、变换后与裁剪内的清除', () => {
+    const p = pair(80, 60);
+    both(p, ctx => {
+        ctx.fillStyle = '#e76f51'; ctx.fillRect(0, 0, 80, 60);
+        ctx.clearRect(5, 5, 15, 10);
+        ctx.clearRect(40, 50, -10, -8);
+        ctx.save(); ctx.translate(50, 20); ctx.rotate(0.4); ctx.clearRect(-8, -6, 16, 12); ctx.restore();
+        ctx.save(); ctx.beginPath(); ctx.arc(20, 40, 10, 0, Math.PI * 2); ctx.clip(); ctx.clearRect(0, 0, 80, 60); ctx.restore();
+    });
+    assertPixels(pixels(p.blaze), pixels(p.native), { tol: 4, ratio: 0.02, label: 'clearRect' });
+});
+
+test('clearRect：清除整个画布不重置变换与绘图状态', () => {
+    const p = pair(60, 40);
+    both(p, ctx => {
+        ctx.translate(10, 5); ctx.fillStyle = '#457b9d'; ctx.globalAlpha = 0.5; ctx.lineWidth = 3;
+        ctx.fillRect(0, 0, 20, 20);
+        ctx.clearRect(-10, -5, 60, 40);
+    });
+    assertMatrix(p.blaze.getTransform(), p.native.getTransform(), 1e-9, 'clearRect');
+    for (const key of ['fillStyle', 'globalAlpha', 'lineWidth']) assert(p.blaze[key] === p.native[key], `${key}: ${p.blaze[key]} vs ${p.native[key]}`);
+    both(p, ctx => ctx.fillRect(0, 0, 20, 20));
+    assertPixels(pixels(p.blaze), pixels(p.native), { tol: 4, ratio: 0, label: '清除后继续绘制' });
+});
+
+test('getImageData：半透明像素还原为非预乘颜色，越界区域为透明', () => {
+    const p = pair(40, 30);
+    both(p, ctx => {
+        ctx.fillStyle = 'rgba(200, 100, 50, 0.5)'; ctx.fillRect(0, 0, 20, 30);
+        ctx.fillStyle = 'rgba(10, 220, 120, 0.25)'; ctx.fillRect(10, 10, 30, 20);
+    });
+    assertPixels(pixels(p.blaze), pixels(p.native), { tol: 4, ratio: 0, label: '整块' });
+    // 与画布部分重叠、负宽高的区域
+    assertPixels(p.blaze.getImageData(-5, -5, 20, 20).data, p.native.getImageData(-5, -5, 20, 20).data, { tol: 4, ratio: 0, label: '越界' });
+    assertPixels(p.blaze.getImageData(30, 25, -10, -10).data, p.native.getImageData(30, 25, -10, -10).data, { tol: 4, ratio: 0, label: '负宽高' });
+});
+
+test('putImageData：忽略变换与 globalAlpha，dirty 矩形只写入指定区域', () => {
+    const p = pair(40, 40), src = checker().getContext('2d').getImageData(0, 0, 8, 8);
+    both(p, ctx => {
+        ctx.fillStyle = '#000'; ctx.fillRect(0, 0, 40, 40);
+        ctx.translate(5, 5); ctx.scale(2, 2); ctx.globalAlpha = 0.3;
+        ctx.putImageData(src, 4, 4);
+        ctx.putImageData(src, 20, 20, 2, 2, 4, 3);
+    });
+    assertPixels(pixels(p.blaze), pixels(p.native), { tol: 3, ratio: 0, label: 'putImageData' });
+});
+
+test('createImageData：尺寸与异常', () => {
+    const p = pair(8, 8);
+    const a = p.blaze.createImageData(3, -4), b = p.native.createImageData(3, -4);
+    assert(a.width === b.width && a.height === b.height && a.data.length === b.data.length, 'createImageData(w, h) 尺寸不一致');
+    const c = p.blaze.createImageData(b);
+    assert(c.width === b.width && c.height === b.height && c.data.every(v => v === 0), 'createImageData(imageData) 应为同尺寸的透明数据');
+    for (const ctx of [p.native, p.blaze]) {
+        let name = null;
+        try { ctx.createImageData(0, 3); } catch (e) { name = e.name; }
+        assert(name === 'IndexSizeError', `${ctx === p.blaze ? 'Blaze2D' : '原生'} createImageData(0, 3) 应抛出 IndexSizeError`);
+        name = null;
+        try { ctx.getImageData(0, 0, 0, 3); } catch (e) { name = e.name; }
+        assert(name === 'IndexSizeError', `${ctx === p.blaze ? 'Blaze2D' : '原生'} getImageData(0, 0, 0, 3) 应抛出 IndexSizeError`);
+    }
+});
+
+test('createPattern：四种重复方式与 setTransform', () => {
+    const image = checker();
+    for (const repetition of ['repeat', 'repeat-x', 'repeat-y', 'no-repeat']) {
+        const p = pair(60, 60);
+        both(p, ctx => {
+            ctx.imageSmoothingEnabled = false;
+            const pattern = ctx.createPattern(image, repetition);
+            pattern.setTransform({ a: 2, b: 0, c: 0, d: 2, e: 6, f: 10 });
+            ctx.fillStyle = pattern; ctx.fillRect(0, 0, 60, 60);
+        });
+        assertPixels(pixels(p.blaze), pixels(p.native), { label: repetition });
+    }
+    const p = pair(8, 8);
+    for (const ctx of [p.native, p.blaze]) {
+        let name = null;
+        try { ctx.createPattern(image, 'bogus'); } catch (e) { name = e.name; }
+        assert(name === 'SyntaxError', `${ctx === p.blaze ? 'Blaze2D' : '原生'} 非法 repetition 应抛出 SyntaxError`);
+    }
+});
+
+test('createPattern：路径填充与变换叠加', () => {
+    const p = pair(60, 60), image = checker();
+    both(p, ctx => {
+        ctx.imageSmoothingEnabled = false;
+        ctx.fillStyle = ctx.createPattern(image, 'repeat');
+        ctx.translate(30, 30); ctx.rotate(Math.PI / 2); ctx.beginPath(); ctx.arc(0, 0, 24, 0, Math.PI * 2); ctx.fill();
+    });
+    assertPixels(pixels(p.blaze), pixels(p.native), { label: 'pattern arc' });
+});
+
+test('filter：颜色类滤镜与原生一致', () => {
+    const filters = ['grayscale(100%)', 'sepia(0.5) brightness(1.2)', 'invert(1)', 'hue-rotate(90deg)', 'saturate(2)', 'contrast(1.5)', 'opacity(0.5)', 'brightness(50%) invert(25%)'];
+    for (const filter of filters) {
+        const p = pair(20, 20);
+        both(p, ctx => { ctx.filter = filter; ctx.fillStyle = 'rgba(200, 120, 40, 0.8)'; ctx.fillRect(0, 0, 20, 20); });
+        assertColor(pixel(p.blaze, 10, 10), pixel(p.native, 10, 10), 3, filter);
+    }
+});
+
+test('filter：取值与非法值的处理', () => {
+    const p = pair(8, 8);
+    for (const value of ['grayscale(1) blur(2px)', 'bogus(1)', 'brightness(-1)', 'none']) {
+        both(p, ctx => { ctx.filter = value; });
+        assert(p.blaze.filter === p.native.filter, `filter = '${value}' 后读回 '${p.blaze.filter}'，原生为 '${p.native.filter}'`);
+    }
+    both(p, ctx => { ctx.filter = 'invert(1)'; ctx.save(); ctx.filter = 'none'; ctx.restore(); });
+    assert(p.blaze.filter === p.native.filter, 'save / restore 应恢复 filter');
+});
+
+test('isPointInPath：nonzero 与 evenodd', () => {
+    const p = pair(80, 80);
+    both(p, ctx => {
+        ctx.translate(4, 2); ctx.scale(1.1, 0.9);
+        ctx.beginPath();
+        ctx.roundRect(5, 5, 60, 40, [4, 12]);
+        ctx.moveTo(40, 30); ctx.arc(40, 50, 20, 0, Math.PI * 2);
+        // 自交的五角星：evenodd 下中心镂空
+        ctx.moveTo(40, 55);
+        for (let i = 1; i <= 5; i++) ctx.lineTo(40 + 18 * Math.sin(i * 4 * Math.PI / 5), 73 - 18 * Math.cos(i * 4 * Math.PI / 5));
+        ctx.closePath();
+    });
+    assertSameHits(p, (ctx, x, y) => ctx.isPointInPath(x, y), { label: 'nonzero' });
+    assertSameHits(p, (ctx, x, y) => ctx.isPointInPath(x, y, 'evenodd'), { label: 'evenodd' });
+});
+
+test('isPointInStroke：线宽、线帽、连接方式与变换', () => {
+    for (const [cap, join] of [['butt', 'miter'], ['round', 'round'], ['square', 'bevel']]) {
+        const p = pair(80, 60);
+        both(p, ctx => {
+            ctx.lineWidth = 6; ctx.lineCap = cap; ctx.lineJoin = join;
+            ctx.translate(5, 5); ctx.rotate(0.1);
+            ctx.beginPath(); ctx.moveTo(10, 10); ctx.lineTo(60, 15); ctx.lineTo(20, 45); ctx.quadraticCurveTo(50, 50, 70, 30);
+        });
+        assertSameHits(p, (ctx, x, y) => ctx.isPointInStroke(x, y), { step: 1, ratio: 0.02, label: `${cap} / ${join}` });
+    }
+});
+
+test('measureText：宽度与包围盒', () => {
+    const p = pair(8, 8);
+    for (const font of ['16px sans-serif', 'bold 24px serif', '12px monospace']) {
+        for (const text of ['Hello, world', 'gyp|ÅÉ', '中文排版 123']) {
+            both(p, ctx => { ctx.font = font; ctx.textAlign = 'left'; ctx.textBaseline = 'alphabetic'; });
+            const a = p.blaze.measureText(text), b = p.native.measureText(text), label = `${font} '${text}'`;
+            assertClose(a.width, b.width, Math.max(1, b.width * 0.02), `${label} width`);
+            for (const k of ['actualBoundingBoxLeft', 'actualBoundingBoxRight', 'actualBoundingBoxAscent', 'actualBoundingBoxDescent', 'fontBoundingBoxAscent', 'fontBoundingBoxDescent']) {
+                assertClose(a[k], b[k], 2, `${label} ${k}`);
+            }
+        }
+    }
+    // textAlign / textBaseline 改变的是包围盒相对对齐点的位置
+    both(p, ctx => { ctx.font = '20px sans-serif'; ctx.textAlign = 'center'; ctx.textBaseline = 'middle'; });
+    const a = p.blaze.measureText('Centered'), b = p.native.measureText('Centered');
+    for (const k of ['actualBoundingBoxLeft', 'actualBoundingBoxRight', 'actualBoundingBoxAscent', 'actualBoundingBoxDescent']) assertClose(a[k], b[k], 2, `center / middle ${k}`);
+});
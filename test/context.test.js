@@ -0,0 +1,64 @@
+import { test, pair, both, pixels, assert, assertPixels } from './harness.js';
+import { swatch } from './batch.test.js';
+
+/** 用 WEBGL_lose_context 让 Blaze2D 的上下文丢失再恢复，等到 contextrestored 事件（重建完成）后返回。 */
+export async function loseAndRestore(ctx) {
+    const ext = ctx.gl.getExtension('WEBGL_lose_context');
+    const lost = new Promise(resolve => ctx.on('contextlost', resolve)), restored = new Promise(resolve => ctx.on('contextrestored', resolve));
+    ext.loseContext(); await lost;
+    ext.restoreContext(); await restored;
+}
+
+test('上下文恢复后层仍可绘制与合成', async () => {
+    const p = pair(60, 40), layer = p.blaze.createLayer(30, 30, 1);
+    await loseAndRestore(p.blaze);
+    p.native.fillStyle = '#e63946'; p.native.fillRect(10, 5, 20, 20);
+    const ctx = p.blaze;
+    ctx.beginLayer(layer); ctx.fillStyle = '#e63946'; ctx.fillRect(0, 0, 20, 20); ctx.endLayer();
+    // 层的帧缓冲若没有重建，上面的绘制会直接落在画布左上角
+    ctx.drawImage(layer, 10, 5);
+    assertPixels(pixels(ctx), pixels(p.native), { tol: 2, ratio: 0, label: 'layer' });
+});
+
+test('上下文恢复后后处理链照常输出', async () => {
+    const p = pair(40, 40);
+    p.blaze.setPostProcessing(true);
+    p.blaze.clear(); p.blaze.present();
+    await loseAndRestore(p.blaze);
+    p.blaze.clear();
+    both(p, ctx => { ctx.fillStyle = '#2a9d8f'; ctx.fillRect(5, 5, 20, 30); });
+    p.blaze.present();
+    assertPixels(pixels(p.blaze), pixels(p.native), { tol: 2, ratio: 0, label: 'post' });
+});
+
+test('上下文恢复后保存的裁剪区重新生效', async () => {
+    const p = pair(60, 60);
+    both(p, ctx => { ctx.beginPath(); ctx.rect(10, 10, 20, 20); ctx.clip(); });
+    // 非矩形裁剪走模板，恢复后模板缓冲是空的，需要重建
+    both(p, ctx => { ctx.beginPath(); ctx.arc(20, 20, 12, 0, Math.PI * 2); ctx.clip(); });
+    await loseAndRestore(p.blaze);
+    both(p, ctx => { ctx.fillStyle = '#f4a261'; ctx.fillRect(0, 0, 60, 60); });
+    assertPixels(pixels(p.blaze), pixels(p.native), { tol: 6, ratio: 0.02, label: 'clip' });
+});
+
+test('上下文恢复后图集与独立纹理按原图重新上传', async () => {
+    const p = pair(60, 40), small = swatch(16, 16, '#e76f51'), large = swatch(600, 10, '#264653');
+    p.blaze.drawImage(small, 0, 0); p.blaze.drawImage(large, 0, 20); p.blaze.flush();
+    const ext = p.blaze.gl.getExtension('WEBGL_lose_context');
+    const lost = new Promise(resolve => p.blaze.on('contextlost', resolve)), restored = new Promise(resolve => p.blaze.on('contextrestored', resolve));
+    ext.loseContext(); await lost;
+    assert(p.blaze.contextLost, 'contextlost 事件后 contextLost 仍为 false');
+    // 丢失期间的绘制直接丢弃，不应抛错
+    p.blaze.drawImage(small, 0, 0); p.blaze.fillRect(0, 0, 10, 10); p.blaze.flush();
+    ext.restoreContext(); await restored;
+    assert(!p.blaze.contextLost, 'contextrestored 后 contextLost 仍为 true');
+    p.blaze.clear();
+    both(p, ctx => {
+        ctx.drawImage(small, 4, 4);
+        ctx.drawImage(large, 0, 0, 600, 10, 0, 24, 60, 10);
+        const g = ctx.createLinearGradient(30, 0, 60, 0);
+        g.addColorStop(0, '#f4a261'); g.addColorStop(1, '#2a9d8f');
+        ctx.fillStyle = g; ctx.fillRect(30, 0, 30, 20);
+    });
+    assertPixels(pixels(p.blaze), pixels(p.native), { tol: 6, ratio: 0.02, label: 'restore' });
+});
@@ -0,0 +1,93 @@
+import { Blaze2D } from '../Blaze2d.js';
+import { test, pair, pixels, assert, assertPixels } from './harness.js';
+
+/** 有墨迹（alpha > 0）的像素数。 */
+export function inkCount(data) {
+    let n = 0;
+    for (let i = 3; i < data.length; i += 4) if (data[i] > 0) n++;
+    return n;
+}
+
+test('伤害数字：生成一次后逐帧绘制，不必重新提交', () => {
+    const p = pair(120, 80), ctx = p.blaze;
+    ctx.setTime(0);
+    ctx.drawGPUDamageNumber(123, 40, 40, 0, -100, 0, 1, 24, '#ff4040');
+    ctx.drawGPUDamageNumber(45, 80, 50, 0, -100, 0, 1, 24, '#40a0ff', 1, 'heal');
+    ctx.setTime(0.4); ctx.flushDamageNumbers();
+    const first = pixels(ctx);
+    assert(inkCount(first) > 0, 'damage numbers drew nothing');
+    // 同一时刻再画一帧：缓冲里已无待上传的槽位，结果逐像素相同
+    ctx.clearRect(0, 0, 120, 80);
+    ctx.resetFrameStats(); ctx.flushDamageNumbers();
+    assert(ctx.dnChunks.every(c => c.dirtyTo < c.dirtyFrom), 'second frame re-uploaded slots');
+    assert(ctx.drawCallCount === 1, `draw calls: ${ctx.drawCallCount}`);
+    assertPixels(pixels(ctx), first, { tol: 0, ratio: 0, label: 'second frame' });
+    // 寿命结束后不再绘制，画布为空
+    ctx.clearRect(0, 0, 120, 80);
+    ctx.setTime(1.5); ctx.resetFrameStats(); ctx.flushDamageNumbers();
+    assert(ctx.drawCallCount === 0, `draw calls after expiry: ${ctx.drawCallCount}`);
+    assertPixels(pixels(ctx), pixels(p.native), { tol: 0, ratio: 0, label: 'expired' });
+});
+
+test('伤害数字：一块写满时另开一块，不丢弃数字；过期槽位被复用', () => {
+    const p = pair(120, 60), ctx = p.blaze;
+    const canvas = document.createElement('canvas');
+    canvas.width = 120; canvas.height = 60;
+    const reference = new Blaze2D(canvas);
+    // 每块只放 4 个字形，3 个两位数需要两块
+    ctx.dnMaxBatchSize = 4;
+    for (const c of [ctx, reference]) {
+        c.setTime(0);
+        for (let i = 0; i < 3; i++) c.drawGPUDamageNumber(10 + i * 11, 20 + i * 40, 30, 0, 0, 0, 1, 20, '#ffd166');
+        c.setTime(0.5); c.resetFrameStats(); c.flushDamageNumbers();
+    }
+    assert(ctx.dnChunks.length === 2, `chunks: ${ctx.dnChunks.length}`);
+    assert(ctx.drawCallCount === 2, `draw calls: ${ctx.drawCallCount}`);
+    assertPixels(pixels(ctx), pixels(reference), { tol: 2, ratio: 0, label: 'overflow' });
+    // 全部过期后再生成同样多的数字：复用原有的槽位，多余的块被释放
+    ctx.setTime(2); ctx.flushDamageNumbers();
+    for (let i = 0; i < 2; i++) ctx.drawGPUDamageNumber(10 + i * 11, 20 + i * 40, 30, 0, 0, 2, 1, 20, '#ffd166');
+    assert(ctx.dnChunks.length === 1, `chunks after reuse: ${ctx.dnChunks.length}`);
+    assert(ctx.dnChunks[0].high === 4, `slots: ${ctx.dnChunks[0].high}`);
+});
+
+/** 去掉弹出、缩放、闪光与淡出，只留运动，便于与静止的数字逐像素对照。 */
+const STILL = { popIn: 0, startScale: 1, bounce: 0, shrinkStart: 1, endScale: 1, fadeStart: 1, flashStrength: 0, drag: 0 };
+
+test('伤害数字样式：抛物线与上飘按各自参数运动，不同样式同批绘制', () => {
+    const p = pair(120, 80), ctx = p.blaze;
+    const canvas = document.createElement('canvas');
+    canvas.width = 120; canvas.height = 80;
+    const reference = new Blaze2D(canvas);
+    // 对照组的两个样式不运动，数字直接放在 t = 0.5 时应到达的位置
+    for (const [c, gravity] of [[ctx, 160], [reference, 0]]) {
+        c.defineDamageNumberStyle('fall', { ...STILL, motion: 'arc', gravity });
+        c.defineDamageNumberStyle('rise', { ...STILL, motion: 'float', outlineColor: '#1d3557' });
+        c.setTime(0);
+    }
+    // t = 0.5：fall 水平移动 40·0.5 = 20、下落 ½·160·0.25 = 20；rise 匀速上飘 40·0.5 = 20
+    ctx.drawGPUDamageNumber(12, 30, 30, 40, 0, 0, 1, 20, '#ffffff', 1, 'fall');
+    ctx.drawGPUDamageNumber(34, 90, 50, 0, -40, 0, 1, 20, '#ffffff', 1, 'rise');
+    reference.drawGPUDamageNumber(12, 50, 50, 0, 0, 0, 1, 20, '#ffffff', 1, 'fall');
+    reference.drawGPUDamageNumber(34, 90, 30, 0, 0, 0, 1, 20, '#ffffff', 1, 'rise');
+    for (const c of [ctx, reference]) { c.setTime(0.5); c.resetFrameStats(); c.flushDamageNumbers(); }
+    assert(ctx.drawCallCount === 1, `draw calls: ${ctx.drawCallCount}`);
+    assertPixels(pixels(ctx), pixels(reference), { tol: 8, ratio: 0.01, label: 'motion' });
+});
+
+test('伤害数字样式：outlineColor 给位图字形的描边改色', () => {
+    const p = pair(80, 40), ctx = p.blaze;
+    ctx.defineDamageNumberStyle('plain', STILL);
+    ctx.defineDamageNumberStyle('tinted', { ...STILL, outlineColor: '#0000ff' });
+    const blueEdge = (style) => {
+        ctx.clearRect(0, 0, 80, 40); ctx.clearDamageNumbers();
+        ctx.setTime(0); ctx.drawGPUDamageNumber(88, 40, 20, 0, 0, 0, 1, 28, '#ffffff', 1, style);
+        ctx.setTime(0.5); ctx.flushDamageNumbers();
+        const data = pixels(ctx);
+        let n = 0;
+        for (let i = 0; i < data.length; i += 4) if (data[i + 3] > 200 && data[i + 2] > 160 && data[i] < 80) n++;
+        return n;
+    };
+    assert(blueEdge('plain') === 0, 'default outline is not black');
+    assert(blueEdge('tinted') > 0, 'outline was not recoloured');
+});
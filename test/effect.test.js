@@ -0,0 +1,81 @@
+import { test, pair, pixels, assert, assertPixels } from './harness.js';
+
+/** 铺满整个四边形的纯色特效（预乘输出），便于和原生 fillRect 对照。 */
+function solidEffect(ctx) {
+    if (!ctx.effects.has('solid')) ctx.registerEffect('solid', 'void main() { gl_FragColor = u_color; }', { color: 'color' });
+}
+
+test('drawEffect 与精灵交替调用时按调用顺序叠放', () => {
+    const p = pair(60, 40), ctx = p.blaze;
+    solidEffect(ctx);
+    ctx.clear(); ctx.resetFrameStats();
+    const native = p.native;
+    for (let i = 0; i < 3; i++) {
+        ctx.fillStyle = '#e63946'; ctx.fillRect(i * 15, 0, 20, 20);
+        native.fillStyle = '#e63946'; native.fillRect(i * 15, 0, 20, 20);
+        // 半径 10 的特效覆盖以 (x, y) 为中心的 20x20 方块
+        ctx.drawEffect('solid', i * 15 + 15, 20, 10, { color: '#1d3557' });
+        native.fillStyle = '#1d3557'; native.fillRect(i * 15 + 5, 10, 20, 20);
+    }
+    ctx.flush();
+    assertPixels(pixels(ctx), pixels(native), { tol: 2, ratio: 0, label: 'interleaved' });
+    // 每次交替切开一次主批次，但精灵顶点仍只上传一次：3 段精灵 + 3 段特效
+    assert(ctx.drawCallCount === 6, `draw calls: ${ctx.drawCallCount}`);
+});
+
+test('相邻精灵之间排队的同种特效合为一次绘制', () => {
+    const p = pair(60, 40), ctx = p.blaze;
+    solidEffect(ctx);
+    ctx.clear(); ctx.resetFrameStats();
+    const native = p.native;
+    ctx.fillStyle = native.fillStyle = '#2a9d8f';
+    ctx.fillRect(0, 0, 60, 40); native.fillRect(0, 0, 60, 40);
+    for (let i = 0; i < 5; i++) {
+        ctx.drawEffect('solid', i * 12 + 6, 20, 5, { color: '#f4a261' });
+        native.fillStyle = '#f4a261'; native.fillRect(i * 12 + 1, 15, 10, 10);
+    }
+    ctx.fillStyle = native.fillStyle = 'rgba(0, 0, 0, 0.5)';
+    ctx.fillRect(0, 18, 60, 4); native.fillRect(0, 18, 60, 4);
+    ctx.flush();
+    assertPixels(pixels(ctx), pixels(native), { tol: 2, ratio: 0, label: 'grouped' });
+    assert(ctx.drawCallCount === 3, `draw calls: ${ctx.drawCallCount}`);
+});
+
+test('registerEffect：默认值、世界坐标与参数校验', () => {
+    const p = pair(60, 40), ctx = p.blaze;
+    ctx.registerEffect('tinted', 'void main() { gl_FragColor = u_color * u_strength; }', { color: { type: 'color', default: '#ffffff' }, strength: { type: 'float', default: 1 } });
+    ctx.drawEffect('tinted', 10, 10, 5);
+    ctx.drawEffect('tinted', 30, 10, 5, { color: [0.9, 0.3, 0.2, 1] });
+    // 世界坐标：相机 (100, 50) 对准画布中心 (30, 20)
+    ctx.beginWorldSpace(); ctx.setCamera(100, 50);
+    ctx.drawEffect('tinted', 120, 60, 5, { color: '#264653', strength: 0.5 });
+    ctx.endWorldSpace();
+    ctx.flush();
+    p.native.fillStyle = '#ffffff'; p.native.fillRect(5, 5, 10, 10);
+    p.native.fillStyle = 'rgb(230, 77, 51)'; p.native.fillRect(25, 5, 10, 10);
+    p.native.fillStyle = 'rgba(38, 70, 83, 0.5)'; p.native.fillRect(45, 25, 10, 10);
+    assertPixels(pixels(ctx), pixels(p.native), { tol: 3, ratio: 0, label: 'custom' });
+
+    const throws = (fn, type, pattern) => {
+        let error = null;
+        try { fn(); } catch (e) { error = e; }
+        assert(error instanceof type && pattern.test(error.message), `期望 ${type.name} ${pattern}，实际 ${error}`);
+    };
+    throws(() => ctx.drawEffect('missing', 0, 0, 1), Error, /unknown effect/);
+    throws(() => ctx.drawEffect('tinted', 0, 0, 1, { strength: 'x' }), TypeError, /finite number/);
+    throws(() => ctx.drawEffect('tinted', 0, 0, 1, { color: [1, 0] }), TypeError, /array of 4/);
+    throws(() => ctx.drawEffect('tinted', 0, 0, 1, { glow: 1 }), Error, /no uniform "glow"/);
+    throws(() => ctx.registerEffect('broken', 'void main() { gl_FragColor = undefinedThing; }'), Error, /failed to compile/);
+});
+
+test('内置重力场与冰场：交替调用 50 次各只需一次 Draw Call', () => {
+    const ctx = pair(200, 200).blaze;
+    ctx.clear(); ctx.resetFrameStats();
+    for (let i = 0; i < 50; i++) {
+        ctx.drawGravityField(i * 4, 100, 20, i * 0.1, [0.2, 0, 0.4, 1], [0, 0, 0, 0]);
+        ctx.drawIceField(i * 4, 60, 20, i * 0.1, 0.8, [0.6, 0.9, 1, 1], [0.2, 0.4, 0.8, 0]);
+    }
+    ctx.flush();
+    assert(ctx.drawCallCount === 2, `draw calls: ${ctx.drawCallCount}`);
+    assert(ctx.triangleCount === 200, `triangles: ${ctx.triangleCount}`);
+});
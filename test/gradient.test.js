@@ -0,0 +1,49 @@
+import { test, pair, both, pixels, assert, assertPixels } from './harness.js';
+
+test('线性渐变：矩形、圆、椭圆与路径，多个色标', () => {
+    const p = pair(100, 60);
+    both(p, ctx => {
+        const g = ctx.createLinearGradient(0, 0, 100, 60);
+        g.addColorStop(0, '#e63946'); g.addColorStop(0.4, 'rgba(69, 123, 157, 0.6)'); g.addColorStop(1, '#f1faee');
+        ctx.fillStyle = g;
+        ctx.fillRect(0, 0, 30, 30);
+        ctx.beginPath(); ctx.arc(50, 15, 14, 0, Math.PI * 2); ctx.fill();
+        ctx.beginPath(); ctx.ellipse(85, 30, 12, 25, 0.3, 0, Math.PI * 2); ctx.fill();
+        ctx.beginPath(); ctx.moveTo(5, 55); ctx.lineTo(35, 35); ctx.lineTo(65, 55); ctx.closePath(); ctx.fill();
+    });
+    assertPixels(pixels(p.blaze), pixels(p.native), { tol: 8, ratio: 0.03, label: 'linear' });
+});
+
+test('径向渐变：两圆不同心（焦点偏移）与 r0 > 0', () => {
+    const p = pair(80, 80);
+    both(p, ctx => {
+        const g = ctx.createRadialGradient(30, 30, 5, 40, 40, 35);
+        g.addColorStop(0, '#ffffff'); g.addColorStop(0.5, '#f4a261'); g.addColorStop(1, '#264653');
+        ctx.fillStyle = g; ctx.fillRect(0, 0, 80, 80);
+    });
+    assertPixels(pixels(p.blaze), pixels(p.native), { tol: 8, ratio: 0.02, label: 'radial' });
+});
+
+test('渐变随变换移动，而不是固定在屏幕坐标', () => {
+    const p = pair(80, 40);
+    both(p, ctx => {
+        const g = ctx.createLinearGradient(0, 0, 20, 0);
+        g.addColorStop(0, '#2a9d8f'); g.addColorStop(1, '#e9c46a');
+        ctx.fillStyle = g;
+        for (let i = 0; i < 3; i++) { ctx.save(); ctx.translate(i * 25, 10); ctx.rotate(i * 0.3); ctx.fillRect(0, 0, 20, 20); ctx.restore(); }
+    });
+    assertPixels(pixels(p.blaze), pixels(p.native), { tol: 8, ratio: 0.03, label: 'transformed' });
+});
+
+test('每帧变化的色标复用渐变表的行，数量超过行数时结果仍正确', () => {
+    const p = pair(100, 20), ctx = p.blaze, n = ctx.GRADIENT_ROWS + 36;
+    both(p, c => {
+        for (let i = 0; i < n; i++) {
+            const g = c.createLinearGradient(i, 0, i + 1, 0);
+            g.addColorStop(0, `rgb(${i * 2}, 80, 160)`); g.addColorStop(1, `rgb(200, ${i * 2}, 40)`);
+            c.fillStyle = g; c.fillRect(i, 0, 1, 20);
+        }
+    });
+    assert(ctx.gradientCache.size <= ctx.GRADIENT_ROWS, `gradient rows: ${ctx.gradientCache.size}`);
+    assertPixels(pixels(ctx), pixels(p.native), { tol: 8, ratio: 0.02, label: 'churn' });
+});
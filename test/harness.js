@@ -0,0 +1,73 @@
+/**
+ * 浏览器内运行的对照测试：同一组操作分别画到原生 Canvas 2D 与 Blaze2D，比较像素与查询结果。
+ * 用任意静态服务器在仓库根目录启动后打开 test/index.html（ES 模块不能从 file:// 加载）。
+ * 结果显示在页面上，同时写入 window.__results，便于无头浏览器读取。
+ */
+import { Blaze2D } from '../Blaze2d.js';
+
+const tests = [];
+
+/** 注册一个测试；fn 可以是 async，抛出异常即失败。 */
+export function test(name, fn) { tests.push({ name, fn }); }
+
+/** 一对同尺寸画布：native 为原生 CanvasRenderingContext2D，blaze 为 Blaze2D。 */
+export function pair(width = 64, height = 64) {
+    const a = document.createElement('canvas'), b = document.createElement('canvas');
+    a.width = b.width = width; a.height = b.height = height;
+    return { native: a.getContext('2d', { willReadFrequently: true }), blaze: new Blaze2D(b) };
+}
+
+/** 同一段绘制分别作用于两个上下文。 */
+export function both(p, draw) { draw(p.native); draw(p.blaze); }
+
+/** 整块（或指定区域）的 RGBA 数据，两种上下文通用。 */
+export function pixels(ctx, x = 0, y = 0, w = ctx.canvas.width - x, h = ctx.canvas.height - y) { return ctx.getImageData(x, y, w, h).data; }
+
+/** (x, y) 处单个像素的 [r, g, b, a]。 */
+export function pixel(ctx, x, y) { return Array.from(ctx.getImageData(x, y, 1, 1).data); }
+
+export function assert(cond, label) { if (!cond) throw new Error(label); }
+
+export function assertClose(actual, expected, tol, label) {
+    if (!(Math.abs(actual - expected) <= tol)) throw new Error(`${label}: ${actual} ≠ ${expected} (±${tol})`);
+}
+
+/** 两个颜色逐通道相差不超过 tol。 */
+export function assertColor(actual, expected, tol, label) {
+    for (let i = 0; i < 4; i++) if (!(Math.abs(actual[i] - expected[i]) <= tol)) throw new Error(`${label}: [${actual}] ≠ [${expected}] (±${tol})`);
+}
+
+/**
+ * 逐像素比较两块 RGBA：任一通道相差超过 tol 的像素占比不得超过 ratio。
+ * 默认容差允许抗锯齿边缘与曲线展平带来的差异，填充内部必须一致。
+ */
+export function assertPixels(actual, expected, { tol = 24, ratio = 0.03, label = 'pixels' } = {}) {
+    let bad = 0, worst = 0;
+    for (let i = 0; i < expected.length; i += 4) {
+        let d = 0;
+        for (let k = 0; k < 4; k++) d = Math.max(d, Math.abs(actual[i + k] - expected[i + k]));
+        if (d > tol) bad++;
+        worst = Math.max(worst, d);
+    }
+    const r = bad / (expected.length / 4);
+    if (r > ratio) throw new Error(`${label}: ${(r * 100).toFixed(1)}% 的像素超出容差（最大差 ${worst}）`);
+}
+
+/** 依次运行所有已注册的测试，把结果写进 out 元素。 */
+export async function run(out) {
+    const results = [];
+    for (const t of tests) {
+        let error = null;
+        try { await t.fn(); } catch (e) { error = e; }
+        results.push({ name: t.name, ok: !error, message: error ? String(error.message || error) : '' });
+        const row = document.createElement('li');
+        row.textContent = `${error ? '✗' : '✓'} ${t.name}${error ? ' — ' + results[results.length - 1].message : ''}`;
+        row.style.color = error ? '#c00' : '#080';
+        out.appendChild(row);
+        if (error) console.error(t.name, error);
+    }
+    const failed = results.filter(r => !r.ok).length;
+    document.title = failed ? `✗ ${failed} / ${results.length}` : `✓ ${results.length}`;
+    window.__results = results;
+    return results;
+}
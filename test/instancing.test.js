@@ -0,0 +1,41 @@
+import { Blaze2D } from '../Blaze2d.js';
+import { test, pair, pixels, assert, assertPixels } from './harness.js';
+import { swatch } from './batch.test.js';
+
+/** 旋转、半透明、着色与闪白的精灵各一组。 */
+function drawSprites(ctx, image) {
+    for (let i = 0; i < 6; i++) ctx.drawSpriteFast(image, 10 + i * 15, 12, 12, 8, i * 0.4, 1 - i * 0.1);
+    ctx.drawSpriteFast(image, 20, 32, 16, 16, 0, 1, [0.3, 1, 0.5, 1]);
+    ctx.drawSpriteFast(image, 45, 32, 16, 16, 0.2, 0.8, [1, 1, 1, 10]);
+}
+
+test('实例化精灵与顶点路径、原生 drawImage 结果一致', () => {
+    const p = pair(100, 45), image = swatch(16, 16, '#e76f51');
+    if (!p.blaze.instancing) return;
+    const canvas = document.createElement('canvas');
+    canvas.width = 100; canvas.height = 45;
+    const plain = new Blaze2D(canvas, { instancing: false });
+    p.blaze.resetFrameStats();
+    drawSprites(p.blaze, image); drawSprites(plain, image);
+    p.blaze.flush();
+    assert(p.blaze.drawCallCount === 1, `draw calls: ${p.blaze.drawCallCount}`);
+    assertPixels(pixels(p.blaze), pixels(plain), { tol: 2, ratio: 0, label: 'instanced vs vertices' });
+    // 未着色的一组与原生逐个旋转绘制对照
+    const n = p.native;
+    for (let i = 0; i < 6; i++) { n.save(); n.globalAlpha = 1 - i * 0.1; n.translate(10 + i * 15, 12); n.rotate(i * 0.4); n.drawImage(image, -6, -4, 12, 8); n.restore(); }
+    assertPixels(pixels(p.blaze, 0, 0, 100, 22), pixels(n, 0, 0, 100, 22), { tol: 8, ratio: 0.03, label: 'native' });
+});
+
+test('实例记录与普通顶点混在一帧里时展开成顶点，仍是一次 Draw Call', () => {
+    const p = pair(60, 30), image = swatch(16, 16, '#2a9d8f'), ctx = p.blaze;
+    ctx.clear(); ctx.resetFrameStats();
+    ctx.drawSpriteFast(image, 10, 15, 16, 16);
+    ctx.fillStyle = '#e9c46a'; ctx.fillRect(20, 5, 20, 20);
+    ctx.drawSpriteFast(image, 48, 15, 16, 16, 0.5);
+    ctx.flush();
+    assert(ctx.drawCallCount === 1, `draw calls: ${ctx.drawCallCount}`);
+    const n = p.native;
+    n.drawImage(image, 2, 7); n.fillStyle = '#e9c46a'; n.fillRect(20, 5, 20, 20);
+    n.save(); n.translate(48, 15); n.rotate(0.5); n.drawImage(image, -8, -8); n.restore();
+    assertPixels(pixels(ctx), pixels(n), { tol: 8, ratio: 0.03, label: 'mixed' });
+});
@@ -0,0 +1,23 @@
+import { test, pair, pixel, assertColor } from './harness.js';
+
+test('50% alpha 的层合成后与直接绘制颜色一致', () => {
+    const p = pair(40, 20);
+    p.native.fillStyle = 'rgba(255, 128, 0, 0.5)'; p.native.fillRect(0, 0, 20, 20);
+    const ctx = p.blaze, layer = ctx.createLayer(20, 20, 1);
+    // 层内是预乘颜色，合成时不能再乘一次 alpha
+    ctx.beginLayer(layer); ctx.fillStyle = 'rgba(255, 128, 0, 0.5)'; ctx.fillRect(0, 0, 20, 20); ctx.endLayer();
+    ctx.drawImage(layer, 0, 0);
+    ctx.fillStyle = 'rgba(255, 128, 0, 0.5)'; ctx.fillRect(20, 0, 20, 20);
+    const expected = pixel(p.native, 10, 10);
+    assertColor(pixel(ctx, 10, 10), expected, 2, '层');
+    assertColor(pixel(ctx, 30, 10), expected, 2, '直接绘制');
+});
+
+test('globalAlpha 0.5 绘制不透明层与直接绘制颜色一致', () => {
+    const p = pair(20, 20);
+    p.native.globalAlpha = 0.5; p.native.fillStyle = '#3080ff'; p.native.fillRect(0, 0, 20, 20);
+    const ctx = p.blaze, layer = ctx.createLayer(20, 20, 1);
+    ctx.beginLayer(layer); ctx.fillStyle = '#3080ff'; ctx.fillRect(0, 0, 20, 20); ctx.endLayer();
+    ctx.globalAlpha = 0.5; ctx.drawImage(layer, 0, 0);
+    assertColor(pixel(ctx, 10, 10), pixel(p.native, 10, 10), 2, '层');
+});
@@ -0,0 +1,30 @@
+import { test, pair, pixels, assert, assertPixels } from './harness.js';
+
+test('粒子：位置、尺寸与颜色按 u_currentTime 在着色器里求值', () => {
+    const p = pair(100, 60), ctx = p.blaze;
+    const emitter = ctx.createParticleEmitter({
+        worldSpace: false, lifetime: 1, speed: 100, angle: 0, spread: 0, gravity: 320,
+        size: [4, 12], color: ['#ff0000', '#0000ff']
+    });
+    // A 在 0 秒发射，B 在 0.25 秒发射，C 在 -0.6 秒发射（0.5 秒时已过寿命）
+    for (const [time, x, y] of [[0, 10, 5], [0.25, 10, 5], [-0.6, 50, 30]]) { ctx.setTime(time); ctx.emitParticles(emitter, x, y); }
+    ctx.setTime(0.5);
+    ctx.resetFrameStats(); ctx.drawParticles(emitter);
+    assert(ctx.drawCallCount === 1, `draw calls: ${ctx.drawCallCount}`);
+    // A：t = 0.5，位置 (10 + 50, 5 + 40)，尺寸 8，颜色红蓝各半；B：t = 0.25，位置 (35, 15)，尺寸 6
+    p.native.fillStyle = 'rgb(128, 0, 128)'; p.native.fillRect(56, 41, 8, 8);
+    p.native.fillStyle = 'rgb(191, 0, 64)'; p.native.fillRect(32, 12, 6, 6);
+    assertPixels(pixels(ctx), pixels(p.native), { tol: 3, ratio: 0.01, label: 'particles' });
+});
+
+test('粒子：阻力、世界坐标与 globalAlpha', () => {
+    const p = pair(80, 40), ctx = p.blaze;
+    const emitter = ctx.createParticleEmitter({ lifetime: 4, speed: 60, angle: 0, spread: 0, drag: 2, size: 10, color: '#2a9d8f' });
+    ctx.setTime(0); ctx.emitParticles(emitter, 100, 50);
+    // 无重力时位移 = v·(1 − e^(−drag·t))/drag，t → ∞ 时趋于 30
+    ctx.setTime(3); ctx.setCamera(110, 45); ctx.globalAlpha = 0.5;
+    ctx.drawParticles(emitter);
+    const dx = 60 * (1 - Math.exp(-6)) / 2;
+    p.native.fillStyle = 'rgba(42, 157, 143, 0.5)'; p.native.fillRect(100 + dx - 110 + 40 - 5, 50 - 45 + 20 - 5, 10, 10);
+    assertPixels(pixels(ctx), pixels(p.native), { tol: 3, ratio: 0.02, label: 'drag' });
+});
@@ -0,0 +1,51 @@
+import { test, pair, both, pixels, assert, assertPixels } from './harness.js';
+
+/** 外框顺时针、内框逆/顺时针各一个：nonzero 下逆向内框镂空，evenodd 下两个都镂空。 */
+function rings(ctx) {
+    ctx.beginPath();
+    ctx.rect(5, 5, 70, 50);
+    ctx.moveTo(15, 15); ctx.lineTo(15, 45); ctx.lineTo(35, 45); ctx.lineTo(35, 15); ctx.closePath();
+    ctx.rect(45, 15, 20, 30);
+}
+
+test('路径填充：nonzero 与 evenodd 的镂空', () => {
+    for (const rule of ['nonzero', 'evenodd']) {
+        const p = pair(80, 60);
+        both(p, ctx => { ctx.fillStyle = '#264653'; rings(ctx); ctx.fill(rule); });
+        assertPixels(pixels(p.blaze), pixels(p.native), { tol: 8, ratio: 0.03, label: rule });
+    }
+});
+
+test('路径填充：凹多边形与曲线展平', () => {
+    const p = pair(100, 60);
+    both(p, ctx => {
+        ctx.fillStyle = '#e76f51';
+        ctx.beginPath(); ctx.moveTo(5, 5); ctx.lineTo(45, 5); ctx.lineTo(25, 25); ctx.lineTo(45, 55); ctx.lineTo(5, 55); ctx.lineTo(15, 30); ctx.closePath(); ctx.fill();
+        ctx.fillStyle = '#2a9d8f';
+        ctx.beginPath(); ctx.moveTo(50, 50); ctx.quadraticCurveTo(60, 0, 75, 40); ctx.bezierCurveTo(85, 60, 95, 10, 95, 50); ctx.arcTo(70, 58, 50, 50, 12); ctx.fill();
+    });
+    assertPixels(pixels(p.blaze), pixels(p.native), { tol: 8, ratio: 0.03, label: 'curves' });
+});
+
+test('放大变换下曲线按设备像素展平，不出现折线棱角', () => {
+    const p = pair(120, 120);
+    both(p, ctx => {
+        ctx.scale(20, 20); ctx.fillStyle = '#6d597a';
+        ctx.beginPath(); ctx.moveTo(0.5, 3); ctx.quadraticCurveTo(3, -1.5, 5.5, 3); ctx.quadraticCurveTo(3, 7.5, 0.5, 3); ctx.fill();
+    });
+    assertPixels(pixels(p.blaze), pixels(p.native), { tol: 8, ratio: 0.01, label: 'scaled' });
+});
+
+test('路径与描边直接进主批次，和精灵共用一次 Draw Call', () => {
+    const p = pair(80, 60), ctx = p.blaze;
+    ctx.clear(); ctx.resetFrameStats();
+    both(p, c => {
+        c.fillStyle = '#264653'; c.fillRect(0, 0, 80, 60);
+        c.fillStyle = '#e9c46a'; rings(c); c.fill('evenodd');
+        c.strokeStyle = '#e63946'; c.lineWidth = 3;
+        c.beginPath(); c.moveTo(5, 55); c.lineTo(40, 30); c.lineTo(75, 55); c.stroke();
+    });
+    ctx.flush();
+    assert(ctx.drawCallCount === 1, `draw calls: ${ctx.drawCallCount}`);
+    assertPixels(pixels(ctx), pixels(p.native), { tol: 8, ratio: 0.03, label: 'batched' });
+});
@@ -0,0 +1,57 @@
+import { Blaze2D } from '../Blaze2d.js';
+import { test, pair, both, pixels, assert, assertPixels } from './harness.js';
+import { swatch } from './batch.test.js';
+
+/** 4x4 的像素画：四个 2x2 色块。 */
+function sprite() {
+    const c = document.createElement('canvas'), g = c.getContext('2d');
+    c.width = c.height = 4;
+    for (const [x, y, color] of [[0, 0, '#e63946'], [2, 0, '#f1faee'], [0, 2, '#457b9d'], [2, 2, '#1d3557']]) { g.fillStyle = color; g.fillRect(x, y, 2, 2); }
+    return c;
+}
+
+test('imageSmoothingEnabled：按次切换最近邻采样', () => {
+    const p = pair(80, 40), image = sprite(), solid = swatch(4, 4, '#2a9d8f');
+    both(p, c => {
+        c.imageSmoothingEnabled = false;
+        c.drawImage(image, 4, 4, 32, 32);
+        c.translate(60, 20); c.rotate(Math.PI / 4); c.drawImage(image, -10, -10, 20, 20);
+        c.setTransform(1, 0, 0, 1, 0, 0);
+        // 同一帧内改回平滑：纯色图片放大后两者一致
+        c.imageSmoothingEnabled = true;
+        c.drawImage(solid, 38, 30, 6, 6);
+    });
+    p.blaze.flush();
+    // 旋转图片的边缘抗锯齿与最近邻的色块分界允许少量差异
+    assertPixels(pixels(p.blaze), pixels(p.native), { ratio: 0.05, label: 'nearest' });
+});
+
+test('setPixelArt：顶点对齐设备像素，相邻图集图片不串色', () => {
+    const p = pair(60, 40);
+    const canvas = document.createElement('canvas');
+    canvas.width = 60; canvas.height = 40;
+    const ctx = new Blaze2D(canvas, { pixelArt: true });
+    assert(ctx.pixelSnap && ctx.atlasExtrude, 'pixelArt option did not enable snap and extrude');
+    // 两张纯色图紧挨着放进图集，放大到非整数倍、画在非整数位置
+    const red = swatch(3, 3, '#e63946'), blue = swatch(3, 3, '#457b9d');
+    ctx.drawImage(red, 4.3, 4.4, 12.5, 12.5);
+    ctx.drawImage(blue, 20.6, 4.2, 12.5, 12.5);
+    ctx.save(); ctx.translate(40.4, 20.3); ctx.scale(5, 5); ctx.drawImage(sprite(), 0, 0); ctx.restore();
+    ctx.flush();
+    // 对齐后顶点取整：(4, 4)–(17, 17)、(21, 4)–(33, 17)、(40, 20)–(60, 40)
+    const n = p.native;
+    n.fillStyle = '#e63946'; n.fillRect(4, 4, 13, 13);
+    n.fillStyle = '#457b9d'; n.fillRect(21, 4, 12, 13);
+    n.imageSmoothingEnabled = false; n.drawImage(sprite(), 40, 20, 20, 20);
+    assertPixels(pixels(ctx), pixels(n), { tol: 2, ratio: 0, label: 'pixel art' });
+});
+
+test('setPixelArt：只开边缘外扩时，平滑放大的图片边缘与原生一样不透明', () => {
+    const p = pair(60, 40), ctx = p.blaze;
+    ctx.setPixelArt(false, { extrude: true });
+    assert(!ctx.pixelArt && !ctx.pixelSnap && ctx.atlasExtrude, 'setPixelArt options not applied');
+    // 原生 drawImage 在图片边缘按 clamp 采样；外扩后图集留白里也是边缘颜色，不再混入透明
+    both(p, c => { c.drawImage(swatch(4, 4, '#e9c46a'), 4, 4, 24, 24); c.drawImage(sprite(), 32, 4, 24, 24); });
+    ctx.flush();
+    assertPixels(pixels(ctx), pixels(p.native), { tol: 24, ratio: 0.03, label: 'extrude' });
+});
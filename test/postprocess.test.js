@@ -0,0 +1,68 @@
+import { test, pair, pixels, assert, assertPixels } from './harness.js';
+
+/** 反相 LUT（横向条带，宽 N*N、高 N）；线性函数插值无误差，取错 N 或方向时颜色会明显偏离。 */
+function invertLut(n) {
+    const c = document.createElement('canvas'), ctx = c.getContext('2d'), img = ctx.createImageData(n * n, n), q = v => 255 - Math.round(v * 255 / (n - 1));
+    for (let y = 0; y < n; y++) for (let x = 0; x < n * n; x++) img.data.set([q(x % n), q(y), q(Math.floor(x / n)), 255], (y * n * n + x) * 4);
+    ctx.putImageData(img, 0, 0);
+    return c;
+}
+
+const COLORS = ['#00ff00', '#ff00ff', '#5599ff', '#c08040'];
+
+/** Blaze2D 开启 lut 通道画一组色块，原生画反相后的颜色。 */
+function drawGraded(p, lut) {
+    p.blaze.setPostProcessing(true);
+    p.blaze.setPostPass('lut', { enabled: true, lut });
+    p.blaze.clear();
+    COLORS.forEach((c, i) => {
+        p.blaze.fillStyle = c; p.blaze.fillRect(i * 10, 0, 10, 20);
+        const v = parseInt(c.slice(1), 16) ^ 0xffffff;
+        p.native.fillStyle = '#' + v.toString(16).padStart(6, '0'); p.native.fillRect(i * 10, 0, 10, 20);
+    });
+    p.blaze.present();
+}
+
+test('lut：图片的边长取自像素高度', () => {
+    const p = pair(40, 20);
+    drawGraded(p, invertLut(4));
+    assertPixels(pixels(p.blaze), pixels(p.native), { tol: 4, ratio: 0, label: 'canvas lut' });
+});
+
+test('lut：dpr 不为 1 的层按 pixelHeight 取边长', () => {
+    const p = pair(40, 20), layer = p.blaze.createLayer(32, 4, 2);
+    p.blaze.beginLayer(layer);
+    p.blaze.imageSmoothingEnabled = false; p.blaze.drawImage(invertLut(8), 0, 0, 32, 4);
+    p.blaze.endLayer();
+    drawGraded(p, layer);
+    assertPixels(pixels(p.blaze), pixels(p.native), { tol: 4, ratio: 0, label: 'layer lut' });
+});
+
+test('lut：裸 WebGLTexture 未给 lutSize 时报错', () => {
+    const p = pair(20, 20);
+    p.blaze.setPostProcessing(true);
+    p.blaze.setPostPass('lut', { enabled: true, lut: p.blaze.gl.createTexture() });
+    p.blaze.clear();
+    let error = null;
+    try { p.blaze.present(); } catch (e) { error = e; }
+    assert(error && /lutSize/.test(error.message), '没有抛出缺少 lutSize 的错误');
+});
+
+test('后处理链：自定义通道与运行时开关，present() 之后的绘制不经过通道', () => {
+    const p = pair(40, 20), ctx = p.blaze;
+    ctx.setPostProcessing(true);
+    ctx.addPostPass('invert', 'uniform float u_amount; void main() { vec4 c = texture2D(u_texture, v_uv); gl_FragColor = vec4(mix(c.rgb, c.a - c.rgb, u_amount), c.a); }', { amount: 1 });
+    const frame = () => { ctx.clear(); ctx.fillStyle = '#e63946'; ctx.fillRect(0, 0, 20, 20); ctx.fillStyle = '#457b9d'; ctx.fillRect(20, 0, 20, 20); ctx.present(); };
+    frame();
+    p.native.fillStyle = '#19c6b9'; p.native.fillRect(0, 0, 20, 20);
+    p.native.fillStyle = '#ba8462'; p.native.fillRect(20, 0, 20, 20);
+    assertPixels(pixels(ctx), pixels(p.native), { tol: 3, ratio: 0, label: 'invert' });
+    ctx.setPostPass('invert', { enabled: false });
+    frame();
+    // 界面层：present() 后直接画在画布上
+    ctx.fillStyle = '#2a9d8f'; ctx.fillRect(15, 5, 10, 10);
+    p.native.fillStyle = '#e63946'; p.native.fillRect(0, 0, 20, 20);
+    p.native.fillStyle = '#457b9d'; p.native.fillRect(20, 0, 20, 20);
+    p.native.fillStyle = '#2a9d8f'; p.native.fillRect(15, 5, 10, 10);
+    assertPixels(pixels(ctx), pixels(p.native), { tol: 3, ratio: 0, label: 'disabled' });
+});
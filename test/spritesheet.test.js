@@ -0,0 +1,58 @@
+import { test, pair, pixels, assert, assertPixels } from './harness.js';
+
+/**
+ * 40x20 的精灵表：plain 红色 10x10；rot 为 20x10 的帧顺时针旋转 90° 后存放（左半蓝、右半黄）；
+ * trim 为 20x20 帧裁掉四周 5px 透明边后的绿色 10x10。
+ */
+function sheet() {
+    const c = document.createElement('canvas');
+    c.width = 40; c.height = 20;
+    const ctx = c.getContext('2d');
+    ctx.fillStyle = '#e63946'; ctx.fillRect(0, 0, 10, 10);
+    ctx.fillStyle = '#1d3557'; ctx.fillRect(10, 0, 10, 10);
+    ctx.fillStyle = '#e9c46a'; ctx.fillRect(10, 10, 10, 10);
+    ctx.fillStyle = '#2a9d8f'; ctx.fillRect(20, 0, 10, 10);
+    return c;
+}
+
+const TEXTURE_PACKER = {
+    frames: {
+        plain: { frame: { x: 0, y: 0, w: 10, h: 10 }, rotated: false, trimmed: false, pivot: { x: 0, y: 0 } },
+        rot: { frame: { x: 10, y: 0, w: 20, h: 10 }, rotated: true, trimmed: false, pivot: { x: 0, y: 0 } },
+        trim: { frame: { x: 20, y: 0, w: 10, h: 10 }, rotated: false, trimmed: true, spriteSourceSize: { x: 5, y: 5, w: 10, h: 10 }, sourceSize: { w: 20, h: 20 } }
+    },
+    meta: { size: { w: 40, h: 20 } }
+};
+
+test('loadSpritesheet：普通、旋转与裁剪帧按原始尺寸和锚点绘制', () => {
+    const p = pair(60, 40), ctx = p.blaze, n = p.native;
+    ctx.loadSpritesheet(sheet(), JSON.stringify(TEXTURE_PACKER));
+    ctx.drawFrame('plain', 2, 2);
+    ctx.drawFrame('rot', 20, 2);
+    // 没有 pivot 的帧默认以中心为锚点：原始 20x20 的中心在 (30, 28)，裁剪后的内容占 (25, 23) 起的 10x10
+    ctx.drawFrame('trim', 30, 28);
+    ctx.drawFrame('plain', 45, 20, 10, -10);
+    n.fillStyle = '#e63946'; n.fillRect(2, 2, 10, 10); n.fillRect(45, 10, 10, 10);
+    n.fillStyle = '#1d3557'; n.fillRect(20, 2, 10, 10);
+    n.fillStyle = '#e9c46a'; n.fillRect(30, 2, 10, 10);
+    n.fillStyle = '#2a9d8f'; n.fillRect(25, 23, 10, 10);
+    assertPixels(pixels(ctx), pixels(n), { tol: 4, ratio: 0.01, label: 'frames' });
+    const f = ctx.getFrame('trim');
+    assert(f && f.sourceW === 20 && f.trimX === 5, 'trim 帧的原始尺寸或裁剪偏移不对');
+});
+
+test('Aseprite 数组格式：frameTags 成为按时长播放的动画', () => {
+    const ctx = pair(10, 10).blaze, frame = (x, duration) => ({ frame: { x, y: 0, w: 10, h: 10 }, duration });
+    const handle = ctx.loadSpritesheet(sheet(), {
+        frames: [{ filename: 'walk 0', ...frame(0, 100) }, { filename: 'walk 1', ...frame(10, 200) }, { filename: 'walk 2', ...frame(20, 100) }],
+        meta: { frameTags: [{ name: 'walk', from: 0, to: 2, direction: 'pingpong' }, { name: 'back', from: 0, to: 1, direction: 'reverse' }] }
+    });
+    assert(handle.frames.length === 3 && handle.animations.join() === 'walk,back', `handle: ${handle.frames} / ${handle.animations}`);
+    // pingpong：0 1 2 1，时长 0.1 + 0.2 + 0.1 + 0.2 秒
+    const walk = [0.05, 0.15, 0.35, 0.45, 0.65].map(t => ctx.getAnimationFrame('walk', t));
+    assert(walk.join() === 'walk 0,walk 1,walk 2,walk 1,walk 0', `walk: ${walk}`);
+    const back = [0.05, 0.25].map(t => ctx.getAnimationFrame('back', t));
+    assert(back.join() === 'walk 1,walk 0', `back: ${back}`);
+    ctx.unloadSpritesheet(handle);
+    assert(!ctx.getFrame('walk 0') && ctx.getAnimationFrame('walk', 0) === null, 'unloadSpritesheet 后帧与动画仍在');
+});
@@ -0,0 +1,24 @@
+import { test, pair, both, pixels, pixel, assert, assertPixels } from './harness.js';
+
+test('setLineDash([0, 10]) 配合 round / square 线帽画出一排点', () => {
+    for (const cap of ['round', 'square']) {
+        const p = pair(120, 20);
+        both(p, ctx => {
+            ctx.strokeStyle = '#000'; ctx.lineWidth = 6; ctx.lineCap = cap; ctx.setLineDash([0, 10]);
+            ctx.beginPath(); ctx.moveTo(10, 10); ctx.lineTo(110, 10); ctx.stroke();
+        });
+        for (let x = 10; x < 110; x += 10) assert(pixel(p.blaze, x, 10)[3] > 200, `${cap}：x = ${x} 处没有点`);
+        // 点与点之间留空
+        assert(pixel(p.blaze, 15, 10)[3] === 0, `${cap}：点之间不应有墨迹`);
+        assertPixels(pixels(p.blaze), pixels(p.native), { label: cap });
+    }
+});
+
+test('setLineDash([0, 10]) 配合 butt 线帽不绘制', () => {
+    const p = pair(120, 20);
+    both(p, ctx => {
+        ctx.strokeStyle = '#000'; ctx.lineWidth = 6; ctx.lineCap = 'butt'; ctx.setLineDash([0, 10]);
+        ctx.beginPath(); ctx.moveTo(10, 10); ctx.lineTo(110, 10); ctx.stroke();
+    });
+    assert(pixels(p.blaze).every((v, i) => i % 4 !== 3 || v === 0), '不应有任何墨迹');
+});
@@ -0,0 +1,258 @@
+import { Blaze2D } from '../Blaze2d.js';
+import { test, pair, both, pixels, assert, assertClose, assertPixels } from './harness.js';
+import { swatch } from './batch.test.js';
+
+/**
+ * 测试用的 BMFont：字形是页图上的白色方块，便于用原生 fillRect 对照。字号 12、行高 12、基线 10；
+ * A、B 在第 0 页，C 在第 1 页，A→B 有 -2 的字距调整。
+ */
+export function blockFont(ctx, name = 'block', format = 'text') {
+    const page = (rects) => {
+        const c = document.createElement('canvas');
+        c.width = 32; c.height = 16;
+        const g = c.getContext('2d');
+        g.fillStyle = '#ffffff';
+        for (const r of rects) g.fillRect(...r);
+        return c;
+    };
+    const chars = [
+        { id: 65, x: 0, y: 0, width: 6, height: 10, xoffset: 0, yoffset: 1, xadvance: 8, page: 0 },
+        { id: 66, x: 8, y: 0, width: 4, height: 6, xoffset: 1, yoffset: 3, xadvance: 6, page: 0 },
+        { id: 67, x: 0, y: 0, width: 5, height: 8, xoffset: 0, yoffset: 2, xadvance: 7, page: 1 }
+    ];
+    const attrs = (o) => Object.entries(o).map(([k, v]) => `${k}=${format === 'xml' ? `"${v}"` : v}`).join(' ');
+    const lines = [
+        ['info', 'face="Block" size=12'], ['common', 'lineHeight=12 base=10 scaleW=32 scaleH=16 pages=2'],
+        ['page', 'id=0 file="a.png"'], ['page', 'id=1 file="b.png"'],
+        ...chars.map(c => ['char', attrs(c)]), ['kerning', attrs({ first: 65, second: 66, amount: -2 })]
+    ];
+    const data = format === 'xml'
+        ? '<?xml version="1.0"?>\n<font>\n' + lines.map(([tag, rest]) => `  <${tag} ${rest.replace(/=(\w+)/g, '="$1"')}/>`).join('\n') + '\n</font>'
+        : lines.map(l => l.join(' ')).join('\n');
+    return ctx.loadBMFont(name, data, { 'a.png': page([[0, 0, 6, 10], [8, 0, 4, 6]]), 'b.png': page([[0, 0, 5, 8]]) });
+}
+
+/** 字形缓存中各字形的字素簇。 */
+const clusters = (ctx) => Array.from(ctx.glyphCache.values(), g => g.cluster);
+
+test('字形缓存：中日文与 emoji 按字素簇缓存，与原生 fillText 一致', () => {
+    const p = pair(220, 40), ctx = p.blaze;
+    both(p, c => { c.font = '24px sans-serif'; c.fillStyle = '#264653'; c.textBaseline = 'middle'; c.fillText('你好，世界 かな', 4, 20); });
+    ctx.flush();
+    // 字形本身的抗锯齿与原生 fillText 不完全相同，只比较大致形状
+    assertPixels(pixels(ctx), pixels(p.native), { tol: 96, ratio: 0.04, label: 'CJK' });
+    // 多码元 emoji（变体选择符、肤色修饰）各占一个字形
+    const before = ctx.glyphCache.size;
+    ctx.fillText('☠️👍🏽🗡️', 4, 20);
+    const added = clusters(ctx).slice(before);
+    assert(added.join('|') === '☠️|👍🏽|🗡️', `clusters: ${added.join('|')}`);
+    // 再次绘制命中缓存，与其他文字同批
+    ctx.resetFrameStats();
+    ctx.fillText('世界☠️', 4, 20); ctx.fillText('👍🏽你好', 100, 20);
+    ctx.flush();
+    assert(ctx.glyphCache.size === before + 3, `cache size: ${ctx.glyphCache.size}`);
+    assert(ctx.drawCallCount === 1, `draw calls: ${ctx.drawCallCount}`);
+});
+
+test('字形缓存：页数到上限时按 LRU 淘汰，常用字形保留', () => {
+    const canvas = document.createElement('canvas');
+    canvas.width = 240; canvas.height = 240;
+    const ctx = new Blaze2D(canvas, { maxGlyphPages: 1 });
+    ctx.font = '200px sans-serif';
+    // 按 256px 档栅格化，一页只放得下十来个字；「永」每次都用到，始终是最近使用的
+    const chars = Array.from('天地玄黄宇宙洪荒日月盈昃辰宿列张寒来暑往秋收冬藏闰余成岁律吕调阳云腾致雨');
+    for (const c of chars) { ctx.fillText('永' + c, 0, 200); ctx.flush(); }
+    const cached = clusters(ctx);
+    assert(ctx.glyphPages.length === 1, `pages: ${ctx.glyphPages.length}`);
+    assert(cached.length < chars.length, `nothing evicted: ${cached.length}`);
+    assert(cached.includes('永') && cached.includes(chars[chars.length - 1]), 'recently used glyphs were evicted');
+    assert(!cached.includes(chars[0]), 'least recently used glyph survived');
+});
+
+test('距离场字体：放大绘制仍与原生同字号文字一致', () => {
+    const p = pair(260, 120), ctx = p.blaze;
+    // 内置 'sdf' 字体以 bold 48px Arial 栅格化，这里放大到 3 倍
+    p.native.font = 'bold 144px Arial';
+    ctx.font = '144px sdf';
+    both(p, c => { c.fillStyle = '#e63946'; c.textBaseline = 'middle'; c.fillText('Ag', 10, 60); });
+    ctx.flush();
+    assertPixels(pixels(ctx), pixels(p.native), { tol: 96, ratio: 0.03, label: 'sdf 144px' });
+});
+
+test('距离场字体：按次指定的描边颜色、宽度与投影', () => {
+    const p = pair(160, 100), ctx = p.blaze, n = p.native;
+    ctx.drawBitmapText('HI', 80, 50, 64, '#ffffff', 1, 'center', 'middle', { outlineWidth: 4, outlineColor: '#0000ff', shadowColor: '#000000', shadowOffsetX: 6, shadowOffsetY: 6 });
+    ctx.flush();
+    // 描边向外扩 4px，相当于原生 8px 宽的描边压在填充下面；投影包含描边
+    n.font = 'bold 64px Arial'; n.textAlign = 'center'; n.textBaseline = 'middle'; n.lineJoin = 'round';
+    n.shadowColor = '#000000'; n.shadowOffsetX = n.shadowOffsetY = 6;
+    n.strokeStyle = '#0000ff'; n.lineWidth = 8; n.strokeText('HI', 80, 50);
+    n.shadowColor = 'transparent';
+    n.fillStyle = '#ffffff'; n.fillText('HI', 80, 50);
+    assertPixels(pixels(ctx), pixels(n), { tol: 96, ratio: 0.04, label: 'outline + shadow' });
+});
+
+test('距离场字体：伤害数字样式与 drawBitmapText 的结果一致', () => {
+    const p = pair(160, 80), ctx = p.blaze;
+    const canvas = document.createElement('canvas');
+    canvas.width = 160; canvas.height = 80;
+    const reference = new Blaze2D(canvas);
+    // 不弹出、不缩放、不运动的距离场样式：数字居中画在生成点，默认 2px 黑色描边
+    ctx.defineDamageNumberStyle('big', { font: 'sdf', popIn: 0, startScale: 1, bounce: 0, shrinkStart: 1, endScale: 1, fadeStart: 1, flashStrength: 0, gravity: 0 });
+    ctx.setTime(0); ctx.drawGPUDamageNumber(9999, 80, 40, 0, 0, 0, 1, 56, '#ffd166', 1, 'big');
+    ctx.setTime(0.5); ctx.flushDamageNumbers();
+    reference.drawBitmapText('9999', 80, 40, 56, '#ffd166', 1, 'center', 'middle', { font: 'sdf', outlineWidth: 2 });
+    reference.flush();
+    assertPixels(pixels(ctx), pixels(reference), { tol: 8, ratio: 0.01, label: 'sdf damage number' });
+});
+
+test('BMFont：偏移、xadvance、字距调整与多页，与原生方块一致', () => {
+    const p = pair(60, 40), ctx = p.blaze;
+    blockFont(ctx);
+    // 普通 BMFont 按图片处理，关闭平滑后放大 2 倍的方块边缘清晰
+    ctx.imageSmoothingEnabled = false;
+    ctx.resetFrameStats();
+    ctx.drawBitmapText('ABC', 10, 20, 24, '#2a9d8f', 1, 'left', 'middle', { font: 'block' });
+    ctx.flush();
+    assert(ctx.drawCallCount === 1, `draw calls: ${ctx.drawCallCount}`);
+    // 中线 y = 20；A 笔位 10，B 笔位 10 + (8 − 2)·2 = 22，C 笔位 22 + 6·2 = 34
+    p.native.fillStyle = '#2a9d8f';
+    p.native.fillRect(10, 10, 12, 20); p.native.fillRect(24, 14, 8, 12); p.native.fillRect(34, 12, 10, 16);
+    assertPixels(pixels(ctx), pixels(p.native), { tol: 2, ratio: 0, label: 'bmfont' });
+});
+
+test('BMFont：文本与 XML 描述结果相同，可作为 ctx.font 的字体族', () => {
+    const p = pair(60, 40), ctx = p.blaze;
+    const a = blockFont(ctx, 'block').face, b = blockFont(ctx, 'blockXml', 'xml').face;
+    const metrics = (face) => JSON.stringify(Array.from(face.glyphs.values(), g => [g.id, g.ox, g.oy, g.width, g.renderWidth, g.renderHeight, g.u0, g.v1]));
+    assert(metrics(a) === metrics(b), 'text and XML descriptors differ');
+    assert(b.kerning.get(65 * 0x110000 + 66) === -2, 'XML kerning missing');
+    // alphabetic 基线：基线在 y = 30，A 顶部为 30 + (1 − 10)·2
+    ctx.font = '24px blockXml'; ctx.fillStyle = '#e76f51'; ctx.imageSmoothingEnabled = false;
+    ctx.fillText('AB', 10, 30);
+    ctx.flush();
+    p.native.fillStyle = '#e76f51';
+    p.native.fillRect(10, 12, 12, 20); p.native.fillRect(24, 16, 8, 12);
+    assertPixels(pixels(ctx), pixels(p.native), { tol: 2, ratio: 0, label: 'bmfont fillText' });
+});
+
+test('layoutText：按词换行、行内颜色，整段一次 Draw Call', () => {
+    const p = pair(40, 44), ctx = p.blaze, n = p.native;
+    blockFont(ctx);
+    ctx.imageSmoothingEnabled = false;
+    // 行高 1 倍：每行高 12，基线在行顶下 10（中线在行顶下 6）；空格宽半个字号
+    const layout = ctx.layoutText('AB AB [color=#e63946]C[/color]', { font: 'block', color: '#264653', maxWidth: 20, lineHeight: 1 });
+    assert(layout.lines.length === 3, `lines: ${layout.lines.length}`);
+    assert(layout.width === 12 && layout.height === 36, `size: ${layout.width}x${layout.height}`);
+    ctx.resetFrameStats();
+    ctx.drawTextLayout(layout, 10, 4);
+    ctx.flush();
+    assert(ctx.drawCallCount === 1, `draw calls: ${ctx.drawCallCount}`);
+    n.fillStyle = '#264653';
+    for (const top of [4, 16]) { n.fillRect(10, top + 1, 6, 10); n.fillRect(17, top + 3, 4, 6); }
+    n.fillStyle = '#e63946'; n.fillRect(10, 30, 5, 8);
+    assertPixels(pixels(ctx), pixels(n), { tol: 2, ratio: 0, label: 'wrap' });
+});
+
+test('layoutText：每行居中 / 右对齐、行内图标与缩小以适应', () => {
+    const p = pair(60, 44), ctx = p.blaze, n = p.native;
+    blockFont(ctx);
+    ctx.loadSpritesheet(swatch(8, 8, '#2a9d8f'), { frames: { gem: { frame: { x: 0, y: 0, w: 8, h: 8 } } }, meta: { size: { w: 8, h: 8 } } });
+    ctx.imageSmoothingEnabled = false;
+    const opts = { font: 'block', color: '#264653', lineHeight: 1 };
+    // 第一行 AB 宽 12，第二行 A 宽 8
+    ctx.drawRichText('AB\nA', 30, 4, { ...opts, align: 'center' });
+    ctx.drawRichText('AB\nA', 56, 4, { ...opts, align: 'right' });
+    // 图标高度等于字号、占满 em 框，字距调整不跨过图标
+    ctx.drawRichText('A[icon=gem]B', 4, 30, opts);
+    ctx.flush();
+    n.fillStyle = '#264653';
+    // 居中：两行左边为 30 − 6、30 − 4；右对齐：56 − 12、56 − 8
+    for (const [first, second] of [[24, 26], [44, 48]]) { n.fillRect(first, 5, 6, 10); n.fillRect(first + 7, 7, 4, 6); n.fillRect(second, 17, 6, 10); }
+    n.fillRect(4, 31, 6, 10); n.fillRect(25, 33, 4, 6);
+    n.fillStyle = '#2a9d8f'; n.fillRect(12, 30, 12, 12);
+    assertPixels(pixels(ctx), pixels(n), { tol: 2, ratio: 0, label: 'align + icon' });
+    const fit = ctx.layoutText('AB AB AB', { ...opts, maxWidth: 20, maxHeight: 12, shrinkToFit: true });
+    assert(fit.scale < 1 && fit.height <= 12, `shrinkToFit: scale ${fit.scale}, height ${fit.height}`);
+});
+
+test('measureText：按实际绘制的字形测量，居中文字与测量结果吻合', () => {
+    const p = pair(60, 40), ctx = p.blaze, n = p.native;
+    blockFont(ctx);
+    ctx.font = '24px block'; ctx.imageSmoothingEnabled = false;
+    // AB 的前进宽度 (8 − 2 + 6)·2 = 24；B 的笔位 (8 − 2)·2，右缘再加 (1 + 4)·2；A 顶部高出基线 (10 − 1)·2，底部低 1·2
+    const m = ctx.measureText('AB');
+    assert(m.width === 24 && m.actualBoundingBoxLeft === 0 && m.actualBoundingBoxRight === 22, `horizontal: ${m.width} ${m.actualBoundingBoxLeft} ${m.actualBoundingBoxRight}`);
+    assert(m.actualBoundingBoxAscent === 18 && m.actualBoundingBoxDescent === 2, `vertical: ${m.actualBoundingBoxAscent} ${m.actualBoundingBoxDescent}`);
+    assert(m.fontBoundingBoxAscent === 20 && m.fontBoundingBoxDescent === 4, `font box: ${m.fontBoundingBoxAscent} ${m.fontBoundingBoxDescent}`);
+    ctx.textAlign = 'center';
+    const c = ctx.measureText('AB');
+    assert(c.actualBoundingBoxLeft === 12 && c.actualBoundingBoxRight === 10, `centered: ${c.actualBoundingBoxLeft} ${c.actualBoundingBoxRight}`);
+    ctx.fillStyle = '#264653'; ctx.fillText('AB', 30, 30);
+    ctx.flush();
+    // 墨迹框 [30 − 12, 30 + 10) × [30 − 18, 30 + 2)：A 占左上，B 靠右
+    n.fillStyle = '#264653'; n.fillRect(18, 12, 12, 20); n.fillRect(32, 16, 8, 12);
+    assertPixels(pixels(ctx), pixels(n), { tol: 2, ratio: 0, label: 'centered' });
+});
+
+test('measureText：字形缓存与整串纹理两条路径都与原生一致', () => {
+    const p = pair(160, 60), ctx = p.blaze;
+    // 按各自测得的墨迹框画底色，再把文字居中画在上面，底色框应与原生重合
+    both(p, c => {
+        c.font = '24px sans-serif'; c.textAlign = 'center'; c.textBaseline = 'middle';
+        const m = c.measureText('Button 按钮');
+        c.fillStyle = '#e9c46a';
+        c.fillRect(80 - m.actualBoundingBoxLeft - 4, 30 - m.actualBoundingBoxAscent - 4, m.actualBoundingBoxLeft + m.actualBoundingBoxRight + 8, m.actualBoundingBoxAscent + m.actualBoundingBoxDescent + 8);
+        c.fillStyle = '#264653'; c.fillText('Button 按钮', 80, 30);
+    });
+    ctx.flush();
+    assertPixels(pixels(ctx), pixels(p.native), { tol: 96, ratio: 0.04, label: 'label box' });
+    p.native.font = ctx.font = '24px sans-serif';
+    assertClose(ctx.measureText('Hello').width, p.native.measureText('Hello').width, 1, 'glyph width');
+    // 超出字号档位的文字走整串纹理：width 为纹理参与对齐的宽度，墨迹框的大小与原生一致
+    p.native.font = ctx.font = '300px sans-serif';
+    const a = ctx.measureText('Hello'), b = p.native.measureText('Hello');
+    assertClose(a.actualBoundingBoxLeft + a.actualBoundingBoxRight, b.actualBoundingBoxLeft + b.actualBoundingBoxRight, 1, 'texture ink width');
+    assertClose(a.actualBoundingBoxAscent + a.actualBoundingBoxDescent, b.actualBoundingBoxAscent + b.actualBoundingBoxDescent, 1, 'texture ink height');
+});
+
+test('文字页：描边文字打包进共享页，与精灵同批', () => {
+    const p = pair(120, 60), ctx = p.blaze, image = swatch(10, 10, '#e9c46a');
+    ctx.resetFrameStats();
+    both(p, c => {
+        c.font = '20px sans-serif'; c.textBaseline = 'top'; c.strokeStyle = '#1d3557'; c.lineWidth = 2;
+        for (let i = 0; i < 3; i++) c.drawImage(image, 4 + i * 38, 40);
+    });
+    // 整串纹理四周留 2px，top 基线时文字画在 (x + 2, y + 2)
+    ctx.strokeText('HP', 4, 4); ctx.strokeText('MP', 42, 4); ctx.strokeText('XP', 80, 4);
+    p.native.strokeText('HP', 6, 6); p.native.strokeText('MP', 44, 6); p.native.strokeText('XP', 82, 6);
+    ctx.flush();
+    assert(ctx.drawCallCount === 1, `draw calls: ${ctx.drawCallCount}`);
+    assert(ctx.textPages.length === 1 && Array.from(ctx.textCache.values()).every(e => e.page === ctx.textPages[0]), 'labels not packed into one page');
+    assertPixels(pixels(ctx), pixels(p.native), { tol: 8, ratio: 0.01, label: 'packed labels' });
+});
+
+test('文字页：条目数到上限时逐条按 LRU 淘汰，页满时复用腾出的格子', () => {
+    const p = pair(80, 40), ctx = p.blaze;
+    ctx.maxTextCacheSize = 8;
+    ctx.font = '16px sans-serif'; ctx.textBaseline = 'top'; ctx.strokeStyle = '#e63946';
+    // 「0」每帧都用到，始终是最近使用的
+    for (let i = 1; i <= 20; i++) { ctx.clearRect(0, 0, 80, 40); ctx.strokeText('0', 2, 10); ctx.strokeText('label ' + i, 18, 10); ctx.flush(); }
+    const labels = Array.from(ctx.textCache.keys(), k => k.split('_')[0]);
+    assert(labels.length === 8, `entries: ${labels.length}`);
+    assert(labels.includes('0') && labels.includes('label 20') && !labels.includes('label 1'), `entries: ${labels.join(', ')}`);
+    const n = p.native;
+    n.font = '16px sans-serif'; n.textBaseline = 'top'; n.strokeStyle = '#e63946';
+    n.strokeText('0', 4, 12); n.strokeText('label 20', 20, 12);
+    assertPixels(pixels(ctx), pixels(n), { tol: 8, ratio: 0.01, label: 'after eviction' });
+
+    const canvas = document.createElement('canvas');
+    canvas.width = canvas.height = 64;
+    const big = new Blaze2D(canvas, { maxTextPages: 1 });
+    // 200px 的条目高约 284px，一页只放得下几条；之后的条目都放进被淘汰条目腾出的格子
+    big.font = '200px sans-serif';
+    for (let i = 0; i < 12; i++) { big.strokeText('W' + i, 0, 0); big.flush(); }
+    const entries = Array.from(big.textCache.values());
+    assert(big.textPages.length === 1, `pages: ${big.textPages.length}`);
+    assert(entries.length < 12 && entries.every(e => e.page === big.textPages[0]), 'entries were not packed into the reused page');
+});